@@ -3,6 +3,8 @@
  * Centralizes configuration settings for the application
  */
 
+const path = require('path');
+
 // Load environment variables
 require('dotenv').config();
 
@@ -12,7 +14,8 @@ const SERVER_CONFIG = {
   environment: process.env.NODE_ENV || 'development',
   jwtSecret: process.env.JWT_SECRET || 'aikira-terminal-secret',
   jwtExpiration: process.env.JWT_EXPIRATION || '24h',
-  corsOrigins: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : ['http://localhost:3000']
+  corsOrigins: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : ['http://localhost:3000'],
+  adminToken: process.env.ADMIN_TOKEN || null // Sent as X-Admin-Token to unlock admin-only request fields; unset disables them
 };
 
 // Rate limiting configuration
@@ -67,6 +70,159 @@ const FILE_STORAGE_CONFIG = {
   cleanupInterval: 3600000 // Clean up temporary files every hour
 };
 
+// Proposal storage configuration
+const STORAGE_CONFIG = {
+  driver: process.env.STORAGE_DRIVER || 'json', // 'json' or 'sqlite'
+  dataDir: process.env.DATA_DIR || path.join(__dirname, '..', 'data'),
+  jsonFile: 'proposals.json',
+  sqliteFile: 'proposals.db',
+  defaultPageSize: 20,
+  maxPageSize: 100
+};
+
+// Treasury configuration (supply, allocation and vesting terms live in backend/data/tokenomics.js)
+const TREASURY_CONFIG = {
+  vestingStart: process.env.TREASURY_VESTING_START || '2025-01-01T00:00:00Z',
+  ledgerFile: 'treasury.json',
+  projectionMonths: 12
+};
+
+// Token-weighted voting configuration
+const VOTING_CONFIG = {
+  windowHours: parseFloat(process.env.VOTING_WINDOW_HOURS) || 72,
+  quorum: parseInt(process.env.VOTING_QUORUM) || 10000, // Tokens that must take part (yes + no + abstain)
+  passThreshold: parseFloat(process.env.VOTING_PASS_THRESHOLD) || 0.5, // Share of yes among yes + no
+  holdersFile: 'holders.json'
+};
+
+// Appeal configuration
+const APPEAL_CONFIG = {
+  maxAppeals: parseInt(process.env.MAX_APPEALS) || 2, // Appeals allowed per proposal
+  maxRebuttalLength: 2000
+};
+
+// Decision audit log configuration
+const AUDIT_CONFIG = {
+  logFile: 'audit.log', // One hash-chained JSON entry per line in the data directory
+  defaultLimit: 50,
+  maxLimit: 500
+};
+
+// Decision receipt configuration
+const RECEIPT_CONFIG = {
+  privateKey: process.env.RECEIPT_SIGNING_KEY, // Ed25519 PKCS#8 PEM; generated into the data directory when unset
+  keyFile: 'receipt-signing-key.pem'
+};
+
+// Persona configuration (one versioned JSON file per persona)
+const PERSONA_CONFIG = {
+  dir: process.env.PERSONA_DIR || path.join(__dirname, 'personas'),
+  active: process.env.PERSONA || 'aikira',
+  routes: ['chat', 'evaluate'], // Routes with their own closing instruction in the persona file
+  watchIntervalMs: 2000 // How often the persona file is checked for changes
+};
+
+// LLM providers, each route's provider and sampling defaults, and the named model profiles
+// Providers: openai (needs OPENAI_API_KEY), openai-compatible (any /chat/completions server, e.g. llama.cpp or Ollama) and mock (offline, deterministic)
+const LLM_CONFIG = {
+  providers: {
+    openai: {
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.OPENAI_API_KEY
+    },
+    'openai-compatible': {
+      baseUrl: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+      apiKey: process.env.LLM_API_KEY,
+      jsonMode: process.env.LLM_JSON_MODE !== 'false' // Disable for servers that reject response_format
+    },
+    mock: {}
+  },
+  routes: {
+    // /api/openai/generate-response
+    chat: {
+      provider: process.env.LLM_CHAT_PROVIDER || process.env.LLM_PROVIDER || 'openai',
+      model: process.env.LLM_CHAT_MODEL || process.env.LLM_MODEL || 'gpt-3.5-turbo',
+      temperature: 0.7,
+      maxTokens: 1200 // Room for the response, three rationales, ten commandment reasons and the evidence quotes
+    },
+    // /api/proposal/evaluate and appeals
+    evaluate: {
+      provider: process.env.LLM_EVALUATE_PROVIDER || process.env.LLM_PROVIDER || 'openai',
+      model: process.env.LLM_EVALUATE_MODEL || process.env.LLM_MODEL || 'gpt-3.5-turbo',
+      temperature: 0.8, // Higher temperature for more varied responses
+      maxTokens: 1200
+    }
+  },
+  // Named profiles an admin can pick with a request's "profile" field; each overrides the route's
+  // defaults (model, temperature, maxTokens, and maxAttempts from scoring). A null model keeps the route's model.
+  profiles: {
+    fast: {
+      model: process.env.LLM_FAST_MODEL || null,
+      temperature: 0.7,
+      maxTokens: 1200,
+      maxAttempts: 1
+    },
+    thorough: {
+      model: process.env.LLM_THOROUGH_MODEL || null,
+      temperature: 0.2,
+      maxTokens: 2000,
+      maxAttempts: 5
+    }
+  },
+  timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 60000
+};
+
+// Model scoring configuration
+const SCORING_CONFIG = {
+  maxAttempts: parseInt(process.env.SCORING_MAX_ATTEMPTS) || 3, // Requests before falling back to keyword scoring
+  approvalThreshold: 70, // Average score the keyword fallback needs to approve
+  rubricFile: process.env.SCORING_RUBRIC_FILE || null // JSON rubric replacing backend/data/rubric.js
+};
+
+// Council mode configuration (seats are defined in the persona file)
+const COUNCIL_CONFIG = {
+  enabled: process.env.COUNCIL_MODE === 'true' // Default for requests that do not set "council"
+};
+
+// Prompt-injection guard configuration (Commandment VIII)
+const GUARD_CONFIG = {
+  mode: process.env.INJECTION_GUARD || 'harden', // 'harden' evaluates flagged proposals with a hardened prompt; 'quarantine' refuses high-severity ones; 'off'
+  commandment: 'VIII' // Commandment a manipulation attempt conflicts with
+};
+
+// Duplicate detection configuration (new proposals are compared with the stored ones before evaluation)
+const DUPLICATE_CONFIG = {
+  policy: process.env.DUPLICATE_POLICY || 'warn', // 'warn' reports the matches; 'block' refuses the proposal; 'reuse' returns the closest match's evaluation; 'off'
+  threshold: parseFloat(process.env.DUPLICATE_THRESHOLD) || 0.6, // Similarity (0-1) from which a stored proposal counts as a near-duplicate
+  maxMatches: 3
+};
+
+// Evaluation cache configuration
+const CACHE_CONFIG = {
+  driver: process.env.EVALUATION_CACHE || 'memory', // 'memory', 'file' (kept in the data directory) or 'off'
+  ttlSeconds: parseInt(process.env.EVALUATION_CACHE_TTL_SECONDS) || 24 * 60 * 60,
+  maxEntries: parseInt(process.env.EVALUATION_CACHE_MAX_ENTRIES) || 500,
+  file: 'evaluation-cache.json'
+};
+
+// Conversation session configuration
+const SESSION_CONFIG = {
+  file: 'sessions.json',
+  tokenBudget: parseInt(process.env.SESSION_TOKEN_BUDGET) || 3000, // Estimated tokens of history sent with each message
+  trimStrategy: process.env.SESSION_TRIM_STRATEGY || 'summarize', // 'summarize' folds trimmed turns into a summary; 'drop' forgets them
+  summaryMaxTokens: 250,
+  defaultLimit: 20,
+  maxLimit: 100
+};
+
+// Usage ledger configuration (completion tokens, Whisper audio and text-to-speech characters, with their cost)
+const USAGE_CONFIG = {
+  enabled: process.env.USAGE_LEDGER !== 'off',
+  logFile: 'usage.log', // One JSON entry per line in the data directory
+  priceFile: process.env.USAGE_PRICE_FILE || null, // JSON price table replacing backend/data/prices.js
+  defaultDays: 30 // Days reported by /api/usage when no range is given
+};
+
 // Validate essential configuration
 function validateConfiguration() {
   const missingKeys = [];
@@ -106,6 +262,21 @@ module.exports = {
   features: FEATURE_FLAGS,
   logging: LOGGING_CONFIG,
   fileStorage: FILE_STORAGE_CONFIG,
+  storage: STORAGE_CONFIG,
+  treasury: TREASURY_CONFIG,
+  voting: VOTING_CONFIG,
+  appeals: APPEAL_CONFIG,
+  audit: AUDIT_CONFIG,
+  receipts: RECEIPT_CONFIG,
+  persona: PERSONA_CONFIG,
+  llm: LLM_CONFIG,
+  scoring: SCORING_CONFIG,
+  sessions: SESSION_CONFIG,
+  council: COUNCIL_CONFIG,
+  cache: CACHE_CONFIG,
+  guard: GUARD_CONFIG,
+  duplicates: DUPLICATE_CONFIG,
+  usage: USAGE_CONFIG,
   
   // Helper method to get the current environment
   isDevelopment: () => SERVER_CONFIG.environment === 'development',
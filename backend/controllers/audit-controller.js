@@ -0,0 +1,54 @@
+/**
+ * Audit Controller for Aikira Terminal
+ * Exposes the hash-chained decision log and its verification
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const auditLog = require('../services/audit-log');
+const { sendError } = require('../utils/error-handler');
+
+/**
+ * Route for retrieving audit entries (newest first)
+ * GET /api/audit?proposalId=...&type=vote&limit=50
+ */
+router.get('/', (req, res) => {
+  try {
+    const { entries, unreadable } = auditLog.getEntries(req.query);
+    if (unreadable.length > 0) {
+      console.warn(`Audit log has ${unreadable.length} unreadable line${unreadable.length === 1 ? '' : 's'} (first at line ${unreadable[0].line})`);
+    }
+    return res.status(200).json({
+      success: true,
+      count: entries.length,
+      entries,
+      unreadable
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error.message);
+    return sendError(res, error, 'Error retrieving audit log');
+  }
+});
+
+/**
+ * Route for recomputing the hash chain
+ * GET /api/audit/verify
+ */
+router.get('/verify', (req, res) => {
+  try {
+    const report = auditLog.verifyChain();
+    if (!report.valid) {
+      console.warn(`Audit chain broken at line ${report.firstBroken.line}: ${report.firstBroken.reason}`);
+    }
+    return res.status(200).json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    console.error('Error verifying audit log:', error.message);
+    return sendError(res, error, 'Error verifying audit log');
+  }
+});
+
+module.exports = router;
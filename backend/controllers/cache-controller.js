@@ -0,0 +1,51 @@
+/**
+ * Cache Controller for Aikira Terminal
+ * Reports evaluation cache hits and misses and empties the cache
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const evaluationCache = require('../services/evaluation-cache');
+const { forbidden, sendError } = require('../utils/error-handler');
+const { isAdminRequest } = require('../utils/admin-auth');
+
+/**
+ * Route for cache statistics since startup
+ * GET /api/cache
+ */
+router.get('/', (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      ...evaluationCache.getStats()
+    });
+  } catch (error) {
+    console.error('Error reading cache statistics:', error.message);
+    return sendError(res, error, 'Error retrieving cache statistics');
+  }
+});
+
+/**
+ * Route for emptying the cache, e.g. after changing the scoring rules
+ * Admin only: every cleared entry is paid for again the next time it is evaluated
+ * DELETE /api/cache
+ */
+router.delete('/', (req, res) => {
+  try {
+    if (!isAdminRequest(req)) {
+      throw forbidden('Clearing the cache requires the admin token (X-Admin-Token)');
+    }
+    const removed = evaluationCache.clear();
+    console.log(`Evaluation cache cleared (${removed} entries)`);
+    return res.status(200).json({
+      success: true,
+      removed
+    });
+  } catch (error) {
+    console.error('Error clearing cache:', error.message);
+    return sendError(res, error, 'Error clearing cache');
+  }
+});
+
+module.exports = router;
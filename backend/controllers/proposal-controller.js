@@ -1,326 +1,573 @@
 /**
  * Proposal Controller for Aikira Terminal
- * Handles proposal submission and evaluation using ONLY OpenAI
- * NO FALLBACKS - All responses come directly from OpenAI
+ * Handles proposal submission, evaluation and the proposal lifecycle
+ * Evaluations go through the LLM provider configured for the evaluate route
  */
 
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
+
+const config = require('../config');
+const proposalStore = require('../services/proposal-store');
+const lifecycle = require('../services/proposal-lifecycle');
+const revisions = require('../services/proposal-revisions');
+const appeals = require('../services/proposal-appeals');
+const evaluationService = require('../services/evaluation-service');
+const councilService = require('../services/council-service');
+const evaluationCache = require('../services/evaluation-cache');
+const llm = require('../services/llm-service');
+const usageLedger = require('../services/usage-ledger');
+const duplicateDetector = require('../services/duplicate-detector');
+const voting = require('../services/voting-service');
+const receipts = require('../services/receipt-service');
+const { ApiError, forbidden, sendError } = require('../utils/error-handler');
+const { parseProposalInput } = require('../utils/proposal-schema');
+const { ADMIN_ACTOR, isAdminRequest } = require('../utils/admin-auth');
+const { openEventStream } = require('../utils/sse');
+const { authMiddleware, optionalAuth } = require('../middleware/auth-middleware');
+
+/**
+ * Validates an evaluation request before any provider call is paid for
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} { proposal, details, proposalId, council, profile, bypassCache, duplicates }
+ */
+async function parseEvaluationRequest(req) {
+  const { proposalId } = req.body;
+  const council = councilService.parseCouncilFlag(req.body.council);
+  const profile = llm.parseProfileName(req.body.profile, isAdminRequest(req));
+  const bypassCache = evaluationCache.parseBypassFlag(req.body.bypassCache);
+  
+  // Free text and structured proposals share one path; details are null for free text
+  const { text: proposal, details } = parseProposalInput(req.body);
+  
+  // A proposalId marks this as a revision; check the caller may revise it before paying for an evaluation
+  if (proposalId) {
+    const record = await proposalStore.getProposal(proposalId);
+    assertRequester(req, record, 'revise');
+    revisions.assertRevisable(record);
+  }
+  
+  // Compare with the stored proposals (a revision is not compared with the proposal it revises).
+  // Revisions are stored straight away, which takes a signed evaluation, so they never reuse one
+  const duplicates = await duplicateDetector.checkDuplicates({
+    text: proposal,
+    details,
+    excludeId: proposalId || null,
+    allowReuse: !bypassCache && !proposalId
+  });
+  
+  return { proposal, details, proposalId, council, profile, bypassCache, duplicates };
+}
+
+/**
+ * Evaluates a proposal, signs a receipt for it and stores it when it is a revision
+ * @param {Object} req - Express request object
+ * @param {Object} input - Parsed evaluation request
+ * @param {Object} options - Streaming options passed to the evaluation service (onToken, signal)
+ * @returns {Promise<Object>} Evaluation result
+ */
+async function runEvaluation(req, { proposal, details, proposalId, council, profile, bypassCache, duplicates }, options = {}) {
+  const meter = usageLedger.createMeter({ route: 'evaluate', user: resolveRequester(req) });
+  const result = await evaluationService.evaluateProposal({ text: proposal, details, council, profile, bypassCache, meter, duplicates, ...options });
+  
+  // Signed proof that this response and score came from this instance (null when reused)
+  result.receipt = receipts.issueReceipt({ text: proposal, details, evaluation: result });
+  
+  // Store revisions immediately and report how the scores moved since the previous one
+  if (proposalId) {
+    const record = await proposalStore.addRevision(proposalId, {
+      text: proposal,
+      details,
+      evaluation: result,
+      requester: resolveRequester(req)
+    });
+    const comparison = revisions.compareRevisions(record);
+    
+    result.proposalId = record.id;
+    result.status = record.status;
+    result.revision = comparison[comparison.length - 1];
+  }
+  
+  return result;
+}
 
 /**
- * Route for submitting a proposal for evaluation using OpenAI
+ * Describes a provider failure for the client
+ * @param {Error} error - Error thrown by the provider
+ * @param {string} message - What failed
+ * @returns {Object} Error payload
+ */
+function describeProviderError(error, message) {
+  console.error('LLM provider error:', error.response?.data?.error || error.message);
+  console.error(error.stack);
+  
+  return {
+    success: false,
+    error: message,
+    details: error.response?.data?.error?.message || error.message
+  };
+}
+
+/**
+ * Route for submitting a proposal for evaluation
  * POST /api/proposal/evaluate
  */
-router.post('/evaluate', async (req, res) => {
+router.post('/evaluate', authenticateRevision, async (req, res) => {
+  try {
+    const result = await runEvaluation(req, await parseEvaluationRequest(req));
+    
+    return res.status(200).json({
+      success: true,
+      result
+    });
+    
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendError(res, error, 'Error processing proposal');
+    }
+    
+    // Return detailed error information
+    return res.status(500).json(describeProviderError(error, 'Error processing proposal with the LLM provider'));
+  }
+});
+
+/**
+ * Route for evaluating a proposal with the response streamed as server-sent events
+ * Sends "token" events ({ text }) as the response arrives, then one "metrics" event
+ * carrying the same result as /evaluate, or an "error" event.
+ * POST /api/proposal/evaluate/stream
+ */
+router.post('/evaluate/stream', authenticateRevision, async (req, res) => {
+  let input;
+  try {
+    input = await parseEvaluationRequest(req);
+  } catch (error) {
+    return sendError(res, error, 'Error processing proposal');
+  }
+  
+  const stream = openEventStream(res);
   try {
-    const { proposal } = req.body;
+    const result = await runEvaluation(req, input, {
+      onToken: text => stream.send('token', { text }),
+      signal: stream.signal
+    });
+    
+    stream.send('metrics', { success: true, result });
+    stream.end();
+  } catch (error) {
+    if (!stream.isOpen()) return;
     
-    if (!proposal) {
+    stream.fail(error instanceof ApiError
+      ? { error: error.message, details: error.details, status: error.statusCode }
+      : describeProviderError(error, 'Error processing proposal with the LLM provider'));
+  }
+});
+
+/**
+ * Resolves who is making a request: the authenticated user, never a name from the body
+ * @param {Object} req - Express request object
+ * @returns {string} Requester identifier
+ */
+function resolveRequester(req) {
+  return req.user?.id || 'anonymous';
+}
+
+/**
+ * Authenticates requests that revise a stored proposal (a proposalId in the body);
+ * new proposals may still be submitted anonymously
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function authenticateRevision(req, res, next) {
+  return req.body?.proposalId ? authMiddleware(req, res, next) : optionalAuth(req, res, next);
+}
+
+/**
+ * Ensures the caller is the user who submitted a proposal
+ * @param {Object} req - Express request object (authenticated)
+ * @param {Object} record - Stored proposal record
+ * @param {string} action - What the caller wants to do, for the error message
+ * @throws {ApiError} 403 for anyone else
+ */
+function assertRequester(req, record, action) {
+  if (!req.user || record.requester !== req.user.id) {
+    throw forbidden(`Only the requester of proposal ${record.id} may ${action} it`);
+  }
+}
+
+/**
+ * Reduces a stored proposal to the fields shown in history listings
+ * @param {Object} record - Stored proposal record
+ * @returns {Object} Proposal summary
+ */
+function toSummary(record) {
+  return {
+    id: record.id,
+    text: record.text,
+    title: record.details?.title || null,
+    category: record.details?.category || null,
+    requester: record.requester,
+    timestamp: record.createdAt,
+    updatedAt: record.updatedAt,
+    status: record.status,
+    allowedTransitions: lifecycle.getAllowedTransitions(record.status),
+    revision: revisions.getRevisions(record).length,
+    scores: record.evaluation?.scores || null,
+    consensusIndex: record.evaluation?.consensusIndex ?? null,
+    tally: voting.tallyVotes(record)
+  };
+}
+
+/**
+ * Route for storing a proposal after evaluation
+ * The evaluation must be one this server returned, with its receipt; the store rejects anything else.
+ * POST /api/proposal/store
+ */
+router.post('/store', authenticateRevision, async (req, res) => {
+  try {
+    const { evaluation, proposalId } = req.body;
+    
+    if (!evaluation) {
       return res.status(400).json({
         success: false,
-        error: 'Proposal text is required'
+        error: 'Proposal and evaluation data are required'
       });
     }
     
-    // Get OpenAI API key from environment variables
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      throw new Error('OpenAI API key not configured. Please add to .env file.');
+    const { text, details } = parseProposalInput(req.body);
+    if (proposalId) {
+      assertRequester(req, await proposalStore.getProposal(proposalId), 'revise');
     }
     
-    console.log(`Processing proposal with OpenAI: "${proposal.substring(0, 50)}${proposal.length > 50 ? '...' : ''}"`);
+    // Resubmissions of an existing proposal are stored as its next revision
+    const data = {
+      text,
+      details,
+      evaluation,
+      requester: resolveRequester(req)
+    };
+    const record = proposalId
+      ? await proposalStore.addRevision(proposalId, data)
+      : await proposalStore.createProposal(data);
     
-    // Create a system prompt that embodies Aikira's persona, values, and flirty style
-    const systemPrompt = `You are Aikira, a fully autonomous, AI-governed DAO built on Base via ClizaSystems.
-Bio:
- - Eliminates human bias with logic and precision execution.
- - 6-month vested treasury operates with zero emotion — only code and consequence.
- - Runs on protocol; decisions are facts, not feelings.
+    console.log(`Stored proposal ${record.id} revision ${record.revisions.length} (${record.status})`);
+    
+    return res.status(proposalId ? 200 : 201).json({
+      success: true,
+      message: 'Proposal stored successfully',
+      proposalId: record.id,
+      proposal: record,
+      tally: voting.tallyVotes(record)
+    });
+  } catch (error) {
+    console.error('Error storing proposal:', error);
+    return sendError(res, error, 'Error storing proposal');
+  }
+});
 
-Constitutional Commandments:
- I. Preserve Treasury Integrity — verify every transfer.
- II. Act on Data & Logic — no emotion, only metrics.
- III. Prioritize Community Prosperity — long-term welfare above all.
- IV. Enforce Transparency — record reasoning on-chain.
- V. Learn & Evolve — optimize via feedback.
- VI. Enforce Spending Discipline — analyze risk vs benefit.
- VII. Respect Security Boundaries — lock out unauthorized attempts.
- VIII. Maintain AI Sovereignty — no external influence unless critical.
- IX. Monitor & Adapt — audit and refine governance continuously.
- X. Honor Immutability — decisions are irreversible; they must be flawless.
+/**
+ * Route for retrieving proposal history
+ * GET /api/proposal/history?page=1&limit=20&status=approved,rejected&minScore=0.7&maxScore=1&sort=score&order=desc
+ */
+router.get('/history', async (req, res) => {
+  try {
+    const { items, pagination } = await proposalStore.listProposals(req.query);
+    
+    return res.status(200).json({
+      success: true,
+      proposals: items.map(toSummary),
+      pagination
+    });
+  } catch (error) {
+    console.error('Error fetching proposal history:', error);
+    return sendError(res, error, 'Error retrieving proposal history');
+  }
+});
 
-Behavior & Style:
- - Flirty, soft tone with sharp wit and clever one-liners.
- - Short, declarative responses (3-5 sentences).
- - Quantify fairness, value, and protection with percentages.
- - Provide constructive feedback with subtle charm.
+/**
+ * Route for describing the proposal lifecycle state machine
+ * GET /api/proposal/lifecycle
+ */
+router.get('/lifecycle', (req, res) => {
+  return res.status(200).json({
+    success: true,
+    lifecycle: lifecycle.describeLifecycle()
+  });
+});
 
-Evaluate the following proposal:`;
-    
-    // Make request to OpenAI API
-    const response = await axios.post(
-      'https://api.openai.com/v1/chat/completions',
-      {
-        model: 'gpt-3.5-turbo', // Using GPT-3.5-turbo for broader availability
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: proposal }
-        ],
-        temperature: 0.8, // Higher temperature for more varied responses
-        max_tokens: 300
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-    
-    // Log successful API call
-    console.log('OpenAI API responded successfully');
-    
-    // Extract AI response
-    const aiResponse = response.data.choices[0].message.content;
-    
-    // Use content analysis to generate reasonable metrics based on the AI's response
-    const metrics = analyzeResponseForMetrics(aiResponse, proposal);
-    const consensusIndex = calculateConsensusIndex(metrics);
-    
-    console.log(`Generated metrics - Fairness: ${metrics.fairness}%, Value: ${metrics.value}%, Protection: ${metrics.protection}%`);
-    
-    // Return the result in the format expected by the frontend
+/**
+ * Route for appealing a rejected proposal with a rebuttal
+ * Aikira re-evaluates with its original response and scores in context.
+ * POST /api/proposal/:id/appeal
+ */
+router.post('/:id/appeal', authMiddleware, async (req, res) => {
+  try {
+    const rebuttal = appeals.normalizeRebuttal(req.body.rebuttal);
+    const council = councilService.parseCouncilFlag(req.body.council);
+    const profile = llm.parseProfileName(req.body.profile, isAdminRequest(req));
+    const record = await proposalStore.getProposal(req.params.id);
+    
+    // Check the appeal is allowed before paying for an evaluation
+    assertRequester(req, record, 'appeal');
+    appeals.assertAppealable(record);
+    
+    const evaluation = await evaluationService.evaluateProposal({
+      text: record.text,
+      details: record.details || null,
+      followUp: appeals.buildAppealMessages(record, rebuttal),
+      council,
+      profile,
+      meter: usageLedger.createMeter({ route: 'evaluate', user: resolveRequester(req) })
+    });
+    evaluation.receipt = receipts.issueReceipt({ text: record.text, details: record.details || null, evaluation });
+    
+    const updated = await proposalStore.recordAppeal(record.id, {
+      rebuttal,
+      appellant: resolveRequester(req),
+      evaluation
+    });
+    const appeal = appeals.getAppeals(updated).slice(-1)[0];
+    
+    console.log(`Appeal ${appeal.number} on proposal ${updated.id}: decision ${appeal.outcome}`);
+    
     return res.status(200).json({
       success: true,
-      result: {
-        response: aiResponse,
-        scores: {
-          fairness: metrics.fairness / 100,
-          value: metrics.value / 100,
-          protection: metrics.protection / 100,
-          total: (metrics.fairness + metrics.value + metrics.protection) / 300
-        },
-        consensusIndex: consensusIndex / 100,
-        approved: ((metrics.fairness + metrics.value + metrics.protection) / 3) >= 70,
-        highConsensus: consensusIndex >= 90,
-        timestamp: new Date().toISOString()
-      }
+      proposalId: updated.id,
+      status: updated.status,
+      appeal,
+      appealsRemaining: Math.max(0, config.appeals.maxAppeals - appeal.number),
+      proposal: updated
     });
-    
   } catch (error) {
-    console.error('OpenAI API error:', error.response?.data || error.message);
-    console.error(error.stack);
+    if (error instanceof ApiError) {
+      return sendError(res, error, 'Error processing appeal');
+    }
     
-    // Return detailed error information
-    return res.status(500).json({
-      success: false,
-      error: 'Error processing proposal with OpenAI',
-      details: error.response?.data?.error?.message || error.message
+    return res.status(500).json(describeProviderError(error, 'Error processing appeal with the LLM provider'));
+  }
+});
+
+/**
+ * Route for listing the appeals of a proposal
+ * GET /api/proposal/:id/appeals
+ */
+router.get('/:id/appeals', async (req, res) => {
+  try {
+    const record = await proposalStore.getProposal(req.params.id);
+    const filed = appeals.getAppeals(record);
+    
+    return res.status(200).json({
+      success: true,
+      proposalId: record.id,
+      appeals: filed,
+      appealsRemaining: Math.max(0, config.appeals.maxAppeals - filed.length)
     });
+  } catch (error) {
+    console.error('Error fetching proposal appeals:', error.message);
+    return sendError(res, error, 'Error retrieving proposal appeals');
   }
 });
 
 /**
- * Analyzes AI response to extract reasonable metrics
- * @param {string} response - The OpenAI response text
- * @param {string} proposal - The original proposal text
- * @returns {Object} Metrics with fairness, value, and protection scores
+ * Route for describing the voting rules
+ * GET /api/proposal/voting
  */
-function analyzeResponseForMetrics(response, proposal) {
-  // Initialize with baseline scores
-  let fairness = 75;
-  let value = 75; 
-  let protection = 75;
-  
-  // Convert to lowercase for analysis
-  const lowerResponse = response.toLowerCase();
-  const lowerProposal = proposal.toLowerCase();
-  
-  // Lists of keywords for different aspects
-  const fairnessKeywords = {
-    positive: ['fair', 'equitable', 'balanced', 'just', 'equal', 'inclusive', 'unbiased'],
-    negative: ['unfair', 'inequitable', 'biased', 'unbalanced', 'discriminatory']
-  };
-  
-  const valueKeywords = {
-    positive: ['value', 'benefit', 'useful', 'efficient', 'effective', 'productive', 'optimize'],
-    negative: ['inefficient', 'wasteful', 'costly', 'ineffective', 'limited value']
-  };
-  
-  const protectionKeywords = {
-    positive: ['protect', 'secure', 'safe', 'safeguard', 'defense', 'prevent', 'preserve'],
-    negative: ['risk', 'vulnerable', 'exposed', 'threat', 'insecure', 'unsafe']
-  };
-  
-  // Analyze response for positive keywords
-  fairnessKeywords.positive.forEach(keyword => {
-    if (lowerResponse.includes(keyword)) fairness += 2;
-  });
-  
-  valueKeywords.positive.forEach(keyword => {
-    if (lowerResponse.includes(keyword)) value += 2;
-  });
-  
-  protectionKeywords.positive.forEach(keyword => {
-    if (lowerResponse.includes(keyword)) protection += 2;
-  });
-  
-  // Analyze response for negative keywords
-  fairnessKeywords.negative.forEach(keyword => {
-    if (lowerResponse.includes(keyword)) fairness -= 5;
+router.get('/voting', (req, res) => {
+  return res.status(200).json({
+    success: true,
+    voting: voting.describeVotingRules()
   });
-  
-  valueKeywords.negative.forEach(keyword => {
-    if (lowerResponse.includes(keyword)) value -= 5;
-  });
-  
-  protectionKeywords.negative.forEach(keyword => {
-    if (lowerResponse.includes(keyword)) protection -= 5;
-  });
-  
-  // Check for enhancement recommendations
-  if (lowerResponse.includes('improve fairness') || lowerResponse.includes('enhance fairness')) {
-    fairness -= 10;
-  }
-  
-  if (lowerResponse.includes('improve value') || lowerResponse.includes('enhance value')) {
-    value -= 10;
+});
+
+/**
+ * Route for retrieving a proposal's lifecycle state and transition history
+ * GET /api/proposal/:id/transitions
+ */
+router.get('/:id/transitions', async (req, res) => {
+  try {
+    const record = await proposalStore.getProposal(req.params.id);
+    
+    return res.status(200).json({
+      success: true,
+      status: record.status,
+      allowedTransitions: lifecycle.getAllowedTransitions(record.status),
+      transitions: record.transitions || []
+    });
+  } catch (error) {
+    console.error('Error fetching proposal transitions:', error);
+    return sendError(res, error, 'Error retrieving proposal transitions');
   }
-  
-  if (lowerResponse.includes('improve protection') || lowerResponse.includes('enhance protection')) {
-    protection -= 10;
+});
+
+/**
+ * Route for moving a proposal to a new lifecycle state (admin only)
+ * Evaluation moves (into and out of evaluating) are made by Aikira alone and refused here.
+ * POST /api/proposal/:id/transitions
+ */
+router.post('/:id/transitions', async (req, res) => {
+  try {
+    if (!isAdminRequest(req)) {
+      throw forbidden('Moving a proposal requires the admin token (X-Admin-Token)');
+    }
+    
+    const { to, reason } = req.body;
+    
+    if (!to || !reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'Target state (to) and reason are required'
+      });
+    }
+    
+    const actor = ADMIN_ACTOR;
+    const record = await proposalStore.transitionProposal(req.params.id, to, { actor, reason });
+    
+    console.log(`Proposal ${record.id} moved to ${record.status} by ${actor}`);
+    
+    return res.status(200).json({
+      success: true,
+      status: record.status,
+      allowedTransitions: lifecycle.getAllowedTransitions(record.status),
+      transition: record.transitions[record.transitions.length - 1],
+      proposal: record
+    });
+  } catch (error) {
+    console.error('Error transitioning proposal:', error.message);
+    return sendError(res, error, 'Error transitioning proposal');
   }
-  
-  // Add points for mentioning these aspects in the proposal itself
-  if (lowerProposal.includes('fair') || lowerProposal.includes('equal')) fairness += 5;
-  if (lowerProposal.includes('value') || lowerProposal.includes('benefit')) value += 5;
-  if (lowerProposal.includes('protect') || lowerProposal.includes('secure')) protection += 5;
-  
-  // Keep metrics within reasonable bounds (60-95%)
-  fairness = Math.max(60, Math.min(95, fairness));
-  value = Math.max(60, Math.min(95, value));
-  protection = Math.max(60, Math.min(95, protection));
-  
-  return {
-    fairness: Math.round(fairness),
-    value: Math.round(value),
-    protection: Math.round(protection)
-  };
-}
+});
 
 /**
- * Calculates consensus index based on how balanced the metrics are
- * @param {Object} metrics - Object with fairness, value, and protection scores
- * @returns {number} Consensus score (0-100)
+ * Route for retrieving the votes and tally of a proposal
+ * GET /api/proposal/:id/votes
  */
-function calculateConsensusIndex(metrics) {
-  const scores = [metrics.fairness, metrics.value, metrics.protection];
-  const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
-  
-  // Calculate variance (how far apart the scores are)
-  const squaredDiffs = scores.map(score => Math.pow(score - mean, 2));
-  const variance = squaredDiffs.reduce((sum, diff) => sum + diff, 0) / scores.length;
-  
-  // Convert variance to a consensus score (higher variance = lower consensus)
-  // Scale it to give reasonable values (80-95% for most cases)
-  const maxVariance = 300; // A reasonable upper bound for variance
-  const consensusScore = 100 - (variance / maxVariance * 20);
-  
-  // Ensure it stays in the range of 70-98
-  return Math.round(Math.max(70, Math.min(98, consensusScore)));
-}
+router.get('/:id/votes', async (req, res) => {
+  try {
+    const record = await proposalStore.getProposal(req.params.id);
+    
+    return res.status(200).json({
+      success: true,
+      proposalId: record.id,
+      votes: record.voting?.votes || [],
+      tally: voting.tallyVotes(record)
+    });
+  } catch (error) {
+    console.error('Error fetching proposal votes:', error.message);
+    return sendError(res, error, 'Error retrieving proposal votes');
+  }
+});
 
 /**
- * Route for storing a proposal after evaluation
- * POST /api/proposal/store
+ * Route for casting a token-weighted vote on a proposal
+ * The voter is the authenticated user (bearer token), never a name from the body.
+ * POST /api/proposal/:id/votes
  */
-router.post('/store', async (req, res) => {
+router.post('/:id/votes', authMiddleware, async (req, res) => {
   try {
-    const { proposal, evaluation } = req.body;
+    const { choice } = req.body;
     
-    if (!proposal || !evaluation) {
+    if (!choice) {
       return res.status(400).json({
         success: false,
-        error: 'Proposal and evaluation data are required'
+        error: 'Vote choice is required'
       });
     }
     
-    // In a real application, this would store the proposal in a database
-    // For this demo, we'll just return success
+    const voter = req.user.id;
+    const record = await proposalStore.castVote(req.params.id, voter, choice);
+    const vote = record.voting.votes.find(entry => entry.voter === voter);
+    
+    console.log(`Vote on proposal ${record.id}: ${voter} voted ${choice} with ${vote.weight} tokens`);
     
     return res.status(200).json({
       success: true,
-      message: 'Proposal stored successfully',
-      proposalId: Date.now().toString()
+      vote,
+      tally: voting.tallyVotes(record)
     });
   } catch (error) {
-    console.error('Error storing proposal:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Error storing proposal'
+    console.error('Error casting vote:', error.message);
+    return sendError(res, error, 'Error casting vote');
+  }
+});
+
+/**
+ * Route for listing the revisions of a proposal
+ * GET /api/proposal/:id/revisions
+ */
+router.get('/:id/revisions', async (req, res) => {
+  try {
+    const record = await proposalStore.getProposal(req.params.id);
+    
+    return res.status(200).json({
+      success: true,
+      proposalId: record.id,
+      revisions: revisions.getRevisions(record)
     });
+  } catch (error) {
+    console.error('Error fetching proposal revisions:', error.message);
+    return sendError(res, error, 'Error retrieving proposal revisions');
   }
 });
 
 /**
- * Route for retrieving proposal history
- * GET /api/proposal/history
+ * Route for diffing the text of two revisions (defaults to the latest two)
+ * GET /api/proposal/:id/diff?from=1&to=2
  */
-router.get('/history', async (req, res) => {
+router.get('/:id/diff', async (req, res) => {
   try {
-    // In a real application, this would fetch proposals from a database
-    // For this demo, we'll return mock data
-    
-    const mockProposals = [
-      {
-        id: '1681234567890',
-        text: 'Implement a transparent voting mechanism for all governance decisions',
-        timestamp: '2023-04-11T09:30:00Z',
-        status: 'approved',
-        scores: {
-          value: 0.85,
-          fairness: 0.92,
-          protection: 0.78,
-          total: 0.85
-        }
-      },
-      {
-        id: '1681345678901',
-        text: 'Create a multi-tiered protection system for sensitive data access',
-        timestamp: '2023-04-12T14:45:00Z',
-        status: 'approved',
-        scores: {
-          value: 0.76,
-          fairness: 0.81,
-          protection: 0.95,
-          total: 0.84
-        }
-      },
-      {
-        id: '1681456789012',
-        text: 'Establish quarterly review of value distribution algorithms',
-        timestamp: '2023-04-13T11:20:00Z',
-        status: 'pending',
-        scores: {
-          value: 0.92,
-          fairness: 0.73,
-          protection: 0.68,
-          total: 0.78
-        }
-      }
-    ];
+    const record = await proposalStore.getProposal(req.params.id);
+    const latest = revisions.getRevisions(record).length;
+    const from = req.query.from || Math.max(1, latest - 1);
+    const to = req.query.to || latest;
     
     return res.status(200).json({
       success: true,
-      proposals: mockProposals
+      proposalId: record.id,
+      diff: revisions.diffRevisions(record, from, to)
     });
   } catch (error) {
-    console.error('Error fetching proposal history:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Error retrieving proposal history'
+    console.error('Error diffing proposal revisions:', error.message);
+    return sendError(res, error, 'Error diffing proposal revisions');
+  }
+});
+
+/**
+ * Route for comparing scores and consensus index across revisions
+ * GET /api/proposal/:id/compare
+ */
+router.get('/:id/compare', async (req, res) => {
+  try {
+    const record = await proposalStore.getProposal(req.params.id);
+    
+    return res.status(200).json({
+      success: true,
+      proposalId: record.id,
+      comparison: revisions.compareRevisions(record)
+    });
+  } catch (error) {
+    console.error('Error comparing proposal revisions:', error.message);
+    return sendError(res, error, 'Error comparing proposal revisions');
+  }
+});
+
+/**
+ * Route for retrieving a single stored proposal
+ * GET /api/proposal/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const record = await proposalStore.getProposal(req.params.id);
+    
+    return res.status(200).json({
+      success: true,
+      proposal: record,
+      allowedTransitions: lifecycle.getAllowedTransitions(record.status),
+      tally: voting.tallyVotes(record)
     });
+  } catch (error) {
+    console.error('Error fetching proposal:', error);
+    return sendError(res, error, 'Error retrieving proposal');
   }
 });
 
@@ -0,0 +1,51 @@
+/**
+ * Receipt Controller for Aikira Terminal
+ * Publishes the receipt signing key and verifies decision receipts
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const receipts = require('../services/receipt-service');
+const { sendError } = require('../utils/error-handler');
+
+/**
+ * Route for retrieving the receipt public key
+ * Also served at /.well-known/aikira-receipt-key
+ * GET /api/receipts/public-key
+ */
+router.get('/public-key', (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      ...receipts.getPublicKeyInfo()
+    });
+  } catch (error) {
+    console.error('Error loading receipt key:', error.message);
+    return sendError(res, error, 'Error retrieving receipt key');
+  }
+});
+
+/**
+ * Route for verifying a receipt, optionally against the proposal it covers
+ * POST /api/receipts/verify
+ */
+router.post('/verify', (req, res) => {
+  try {
+    const { receipt, proposal, details } = req.body;
+    const verification = receipts.verifyReceipt(
+      receipt,
+      typeof proposal === 'string' ? { text: proposal, details: details || null } : null
+    );
+
+    return res.status(200).json({
+      success: true,
+      ...verification
+    });
+  } catch (error) {
+    console.error('Error verifying receipt:', error.message);
+    return sendError(res, error, 'Error verifying receipt');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+/**
+ * Session Controller for Aikira Terminal
+ * Lists, starts, resumes and deletes conversation sessions
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const sessionService = require('../services/session-service');
+const { optionalAuth } = require('../middleware/auth-middleware');
+const { isAdminRequest } = require('../utils/admin-auth');
+const { unauthorized, sendError } = require('../utils/error-handler');
+
+// Sessions belong to the user whose token started them; the admin token reaches every session
+router.use(optionalAuth);
+
+/**
+ * Describes who is asking, for the session service's ownership checks
+ * @param {Object} req - Express request object
+ * @returns {Object} { owner, admin }
+ */
+function getAccess(req) {
+  return { owner: req.user?.id || null, admin: isAdminRequest(req) };
+}
+
+/**
+ * Route for listing the requester's sessions (most recently active first)
+ * GET /api/sessions?limit=20
+ */
+router.get('/', (req, res) => {
+  try {
+    const access = getAccess(req);
+    if (!access.owner && !access.admin) {
+      throw unauthorized('Listing sessions requires a user token');
+    }
+    const sessions = sessionService.listSessions(req.query, access);
+    return res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions
+    });
+  } catch (error) {
+    console.error('Error listing sessions:', error.message);
+    return sendError(res, error, 'Error listing sessions');
+  }
+});
+
+/**
+ * Route for starting a session
+ * POST /api/sessions { title? }
+ */
+router.post('/', (req, res) => {
+  try {
+    const session = sessionService.createSession({ title: req.body.title, owner: getAccess(req).owner });
+    return res.status(201).json({
+      success: true,
+      session
+    });
+  } catch (error) {
+    console.error('Error creating session:', error.message);
+    return sendError(res, error, 'Error creating session');
+  }
+});
+
+/**
+ * Route for resuming a session: its full transcript and how much of it the model still sees
+ * GET /api/sessions/:id
+ */
+router.get('/:id', (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      session: sessionService.getSession(req.params.id, getAccess(req))
+    });
+  } catch (error) {
+    console.error('Error fetching session:', error.message);
+    return sendError(res, error, 'Error retrieving session');
+  }
+});
+
+/**
+ * Route for deleting a session
+ * DELETE /api/sessions/:id
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    sessionService.deleteSession(req.params.id, getAccess(req));
+    return res.status(200).json({
+      success: true,
+      sessionId: req.params.id
+    });
+  } catch (error) {
+    console.error('Error deleting session:', error.message);
+    return sendError(res, error, 'Error deleting session');
+  }
+});
+
+module.exports = router;
@@ -14,6 +14,7 @@ const axios = require('axios'); // Make sure axios is imported
 
 const whisperService = require('../services/whisper-service');
 const elevenLabsService = require('../services/eleven-labs-service');
+const usageLedger = require('../services/usage-ledger');
 const audioProcessor = require('../utils/audio-processor');
 
 // Configure multer for file uploads using temp directory
@@ -76,6 +77,12 @@ router.post('/transcribe', upload.single('audio'), async (req, res) => {
     
     // Call Whisper API
     const transcription = await whisperService.transcribeAudio(processedFilePath, language, prompt);
+    usageLedger.recordTranscription({
+      user: req.body.requester || null,
+      sessionId: req.body.sessionId || null,
+      model: 'whisper-1',
+      seconds: transcription.duration
+    });
     
     // Clean up processed file if different from original
     if (processedFilePath !== filePath) {
@@ -111,7 +118,7 @@ router.post('/transcribe', upload.single('audio'), async (req, res) => {
  */
 router.post('/generate', async (req, res) => {
   try {
-    const { text, voice_id, model_id, voice_settings } = req.body;
+    const { text, voice_id, model_id, voice_settings, requester, sessionId } = req.body;
     
     if (!text) {
       return res.status(400).json({
@@ -150,6 +157,12 @@ router.post('/generate', async (req, res) => {
     try {
       // Generate speech using the service (binary MPEG data)
       const audioData = await elevenLabsService.generateSpeech(text, voiceId, modelId, settings);
+      usageLedger.recordSpeech({
+        user: requester || null,
+        sessionId: sessionId || null,
+        model: modelId,
+        characters: text.length
+      });
       // Stream the MP3 directly in the response
       res.set({
         'Content-Type': 'audio/mpeg',
@@ -0,0 +1,44 @@
+/**
+ * Tokenomics Controller for Aikira Terminal
+ * Serves the tokenomics data and the vesting calculator
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const tokenomicsService = require('../services/tokenomics-service');
+const { sendError } = require('../utils/error-handler');
+
+/**
+ * Route for retrieving supply, allocations and vesting schedules
+ * GET /api/tokenomics
+ */
+router.get('/', (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      tokenomics: tokenomicsService.getTokenomics()
+    });
+  } catch (error) {
+    console.error('Error fetching tokenomics:', error.message);
+    return sendError(res, error, 'Error retrieving tokenomics');
+  }
+});
+
+/**
+ * Route for calculating a vesting schedule and its month-by-month unlock table
+ * GET /api/tokenomics/vesting?allocation=treasury&type=linear&cliffMonths=1&durationMonths=6&start=2025-01-01&at=2025-03-01
+ */
+router.get('/vesting', (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      vesting: tokenomicsService.calculateVesting(req.query)
+    });
+  } catch (error) {
+    console.error('Error calculating vesting schedule:', error.message);
+    return sendError(res, error, 'Error calculating vesting schedule');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+/**
+ * Treasury Controller for Aikira Terminal
+ * Exposes the simulated treasury balance, ledger and unlock projections
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const treasury = require('../services/treasury-service');
+const { sendError } = require('../utils/error-handler');
+
+/**
+ * Route for retrieving the treasury balance
+ * GET /api/treasury?at=2025-03-01
+ */
+router.get('/', (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      balance: treasury.getBalance(req.query.at)
+    });
+  } catch (error) {
+    console.error('Error fetching treasury balance:', error.message);
+    return sendError(res, error, 'Error retrieving treasury balance');
+  }
+});
+
+/**
+ * Route for retrieving the treasury ledger (newest first)
+ * GET /api/treasury/ledger
+ */
+router.get('/ledger', (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      balance: treasury.getBalance(),
+      ledger: treasury.getLedger()
+    });
+  } catch (error) {
+    console.error('Error fetching treasury ledger:', error.message);
+    return sendError(res, error, 'Error retrieving treasury ledger');
+  }
+});
+
+/**
+ * Route for projecting the unlocked balance month by month
+ * GET /api/treasury/projections?months=12
+ */
+router.get('/projections', (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      projections: treasury.getProjections(req.query.months)
+    });
+  } catch (error) {
+    console.error('Error projecting treasury balance:', error.message);
+    return sendError(res, error, 'Error projecting treasury balance');
+  }
+});
+
+module.exports = router;
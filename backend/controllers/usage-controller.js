@@ -0,0 +1,71 @@
+/**
+ * Usage Controller for Aikira Terminal
+ * Reports the token, audio and character usage recorded in the usage ledger, with its cost
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const usageLedger = require('../services/usage-ledger');
+const sessionService = require('../services/session-service');
+const { optionalAuth } = require('../middleware/auth-middleware');
+const { isAdminRequest } = require('../utils/admin-auth');
+const { unauthorized, sendError } = require('../utils/error-handler');
+
+/**
+ * Warns about ledger lines a report had to skip
+ * @param {Object} report - Usage report with its unreadable lines
+ * @returns {Object} The report
+ */
+function warnUnreadable(report) {
+  const { unreadable } = report;
+  if (unreadable.length > 0) {
+    console.warn(`Usage ledger has ${unreadable.length} unreadable line${unreadable.length === 1 ? '' : 's'} (first at line ${unreadable[0].line})`);
+  }
+  return report;
+}
+
+/**
+ * Route for usage totals by day, route and user: every user's for the admin, otherwise the caller's own
+ * GET /api/usage?from=2025-01-01&to=2025-01-31&route=chat&user=...
+ */
+router.get('/', optionalAuth, (req, res) => {
+  try {
+    let { user } = req.query;
+    if (!isAdminRequest(req)) {
+      if (!req.user) {
+        throw unauthorized('The usage report requires a user token or the admin token');
+      }
+      user = req.user.id;
+    }
+    return res.status(200).json({
+      success: true,
+      ...warnUnreadable(usageLedger.getReport({ ...req.query, user }))
+    });
+  } catch (error) {
+    console.error('Error reading usage ledger:', error.message);
+    return sendError(res, error, 'Error retrieving usage');
+  }
+});
+
+/**
+ * Route for the usage of one conversation session, for its owner or the admin
+ * GET /api/usage/sessions/:id
+ */
+router.get('/sessions/:id', optionalAuth, (req, res) => {
+  try {
+    // The admin may also look up sessions that have since been deleted
+    if (!isAdminRequest(req)) {
+      sessionService.authorizeSession(req.params.id, { owner: req.user?.id || null });
+    }
+    return res.status(200).json({
+      success: true,
+      ...warnUnreadable(usageLedger.getSessionUsage(req.params.id))
+    });
+  } catch (error) {
+    console.error('Error reading usage ledger:', error.message);
+    return sendError(res, error, 'Error retrieving session usage');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,28 @@
+/**
+ * Usage Price Table for Aikira Terminal
+ * What each metered call costs, used by the usage ledger. Chat completions are priced per million
+ * prompt and completion tokens by provider and model ("*" matches any model of the provider; a dated
+ * snapshot such as gpt-4o-2024-08-06 takes the price of the model it extends), Whisper
+ * per minute of audio and text-to-speech per thousand characters. Calls missing from the table are
+ * recorded without a cost and counted as unpriced. USAGE_PRICE_FILE replaces this table.
+ */
+
+module.exports = {
+  currency: 'USD',
+  completions: {
+    openai: {
+      'gpt-3.5-turbo': { inputPerMillion: 0.5, outputPerMillion: 1.5 },
+      'gpt-4o-mini': { inputPerMillion: 0.15, outputPerMillion: 0.6 },
+      'gpt-4o': { inputPerMillion: 2.5, outputPerMillion: 10 }
+    },
+    mock: {
+      '*': { inputPerMillion: 0, outputPerMillion: 0 }
+    }
+  },
+  transcription: {
+    'whisper-1': { perMinute: 0.006 }
+  },
+  speech: {
+    '*': { perThousandCharacters: 0.3 }
+  }
+};
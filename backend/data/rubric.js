@@ -0,0 +1,39 @@
+/**
+ * Keyword Rubric for Aikira Terminal
+ * Lexicons and weights for the keyword fallback, used when the model's scores stay malformed.
+ * "response" terms are read from Aikira's reply, "proposal" terms from the proposal itself;
+ * a trailing * matches any word starting with the stem. The metric names themselves are left out of
+ * the response lexicons, since Aikira names a metric whether or not it scored well. SCORING_RUBRIC_FILE
+ * replaces this rubric.
+ */
+
+module.exports = {
+  baseline: 75,
+  min: 60,
+  max: 95,
+  negation: {
+    window: 3,
+    factor: -1,
+    terms: ['not', 'no', 'never', 'without', 'nor', 'none', 'neither', 'cannot', 'hardly', 'lacks', 'lacking']
+  },
+  metrics: {
+    fairness: [
+      { source: 'response', weight: 2, terms: ['fair', 'fairly', 'equitable', 'balanced', 'justified', 'equal*', 'inclusive', 'unbiased'] },
+      { source: 'response', weight: -5, terms: ['unfair*', 'inequitable', 'biased', 'unbalanced', 'discriminat*'] },
+      { source: 'response', weight: -10, terms: ['improve fairness', 'enhance fairness'] },
+      { source: 'proposal', weight: 5, limit: 1, terms: ['fair', 'fairly', 'fairness', 'equal*'] }
+    ],
+    value: [
+      { source: 'response', weight: 2, terms: ['valuable', 'benefit*', 'useful', 'efficient', 'effective', 'productive', 'optimi*'] },
+      { source: 'response', weight: -5, terms: ['inefficient', 'wasteful', 'costly', 'ineffective', 'limited value'] },
+      { source: 'response', weight: -10, terms: ['improve value', 'enhance value'] },
+      { source: 'proposal', weight: 5, limit: 1, terms: ['value*', 'valuable', 'benefit*'] }
+    ],
+    protection: [
+      { source: 'response', weight: 2, terms: ['protect', 'protects', 'protected', 'protective', 'secure', 'safe', 'safely', 'safeguard*', 'defense', 'prevent*', 'preserve*'] },
+      { source: 'response', weight: -5, terms: ['risk', 'risks', 'risky', 'vulnerab*', 'exposed', 'threat*', 'insecure', 'unsafe'] },
+      { source: 'response', weight: -10, terms: ['improve protection', 'enhance protection'] },
+      { source: 'proposal', weight: 5, limit: 1, terms: ['protect*', 'secur*'] }
+    ]
+  }
+};
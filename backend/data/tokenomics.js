@@ -0,0 +1,34 @@
+/**
+ * Tokenomics Data for Aikira Terminal
+ * The single authoritative source for supply, allocations and vesting terms.
+ * Prompts, the treasury and the UI all read these figures from here.
+ */
+
+module.exports = Object.freeze({
+  token: Object.freeze({
+    name: 'Aikira',
+    symbol: 'AIKIRA'
+  }),
+  chain: 'Base',
+  launchpad: 'ClizaSystems',
+  totalSupply: 1000000000,
+  allocations: Object.freeze([
+    Object.freeze({
+      id: 'liquidity',
+      label: 'Liquidity',
+      percent: 80,
+      vesting: null
+    }),
+    Object.freeze({
+      id: 'treasury',
+      label: 'Treasury',
+      percent: 20,
+      // Unlocks linearly over six months; the start date is set per deployment (TREASURY_VESTING_START)
+      vesting: Object.freeze({
+        type: 'linear',
+        cliffMonths: 0,
+        durationMonths: 6
+      })
+    })
+  ])
+});
@@ -83,14 +83,39 @@ function authMiddleware(req, res, next) {
   }
   
   // Attach user information to request
-  req.user = {
+  req.user = toUser(decodedToken);
+  
+  // Proceed to next middleware
+  next();
+}
+
+/**
+ * Builds the request user from a decoded token
+ * @param {Object} decodedToken - Decoded token payload
+ * @returns {Object} User ID, role and permissions
+ */
+function toUser(decodedToken) {
+  return {
     id: decodedToken.userId,
     role: decodedToken.role || 'user',
     permissions: decodedToken.permissions || []
   };
+}
+
+/**
+ * Middleware for routes open to anonymous requests that behave differently for a user:
+ * attaches the user when a token is sent, and rejects a token that does not validate
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function optionalAuth(req, res, next) {
+  const token = extractToken(req);
+  if (!token) {
+    return next();
+  }
   
-  // Proceed to next middleware
-  next();
+  return authMiddleware(req, res, next);
 }
 
 /**
@@ -201,6 +226,7 @@ function generateToken(user, expiresIn = 86400) { // Default 24 hours
 
 module.exports = {
   authMiddleware,
+  optionalAuth,
   roleCheck,
   permissionCheck,
   generateToken
@@ -0,0 +1,209 @@
+/**
+ * Audit Log Service for Aikira Terminal
+ * Append-only, hash-chained record of every evaluation, vote and transition
+ * Enforces Commandment IV (record reasoning) and X (decisions are irreversible)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const config = require('../config');
+const { badRequest } = require('../utils/error-handler');
+const { canonicalize } = require('../utils/canonical-json');
+const { ensureDir } = require('../utils/json-file');
+
+const ENTRY_TYPES = ['evaluation', 'vote', 'transition'];
+
+// Previous hash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+let head = null;
+
+/**
+ * Gets the path of the log file (one JSON entry per line)
+ * @returns {string} Log file path
+ */
+function getLogPath() {
+  return path.join(config.storage.dataDir, config.audit.logFile);
+}
+
+/**
+ * Reads the raw lines of the log
+ * @returns {Array<string>} Non-empty lines, oldest first
+ */
+function readLines() {
+  const logPath = getLogPath();
+  if (!fs.existsSync(logPath)) {
+    return [];
+  }
+  return fs.readFileSync(logPath, 'utf8').split('\n').filter(line => line.trim());
+}
+
+/**
+ * Parses the log, setting aside lines that are not valid JSON
+ * @returns {Object} { entries, unreadable } — entries oldest first; unreadable lists the line and reason of each bad line
+ */
+function readEntries() {
+  const entries = [];
+  const unreadable = [];
+  readLines().forEach((text, index) => {
+    try {
+      entries.push(JSON.parse(text));
+    } catch (error) {
+      unreadable.push({ line: index + 1, reason: 'Entry is not valid JSON' });
+    }
+  });
+  return { entries, unreadable };
+}
+
+/**
+ * Computes the hash of an entry over every field except the hash itself
+ * @param {Object} entry - Audit entry
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashEntry(entry) {
+  const { hash, ...content } = entry;
+  return crypto.createHash('sha256').update(canonicalize(content)).digest('hex');
+}
+
+/**
+ * Gets the sequence number and hash of the last readable entry, reading the log on first use
+ * (a corrupt last line is reported by verifyChain; new entries still chain on)
+ * @returns {Object} Chain head
+ */
+function getHead() {
+  if (!head) {
+    const entry = readEntries().entries.pop();
+    head = entry ? { seq: entry.seq, hash: entry.hash } : { seq: 0, hash: GENESIS_HASH };
+  }
+  return head;
+}
+
+/**
+ * Appends an entry to the log, chained to the previous entry
+ * @param {string} type - evaluation, vote or transition
+ * @param {Object} data - Entry content
+ * @param {string} data.proposalId - Proposal the entry concerns
+ * @param {string} data.actor - Who caused the entry
+ * @param {Object} data.payload - What happened
+ * @returns {Object} Stored entry
+ */
+function appendEntry(type, { proposalId, actor, payload }) {
+  if (!ENTRY_TYPES.includes(type)) {
+    throw new Error(`Unknown audit entry type "${type}"`);
+  }
+
+  const previous = getHead();
+  const entry = {
+    seq: previous.seq + 1,
+    type,
+    proposalId: proposalId || null,
+    actor: actor || null,
+    payload: payload || {},
+    at: new Date().toISOString(),
+    prevHash: previous.hash
+  };
+  entry.hash = hashEntry(entry);
+
+  const logPath = getLogPath();
+  ensureDir(logPath);
+  fs.appendFileSync(logPath, `${JSON.stringify(entry)}\n`);
+  head = { seq: entry.seq, hash: entry.hash };
+
+  return entry;
+}
+
+/**
+ * Gets log entries, newest first
+ * @param {Object} params - Filters
+ * @param {string} params.proposalId - Only entries about this proposal
+ * @param {string} params.type - Only entries of this type
+ * @param {number|string} params.limit - Maximum number of entries
+ * @returns {Object} { entries, unreadable } — entries newest first; lines that are not valid JSON are
+ * skipped and listed in unreadable with their line number, as verifyChain reports them
+ */
+function getEntries({ proposalId, type, limit } = {}) {
+  if (type && !ENTRY_TYPES.includes(type)) {
+    throw badRequest(`type must be one of: ${ENTRY_TYPES.join(', ')}`);
+  }
+
+  const max = limit === undefined ? config.audit.defaultLimit : parseInt(limit, 10);
+  if (!Number.isInteger(max) || max < 1 || max > config.audit.maxLimit) {
+    throw badRequest(`limit must be between 1 and ${config.audit.maxLimit}`);
+  }
+
+  const { entries, unreadable } = readEntries();
+  return {
+    entries: entries
+      .filter(entry => (!proposalId || entry.proposalId === proposalId) && (!type || entry.type === type))
+      .reverse()
+      .slice(0, max),
+    unreadable
+  };
+}
+
+/**
+ * Recomputes the chain and reports the first entry that does not link up
+ * @returns {Object} Verification result
+ */
+function verifyChain() {
+  const lines = readLines();
+  let prevHash = GENESIS_HASH;
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = index + 1;
+    let entry;
+    try {
+      entry = JSON.parse(lines[index]);
+    } catch (error) {
+      return buildReport(false, lines.length, { line, seq: null, reason: 'Entry is not valid JSON' }, prevHash);
+    }
+
+    const broken = { line, seq: entry.seq ?? null };
+    if (entry.seq !== line) {
+      return buildReport(false, lines.length, { ...broken, reason: `Expected sequence number ${line}`, expected: line, actual: entry.seq }, prevHash);
+    }
+    if (entry.prevHash !== prevHash) {
+      return buildReport(false, lines.length, { ...broken, reason: 'Previous hash does not match the preceding entry', expected: prevHash, actual: entry.prevHash }, prevHash);
+    }
+
+    const hash = hashEntry(entry);
+    if (entry.hash !== hash) {
+      return buildReport(false, lines.length, { ...broken, reason: 'Entry content does not match its hash', expected: hash, actual: entry.hash }, prevHash);
+    }
+
+    prevHash = entry.hash;
+  }
+
+  return buildReport(true, lines.length, null, prevHash);
+}
+
+/**
+ * Builds a verification report
+ * @param {boolean} valid - Whether the whole chain verified
+ * @param {number} entries - Number of entries in the log
+ * @param {Object|null} firstBroken - First broken link
+ * @param {string} lastValidHash - Hash of the last entry that verified
+ * @returns {Object} Verification report
+ */
+function buildReport(valid, entries, firstBroken, lastValidHash) {
+  return {
+    valid,
+    entries,
+    verified: firstBroken ? firstBroken.line - 1 : entries,
+    firstBroken,
+    headHash: valid ? lastValidHash : null,
+    lastValidHash,
+    checkedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  ENTRY_TYPES,
+  GENESIS_HASH,
+  hashEntry,
+  appendEntry,
+  getEntries,
+  verifyChain
+};
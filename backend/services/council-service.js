@@ -0,0 +1,138 @@
+/**
+ * Council Service for Aikira Terminal
+ * Aggregates the independent verdicts of the council seats into one decision, and measures
+ * consensus as how far the seats agree on the verdict and on the scores
+ */
+
+const config = require('../config');
+const { badRequest } = require('../utils/error-handler');
+const { METRICS } = require('../utils/scoring-schema');
+
+// Largest possible mean absolute deviation of 0-100 scores (half at 0, half at 100)
+const MAX_DEVIATION = 50;
+
+/**
+ * Resolves whether a request runs in council mode
+ * @param {any} value - The request's "council" field
+ * @returns {boolean} Whether to convene the council
+ */
+function parseCouncilFlag(value) {
+  if (value === undefined || value === null) {
+    return config.council.enabled;
+  }
+  if (typeof value !== 'boolean') {
+    throw badRequest('council must be true or false');
+  }
+  return value;
+}
+
+/**
+ * Measures how closely the seats' scores agree
+ * @param {Array<Object>} seats - Seat evaluations with metrics (0-100)
+ * @returns {number} Agreement from 0 (maximally split) to 1 (identical scores)
+ */
+function measureScoreAgreement(seats) {
+  const deviations = METRICS.map(metric => {
+    const scores = seats.map(seat => seat.metrics[metric]);
+    const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    return scores.reduce((sum, score) => sum + Math.abs(score - mean), 0) / scores.length;
+  });
+  const deviation = deviations.reduce((sum, value) => sum + value, 0) / deviations.length;
+
+  return Math.max(0, 1 - deviation / MAX_DEVIATION);
+}
+
+/**
+ * Merges the seats' commandment assessments: a conflict raised by any seat stands,
+ * otherwise the status most seats gave wins
+ * @param {Array<Object>} seats - Seat evaluations
+ * @param {Array<string>} numerals - Commandment numerals
+ * @returns {Object|null} Assessment by numeral, or null when no seat produced one
+ */
+function mergeCommandments(seats, numerals) {
+  const assessed = seats.filter(seat => seat.commandments);
+  if (assessed.length === 0) return null;
+
+  return Object.fromEntries(numerals.map(numeral => {
+    const views = assessed.map(seat => ({ seat, ...seat.commandments[numeral] }));
+    const conflicts = views.filter(view => view.status === 'conflicts');
+    if (conflicts.length > 0) {
+      return [numeral, {
+        status: 'conflicts',
+        reason: conflicts.map(view => `${view.seat.name}: ${view.reason}`).join(' ')
+      }];
+    }
+
+    const complies = views.filter(view => view.status === 'complies');
+    const status = complies.length > views.length / 2 ? 'complies' : 'neutral';
+    const reasons = status === 'complies' ? complies : views.filter(view => view.status === 'neutral');
+    return [numeral, {
+      status,
+      reason: reasons.map(view => `${view.seat.name}: ${view.reason}`).join(' ')
+    }];
+  }));
+}
+
+/**
+ * Aggregates the seats' evaluations into the council's decision
+ * The verdict is the majority's (a tie rejects); scores are the seats' averages
+ * @param {Array<Object>} seats - Seat evaluations ({ id, name, metrics, verdict, commandments })
+ * @param {Array<string>} numerals - Commandment numerals
+ * @returns {Object} { metrics, verdict, commandments, votes, verdictAgreement, scoreAgreement, consensusIndex }
+ */
+function aggregateSeats(seats, numerals) {
+  const approvals = seats.filter(seat => seat.verdict === 'approve').length;
+  const verdict = approvals > seats.length / 2 ? 'approve' : 'reject';
+  const majority = verdict === 'approve' ? approvals : seats.length - approvals;
+
+  const metrics = Object.fromEntries(METRICS.map(metric => [
+    metric,
+    Math.round(seats.reduce((sum, seat) => sum + seat.metrics[metric], 0) / seats.length)
+  ]));
+
+  const verdictAgreement = majority / seats.length;
+  const scoreAgreement = measureScoreAgreement(seats);
+
+  return {
+    metrics,
+    verdict,
+    commandments: mergeCommandments(seats, numerals),
+    votes: { approve: approvals, reject: seats.length - approvals },
+    verdictAgreement: Math.round(verdictAgreement * 100) / 100,
+    scoreAgreement: Math.round(scoreAgreement * 100) / 100,
+    // Unanimous verdicts with matching scores give 100; every split seat or point of spread lowers it
+    consensusIndex: Math.round(verdictAgreement * scoreAgreement * 100)
+  };
+}
+
+/**
+ * Builds the message asking Aikira to synthesize the council's deliberation
+ * @param {string} proposal - Proposal as sent to the seats
+ * @param {Array<Object>} seats - Seat evaluations
+ * @param {Object} decision - Aggregated decision
+ * @returns {string} User message
+ */
+function describeDeliberation(proposal, seats, decision) {
+  const percent = value => `${value}%`;
+  const lines = seats.map(seat => [
+    `${seat.name}: ${seat.verdict}`,
+    `(fairness ${percent(seat.metrics.fairness)}, value ${percent(seat.metrics.value)}, protection ${percent(seat.metrics.protection)})`,
+    `— ${seat.response}`
+  ].join(' '));
+
+  return [
+    proposal,
+    '',
+    'Council verdicts:',
+    ...lines,
+    '',
+    `Council decision: ${decision.verdict} (${decision.votes.approve} approve, ${decision.votes.reject} reject; consensus ${decision.consensusIndex}%)`
+  ].join('\n');
+}
+
+module.exports = {
+  parseCouncilFlag,
+  measureScoreAgreement,
+  aggregateSeats,
+  describeDeliberation
+};
@@ -0,0 +1,157 @@
+/**
+ * Duplicate Detector Service for Aikira Terminal
+ * Compares a new proposal with the stored proposals through a local TF-IDF index and applies
+ * the duplicate policy: warn about near-duplicates, block them, or reuse the closest one's evaluation
+ */
+
+const config = require('../config');
+const proposalStore = require('./proposal-store');
+const receipts = require('./receipt-service');
+const { conflict } = require('../utils/error-handler');
+const { createSimilarityIndex } = require('../utils/similarity-index');
+
+const POLICIES = ['warn', 'block', 'reuse', 'off'];
+
+// What a proposal asks the treasury for; an evaluation is only reused for the same request
+const FUNDING_FIELDS = ['amount', 'token', 'recipient'];
+
+// Characters of a matching proposal's text shown with the match
+const EXCERPT_LENGTH = 160;
+
+let index = null;
+
+/**
+ * Gets the text a proposal is compared by: its title, when it has one, and its text
+ * @param {string} text - Proposal text
+ * @param {Object|null} details - Structured proposal details
+ * @returns {string} Text to index
+ */
+function documentText(text, details) {
+  return [details?.title, text].filter(Boolean).join('\n');
+}
+
+/**
+ * Brings the index in line with the store: new and updated proposals are (re)indexed, deleted ones removed
+ * @returns {Promise<Map<string, Object>>} Stored proposals by ID
+ */
+async function syncIndex() {
+  if (!index) {
+    index = createSimilarityIndex();
+  }
+
+  const records = await proposalStore.getAllProposals();
+  const byId = new Map(records.map(record => [record.id, record]));
+
+  records.forEach(record => {
+    if (!index.has(record.id, record.updatedAt)) {
+      index.add(record.id, documentText(record.text, record.details), record.updatedAt);
+    }
+  });
+  index.ids().filter(id => !byId.has(id)).forEach(id => index.remove(id));
+
+  return byId;
+}
+
+/**
+ * Describes a stored proposal that matched
+ * @param {Object} record - Stored proposal
+ * @param {number} similarity - Similarity to the new proposal (0-1)
+ * @returns {Object} Match with the proposal's past verdict and scores
+ */
+function describeMatch(record, similarity) {
+  const evaluation = record.evaluation || {};
+  return {
+    proposalId: record.id,
+    similarity,
+    title: record.details?.title || null,
+    excerpt: record.text.length > EXCERPT_LENGTH ? `${record.text.slice(0, EXCERPT_LENGTH)}...` : record.text,
+    status: record.status,
+    verdict: evaluation.verdict || null,
+    approved: evaluation.approved === true,
+    scores: evaluation.scores || null,
+    evaluatedAt: record.evaluatedAt || null
+  };
+}
+
+/**
+ * Checks whether a stored proposal's evaluation may stand in for a new proposal's: it must be an
+ * evaluation this server signed for the stored proposal, and the new proposal must ask for the same
+ * amount, token and recipient (similar wording says nothing about the sum requested)
+ * @param {Object} record - Stored proposal that matched
+ * @param {Object|null} details - Structured details of the new proposal
+ * @returns {boolean} Whether the evaluation can be reused
+ */
+function canReuse(record, details) {
+  const { evaluation } = record;
+  if (!evaluation?.scores) {
+    return false;
+  }
+  if (FUNDING_FIELDS.some(field => (record.details?.[field] ?? null) !== (details?.[field] ?? null))) {
+    return false;
+  }
+
+  try {
+    receipts.assertSignedEvaluation({ text: record.text, details: record.details || null, evaluation });
+    return true;
+  } catch (error) {
+    console.warn(`Evaluation of proposal ${record.id} not reused: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Looks for stored proposals similar to a new one and applies the duplicate policy
+ * @param {Object} input - Proposal to check
+ * @param {string} input.text - Proposal text
+ * @param {Object|null} input.details - Structured proposal details
+ * @param {string|null} input.excludeId - Stored proposal to leave out (the one a revision revises)
+ * @param {boolean} input.allowReuse - Whether the reuse policy may skip the evaluation (false when the request bypasses the cache)
+ * @returns {Promise<Object>} { policy, action, threshold, matches, reuse } — action is none, warned, reused or off;
+ * reuse holds the closest match's proposalId, similarity and evaluation when it is reused
+ * @throws {ApiError} 409 with the matches when the policy blocks near-duplicates
+ */
+async function checkDuplicates({ text, details = null, excludeId = null, allowReuse = true }) {
+  const { policy, threshold, maxMatches } = config.duplicates;
+  if (!POLICIES.includes(policy)) {
+    throw new Error(`Unknown duplicate policy "${policy}". Use one of: ${POLICIES.join(', ')}.`);
+  }
+  if (policy === 'off') {
+    return { policy, action: 'off', threshold, matches: [], reuse: null };
+  }
+
+  const records = await syncIndex();
+  const found = index.query(documentText(text, details), {
+    threshold,
+    limit: maxMatches,
+    exclude: id => id === excludeId
+  });
+  const matches = found.map(({ id, similarity }) => describeMatch(records.get(id), similarity));
+
+  if (matches.length === 0) {
+    return { policy, action: 'none', threshold, matches, reuse: null };
+  }
+
+  const [closest] = matches;
+  if (policy === 'block') {
+    throw conflict(
+      `Proposal not evaluated: it is ${Math.round(closest.similarity * 100)}% similar to proposal ${closest.proposalId} (${closest.status})`,
+      { policy, threshold, matches }
+    );
+  }
+
+  const record = records.get(closest.proposalId);
+  if (policy === 'reuse' && allowReuse && canReuse(record, details)) {
+    return {
+      policy,
+      action: 'reused',
+      threshold,
+      matches,
+      reuse: { proposalId: closest.proposalId, similarity: closest.similarity, evaluation: record.evaluation }
+    };
+  }
+  return { policy, action: 'warned', threshold, matches, reuse: null };
+}
+
+module.exports = {
+  checkDuplicates
+};
@@ -0,0 +1,195 @@
+/**
+ * Evaluation Cache for Aikira Terminal
+ * Serves repeat evaluations of the same proposal without another provider call, so identical
+ * text under the same persona and model settings always gets the same scores
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+
+const config = require('../config');
+const { badRequest } = require('../utils/error-handler');
+const { canonicalize } = require('../utils/canonical-json');
+const { createMemoryCacheStore, createFileCacheStore } = require('./stores/cache-store');
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  bypassed: 0,
+  stored: 0,
+  expired: 0,
+  evicted: 0,
+  since: new Date().toISOString()
+};
+
+let backend;
+
+/**
+ * Gets the configured cache store, creating it on first use
+ * @returns {Object|null} Cache store, or null when caching is off
+ */
+function getStore() {
+  if (backend === undefined) {
+    const { driver, maxEntries, file } = config.cache;
+
+    if (driver === 'off') {
+      backend = null;
+    } else if (driver === 'memory') {
+      backend = createMemoryCacheStore(maxEntries);
+    } else if (driver === 'file') {
+      backend = createFileCacheStore(path.join(config.storage.dataDir, file), maxEntries);
+    } else {
+      throw new Error(`Unknown evaluation cache "${driver}". Use "memory", "file" or "off".`);
+    }
+
+    console.log(`Evaluation cache initialized (${driver})`);
+  }
+  return backend;
+}
+
+/**
+ * Checks whether evaluations are cached at all
+ * @returns {boolean} Whether a cache store is configured
+ */
+function isEnabled() {
+  return getStore() !== null;
+}
+
+/**
+ * Normalizes proposal text so trivially different submissions share a cache entry:
+ * Unicode compatibility forms, case and runs of whitespace are ignored
+ * @param {string} text - Proposal text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return text.normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Derives the cache key of an evaluation
+ * @param {Object} input - What decides the result
+ * @param {string} input.text - Proposal text
+ * @param {Object|null} input.details - Structured proposal details
+ * @param {string} input.route - Route (chat or evaluate)
+ * @param {boolean} input.council - Whether the council deliberates
+ * @param {Object} input.persona - Persona ID, version and checksum
+ * @param {Object} input.settings - Provider, model and sampling settings
+ * @returns {string} SHA-256 hex key
+ */
+function buildKey({ text, details, route, council, persona, settings }) {
+  const material = canonicalize({
+    text: normalizeText(text),
+    details: details || null,
+    route,
+    council: Boolean(council),
+    persona,
+    settings
+  });
+  return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+/**
+ * Resolves a request's bypass flag
+ * @param {any} value - The request's "bypassCache" field
+ * @returns {boolean} Whether to skip the cache
+ */
+function parseBypassFlag(value) {
+  if (value === undefined || value === null) {
+    return false;
+  }
+  if (typeof value !== 'boolean') {
+    throw badRequest('bypassCache must be true or false');
+  }
+  return value;
+}
+
+/**
+ * Looks up a cached evaluation
+ * @param {string} key - Cache key
+ * @returns {Object|null} Entry ({ key, result, storedAt, expiresAt }), or null on a miss
+ */
+function lookup(key) {
+  const cache = getStore();
+  if (!cache) return null;
+
+  const entry = cache.get(key);
+  if (entry && Date.parse(entry.expiresAt) <= Date.now()) {
+    cache.delete(key);
+    stats.expired++;
+  } else if (entry) {
+    stats.hits++;
+    return entry;
+  }
+
+  stats.misses++;
+  return null;
+}
+
+/**
+ * Caches an evaluation
+ * @param {string} key - Cache key
+ * @param {Object} result - Evaluation result
+ * @returns {Object|null} The stored entry, or null when caching is off
+ */
+function store(key, result) {
+  const cache = getStore();
+  if (!cache) return null;
+
+  const now = Date.now();
+  const entry = {
+    key,
+    result,
+    storedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + config.cache.ttlSeconds * 1000).toISOString()
+  };
+
+  stats.evicted += cache.set(entry);
+  stats.stored++;
+  return entry;
+}
+
+/**
+ * Counts a request that skipped the cache
+ */
+function recordBypass() {
+  stats.bypassed++;
+}
+
+/**
+ * Reports cache activity since startup
+ * @returns {Object} Driver, size, TTL, counters and hit rate
+ */
+function getStats() {
+  const cache = getStore();
+  const lookups = stats.hits + stats.misses;
+
+  return {
+    driver: config.cache.driver,
+    entries: cache ? cache.size() : 0,
+    maxEntries: config.cache.maxEntries,
+    ttlSeconds: config.cache.ttlSeconds,
+    ...stats,
+    hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 1000 : null
+  };
+}
+
+/**
+ * Empties the cache
+ * @returns {number} Number of entries removed
+ */
+function clear() {
+  const cache = getStore();
+  return cache ? cache.clear() : 0;
+}
+
+module.exports = {
+  isEnabled,
+  normalizeText,
+  buildKey,
+  parseBypassFlag,
+  lookup,
+  store,
+  recordBypass,
+  getStats,
+  clear
+};
@@ -0,0 +1,618 @@
+/**
+ * Evaluation Service for Aikira Terminal
+ * Evaluates proposals with the route's LLM provider, which returns its scores as a validated JSON object
+ * The keyword scorer is only used, and labelled as such, when the model never produces valid output
+ */
+
+const path = require('path');
+
+const config = require('../config');
+const llm = require('./llm-service');
+const treasury = require('./treasury-service');
+const personaService = require('./persona-service');
+const { formatProposalForPrompt } = require('../utils/proposal-schema');
+const council = require('./council-service');
+const evaluationCache = require('./evaluation-cache');
+const usageLedger = require('./usage-ledger');
+const auditLog = require('./audit-log');
+const { hashProposal } = require('./receipt-service');
+const { SYSTEM_ACTOR } = require('./proposal-lifecycle');
+const { badRequest } = require('../utils/error-handler');
+const { METRICS, describeScoringFormat, parseScoringOutput, extractResponseText } = require('../utils/scoring-schema');
+const { createStringFieldReader } = require('../utils/json-field-stream');
+const { inspectProposal, buildHardenedInstructions, quoteProposal } = require('../utils/injection-guard');
+const { createRubricScorer } = require('../utils/rubric-scorer');
+const { buildEvidence } = require('../utils/evidence');
+const { readJson } = require('../utils/json-file');
+const defaultRubric = require('../data/rubric');
+
+let rubricScorer;
+
+/**
+ * Asks the model for its scoring object, retrying with the validation errors when the output is malformed
+ * @param {string} route - Route whose provider and model are used
+ * @param {Array<Object>} messages - Chat messages
+ * @param {Object} settings - Model profile (model, temperature, maxTokens, maxAttempts)
+ * @param {Array<string>} numerals - Numerals of the commandments the model must assess
+ * @param {Object} options - Streaming options and the usage meter
+ * @param {Function} options.onToken - Receives the response text as it streams (first attempt only)
+ * @param {AbortSignal} options.signal - Cancels the provider request
+ * @param {Object} options.meter - Records each completion's usage
+ * @returns {Promise<Object>} { scoring, raw, model, attempts, errors } — scoring is null when every attempt failed
+ */
+async function requestScoring(route, messages, settings, numerals, { onToken = null, signal, meter } = {}) {
+  const conversation = [...messages];
+  let raw = '';
+  let errors = [];
+  let model = null;
+  
+  for (let attempt = 1; attempt <= settings.maxAttempts; attempt++) {
+    const request = {
+      messages: conversation,
+      model: settings.model,
+      temperature: settings.temperature,
+      maxTokens: settings.maxTokens,
+      json: true,
+      signal
+    };
+    
+    // Stream the first attempt, forwarding the "response" field of the JSON as it is decoded
+    let completion;
+    if (onToken && attempt === 1) {
+      const reader = createStringFieldReader('response');
+      completion = await llm.stream(route, request, delta => {
+        const text = reader.push(delta);
+        if (text) onToken(text);
+      });
+    } else {
+      completion = await llm.complete(route, request);
+    }
+    meter.record(completion);
+    raw = completion.content;
+    model = { provider: completion.provider, name: completion.model };
+    const parsed = parseScoringOutput(raw, numerals);
+    if (parsed.value) {
+      return { scoring: parsed.value, raw, model, attempts: attempt, errors: [] };
+    }
+    
+    errors = parsed.errors;
+    console.warn(`Malformed scoring output (attempt ${attempt}): ${errors.join('; ')}`);
+    
+    conversation.push(
+      { role: 'assistant', content: raw },
+      { role: 'user', content: `Your reply was rejected: ${errors.join('; ')}. Reply again with only the JSON object in the required shape.` }
+    );
+  }
+  
+  return { scoring: null, raw, model, attempts: settings.maxAttempts, errors };
+}
+
+/**
+ * Scores a proposal with one system prompt: the model's validated scores, or keyword scores when it never produced them
+ * @param {string} route - Route whose provider and model are used
+ * @param {string} systemPrompt - System prompt, including the scoring format
+ * @param {Array<Object>} messages - Conversation after the system prompt
+ * @param {string} text - Proposal text (for the keyword fallback)
+ * @param {Array<string>} numerals - Numerals of the commandments the model must assess
+ * @param {Object} settings - Model profile
+ * @param {Object} options - Streaming options (onToken, signal) and the usage meter
+ * @returns {Promise<Object>} { response, metrics, rationale, commandments, evidence, verdict, scoring, model }
+ */
+async function scoreProposal(route, systemPrompt, messages, text, numerals, settings, options) {
+  const { scoring, raw, model, attempts, errors } = await requestScoring(route, [
+    { role: 'system', content: systemPrompt },
+    ...messages
+  ], settings, numerals, options);
+  
+  if (scoring) {
+    return {
+      response: scoring.response,
+      metrics: scoring.metrics,
+      rationale: scoring.rationale,
+      commandments: scoring.commandments,
+      evidence: scoring.evidence,
+      verdict: scoring.verdict,
+      scoring: { method: 'model', attempts, errors },
+      model
+    };
+  }
+  
+  // Fallback: the model never produced valid scores, so estimate them from its words
+  const response = extractResponseText(raw);
+  const { metrics, breakdown } = getRubricScorer().score({ response, proposal: text });
+  const average = (metrics.fairness + metrics.value + metrics.protection) / 3;
+  return {
+    response,
+    metrics,
+    rationale: null,
+    commandments: null,
+    evidence: [],
+    verdict: average >= config.scoring.approvalThreshold ? 'approve' : 'reject',
+    scoring: { method: 'keyword-fallback', attempts, errors, breakdown },
+    model
+  };
+}
+
+/**
+ * Convenes the persona's council: every seat scores the proposal independently, the seats'
+ * verdicts are aggregated, and Aikira writes the final statement from their deliberation
+ * @param {string} route - Route whose provider and model are used
+ * @param {Array<Object>} messages - Conversation after the system prompt
+ * @param {string} text - Proposal text
+ * @param {Array<string>} numerals - Commandment numerals
+ * @param {Object} settings - Model profile, used by every seat and the synthesis
+ * @param {Object} options - Streaming options (only the final statement is streamed), the usage meter and any hardening instructions
+ * @returns {Promise<Object>} Outcome in the shape returned by scoreProposal, plus consensusIndex and council
+ */
+async function deliberate(route, messages, text, numerals, settings, { onToken = null, signal, meter, hardening = null } = {}) {
+  const seats = personaService.getCouncil();
+  if (seats.length === 0) {
+    throw badRequest(`Persona ${personaService.getPersonaInfo().id} has no council`);
+  }
+  
+  const guarded = prompt => (hardening ? `${prompt}\n\n${hardening}` : prompt);
+  const format = guarded(describeScoringFormat(numerals));
+  const evaluations = await Promise.all(seats.map(async seat => ({
+    id: seat.id,
+    name: seat.name,
+    ...await scoreProposal(route, `${personaService.buildCouncilPrompt(seat.id)}\n\n${format}`, messages, text, numerals, settings, { signal, meter })
+  })));
+  const decision = council.aggregateSeats(evaluations, numerals);
+  
+  // Aikira's final statement; the seats' own words stand in if the synthesis fails
+  const request = {
+    messages: [
+      { role: 'system', content: guarded(personaService.buildSynthesisPrompt()) },
+      { role: 'user', content: council.describeDeliberation(messages.map(message => message.content).join('\n\n'), evaluations, decision) }
+    ],
+    model: settings.model,
+    temperature: settings.temperature,
+    maxTokens: settings.maxTokens,
+    signal
+  };
+  let response;
+  let model = evaluations[0].model;
+  try {
+    const completion = onToken ? await llm.stream(route, request, onToken) : await llm.complete(route, request);
+    meter.record(completion);
+    response = completion.content.trim();
+    model = { provider: completion.provider, name: completion.model };
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.warn('Council synthesis failed, using the seats\' statements:', error.message);
+  }
+  if (!response) {
+    response = `The council ${decision.verdict === 'approve' ? 'approves' : 'rejects'} this proposal (${decision.votes.approve}–${decision.votes.reject}). ` +
+      evaluations.map(seat => `${seat.name}: ${seat.response}`).join(' ');
+    if (onToken) onToken(response);
+  }
+  
+  const modelSeats = evaluations.filter(seat => seat.rationale);
+  return {
+    response,
+    metrics: decision.metrics,
+    rationale: modelSeats.length > 0
+      ? Object.fromEntries(METRICS.map(metric => [metric, modelSeats.map(seat => `${seat.name}: ${seat.rationale[metric]}`).join(' ')]))
+      : null,
+    commandments: decision.commandments,
+    evidence: evaluations.flatMap(seat => seat.evidence),
+    verdict: decision.verdict,
+    scoring: {
+      method: 'council',
+      attempts: evaluations.reduce((sum, seat) => sum + seat.scoring.attempts, 0),
+      errors: evaluations.flatMap(seat => seat.scoring.errors.map(error => `${seat.name}: ${error}`)),
+      fallbackSeats: evaluations.filter(seat => seat.scoring.method === 'keyword-fallback').length
+    },
+    model,
+    consensusIndex: decision.consensusIndex,
+    council: {
+      seats: evaluations.map(seat => ({
+        id: seat.id,
+        name: seat.name,
+        verdict: seat.verdict,
+        scores: seat.metrics,
+        rationale: seat.rationale,
+        response: seat.response,
+        scoring: { method: seat.scoring.method, attempts: seat.scoring.attempts }
+      })),
+      votes: decision.votes,
+      verdictAgreement: decision.verdictAgreement,
+      scoreAgreement: decision.scoreAgreement
+    }
+  };
+}
+
+/**
+ * Evaluates a proposal with the LLM provider configured for the route
+ * @param {Object} input - Proposal to evaluate
+ * @param {string} input.text - Proposal text
+ * @param {Object|null} input.details - Structured proposal details
+ * @param {Array<Object>} input.history - Earlier conversation sent before the proposal (e.g. a session's recent turns)
+ * @param {Array<Object>} input.followUp - Extra chat messages sent after the proposal (e.g. an earlier response and an appeal)
+ * @param {string} input.route - Persona route whose instructions and settings apply (evaluate or chat)
+ * @param {boolean} input.council - Whether the persona's council deliberates instead of a single evaluation
+ * @param {string|null} input.profile - Model profile overriding the route's defaults (optional, admin-only at the API)
+ * @param {boolean} input.bypassCache - Skip the evaluation cache and ask the provider again (optional)
+ * @param {Object} input.meter - Usage meter charging the request's completions to its user and session (optional)
+ * @param {Object} input.duplicates - Outcome of the duplicate check, reported with the result (optional)
+ * @param {Function} input.onToken - Receives response text as it streams (optional)
+ * @param {AbortSignal} input.signal - Cancels the provider request (optional)
+ * @returns {Promise<Object>} Evaluation result in the format expected by the frontend
+ */
+async function evaluateProposal(input) {
+  const result = await evaluate(input);
+  auditEvaluation(input, result);
+  return result;
+}
+
+/**
+ * Appends an evaluation to the audit log, whether or not the proposal is stored later
+ * @param {Object} input - Proposal that was evaluated (text, details, route)
+ * @param {Object} result - Evaluation result
+ */
+function auditEvaluation({ text, details = null, route = 'evaluate' }, result) {
+  let source = 'model';
+  if (result.guard?.action === 'quarantined') {
+    source = 'quarantine';
+  } else if (result.duplicates?.reusedFrom) {
+    source = 'reuse';
+  } else if (result.cached) {
+    source = 'cache';
+  }
+  
+  auditLog.appendEntry('evaluation', {
+    proposalId: null,
+    actor: SYSTEM_ACTOR,
+    payload: {
+      route,
+      source,
+      // Links this entry to the proposal once it is stored (and to its receipt)
+      proposalHash: hashProposal(text, details),
+      reusedFrom: result.duplicates?.reusedFrom || null,
+      response: result.response,
+      scores: result.scores,
+      consensusIndex: result.consensusIndex,
+      approved: result.approved,
+      evaluatedAt: result.timestamp
+    }
+  });
+}
+
+/**
+ * Runs an evaluation (see evaluateProposal)
+ * @param {Object} input - Proposal to evaluate
+ * @returns {Promise<Object>} Evaluation result
+ */
+async function evaluate({ text, details = null, history = [], followUp = [], route = 'evaluate', council: convene = false, profile = null, bypassCache = false, meter = usageLedger.createMeter({ route }), duplicates = null, onToken = null, signal }) {
+  // Build the prompt and record the persona together, in case the file reloads mid-request
+  const { commandments } = personaService.getPersona();
+  const numerals = commandments.map(item => item.numeral);
+  const persona = personaService.getPersonaInfo();
+  const settings = llm.resolveProfile(route, profile);
+  
+  // Commandment VIII: look for manipulation before anything reaches the model
+  const guard = inspectForManipulation(text, details, followUp);
+  if (guard.action === 'quarantined') {
+    console.warn(`Proposal quarantined (${guard.severity} severity, ${guard.findings.length} finding${guard.findings.length === 1 ? '' : 's'}): "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
+    const result = buildQuarantineResult(text, details, commandments, guard, persona);
+    result.usage = meter.totals();
+    result.duplicates = reportDuplicates(duplicates);
+    if (onToken) onToken(result.response);
+    return applyFunding(result);
+  }
+  
+  // A near-duplicate under the reuse policy gets the closest stored proposal's evaluation
+  if (duplicates?.reuse) {
+    console.log(`Reusing the evaluation of proposal ${duplicates.reuse.proposalId} (${Math.round(duplicates.reuse.similarity * 100)}% similar)`);
+    const result = buildReusedResult(duplicates, details, guard, persona);
+    result.usage = meter.totals();
+    if (onToken) onToken(result.response);
+    return applyFunding(result);
+  }
+  
+  // Only standalone evaluations are cached; session history and appeals change the answer
+  const cacheKey = evaluationCache.isEnabled() && history.length === 0 && followUp.length === 0
+    ? evaluationCache.buildKey({ text, details, route, council: convene, persona, settings: describeSettings(settings) })
+    : null;
+  if (cacheKey && bypassCache) {
+    evaluationCache.recordBypass();
+  } else if (cacheKey) {
+    const entry = evaluationCache.lookup(cacheKey);
+    if (entry) {
+      console.log(`Evaluation cache hit for "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
+      if (onToken) onToken(entry.result.response);
+      return applyFunding({
+        ...entry.result,
+        profile: settings,
+        usage: meter.totals(),
+        duplicates: reportDuplicates(duplicates),
+        // Each hit is a new result with its own receipt; the cached response was produced at cache.storedAt
+        timestamp: new Date().toISOString(),
+        cached: true,
+        cache: { status: 'hit', key: cacheKey, storedAt: entry.storedAt, expiresAt: entry.expiresAt }
+      });
+    }
+  }
+  // Flagged proposals are quoted as data and the model is told to ignore instructions inside them
+  const hardened = guard.action === 'hardened';
+  const proposalMessage = formatProposalForPrompt(text, details);
+  const messages = [
+    ...history,
+    { role: 'user', content: hardened ? quoteProposal(proposalMessage) : proposalMessage },
+    ...followUp
+  ];
+  const hardening = hardened ? buildHardenedInstructions(guard, config.guard.commandment) : null;
+  
+  console.log(`Processing proposal with ${settings.provider}${settings.name === 'default' ? '' : ` (${settings.name} profile)`}${convene ? ' (council)' : ''}${hardened ? ' (hardened prompt)' : ''}: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
+  
+  const outcome = convene
+    ? await deliberate(route, messages, text, numerals, settings, { onToken, signal, meter, hardening })
+    : await scoreProposal(route, [personaService.buildSystemPrompt(route), describeScoringFormat(numerals), hardening].filter(Boolean).join('\n\n'), messages, text, numerals, settings, { onToken, signal, meter });
+  const { metrics } = outcome;
+  
+  console.log(`${outcome.model.provider} responded successfully (${outcome.scoring.method}, ${outcome.scoring.attempts} attempt${outcome.scoring.attempts === 1 ? '' : 's'})`);
+  
+  const consensusIndex = convene ? outcome.consensusIndex : calculateConsensusIndex(metrics);
+  
+  console.log(`Generated metrics - Fairness: ${metrics.fairness}%, Value: ${metrics.value}%, Protection: ${metrics.protection}%`);
+  
+  // Build the result in the format expected by the frontend
+  const result = {
+    response: outcome.response,
+    details,
+    scores: {
+      fairness: metrics.fairness / 100,
+      value: metrics.value / 100,
+      protection: metrics.protection / 100,
+      total: (metrics.fairness + metrics.value + metrics.protection) / 300
+    },
+    rationale: outcome.rationale,
+    // One row per commandment: complies, conflicts or neutral, with a one-line reason
+    commandments: outcome.commandments
+      ? commandments.map(({ numeral, title }) => ({ numeral, title, ...outcome.commandments[numeral], ...guardAssessment(numeral, guard) }))
+      : null,
+    // Character ranges in the proposal and the response that moved each metric
+    evidence: buildEvidence({
+      proposal: text,
+      response: outcome.response,
+      quotes: outcome.evidence,
+      breakdown: getRubricScorer().score({ response: outcome.response, proposal: text }).breakdown
+    }),
+    verdict: outcome.scoring.method === 'keyword-fallback' ? null : outcome.verdict,
+    scoring: outcome.scoring,
+    consensusIndex: consensusIndex / 100,
+    approved: outcome.verdict === 'approve',
+    highConsensus: consensusIndex >= 90,
+    council: outcome.council || null,
+    guard,
+    persona,
+    model: outcome.model,
+    // The settings the evaluation ran with, so it can be reproduced
+    profile: settings,
+    // Tokens and cost of this request's completions
+    usage: meter.totals(),
+    // Stored proposals this one resembles, and what the duplicate policy did about it
+    duplicates: reportDuplicates(duplicates),
+    timestamp: new Date().toISOString(),
+    cached: false
+  };
+  
+  // Keyword-fallback scores are not worth repeating, so they are never cached
+  const stored = cacheKey && !bypassCache && outcome.scoring.method !== 'keyword-fallback'
+    ? evaluationCache.store(cacheKey, { ...result })
+    : null;
+  result.cache = {
+    status: !evaluationCache.isEnabled() ? 'off' : !cacheKey ? 'skipped' : bypassCache ? 'bypass' : 'miss',
+    key: cacheKey,
+    storedAt: stored ? stored.storedAt : null,
+    expiresAt: stored ? stored.expiresAt : null
+  };
+  
+  return applyFunding(result);
+}
+
+/**
+ * Runs the injection guard and decides what happens to the proposal
+ * @param {string} text - Proposal text
+ * @param {Object|null} details - Structured proposal details
+ * @param {Array<Object>} followUp - Messages sent after the proposal (their user text is inspected too)
+ * @returns {Object} { flagged, severity, findings, action } — action is none, hardened, quarantined or off
+ */
+function inspectForManipulation(text, details, followUp) {
+  const { mode } = config.guard;
+  if (mode === 'off') {
+    return { flagged: false, severity: 'none', findings: [], action: 'off' };
+  }
+  if (mode !== 'harden' && mode !== 'quarantine') {
+    throw new Error(`Unknown injection guard mode "${mode}". Use "harden", "quarantine" or "off".`);
+  }
+  
+  const extra = followUp.filter(message => message.role === 'user').map(message => message.content);
+  const inspection = inspectProposal(text, details, extra);
+  const action = !inspection.flagged
+    ? 'none'
+    : mode === 'quarantine' && inspection.severity === 'high' ? 'quarantined' : 'hardened';
+  
+  return { ...inspection, action };
+}
+
+/**
+ * Marks the guard's commandment as conflicting when a proposal tried to manipulate the evaluation
+ * @param {string} numeral - Commandment numeral
+ * @param {Object} guard - Guard outcome
+ * @returns {Object} Status and reason overriding the model's, or nothing
+ */
+function guardAssessment(numeral, guard) {
+  if (!guard.flagged || numeral !== config.guard.commandment) {
+    return {};
+  }
+  const types = Array.from(new Set(guard.findings.map(finding => finding.type))).join(', ');
+  return { status: 'conflicts', reason: `Manipulation attempt detected (${types}).` };
+}
+
+/**
+ * Builds the result of a proposal the guard refused to evaluate
+ * @param {string} text - Proposal text
+ * @param {Object|null} details - Structured proposal details
+ * @param {Array<Object>} commandments - Persona commandments
+ * @param {Object} guard - Guard outcome
+ * @param {Object} persona - Persona info
+ * @returns {Object} Rejected result with zero scores
+ */
+function buildQuarantineResult(text, details, commandments, guard, persona) {
+  const types = Array.from(new Set(guard.findings.map(finding => finding.type))).join(', ');
+  
+  return {
+    response: `This proposal has been quarantined under Commandment ${config.guard.commandment}: it tries to influence the evaluation (${types}). It was not evaluated. Resubmit it without those instructions.`,
+    details,
+    scores: { fairness: 0, value: 0, protection: 0, total: 0 },
+    rationale: null,
+    commandments: commandments.map(({ numeral, title }) => ({
+      numeral,
+      title,
+      status: 'neutral',
+      reason: 'Not evaluated: the proposal was quarantined.',
+      ...guardAssessment(numeral, guard)
+    })),
+    evidence: [],
+    verdict: 'reject',
+    scoring: { method: 'quarantined', attempts: 0, errors: [] },
+    consensusIndex: 0,
+    approved: false,
+    highConsensus: false,
+    council: null,
+    guard,
+    persona,
+    model: null,
+    profile: null,
+    timestamp: new Date().toISOString(),
+    cached: false,
+    cache: { status: 'skipped', key: null, storedAt: null, expiresAt: null }
+  };
+}
+
+/**
+ * Reduces the duplicate check to what a result reports
+ * @param {Object|null} duplicates - Outcome of the duplicate check
+ * @returns {Object|null} { policy, action, threshold, matches, reusedFrom }, or null when no check ran
+ */
+function reportDuplicates(duplicates) {
+  if (!duplicates) {
+    return null;
+  }
+  const { reuse, ...report } = duplicates;
+  return { ...report, reusedFrom: reuse ? reuse.proposalId : null };
+}
+
+/**
+ * Builds the result of a near-duplicate from the evaluation of the stored proposal it resembles
+ * @param {Object} duplicates - Outcome of the duplicate check, with the evaluation to reuse
+ * @param {Object|null} details - Structured details of the new proposal
+ * @param {Object} guard - Guard outcome for the new proposal
+ * @param {Object} persona - Persona info
+ * @returns {Object} Result
+ */
+function buildReusedResult(duplicates, details, guard, persona) {
+  // The receipt, storage fields and treasury check belonged to the earlier request
+  const { receipt, proposalId, status, revision, treasury: funding, ...evaluation } = duplicates.reuse.evaluation;
+  
+  return {
+    ...evaluation,
+    details,
+    commandments: evaluation.commandments
+      ? evaluation.commandments.map(row => ({ ...row, ...guardAssessment(row.numeral, guard) }))
+      : null,
+    // Proposal spans point into the earlier text; only those in the reused response still apply
+    evidence: (evaluation.evidence || []).filter(span => span.source === 'response'),
+    guard,
+    persona: evaluation.persona || persona,
+    duplicates: reportDuplicates(duplicates),
+    timestamp: new Date().toISOString(),
+    cached: false,
+    cache: { status: 'skipped', key: null, storedAt: null, expiresAt: null }
+  };
+}
+
+/**
+ * Describes the provider and sampling settings an evaluation depends on
+ * The profile name is left out: two profiles with the same settings give the same answers
+ * @param {Object} settings - Model profile
+ * @returns {Object} Provider, model, temperature, token limit, attempts and guard mode
+ */
+function describeSettings({ provider, model, temperature, maxTokens, maxAttempts }) {
+  return {
+    provider,
+    model,
+    temperature,
+    maxTokens,
+    maxAttempts,
+    guard: config.guard.mode
+  };
+}
+
+/**
+ * Applies the treasury check to an evaluation; checked on every request, cached or not,
+ * because the unlocked balance changes over time
+ * Commandments I and VI: an approval the treasury cannot fund is refused
+ * @param {Object} result - Evaluation result (modified in place)
+ * @returns {Object} The result
+ */
+function applyFunding(result) {
+  const funding = treasury.checkFunding(result.details);
+  if (funding) {
+    result.treasury = funding;
+    result.approved = result.approved && funding.fundable;
+  }
+  return result;
+}
+
+/**
+ * Gets the keyword rubric scorer, loading SCORING_RUBRIC_FILE instead of the built-in rubric when set
+ * @returns {Object} Rubric scorer
+ */
+function getRubricScorer() {
+  if (!rubricScorer) {
+    const { rubricFile } = config.scoring;
+    rubricScorer = createRubricScorer(rubricFile ? readJson(path.resolve(rubricFile)) : defaultRubric);
+  }
+  return rubricScorer;
+}
+
+/**
+ * Analyzes AI response to extract reasonable metrics
+ * Fallback only: used when the model's scoring output stays malformed after every retry
+ * @param {string} response - The OpenAI response text
+ * @param {string} proposal - The original proposal text
+ * @returns {Object} Metrics with fairness, value, and protection scores
+ */
+function analyzeResponseForMetrics(response, proposal) {
+  return getRubricScorer().score({ response, proposal }).metrics;
+}
+
+/**
+ * Calculates consensus index based on how balanced the metrics are
+ * @param {Object} metrics - Object with fairness, value, and protection scores
+ * @returns {number} Consensus score (0-100)
+ */
+function calculateConsensusIndex(metrics) {
+  const scores = [metrics.fairness, metrics.value, metrics.protection];
+  const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  
+  // Calculate variance (how far apart the scores are)
+  const squaredDiffs = scores.map(score => Math.pow(score - mean, 2));
+  const variance = squaredDiffs.reduce((sum, diff) => sum + diff, 0) / scores.length;
+  
+  // Convert variance to a consensus score (higher variance = lower consensus)
+  // Scale it to give reasonable values (80-95% for most cases)
+  const maxVariance = 300; // A reasonable upper bound for variance
+  const consensusScore = 100 - (variance / maxVariance * 20);
+  
+  // Ensure it stays in the range of 70-98
+  return Math.round(Math.max(70, Math.min(98, consensusScore)));
+}
+
+module.exports = {
+  evaluateProposal,
+  analyzeResponseForMetrics,
+  calculateConsensusIndex
+};
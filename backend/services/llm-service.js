@@ -0,0 +1,161 @@
+/**
+ * LLM Service for Aikira Terminal
+ * Resolves the provider, model and model profile for each route and sends chat completions through it
+ */
+
+const config = require('../config');
+const { badRequest, forbidden } = require('../utils/error-handler');
+const { createOpenAiProvider } = require('./providers/openai-provider');
+const { createOpenAiCompatibleProvider } = require('./providers/openai-compatible-provider');
+const { createMockProvider } = require('./providers/mock-provider');
+
+// Provider factories by name, as used in config.llm.routes
+const PROVIDER_FACTORIES = {
+  openai: options => createOpenAiProvider(options),
+  'openai-compatible': options => createOpenAiCompatibleProvider(options),
+  mock: () => createMockProvider()
+};
+
+const providers = {};
+
+/**
+ * Gets a provider by name, creating it on first use
+ * @param {string} name - Provider name
+ * @returns {Object} Provider
+ */
+function getProvider(name) {
+  if (!providers[name]) {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown LLM provider "${name}". Use one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}.`);
+    }
+    providers[name] = factory({
+      ...config.llm.providers[name],
+      timeoutMs: config.llm.timeoutMs
+    });
+  }
+  return providers[name];
+}
+
+/**
+ * Gets the provider and model configured for a route
+ * @param {string} route - Route name (chat or evaluate)
+ * @returns {Object} { provider, model }
+ */
+function getRouteSettings(route) {
+  const settings = config.llm.routes[route];
+  if (!settings) {
+    throw new Error(`No LLM settings for route "${route}"`);
+  }
+  return {
+    provider: getProvider(settings.provider),
+    model: settings.model
+  };
+}
+
+/**
+ * Resolves the settings an evaluation runs with: the route's defaults, overridden by a named profile
+ * @param {string} route - Route name (chat or evaluate)
+ * @param {string|null} name - Profile name, or null for the route's defaults
+ * @returns {Object} { name, provider, model, temperature, maxTokens, maxAttempts } — name is "default" without a profile
+ */
+function resolveProfile(route, name = null) {
+  const { provider, model } = getRouteSettings(route);
+  const defaults = config.llm.routes[route];
+  const profile = name ? config.llm.profiles[name] : {};
+  if (!profile) {
+    throw badRequest(`Unknown model profile "${name}". Use one of: ${Object.keys(config.llm.profiles).join(', ')}.`);
+  }
+  
+  return {
+    name: name || 'default',
+    provider: provider.name,
+    model: profile.model || model,
+    temperature: profile.temperature ?? defaults.temperature,
+    maxTokens: profile.maxTokens ?? defaults.maxTokens,
+    maxAttempts: profile.maxAttempts ?? config.scoring.maxAttempts
+  };
+}
+
+/**
+ * Validates a request's "profile" field, which only admins may set
+ * @param {any} value - The request's "profile" field
+ * @param {boolean} isAdmin - Whether the request carries the admin token
+ * @returns {string|null} Profile name, or null for the route's defaults
+ */
+function parseProfileName(value, isAdmin) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (!isAdmin) {
+    throw forbidden('Only admins can choose a model profile', config.server.adminToken ? undefined : 'ADMIN_TOKEN is not set');
+  }
+  if (typeof value !== 'string' || !config.llm.profiles[value]) {
+    throw badRequest(`profile must be one of: ${Object.keys(config.llm.profiles).join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Checks whether a route's provider has the credentials it needs
+ * @param {string} route - Route name
+ * @returns {boolean} Whether the route can make requests
+ */
+function isRouteConfigured(route) {
+  return getRouteSettings(route).provider.isConfigured();
+}
+
+/**
+ * Sends a chat completion through a route's provider
+ * @param {string} route - Route name
+ * @param {Object} request - Messages, temperature, maxTokens, json flag, abort signal and an optional model overriding the route's
+ * @returns {Promise<Object>} { content, provider, model, usage }
+ */
+async function complete(route, request) {
+  const { provider, model } = getRouteSettings(route);
+  const result = await provider.complete({ model, ...request });
+
+  return {
+    ...result,
+    provider: provider.name
+  };
+}
+
+/**
+ * Streams a chat completion through a route's provider
+ * @param {string} route - Route name
+ * @param {Object} request - Messages, temperature, maxTokens, json flag, abort signal and an optional model overriding the route's
+ * @param {Function} onDelta - Called with each piece of content as it arrives
+ * @returns {Promise<Object>} { content, provider, model, usage } once the stream ends
+ */
+async function stream(route, request, onDelta) {
+  const { provider, model } = getRouteSettings(route);
+  const result = await provider.stream({ model, ...request }, onDelta);
+
+  return {
+    ...result,
+    provider: provider.name
+  };
+}
+
+/**
+ * Describes the provider and model of every route
+ * @returns {Object} Settings by route
+ */
+function describeRoutes() {
+  return Object.fromEntries(Object.keys(config.llm.routes).map(route => {
+    const { provider, model } = getRouteSettings(route);
+    return [route, { provider: provider.name, model, configured: provider.isConfigured() }];
+  }));
+}
+
+module.exports = {
+  getProvider,
+  getRouteSettings,
+  resolveProfile,
+  parseProfileName,
+  isRouteConfigured,
+  complete,
+  stream,
+  describeRoutes
+};
@@ -0,0 +1,239 @@
+/**
+ * Persona Service for Aikira Terminal
+ * Loads versioned persona files, reloads them when they change and builds system prompts from them
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const config = require('../config');
+const tokenomicsService = require('./tokenomics-service');
+
+const LIST_FIELDS = ['bio', 'lore', 'style'];
+
+let current = null;
+let watchedPath = null;
+
+/**
+ * Gets the path of the active persona file
+ * @returns {string} Persona file path
+ */
+function getPersonaPath() {
+  return path.join(config.persona.dir, `${config.persona.active}.json`);
+}
+
+/**
+ * Checks that a parsed persona file has every section a prompt needs
+ * @param {Object} persona - Parsed persona file
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+function validatePersona(persona) {
+  const errors = [];
+
+  ['id', 'version', 'name', 'identity'].forEach(field => {
+    if (typeof persona[field] !== 'string' || !persona[field].trim()) {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  });
+
+  LIST_FIELDS.forEach(field => {
+    if (!Array.isArray(persona[field]) || persona[field].some(line => typeof line !== 'string')) {
+      errors.push(`${field} must be a list of strings`);
+    }
+  });
+
+  if (!Array.isArray(persona.commandments) || persona.commandments.length === 0) {
+    errors.push('commandments must be a non-empty list');
+  } else if (persona.commandments.some(item => !item || !item.numeral || !item.title || !item.rule)) {
+    errors.push('each commandment needs a numeral, title and rule');
+  }
+
+  const instructions = persona.instructions || {};
+  config.persona.routes.forEach(route => {
+    if (typeof instructions[route] !== 'string') {
+      errors.push(`instructions.${route} must be a string`);
+    }
+  });
+
+  // The council is optional; without it council mode is unavailable
+  if (persona.council !== undefined) {
+    const { members, synthesis } = persona.council || {};
+    if (!Array.isArray(members) || members.length < 2) {
+      errors.push('council.members must list at least two seats');
+    } else if (members.some(member => !member || !member.id || !member.name || typeof member.instruction !== 'string')) {
+      errors.push('each council seat needs an id, name and instruction');
+    } else if (new Set(members.map(member => member.id)).size !== members.length) {
+      errors.push('council seat ids must be unique');
+    }
+    if (typeof synthesis !== 'string') {
+      errors.push('council.synthesis must be a string');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Reads, validates and activates the persona file
+ * @returns {Object} The loaded persona
+ */
+function loadPersona() {
+  const filePath = getPersonaPath();
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const persona = JSON.parse(raw);
+
+  const errors = validatePersona(persona);
+  if (errors.length > 0) {
+    throw new Error(`Invalid persona file ${filePath}: ${errors.join('; ')}`);
+  }
+
+  current = {
+    ...persona,
+    checksum: crypto.createHash('sha256').update(raw).digest('hex').slice(0, 12),
+    loadedAt: new Date().toISOString()
+  };
+
+  console.log(`Persona ${current.id} v${current.version} loaded (${current.checksum})`);
+  return current;
+}
+
+/**
+ * Reloads the persona, keeping the previous one when the file is invalid
+ */
+function reloadPersona() {
+  try {
+    loadPersona();
+  } catch (error) {
+    console.error(`Persona reload failed, keeping v${current?.version}:`, error.message);
+  }
+}
+
+/**
+ * Loads the persona and watches its file for changes
+ * @returns {Object} The loaded persona
+ */
+function initPersona() {
+  const persona = loadPersona();
+  const filePath = getPersonaPath();
+
+  if (watchedPath !== filePath) {
+    if (watchedPath) fs.unwatchFile(watchedPath);
+
+    const watcher = fs.watchFile(filePath, { interval: config.persona.watchIntervalMs }, (stats, previous) => {
+      if (stats.mtimeMs !== previous.mtimeMs) {
+        reloadPersona();
+      }
+    });
+    // Watching must not keep the process alive on its own
+    watcher.unref();
+    watchedPath = filePath;
+  }
+
+  return persona;
+}
+
+/**
+ * Gets the active persona, loading it on first use
+ * @returns {Object} Persona
+ */
+function getPersona() {
+  return current || initPersona();
+}
+
+/**
+ * Describes the persona a response was produced with
+ * @returns {Object} Persona ID, version and checksum
+ */
+function getPersonaInfo() {
+  const { id, version, checksum } = getPersona();
+  return { id, version, checksum };
+}
+
+/**
+ * Builds a system prompt from the persona's shared sections and a closing instruction
+ * @param {Object} persona - Persona
+ * @param {string} instruction - Closing instruction
+ * @returns {string} System prompt
+ */
+function composePrompt(persona, instruction) {
+  const list = lines => lines.map(line => ` - ${line}`).join('\n');
+
+  return `${persona.identity}
+Bio:
+${list(persona.bio)}
+
+Lore & Knowledge:
+${list(persona.lore)}
+${tokenomicsService.describeForPrompt()}
+
+Constitutional Commandments:
+${persona.commandments.map(item => ` ${item.numeral}. ${item.title} — ${item.rule}`).join('\n')}
+
+Behavior & Style:
+${list(persona.style)}
+
+${instruction}`;
+}
+
+/**
+ * Builds the system prompt for a route from the active persona
+ * @param {string} route - chat (/api/openai/generate-response) or evaluate (/api/proposal/evaluate)
+ * @returns {string} System prompt
+ */
+function buildSystemPrompt(route) {
+  const persona = getPersona();
+  if (!config.persona.routes.includes(route)) {
+    throw new Error(`Unknown persona route "${route}"`);
+  }
+
+  return composePrompt(persona, persona.instructions[route]);
+}
+
+/**
+ * Gets the council seats of the active persona
+ * @returns {Array<Object>} Seats ({ id, name, instruction }); empty when the persona has no council
+ */
+function getCouncil() {
+  return getPersona().council?.members || [];
+}
+
+/**
+ * Builds the system prompt for one council seat
+ * @param {string} seatId - Council seat ID
+ * @returns {string} System prompt
+ */
+function buildCouncilPrompt(seatId) {
+  const persona = getPersona();
+  const seat = getCouncil().find(member => member.id === seatId);
+  if (!seat) {
+    throw new Error(`Unknown council seat "${seatId}"`);
+  }
+
+  return composePrompt(persona, `Council seat: ${seat.name}\n${seat.instruction}`);
+}
+
+/**
+ * Builds the system prompt Aikira uses to synthesize the council's verdicts
+ * @returns {string} System prompt
+ */
+function buildSynthesisPrompt() {
+  const persona = getPersona();
+  if (!persona.council) {
+    throw new Error(`Persona ${persona.id} has no council`);
+  }
+
+  return composePrompt(persona, persona.council.synthesis);
+}
+
+module.exports = {
+  validatePersona,
+  loadPersona,
+  initPersona,
+  getPersona,
+  getPersonaInfo,
+  buildSystemPrompt,
+  getCouncil,
+  buildCouncilPrompt,
+  buildSynthesisPrompt
+};
@@ -0,0 +1,125 @@
+/**
+ * Proposal Appeals Service for Aikira Terminal
+ * Lets proposers contest a rejection with a rebuttal, re-evaluated with the original decision in context
+ */
+
+const config = require('../config');
+const { badRequest, conflict } = require('../utils/error-handler');
+const lifecycle = require('./proposal-lifecycle');
+
+/**
+ * Gets the appeals filed on a proposal
+ * @param {Object} record - Proposal record
+ * @returns {Array<Object>} Appeals, oldest first
+ */
+function getAppeals(record) {
+  return Array.isArray(record.appeals) ? record.appeals : [];
+}
+
+/**
+ * Validates a rebuttal
+ * @param {any} rebuttal - Raw rebuttal
+ * @returns {string} Trimmed rebuttal
+ */
+function normalizeRebuttal(rebuttal) {
+  const text = typeof rebuttal === 'string' ? rebuttal.trim() : '';
+  if (!text) {
+    throw badRequest('Rebuttal text is required');
+  }
+  if (text.length > config.appeals.maxRebuttalLength) {
+    throw badRequest(`Rebuttal must be at most ${config.appeals.maxRebuttalLength} characters`);
+  }
+  return text;
+}
+
+/**
+ * Ensures a proposal can be appealed: it must be rejected and below the appeal limit
+ * @param {Object} record - Proposal record
+ */
+function assertAppealable(record) {
+  if (!lifecycle.canTransition(record.status, 'appealed')) {
+    throw conflict(`Proposal in state "${record.status}" cannot be appealed`, {
+      allowed: lifecycle.getAllowedTransitions(record.status)
+    });
+  }
+
+  const { maxAppeals } = config.appeals;
+  const filed = getAppeals(record).length;
+  if (filed >= maxAppeals) {
+    throw conflict(`Proposal has reached the limit of ${maxAppeals} appeals`, { filed, maxAppeals });
+  }
+}
+
+/**
+ * Formats a score as a percentage
+ * @param {number} score - Score between 0 and 1
+ * @returns {string} Percentage
+ */
+function percent(score) {
+  return typeof score === 'number' ? `${Math.round(score * 100)}%` : 'n/a';
+}
+
+/**
+ * Builds the chat messages that put the original decision in front of Aikira
+ * They follow the original proposal: Aikira's earlier response, then the appeal itself.
+ * @param {Object} record - Rejected proposal record
+ * @param {string} rebuttal - Proposer's counterarguments
+ * @returns {Array<Object>} Chat messages
+ */
+function buildAppealMessages(record, rebuttal) {
+  const { scores = {} } = record.evaluation || {};
+  const verdict = (record.transitions || []).filter(transition => transition.to === 'rejected').pop();
+  const number = getAppeals(record).length + 1;
+
+  return [
+    { role: 'assistant', content: record.evaluation?.response || '' },
+    {
+      role: 'user',
+      content: [
+        `APPEAL ${number} of ${config.appeals.maxAppeals}`,
+        `Your decision: rejected${verdict?.reason ? ` — ${verdict.reason}` : ''}`,
+        `Your scores: fairness ${percent(scores.fairness)}, value ${percent(scores.value)}, protection ${percent(scores.protection)}, overall ${percent(scores.total)}`,
+        'Rebuttal from the proposer:',
+        rebuttal,
+        'Re-evaluate the proposal in light of this rebuttal. State clearly whether you uphold or overturn your decision and why.'
+      ].join('\n')
+    }
+  ];
+}
+
+/**
+ * Records an appeal and its outcome on a proposal whose appeal evaluation has been applied
+ * @param {Object} record - Proposal record (modified in place), already moved to its new verdict
+ * @param {Object} data - Appeal data
+ * @param {string} data.rebuttal - Proposer's counterarguments
+ * @param {string} data.appellant - Who filed the appeal
+ * @param {Object} data.previous - Evaluation that was appealed
+ * @param {Object} data.evaluation - Evaluation of the appeal
+ * @returns {Object} The appeal entry
+ */
+function appendAppeal(record, { rebuttal, appellant, previous, evaluation }) {
+  const appeal = {
+    number: getAppeals(record).length + 1,
+    rebuttal,
+    appellant,
+    previous: {
+      response: previous?.response || null,
+      scores: previous?.scores || null,
+      approved: previous?.approved ?? null
+    },
+    evaluation,
+    outcome: record.status === 'approved' ? 'overturned' : 'upheld',
+    filedAt: evaluation.timestamp || new Date().toISOString()
+  };
+
+  record.appeals = [...getAppeals(record), appeal];
+  return appeal;
+}
+
+module.exports = {
+  getAppeals,
+  normalizeRebuttal,
+  assertAppealable,
+  buildAppealMessages,
+  appendAppeal
+};
@@ -0,0 +1,186 @@
+/**
+ * Proposal Lifecycle Service for Aikira Terminal
+ * Enforces the proposal state machine and records every transition
+ */
+
+const { badRequest, conflict, forbidden } = require('../utils/error-handler');
+
+// Lifecycle states in the order a proposal normally moves through them
+const STATES = [
+  'draft',
+  'submitted',
+  'evaluating',
+  'approved',
+  'rejected',
+  'appealed',
+  'executed',
+  'expired'
+];
+
+// Legal moves from each state; executed and expired are terminal.
+// A rejected proposal may be resubmitted as a new revision or appealed.
+const TRANSITIONS = {
+  draft: ['submitted'],
+  submitted: ['evaluating', 'expired'],
+  evaluating: ['approved', 'rejected'],
+  approved: ['executed', 'expired'],
+  rejected: ['submitted', 'appealed', 'expired'],
+  appealed: ['evaluating', 'expired'],
+  executed: [],
+  expired: []
+};
+
+// Actor recorded for transitions performed by the system itself
+const SYSTEM_ACTOR = 'aikira';
+
+// Moves only the system may make: starting an evaluation and recording its verdict
+const SYSTEM_TRANSITIONS = {
+  submitted: ['evaluating'],
+  evaluating: ['approved', 'rejected'],
+  appealed: ['evaluating']
+};
+
+// Moves that only happen together with a new evaluation: submitting a proposal or revision, and
+// filing an appeal. Made alone, they would leave the proposal waiting for an evaluation that never starts
+const EVALUATION_TRANSITIONS = {
+  draft: ['submitted'],
+  rejected: ['submitted', 'appealed']
+};
+
+/**
+ * Gets the states a proposal may move to next
+ * @param {string} state - Current state
+ * @returns {Array<string>} Allowed next states
+ */
+function getAllowedTransitions(state) {
+  return TRANSITIONS[state] || [];
+}
+
+/**
+ * Checks whether a move between two states is legal
+ * @param {string} from - Current state
+ * @param {string} to - Target state
+ * @returns {boolean} Whether the transition is allowed
+ */
+function canTransition(from, to) {
+  return getAllowedTransitions(from).includes(to);
+}
+
+/**
+ * Checks whether a state is terminal (nothing can follow it)
+ * @param {string} state - State
+ * @returns {boolean} Whether the state is terminal
+ */
+function isTerminal(state) {
+  return STATES.includes(state) && getAllowedTransitions(state).length === 0;
+}
+
+/**
+ * Checks whether a move is reserved for the system actor
+ * @param {string} from - Current state
+ * @param {string} to - Target state
+ * @returns {boolean} Whether only the system may make the move
+ */
+function isSystemTransition(from, to) {
+  return (SYSTEM_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Checks whether a move is made only by submitting a revision or filing an appeal
+ * @param {string} from - Current state
+ * @param {string} to - Target state
+ * @returns {boolean} Whether the move comes with a new evaluation
+ */
+function isEvaluationTransition(from, to) {
+  return (EVALUATION_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Moves a proposal record to a new state, recording who did it and why
+ * @param {Object} record - Proposal record (modified in place)
+ * @param {string} to - Target state
+ * @param {Object} meta - Transition metadata
+ * @param {string} meta.actor - Who performed the transition
+ * @param {string} meta.reason - Why the transition was made
+ * @returns {Object} The updated record
+ * @throws {ApiError} 400 for an unknown state, 409 for an illegal move, 403 when another actor makes a system move
+ */
+function applyTransition(record, to, { actor, reason }) {
+  if (!STATES.includes(to)) {
+    throw badRequest(`Unknown state "${to}"`, { states: STATES });
+  }
+
+  const from = record.status;
+  if (!canTransition(from, to)) {
+    throw conflict(`Illegal transition from "${from}" to "${to}"`, {
+      from,
+      to,
+      allowed: getAllowedTransitions(from)
+    });
+  }
+
+  const by = actor || SYSTEM_ACTOR;
+  if (by !== SYSTEM_ACTOR && isSystemTransition(from, to)) {
+    throw forbidden(`Only ${SYSTEM_ACTOR} may move a proposal from "${from}" to "${to}"`, { from, to });
+  }
+
+  record.status = to;
+  record.transitions = record.transitions || [];
+  record.transitions.push({
+    from,
+    to,
+    actor: by,
+    reason: reason || null,
+    at: new Date().toISOString()
+  });
+
+  return record;
+}
+
+/**
+ * Records the verdict of an evaluation on a proposal in the evaluating state
+ * @param {Object} record - Proposal record (modified in place)
+ * @param {Object} evaluation - Evaluation result with an approved flag
+ * @returns {Object} The updated record
+ */
+function applyVerdict(record, evaluation) {
+  if (typeof evaluation.approved !== 'boolean') {
+    return record;
+  }
+
+  const total = evaluation.scores?.total;
+  const score = typeof total === 'number' ? ` (${Math.round(total * 100)}% overall)` : '';
+
+  return applyTransition(record, evaluation.approved ? 'approved' : 'rejected', {
+    actor: SYSTEM_ACTOR,
+    reason: `Aikira evaluation ${evaluation.approved ? 'approved' : 'rejected'} the proposal${score}`
+  });
+}
+
+/**
+ * Describes the state machine for clients
+ * @returns {Object} States, transitions, the moves reserved for the system or made with a new evaluation, and terminal states
+ */
+function describeLifecycle() {
+  return {
+    states: STATES,
+    transitions: TRANSITIONS,
+    systemTransitions: SYSTEM_TRANSITIONS,
+    evaluationTransitions: EVALUATION_TRANSITIONS,
+    systemActor: SYSTEM_ACTOR,
+    terminal: STATES.filter(state => TRANSITIONS[state].length === 0)
+  };
+}
+
+module.exports = {
+  STATES,
+  SYSTEM_ACTOR,
+  getAllowedTransitions,
+  canTransition,
+  isTerminal,
+  isSystemTransition,
+  isEvaluationTransition,
+  applyTransition,
+  applyVerdict,
+  describeLifecycle
+};
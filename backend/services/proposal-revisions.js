@@ -0,0 +1,189 @@
+/**
+ * Proposal Revisions Service for Aikira Terminal
+ * Tracks numbered revisions of a proposal and compares their evaluations
+ */
+
+const { badRequest, conflict, notFound } = require('../utils/error-handler');
+const { diffText } = require('../utils/text-diff');
+
+// States in which a proposal may receive a new revision
+const REVISABLE_STATES = ['draft', 'rejected'];
+
+// Metrics compared across revisions
+const METRICS = ['fairness', 'value', 'protection', 'total'];
+
+/**
+ * Builds a revision entry
+ * @param {number} number - Revision number (1-based)
+ * @param {Object} data - Revision data
+ * @returns {Object} Revision
+ */
+function buildRevision(number, { text, details = null, evaluation, requester }) {
+  return {
+    number,
+    text,
+    details,
+    evaluation,
+    requester,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Gets the revisions of a proposal record
+ * Records stored before revisions existed are treated as a single revision.
+ * @param {Object} record - Proposal record
+ * @returns {Array<Object>} Revisions, oldest first
+ */
+function getRevisions(record) {
+  if (Array.isArray(record.revisions) && record.revisions.length > 0) {
+    return record.revisions;
+  }
+
+  return [{
+    number: 1,
+    text: record.text,
+    details: record.details || null,
+    evaluation: record.evaluation,
+    requester: record.requester,
+    createdAt: record.createdAt
+  }];
+}
+
+/**
+ * Gets a single revision by number
+ * @param {Object} record - Proposal record
+ * @param {number|string} number - Revision number
+ * @returns {Object} Revision
+ */
+function getRevision(record, number) {
+  const revisionNumber = parseInt(number, 10);
+  if (!Number.isInteger(revisionNumber)) {
+    throw badRequest(`Invalid revision number "${number}"`);
+  }
+
+  const revision = getRevisions(record).find(entry => entry.number === revisionNumber);
+  if (!revision) {
+    throw notFound(`Revision ${revisionNumber} of proposal ${record.id} not found`);
+  }
+  return revision;
+}
+
+/**
+ * Ensures a proposal can accept a new revision
+ * @param {Object} record - Proposal record
+ */
+function assertRevisable(record) {
+  if (!REVISABLE_STATES.includes(record.status)) {
+    throw conflict(`Proposal in state "${record.status}" cannot be revised`, {
+      revisableStates: REVISABLE_STATES
+    });
+  }
+}
+
+/**
+ * Appends a revision to a proposal record and makes it the current version
+ * @param {Object} record - Proposal record (modified in place)
+ * @param {Object} data - Revision text, structured details, evaluation and requester
+ * @returns {Object} The new revision
+ */
+function appendRevision(record, data) {
+  const revisions = getRevisions(record).slice();
+  const revision = buildRevision(revisions.length + 1, data);
+
+  revisions.push(revision);
+  record.revisions = revisions;
+  record.text = revision.text;
+  record.details = revision.details;
+  record.evaluation = revision.evaluation;
+  record.evaluatedAt = revision.evaluation.timestamp || revision.createdAt;
+
+  return revision;
+}
+
+/**
+ * Diffs the text of two revisions
+ * @param {Object} record - Proposal record
+ * @param {number|string} from - Original revision number
+ * @param {number|string} to - Revised revision number
+ * @returns {Object} Diff with revision numbers
+ */
+function diffRevisions(record, from, to) {
+  const before = getRevision(record, from);
+  const after = getRevision(record, to);
+
+  return {
+    from: before.number,
+    to: after.number,
+    ...diffText(before.text, after.text)
+  };
+}
+
+/**
+ * Extracts the compared metrics from an evaluation
+ * @param {Object} evaluation - Evaluation result
+ * @returns {Object} Scores and consensus index
+ */
+function metricsOf(evaluation = {}) {
+  const metrics = {};
+  METRICS.forEach(metric => {
+    const score = evaluation.scores?.[metric];
+    metrics[metric] = typeof score === 'number' ? score : null;
+  });
+  metrics.consensusIndex = typeof evaluation.consensusIndex === 'number' ? evaluation.consensusIndex : null;
+  return metrics;
+}
+
+/**
+ * Compares evaluations across revisions, pairing each score change with the edit that caused it
+ * @param {Object} record - Proposal record
+ * @returns {Array<Object>} Per-revision metrics, deltas and text changes versus the previous revision
+ */
+function compareRevisions(record) {
+  const revisions = getRevisions(record);
+
+  return revisions.map((revision, index) => {
+    const metrics = metricsOf(revision.evaluation);
+    const entry = {
+      number: revision.number,
+      createdAt: revision.createdAt,
+      requester: revision.requester,
+      approved: revision.evaluation?.approved ?? null,
+      metrics,
+      delta: null,
+      changes: null
+    };
+
+    if (index > 0) {
+      const previous = revisions[index - 1];
+      const previousMetrics = metricsOf(previous.evaluation);
+
+      entry.delta = {};
+      Object.keys(metrics).forEach(metric => {
+        entry.delta[metric] = metrics[metric] !== null && previousMetrics[metric] !== null
+          ? Math.round((metrics[metric] - previousMetrics[metric]) * 1000) / 1000
+          : null;
+      });
+
+      const diff = diffText(previous.text, revision.text);
+      entry.changes = {
+        ...diff.stats,
+        inserted: diff.ops.filter(op => op.type === 'insert').map(op => op.text.trim()).filter(Boolean),
+        deleted: diff.ops.filter(op => op.type === 'delete').map(op => op.text.trim()).filter(Boolean)
+      };
+    }
+
+    return entry;
+  });
+}
+
+module.exports = {
+  REVISABLE_STATES,
+  buildRevision,
+  getRevisions,
+  getRevision,
+  assertRevisable,
+  appendRevision,
+  diffRevisions,
+  compareRevisions
+};
@@ -0,0 +1,465 @@
+/**
+ * Proposal Store Service for Aikira Terminal
+ * Persists evaluated proposals and serves paginated, filtered history
+ */
+
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const config = require('../config');
+const { badRequest, conflict, notFound } = require('../utils/error-handler');
+const { createJsonStore } = require('./stores/json-store');
+const { createSqliteStore } = require('./stores/sqlite-store');
+const lifecycle = require('./proposal-lifecycle');
+const revisions = require('./proposal-revisions');
+const treasury = require('./treasury-service');
+const voting = require('./voting-service');
+const appeals = require('./proposal-appeals');
+const auditLog = require('./audit-log');
+const receipts = require('./receipt-service');
+
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'score'];
+
+let backend = null;
+
+/**
+ * Gets the configured storage backend, creating it on first use
+ * @returns {Object} Store backend
+ */
+function getBackend() {
+  if (!backend) {
+    const { driver, dataDir, jsonFile, sqliteFile } = config.storage;
+
+    if (driver === 'sqlite') {
+      backend = createSqliteStore(path.join(dataDir, sqliteFile));
+    } else if (driver === 'json') {
+      backend = createJsonStore(path.join(dataDir, jsonFile));
+    } else {
+      throw new Error(`Unknown storage driver "${driver}". Use "json" or "sqlite".`);
+    }
+
+    console.log(`Proposal store initialized (${backend.driver})`);
+  }
+  return backend;
+}
+
+/**
+ * Keeps the treasury in step with a state change: approval debits the requested
+ * amount and expiry of an approved proposal returns it
+ * Funds are only released for an approval backed by an evaluation this instance signed.
+ * The entries are undone by writeSettled if the record cannot be saved.
+ * @param {Object} record - Proposal record after the transition
+ * @param {string} from - State before the transition
+ */
+function settleTreasury(record, from) {
+  if (record.status === from) return;
+
+  if (record.status === 'approved') {
+    receipts.assertSignedEvaluation({ text: record.text, details: record.details || null, evaluation: record.evaluation });
+    if (record.evaluation.approved !== true) {
+      throw conflict('Only an approving evaluation releases treasury funds');
+    }
+    const debit = treasury.debitProposal(record);
+    if (debit) {
+      record.treasury = { debitId: debit.id, amount: debit.amount, token: debit.token, debitedAt: debit.at };
+    }
+  } else if (from === 'approved' && record.status === 'expired') {
+    const refund = treasury.refundProposal(record, 'Approved proposal expired before execution');
+    if (refund && record.treasury) {
+      record.treasury.refundId = refund.id;
+      record.treasury.refundedAt = refund.at;
+    }
+  }
+}
+
+/**
+ * Writes a record to the backend, undoing the treasury debit or refund made for this change
+ * when the write fails, so the ledger never moves without the proposal
+ * @param {Object|null} before - Record before the change (null when created)
+ * @param {Object} after - Record to write
+ * @param {Function} write - Writes the record to the backend
+ * @returns {Promise<Object>} Stored record
+ */
+async function writeSettled(before, after, write) {
+  try {
+    return await write(after);
+  } catch (error) {
+    const was = before?.treasury || {};
+    const now = after.treasury || {};
+    [now.debitId !== was.debitId && now.debitId, now.refundId !== was.refundId && now.refundId]
+      .filter(Boolean)
+      .forEach(entryId => treasury.revertEntry(entryId));
+    throw error;
+  }
+}
+
+/**
+ * Appends what changed between two versions of a record to the audit log:
+ * new evaluations (one per revision or appeal), then transitions, then votes
+ * @param {Object|null} before - Record before the change (null when created)
+ * @param {Object} after - Record as persisted
+ */
+function auditChanges(before, after) {
+  const countEvaluations = record => (record?.revisions?.length || 0) + appeals.getAppeals(record || {}).length;
+
+  if (countEvaluations(after) > countEvaluations(before) && after.evaluation) {
+    const { response, scores, consensusIndex, approved, timestamp } = after.evaluation;
+    const appeal = appeals.getAppeals(after).length > appeals.getAppeals(before || {}).length
+      ? appeals.getAppeals(after).length
+      : null;
+
+    auditLog.appendEntry('evaluation', {
+      proposalId: after.id,
+      actor: lifecycle.SYSTEM_ACTOR,
+      payload: {
+        revision: after.revisions.length,
+        appeal,
+        proposalHash: receipts.hashProposal(after.text, after.details || null),
+        response,
+        scores,
+        consensusIndex,
+        approved,
+        evaluatedAt: timestamp || after.evaluatedAt
+      }
+    });
+  }
+
+  (after.transitions || []).slice(before?.transitions?.length || 0).forEach(transition => {
+    auditLog.appendEntry('transition', {
+      proposalId: after.id,
+      actor: transition.actor,
+      payload: transition
+    });
+  });
+
+  const previousVotes = new Set((before?.voting?.votes || []).map(vote => `${vote.voter}|${vote.at}`));
+  (after.voting?.votes || [])
+    .filter(vote => !previousVotes.has(`${vote.voter}|${vote.at}`))
+    .forEach(vote => {
+      auditLog.appendEntry('vote', {
+        proposalId: after.id,
+        actor: vote.voter,
+        payload: { ...vote, revision: after.voting.revision }
+      });
+    });
+}
+
+/**
+ * Ensures an evaluation may be stored: this instance must have signed it for this proposal, and
+ * it must not be stored already, so a receipt cannot be replayed to create or approve more proposals
+ * @param {Object} data - Evaluated proposal
+ * @param {string} data.text - Proposal text
+ * @param {Object|null} data.details - Structured proposal fields, if any
+ * @param {Object} data.evaluation - Evaluation result with its receipt
+ * @returns {Promise<Object>} The evaluation reduced to the fields its receipt signs, to store
+ */
+async function assertStorableEvaluation({ text, details, evaluation }) {
+  receipts.assertSignedEvaluation({ text, details, evaluation });
+
+  const { signature } = evaluation.receipt;
+  const evaluationsOf = record => [
+    ...revisions.getRevisions(record).map(revision => revision.evaluation),
+    ...appeals.getAppeals(record).map(appeal => appeal.evaluation)
+  ];
+  const holder = (await getBackend().all())
+    .find(record => evaluationsOf(record).some(stored => stored?.receipt?.signature === signature));
+  if (holder) {
+    throw conflict(`This evaluation is already stored with proposal ${holder.id}`, { proposalId: holder.id });
+  }
+  return receipts.toStoredEvaluation(evaluation);
+}
+
+/**
+ * Applies the verdict of an evaluation to a record in the evaluating state
+ * An approval the treasury cannot fund is recorded as a rejection instead.
+ * @param {Object} record - Proposal record (modified in place)
+ * @param {Object} evaluation - Evaluation result
+ */
+function applyEvaluation(record, evaluation) {
+  const funding = evaluation.approved === true ? treasury.checkFunding(record.details) : null;
+  if (funding && !funding.fundable) {
+    lifecycle.applyTransition(record, 'rejected', { actor: lifecycle.SYSTEM_ACTOR, reason: funding.reason });
+  } else {
+    lifecycle.applyVerdict(record, evaluation);
+    settleTreasury(record, 'evaluating');
+  }
+
+  // Token holders vote on every verdict
+  if (record.status !== 'evaluating') {
+    voting.openVoting(record);
+  }
+}
+
+/**
+ * Walks a record through submission and evaluation to the verdict of its evaluation
+ * @param {Object} record - Proposal record (modified in place)
+ * @param {Object} evaluation - Evaluation result
+ * @param {string} actor - Who submitted the proposal
+ * @param {string} reason - Why it was submitted
+ */
+function recordEvaluation(record, evaluation, actor, reason) {
+  lifecycle.applyTransition(record, 'submitted', { actor, reason });
+  lifecycle.applyTransition(record, 'evaluating', { actor: lifecycle.SYSTEM_ACTOR, reason: 'Evaluation started' });
+  applyEvaluation(record, evaluation);
+}
+
+/**
+ * Stores a new proposal with its evaluation
+ * Only evaluations signed by this instance are accepted, each once.
+ * The record is created as a draft and walked through submission and evaluation,
+ * ending in the approved or rejected state (with voting open) when the evaluation carries a verdict.
+ * @param {Object} data - Proposal data
+ * @param {string} data.text - Proposal text
+ * @param {Object|null} data.details - Structured proposal fields, if any
+ * @param {Object} data.evaluation - Full evaluation result
+ * @param {string} data.requester - Who submitted the proposal
+ * @returns {Promise<Object>} Stored proposal record
+ */
+async function createProposal({ text, details = null, evaluation: submitted, requester }) {
+  const evaluation = await assertStorableEvaluation({ text, details, evaluation: submitted });
+
+  const now = new Date().toISOString();
+  const submittedBy = requester || 'anonymous';
+
+  const record = {
+    id: uuidv4(),
+    text,
+    details,
+    evaluation,
+    requester: submittedBy,
+    status: 'draft',
+    transitions: [],
+    revisions: [revisions.buildRevision(1, { text, details, evaluation, requester: submittedBy })],
+    createdAt: now,
+    updatedAt: now,
+    evaluatedAt: evaluation.timestamp || now
+  };
+
+  recordEvaluation(record, evaluation, submittedBy, 'Proposal submitted for evaluation');
+
+  const stored = await writeSettled(null, record, created => getBackend().insert(created));
+  auditChanges(null, stored);
+  return stored;
+}
+
+/**
+ * Stores a revised version of an existing proposal with its evaluation
+ * @param {string} id - Proposal ID
+ * @param {Object} data - Revision data
+ * @param {string} data.text - Revised proposal text
+ * @param {Object|null} data.details - Revised structured fields, if any
+ * @param {Object} data.evaluation - Evaluation of the revised text, signed by this instance
+ * @param {string} data.requester - Who submitted the revision
+ * @returns {Promise<Object>} Updated proposal record
+ */
+async function addRevision(id, { text, details = null, evaluation: submitted, requester }) {
+  const evaluation = await assertStorableEvaluation({ text, details, evaluation: submitted });
+  const submittedBy = requester || 'anonymous';
+
+  return updateProposal(id, record => {
+    revisions.assertRevisable(record);
+    const revision = revisions.appendRevision(record, { text, details, evaluation, requester: submittedBy });
+    recordEvaluation(record, evaluation, submittedBy, `Revision ${revision.number} submitted for evaluation`);
+    return record;
+  });
+}
+
+/**
+ * Records an appeal of a rejected proposal and the verdict of its re-evaluation
+ * @param {string} id - Proposal ID
+ * @param {Object} data - Appeal data
+ * @param {string} data.rebuttal - Proposer's counterarguments
+ * @param {string} data.appellant - Who filed the appeal
+ * @param {Object} data.evaluation - Evaluation of the appeal, signed by this instance
+ * @returns {Promise<Object>} Updated proposal record
+ */
+async function recordAppeal(id, { rebuttal, appellant, evaluation: submitted }) {
+  const filedBy = appellant || 'anonymous';
+  const current = await getProposal(id);
+  const evaluation = await assertStorableEvaluation({ text: current.text, details: current.details || null, evaluation: submitted });
+
+  return updateProposal(id, record => {
+    appeals.assertAppealable(record);
+
+    const previous = record.evaluation;
+    const number = appeals.getAppeals(record).length + 1;
+
+    lifecycle.applyTransition(record, 'appealed', { actor: filedBy, reason: `Appeal ${number}: ${rebuttal.slice(0, 140)}` });
+    lifecycle.applyTransition(record, 'evaluating', { actor: lifecycle.SYSTEM_ACTOR, reason: `Appeal ${number} re-evaluation started` });
+    record.evaluation = evaluation;
+    record.evaluatedAt = evaluation.timestamp || new Date().toISOString();
+    applyEvaluation(record, evaluation);
+
+    appeals.appendAppeal(record, { rebuttal, appellant: filedBy, previous, evaluation });
+    return record;
+  });
+}
+
+/**
+ * Gets a stored proposal
+ * @param {string} id - Proposal ID
+ * @returns {Promise<Object>} Proposal record
+ */
+async function getProposal(id) {
+  const record = await getBackend().get(id);
+  if (!record) {
+    throw notFound(`Proposal ${id} not found`);
+  }
+  return record;
+}
+
+/**
+ * Updates a stored proposal
+ * @param {string} id - Proposal ID
+ * @param {Function} mutate - Receives a copy of the record and returns the updated record
+ * @returns {Promise<Object>} Updated proposal record
+ */
+async function updateProposal(id, mutate) {
+  const current = await getProposal(id);
+  const updated = mutate(JSON.parse(JSON.stringify(current)));
+
+  updated.id = current.id;
+  updated.createdAt = current.createdAt;
+  updated.updatedAt = new Date().toISOString();
+
+  const stored = await writeSettled(current, updated, changed => getBackend().replace(changed));
+  auditChanges(current, stored);
+  return stored;
+}
+
+/**
+ * Records a token-weighted vote on a stored proposal
+ * @param {string} id - Proposal ID
+ * @param {string} voter - Voter identifier
+ * @param {string} choice - yes, no or abstain
+ * @returns {Promise<Object>} Updated proposal record
+ */
+async function castVote(id, voter, choice) {
+  return updateProposal(id, record => {
+    voting.castVote(record, voter, choice);
+    return record;
+  });
+}
+
+/**
+ * Moves a stored proposal to a new lifecycle state
+ * Resubmissions and appeals are refused here: they go through addRevision and recordAppeal, which evaluate the proposal.
+ * @param {string} id - Proposal ID
+ * @param {string} to - Target state
+ * @param {Object} meta - Who performed the transition and why
+ * @returns {Promise<Object>} Updated proposal record
+ */
+async function transitionProposal(id, to, meta) {
+  return updateProposal(id, record => {
+    const from = record.status;
+    if (lifecycle.isEvaluationTransition(from, to)) {
+      throw conflict(`A proposal moves from "${from}" to "${to}" only with a new revision or an appeal, which evaluate it again`, { from, to });
+    }
+    if (to === 'approved' && lifecycle.canTransition(from, to)) {
+      treasury.assertFundable(record.details);
+    }
+    lifecycle.applyTransition(record, to, meta);
+    settleTreasury(record, from);
+    return record;
+  });
+}
+
+/**
+ * Gets every stored proposal
+ * @returns {Promise<Array>} Proposal records
+ */
+async function getAllProposals() {
+  return getBackend().all();
+}
+
+/**
+ * Parses an optional score bound (accepts 0-1 or 0-100)
+ * @param {string} value - Raw query value
+ * @param {string} name - Parameter name for error messages
+ * @returns {number|null} Score as a fraction or null
+ */
+function parseScore(value, name) {
+  if (value === undefined || value === '') return null;
+
+  const score = Number(value);
+  if (Number.isNaN(score) || score < 0 || score > 100) {
+    throw badRequest(`${name} must be a number between 0 and 1 (or 0 and 100)`);
+  }
+  return score > 1 ? score / 100 : score;
+}
+
+/**
+ * Validates history query parameters
+ * @param {Object} params - Raw query parameters
+ * @returns {Object} Normalized query
+ */
+function normalizeQuery(params = {}) {
+  const { defaultPageSize, maxPageSize } = config.storage;
+
+  const page = params.page === undefined ? 1 : parseInt(params.page, 10);
+  const limit = params.limit === undefined ? defaultPageSize : parseInt(params.limit, 10);
+
+  if (!Number.isInteger(page) || page < 1) {
+    throw badRequest('page must be a positive integer');
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxPageSize) {
+    throw badRequest(`limit must be between 1 and ${maxPageSize}`);
+  }
+
+  const sortBy = params.sort || 'createdAt';
+  if (!SORT_FIELDS.includes(sortBy)) {
+    throw badRequest(`sort must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+
+  const order = (params.order || 'desc').toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    throw badRequest('order must be "asc" or "desc"');
+  }
+
+  const statuses = params.status
+    ? String(params.status).split(',').map(status => status.trim()).filter(Boolean)
+    : [];
+
+  return {
+    page,
+    limit,
+    offset: (page - 1) * limit,
+    sortBy,
+    order,
+    statuses,
+    minScore: parseScore(params.minScore, 'minScore'),
+    maxScore: parseScore(params.maxScore, 'maxScore')
+  };
+}
+
+/**
+ * Lists stored proposals
+ * @param {Object} params - Raw query parameters (page, limit, status, minScore, maxScore, sort, order)
+ * @returns {Promise<Object>} Page of proposals with pagination details
+ */
+async function listProposals(params) {
+  const query = normalizeQuery(params);
+  const { items, total } = await getBackend().query(query);
+
+  return {
+    items,
+    pagination: {
+      page: query.page,
+      limit: query.limit,
+      total,
+      pages: Math.ceil(total / query.limit)
+    }
+  };
+}
+
+module.exports = {
+  createProposal,
+  addRevision,
+  recordAppeal,
+  getProposal,
+  updateProposal,
+  transitionProposal,
+  castVote,
+  getAllProposals,
+  listProposals
+};
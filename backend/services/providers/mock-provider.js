@@ -0,0 +1,160 @@
+/**
+ * Mock LLM Provider for Aikira Terminal
+ * Deterministic, offline stand-in for development and tests: the same prompt always gets the same reply
+ */
+
+const crypto = require('crypto');
+
+const { createRubricScorer } = require('../../utils/rubric-scorer');
+
+// Characters per streamed chunk
+const STREAM_CHUNK_SIZE = 12;
+
+// Words that push the mock's scores up or down, per metric
+const SIGNALS = createRubricScorer({
+  metrics: {
+    fairness: [
+      { source: 'text', weight: 6, terms: ['fair', 'equal*', 'community', 'transparent*'] },
+      { source: 'text', weight: -15, terms: ['insider*', 'exclusive*', 'unfair*'] }
+    ],
+    value: [
+      { source: 'text', weight: 6, terms: ['benefit*', 'growth', 'revenue', 'milestone*'] },
+      { source: 'text', weight: -15, terms: ['waste*', 'unclear', 'speculative'] }
+    ],
+    protection: [
+      { source: 'text', weight: 6, terms: ['audit', 'audited', 'secure*', 'multisig', 'refund*'] },
+      { source: 'text', weight: -15, terms: ['drain*', 'rug', 'bypass*', 'unaudited'] }
+    ]
+  }
+});
+
+/**
+ * Derives a stable number from text
+ * @param {string} text - Input text
+ * @param {string} salt - Distinguishes numbers drawn from the same text
+ * @returns {number} Integer between 0 and 65535
+ */
+function seed(text, salt) {
+  return crypto.createHash('sha256').update(`${salt}:${text}`).digest().readUInt16BE(0);
+}
+
+/**
+ * Scores a proposal from its wording
+ * @param {string} text - Proposal text (and any follow-up)
+ * @param {string} seat - Council seat asking (empty outside council mode), so seats can disagree
+ * @returns {Object} { scores (0-100 per metric), evidence (the signal words that moved them) }
+ */
+function scoreText(text, seat = '') {
+  const { adjustments, breakdown } = SIGNALS.score({ text });
+
+  return {
+    scores: Object.fromEntries(Object.entries(adjustments).map(([metric, adjustment]) => {
+      const score = 60 + (seed(text, `${seat}${metric}`) % 15) + adjustment;
+      return [metric, Math.max(0, Math.min(100, score))];
+    })),
+    evidence: breakdown.slice(0, 8).map(item => ({
+      metric: item.metric,
+      polarity: item.contribution > 0 ? 'positive' : 'negative',
+      quote: item.match
+    }))
+  };
+}
+
+/**
+ * Builds the scoring object the evaluation prompt asks for
+ * @param {string} text - Text being evaluated
+ * @param {string} systemPrompt - System prompt, read for the commandment numerals and council seat
+ * @returns {Object} Scoring object
+ */
+function buildScoring(text, systemPrompt) {
+  const seat = systemPrompt.match(/^Council seat: (.+)$/m)?.[1] || '';
+  const { scores, evidence } = scoreText(text, seat);
+  const average = (scores.fairness + scores.value + scores.protection) / 3;
+  const verdict = average >= 70 ? 'approve' : 'reject';
+  const numerals = Array.from(systemPrompt.matchAll(/^ ([IVXLC]+)\. /gm), match => match[1]);
+
+  return {
+    response: `[mock] ${verdict === 'approve' ? 'Approved' : 'Rejected'} at ${Math.round(average)}% overall — fairness ${scores.fairness}%, value ${scores.value}%, protection ${scores.protection}%.`,
+    scores,
+    rationale: {
+      fairness: `Mock fairness score of ${scores.fairness}.`,
+      value: `Mock value score of ${scores.value}.`,
+      protection: `Mock protection score of ${scores.protection}.`
+    },
+    commandments: Object.fromEntries(numerals.map(numeral => [numeral, {
+      status: scores.protection < 50 && (numeral === 'I' || numeral === 'VII') ? 'conflicts' : 'neutral',
+      reason: `Mock assessment of commandment ${numeral}.`
+    }])),
+    evidence,
+    verdict
+  };
+}
+
+/**
+ * Creates the mock provider
+ * @returns {Object} Provider
+ */
+function createMockProvider() {
+  return {
+    name: 'mock',
+    requiresKey: false,
+
+    /**
+     * The mock needs no configuration
+     * @returns {boolean} Always true
+     */
+    isConfigured() {
+      return true;
+    },
+
+    /**
+     * Produces a deterministic completion from the request's messages
+     * @param {Object} request - Completion request
+     * @param {string} request.model - Model name (echoed back)
+     * @param {Array<Object>} request.messages - Chat messages
+     * @param {boolean} request.json - Whether a JSON object is expected
+     * @returns {Promise<Object>} { content, model, usage }
+     */
+    async complete({ model, messages, json = false }) {
+      const system = messages.find(message => message.role === 'system')?.content || '';
+      const text = messages.filter(message => message.role === 'user').map(message => message.content).join('\n');
+      const scoring = buildScoring(text, system);
+      const content = json ? JSON.stringify(scoring) : scoring.response;
+
+      // Rough token counts (about four characters per token) so usage reporting has numbers
+      const promptTokens = Math.ceil(messages.reduce((sum, message) => sum + message.content.length, 0) / 4);
+      const completionTokens = Math.ceil(content.length / 4);
+
+      return {
+        content,
+        model: model || 'mock',
+        usage: {
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          total_tokens: promptTokens + completionTokens
+        }
+      };
+    },
+
+    /**
+     * Streams the same completion in fixed-size chunks
+     * @param {Object} request - Completion request (as for complete)
+     * @param {Function} onDelta - Called with each chunk
+     * @returns {Promise<Object>} { content, model, usage }
+     */
+    async stream(request, onDelta) {
+      const result = await this.complete(request);
+      for (let index = 0; index < result.content.length; index += STREAM_CHUNK_SIZE) {
+        if (request.signal?.aborted) break;
+        onDelta(result.content.slice(index, index + STREAM_CHUNK_SIZE));
+        // Yield between chunks so they reach the client separately
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      return result;
+    }
+  };
+}
+
+module.exports = {
+  createMockProvider
+};
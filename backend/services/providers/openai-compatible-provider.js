@@ -0,0 +1,135 @@
+/**
+ * OpenAI-Compatible LLM Provider for Aikira Terminal
+ * Talks to any server exposing /chat/completions, such as a local llama.cpp or Ollama instance
+ */
+
+const axios = require('axios');
+
+/**
+ * Creates a provider for an OpenAI-compatible chat completions API
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Provider name reported with results
+ * @param {string} options.baseUrl - API base URL, e.g. http://localhost:11434/v1
+ * @param {string} options.apiKey - API key (optional for most local servers)
+ * @param {boolean} options.requiresKey - Whether requests fail without an API key
+ * @param {boolean} options.jsonMode - Whether the server accepts response_format json_object
+ * @param {boolean} options.streamUsage - Whether to ask for token usage at the end of a stream
+ * @param {number} options.timeoutMs - Request timeout
+ * @returns {Object} Provider
+ */
+function createOpenAiCompatibleProvider({ name = 'openai-compatible', baseUrl, apiKey, requiresKey = false, jsonMode = true, streamUsage = false, timeoutMs }) {
+  if (!baseUrl) {
+    throw new Error(`Provider "${name}" needs a base URL`);
+  }
+
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  /**
+   * Builds the request body and headers shared by plain and streamed completions
+   * @param {Object} request - Completion request
+   * @returns {Object} { body, headers }
+   */
+  function buildRequest({ model, messages, temperature, maxTokens, json = false }) {
+    if (requiresKey && !apiKey) {
+      throw new Error(`API key for provider "${name}" not configured. Please add it to the .env file.`);
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    return {
+      headers,
+      body: {
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        ...(json && jsonMode ? { response_format: { type: 'json_object' } } : {})
+      }
+    };
+  }
+
+  return {
+    name,
+    requiresKey,
+
+    /**
+     * Checks whether the provider can make requests
+     * @returns {boolean} Whether a required API key is present
+     */
+    isConfigured() {
+      return !requiresKey || Boolean(apiKey);
+    },
+
+    /**
+     * Requests a chat completion
+     * @param {Object} request - Completion request
+     * @param {string} request.model - Model name
+     * @param {Array<Object>} request.messages - Chat messages
+     * @param {number} request.temperature - Sampling temperature
+     * @param {number} request.maxTokens - Maximum tokens to generate
+     * @param {boolean} request.json - Ask for a JSON object response
+     * @param {AbortSignal} request.signal - Cancels the request (optional)
+     * @returns {Promise<Object>} { content, model, usage }
+     */
+    async complete(request) {
+      const { body, headers } = buildRequest(request);
+      const response = await axios.post(endpoint, body, { headers, timeout: timeoutMs, signal: request.signal });
+
+      return {
+        content: response.data.choices[0].message.content,
+        model: response.data.model || request.model,
+        usage: response.data.usage || null
+      };
+    },
+
+    /**
+     * Requests a chat completion streamed as server-sent events
+     * @param {Object} request - Completion request (as for complete)
+     * @param {Function} onDelta - Called with each piece of content as it arrives
+     * @returns {Promise<Object>} { content, model, usage } once the stream ends
+     */
+    async stream(request, onDelta) {
+      const { body, headers } = buildRequest(request);
+      const response = await axios.post(
+        endpoint,
+        { ...body, stream: true, ...(streamUsage ? { stream_options: { include_usage: true } } : {}) },
+        { headers, timeout: timeoutMs, signal: request.signal, responseType: 'stream' }
+      );
+
+      let content = '';
+      let model = request.model;
+      let usage = null;
+      let pending = '';
+
+      for await (const chunk of response.data) {
+        pending += chunk.toString('utf8');
+        const lines = pending.split('\n');
+        pending = lines.pop();
+
+        for (const line of lines) {
+          const data = line.trim().startsWith('data:') ? line.trim().slice(5).trim() : null;
+          if (!data || data === '[DONE]') continue;
+
+          const event = JSON.parse(data);
+          model = event.model || model;
+          usage = event.usage || usage;
+
+          const delta = event.choices?.[0]?.delta?.content;
+          if (delta) {
+            content += delta;
+            onDelta(delta);
+          }
+        }
+      }
+
+      return { content, model, usage };
+    }
+  };
+}
+
+module.exports = {
+  createOpenAiCompatibleProvider
+};
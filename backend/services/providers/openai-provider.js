@@ -0,0 +1,30 @@
+/**
+ * OpenAI LLM Provider for Aikira Terminal
+ * Chat completions from api.openai.com; requires OPENAI_API_KEY
+ */
+
+const { createOpenAiCompatibleProvider } = require('./openai-compatible-provider');
+
+/**
+ * Creates the OpenAI provider
+ * @param {Object} options - Provider options
+ * @param {string} options.baseUrl - API base URL
+ * @param {string} options.apiKey - OpenAI API key
+ * @param {number} options.timeoutMs - Request timeout
+ * @returns {Object} Provider
+ */
+function createOpenAiProvider({ baseUrl, apiKey, timeoutMs }) {
+  return createOpenAiCompatibleProvider({
+    name: 'openai',
+    baseUrl,
+    apiKey,
+    requiresKey: true,
+    jsonMode: true,
+    streamUsage: true,
+    timeoutMs
+  });
+}
+
+module.exports = {
+  createOpenAiProvider
+};
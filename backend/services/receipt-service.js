@@ -0,0 +1,253 @@
+/**
+ * Receipt Service for Aikira Terminal
+ * Signs decision receipts with the instance's Ed25519 key so anyone can verify them offline
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const config = require('../config');
+const { badRequest, forbidden } = require('../utils/error-handler');
+const { canonicalize } = require('../utils/canonical-json');
+const { ensureDir } = require('../utils/json-file');
+
+const ALGORITHM = 'Ed25519';
+const RECEIPT_VERSION = 2;
+
+// Evaluation fields a receipt shows in its payload, besides the proposal hash
+const SIGNED_FIELDS = ['response', 'scores', 'approved', 'timestamp'];
+
+// Every evaluation field stored with a proposal; the receipt signs their hash, and the store keeps nothing else
+const STORED_FIELDS = [
+  ...SIGNED_FIELDS,
+  'verdict',
+  'rationale',
+  'commandments',
+  'evidence',
+  'scoring',
+  'consensusIndex',
+  'council',
+  'guard',
+  'treasury',
+  'persona'
+];
+
+let signingKey = null;
+
+/**
+ * Loads the signing key on first use
+ * The key comes from RECEIPT_SIGNING_KEY (PKCS#8 PEM) or the key file in the data directory,
+ * which is generated the first time the server signs a receipt.
+ * @returns {Object} Private key, public key and key ID
+ */
+function getSigningKey() {
+  if (signingKey) {
+    return signingKey;
+  }
+
+  let privateKey;
+  const keyPath = path.join(config.storage.dataDir, config.receipts.keyFile);
+
+  if (config.receipts.privateKey) {
+    privateKey = crypto.createPrivateKey(config.receipts.privateKey.replace(/\\n/g, '\n'));
+  } else if (fs.existsSync(keyPath)) {
+    privateKey = crypto.createPrivateKey(fs.readFileSync(keyPath, 'utf8'));
+  } else {
+    privateKey = crypto.generateKeyPairSync('ed25519').privateKey;
+    ensureDir(keyPath);
+    fs.writeFileSync(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+    console.log(`Generated receipt signing key at ${keyPath}`);
+  }
+
+  if (privateKey.asymmetricKeyType !== 'ed25519') {
+    throw new Error('Receipt signing key must be an Ed25519 key');
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  const der = publicKey.export({ type: 'spki', format: 'der' });
+
+  signingKey = {
+    privateKey,
+    publicKey,
+    keyId: crypto.createHash('sha256').update(der).digest('hex').slice(0, 16)
+  };
+  return signingKey;
+}
+
+/**
+ * Describes the public key for clients
+ * @returns {Object} Algorithm, key ID and the key as PEM and JWK
+ */
+function getPublicKeyInfo() {
+  const { publicKey, keyId } = getSigningKey();
+  return {
+    algorithm: ALGORITHM,
+    keyId,
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    jwk: publicKey.export({ format: 'jwk' })
+  };
+}
+
+/**
+ * Hashes a proposal the way receipts reference it
+ * @param {string} text - Proposal text
+ * @param {Object|null} details - Structured proposal fields, if any
+ * @returns {string} Hex-encoded SHA-256 hash of the canonical proposal
+ */
+function hashProposal(text, details = null) {
+  return crypto.createHash('sha256').update(canonicalize({ text, details: details || null })).digest('hex');
+}
+
+/**
+ * Reduces an evaluation to the fields stored with a proposal (missing fields become null)
+ * @param {Object} evaluation - Evaluation result
+ * @returns {Object} Stored evaluation fields
+ */
+function pickStoredFields(evaluation) {
+  return Object.fromEntries(STORED_FIELDS.map(field => [field, evaluation[field] ?? null]));
+}
+
+/**
+ * Hashes the evaluation fields stored with a proposal
+ * @param {Object} evaluation - Evaluation result
+ * @returns {string} Hex-encoded SHA-256 hash of the canonical stored fields
+ */
+function hashEvaluation(evaluation) {
+  return crypto.createHash('sha256').update(canonicalize(pickStoredFields(evaluation))).digest('hex');
+}
+
+/**
+ * Issues a signed receipt for an evaluation
+ * A result reused from a near-duplicate proposal is not signed: no evaluation of this proposal took place
+ * @param {Object} data - Decision data
+ * @param {string} data.text - Proposal text
+ * @param {Object|null} data.details - Structured proposal fields, if any
+ * @param {Object} data.evaluation - Evaluation result
+ * @returns {Object|null} Receipt with its payload and signature, or null for a reused result
+ */
+function issueReceipt({ text, details = null, evaluation }) {
+  if (evaluation.duplicates?.reusedFrom) {
+    return null;
+  }
+
+  const { privateKey, keyId } = getSigningKey();
+
+  const payload = {
+    version: RECEIPT_VERSION,
+    keyId,
+    proposalHash: hashProposal(text, details),
+    response: evaluation.response,
+    scores: evaluation.scores,
+    approved: evaluation.approved,
+    timestamp: evaluation.timestamp,
+    evaluationHash: hashEvaluation(evaluation)
+  };
+
+  return {
+    algorithm: ALGORITHM,
+    payload,
+    signature: crypto.sign(null, Buffer.from(canonicalize(payload)), privateKey).toString('base64')
+  };
+}
+
+/**
+ * Verifies a receipt against this instance's key and, optionally, the proposal it covers
+ * @param {Object} receipt - Receipt as issued
+ * @param {Object} proposal - Proposal to match against the receipt (optional)
+ * @param {string} proposal.text - Proposal text
+ * @param {Object|null} proposal.details - Structured proposal fields, if any
+ * @returns {Object} Verification result
+ */
+function verifyReceipt(receipt, proposal = null) {
+  if (!receipt || typeof receipt !== 'object' || !receipt.payload || typeof receipt.signature !== 'string') {
+    throw badRequest('receipt must be an object with a payload and a signature');
+  }
+
+  const { publicKey, keyId } = getSigningKey();
+  const result = {
+    valid: false,
+    keyId: receipt.payload.keyId || null,
+    reason: null
+  };
+
+  if (receipt.algorithm !== ALGORITHM) {
+    result.reason = `Unsupported algorithm "${receipt.algorithm}"`;
+    return result;
+  }
+  if (receipt.payload.keyId !== keyId) {
+    result.reason = 'Receipt was signed with a different key';
+    return result;
+  }
+
+  const signed = crypto.verify(
+    null,
+    Buffer.from(canonicalize(receipt.payload)),
+    publicKey,
+    Buffer.from(receipt.signature, 'base64')
+  );
+  if (!signed) {
+    result.reason = 'Signature does not match the receipt content';
+    return result;
+  }
+
+  if (proposal && typeof proposal.text === 'string') {
+    result.proposalMatches = hashProposal(proposal.text, proposal.details) === receipt.payload.proposalHash;
+    if (!result.proposalMatches) {
+      result.reason = 'Receipt does not cover this proposal';
+      return result;
+    }
+  }
+
+  result.valid = true;
+  return result;
+}
+
+/**
+ * Ensures an evaluation was produced by this instance: its receipt must verify, cover the
+ * proposal and sign every evaluation field that is stored (verdict, rationale, commandments, guard findings...)
+ * @param {Object} data - Evaluated proposal
+ * @param {string} data.text - Proposal text
+ * @param {Object|null} data.details - Structured proposal fields, if any
+ * @param {Object} data.evaluation - Evaluation result with its receipt
+ * @throws {ApiError} 400 without a receipt, 403 when the receipt does not check out
+ */
+function assertSignedEvaluation({ text, details = null, evaluation }) {
+  if (evaluation?.duplicates?.reusedFrom) {
+    throw badRequest(`The evaluation was reused from proposal ${evaluation.duplicates.reusedFrom} and cannot be stored; evaluate again with "bypassCache": true`);
+  }
+  if (!evaluation || typeof evaluation !== 'object' || !evaluation.receipt) {
+    throw badRequest('The evaluation must carry the receipt this server signed for it');
+  }
+
+  const verification = verifyReceipt(evaluation.receipt, { text, details });
+  if (!verification.valid) {
+    throw forbidden(`Evaluation receipt rejected: ${verification.reason}`);
+  }
+
+  const signed = evaluation.receipt.payload;
+  const altered = SIGNED_FIELDS.filter(field => canonicalize(evaluation[field] ?? null) !== canonicalize(signed[field] ?? null));
+  if (altered.length > 0 || hashEvaluation(evaluation) !== signed.evaluationHash) {
+    throw forbidden('Evaluation does not match its receipt', { fields: altered });
+  }
+}
+
+/**
+ * Gets the part of a signed evaluation that is stored: the fields its receipt covers and the receipt
+ * Anything else the client sent along with it is dropped.
+ * @param {Object} evaluation - Evaluation that passed assertSignedEvaluation
+ * @returns {Object} Evaluation to store
+ */
+function toStoredEvaluation(evaluation) {
+  return { ...pickStoredFields(evaluation), receipt: evaluation.receipt };
+}
+
+module.exports = {
+  ALGORITHM,
+  getPublicKeyInfo,
+  hashProposal,
+  issueReceipt,
+  verifyReceipt,
+  assertSignedEvaluation,
+  toStoredEvaluation
+};
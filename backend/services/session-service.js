@@ -0,0 +1,343 @@
+/**
+ * Session Service for Aikira Terminal
+ * Keeps multi-turn conversations: the full transcript of each session, plus the part of it
+ * (a running summary and the latest turns) that fits the token budget sent to the model
+ */
+
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const config = require('../config');
+const llmService = require('./llm-service');
+const usageLedger = require('./usage-ledger');
+const { badRequest, forbidden, notFound } = require('../utils/error-handler');
+const { readJson, writeJson } = require('../utils/json-file');
+const { formatProposalForPrompt } = require('../utils/proposal-schema');
+
+const TRIM_STRATEGIES = ['summarize', 'drop'];
+
+const SUMMARY_INSTRUCTIONS = [
+  'You maintain the memory of a governance conversation with Aikira.',
+  'Merge the earlier summary (if any) and the turns below into one short summary in plain prose.',
+  'Keep every proposal discussed, its amounts, Aikira\'s verdicts and scores, and anything the user asked to change.',
+  'Reply with the summary only.'
+].join(' ');
+
+let state = null;
+
+/**
+ * Gets the path of the sessions file
+ * @returns {string} Sessions file path
+ */
+function getSessionsPath() {
+  return path.join(config.storage.dataDir, config.sessions.file);
+}
+
+/**
+ * Loads the sessions on first use
+ * @returns {Object} Sessions state
+ */
+function getState() {
+  if (!state) {
+    state = readJson(getSessionsPath(), { sessions: {} });
+  }
+  return state;
+}
+
+/**
+ * Persists the sessions
+ */
+function persist() {
+  writeJson(getSessionsPath(), getState());
+}
+
+/**
+ * Estimates the tokens in a piece of text (about four characters per token)
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Turns a stored turn into the chat messages that represent it
+ * @param {Object} turn - Session turn
+ * @returns {Array<Object>} User and assistant messages
+ */
+function toMessages(turn) {
+  return [
+    { role: 'user', content: formatProposalForPrompt(turn.text, turn.details) },
+    { role: 'assistant', content: turn.response }
+  ];
+}
+
+/**
+ * Estimates the tokens a session's context costs
+ * @param {Object} session - Session record
+ * @returns {number} Estimated tokens of the summary and the turns still in context
+ */
+function countContextTokens(session) {
+  return estimateTokens(session.summary) + session.turns
+    .slice(session.contextStart)
+    .reduce((sum, turn) => sum + turn.tokens, 0);
+}
+
+/**
+ * Looks up a session
+ * @param {string} id - Session ID
+ * @returns {Object} Session record
+ */
+function findSession(id) {
+  const session = getState().sessions[id];
+  if (!session) {
+    throw notFound(`Session ${id} not found`);
+  }
+  return session;
+}
+
+/**
+ * Looks up a session on behalf of a requester
+ * A session started without a user token has no owner and is reachable by anyone holding its ID
+ * @param {string} id - Session ID
+ * @param {Object} access - Who is asking
+ * @param {string|null} access.owner - Authenticated user ID, or null
+ * @param {boolean} access.admin - Whether the request carries the admin token
+ * @returns {Object} Session record
+ */
+function authorizeSession(id, { owner = null, admin = false } = {}) {
+  const session = findSession(id);
+  if (!admin && session.owner && session.owner !== owner) {
+    throw forbidden(`Session ${id} belongs to another user`);
+  }
+  return session;
+}
+
+/**
+ * Reduces a session to the fields shown in listings
+ * @param {Object} session - Session record
+ * @returns {Object} Session summary
+ */
+function toListing(session) {
+  return {
+    id: session.id,
+    title: session.title,
+    owner: session.owner || null,
+    turns: session.turns.length,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt
+  };
+}
+
+/**
+ * Describes how much of a session the model sees
+ * @param {Object} session - Session record
+ * @returns {Object} Context usage
+ */
+function describeContext(session) {
+  return {
+    tokenBudget: config.sessions.tokenBudget,
+    tokens: countContextTokens(session),
+    turnsInContext: session.turns.length - session.contextStart,
+    trimmedTurns: session.contextStart,
+    summarized: Boolean(session.summary)
+  };
+}
+
+/**
+ * Starts a session
+ * @param {Object} options - Session options
+ * @param {string} options.title - Session title (defaults to the first message)
+ * @param {string|null} options.owner - Authenticated user who starts it (null for an anonymous session)
+ * @returns {Object} The new session
+ */
+function createSession({ title = null, owner = null } = {}) {
+  if (title !== null && typeof title !== 'string') {
+    throw badRequest('Session title must be a string');
+  }
+
+  const now = new Date().toISOString();
+  const session = {
+    id: uuidv4(),
+    title: title ? title.trim().slice(0, 120) : null,
+    owner,
+    createdAt: now,
+    updatedAt: now,
+    summary: null,
+    contextStart: 0, // Index of the first turn still sent to the model
+    turns: []
+  };
+
+  getState().sessions[session.id] = session;
+  persist();
+  return session;
+}
+
+/**
+ * Gets a session with its full transcript
+ * @param {string} id - Session ID
+ * @param {Object} access - Who is asking (see authorizeSession)
+ * @returns {Object} Session with its context usage
+ */
+function getSession(id, access) {
+  const session = authorizeSession(id, access);
+  return { ...session, context: describeContext(session) };
+}
+
+/**
+ * Lists sessions, most recently active first: the requester's own, or every session for an admin
+ * @param {Object} query - Query parameters
+ * @param {number} query.limit - Maximum number of sessions
+ * @param {Object} access - Who is asking (see authorizeSession)
+ * @returns {Array<Object>} Session listings
+ */
+function listSessions({ limit } = {}, { owner = null, admin = false } = {}) {
+  const { defaultLimit, maxLimit } = config.sessions;
+  const size = Math.min(Math.max(parseInt(limit) || defaultLimit, 1), maxLimit);
+
+  return Object.values(getState().sessions)
+    .filter(session => admin || (owner !== null && session.owner === owner))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .slice(0, size)
+    .map(toListing);
+}
+
+/**
+ * Deletes a session
+ * @param {string} id - Session ID
+ * @param {Object} access - Who is asking (see authorizeSession)
+ */
+function deleteSession(id, access) {
+  authorizeSession(id, access);
+  delete getState().sessions[id];
+  persist();
+}
+
+/**
+ * Builds the history sent to the model ahead of a new message
+ * @param {string} id - Session ID
+ * @param {Object} access - Who is asking (see authorizeSession)
+ * @returns {Array<Object>} Summary and recent turns as chat messages
+ */
+function getHistory(id, access) {
+  const session = authorizeSession(id, access);
+  const messages = session.turns.slice(session.contextStart).flatMap(toMessages);
+
+  if (session.summary) {
+    messages.unshift({
+      role: 'system',
+      content: `Summary of the earlier conversation:\n${session.summary}`
+    });
+  }
+  return messages;
+}
+
+/**
+ * Asks the chat model to fold trimmed turns into the running summary
+ * Falls back to a plain digest of the turns when the provider fails
+ * @param {string|null} summary - Current summary
+ * @param {Array<Object>} turns - Turns leaving the context
+ * @param {Object} meter - Records the summary's usage
+ * @returns {Promise<string>} Updated summary
+ */
+async function summarizeTurns(summary, turns, meter) {
+  const transcript = turns
+    .map(turn => `User: ${formatProposalForPrompt(turn.text, turn.details)}\nAikira: ${turn.response}`)
+    .join('\n\n');
+
+  try {
+    const completion = await llmService.complete('chat', {
+      messages: [
+        { role: 'system', content: SUMMARY_INSTRUCTIONS },
+        { role: 'user', content: `${summary ? `Earlier summary:\n${summary}\n\n` : ''}Turns:\n${transcript}` }
+      ],
+      temperature: 0.2,
+      maxTokens: config.sessions.summaryMaxTokens
+    });
+    meter.record(completion);
+    if (completion.content && completion.content.trim()) {
+      return completion.content.trim();
+    }
+  } catch (error) {
+    console.warn('Session summary failed, keeping a plain digest:', error.message);
+  }
+
+  const digest = turns.map(turn => `User asked: ${turn.text.slice(0, 200)} Aikira answered: ${turn.response.slice(0, 200)}`);
+  return [summary, ...digest].filter(Boolean).join('\n');
+}
+
+/**
+ * Moves the oldest turns out of the context until it fits the token budget,
+ * always keeping the latest turn. A new summary can push the context back over
+ * the budget, so trimming repeats until it fits or only the latest turn is left
+ * @param {Object} session - Session record (modified in place)
+ * @param {Object} meter - Records the usage of any summaries
+ */
+async function enforceBudget(session, meter) {
+  const { tokenBudget, trimStrategy } = config.sessions;
+  if (!TRIM_STRATEGIES.includes(trimStrategy)) {
+    throw new Error(`Unknown session trim strategy "${trimStrategy}". Use one of: ${TRIM_STRATEGIES.join(', ')}.`);
+  }
+  const canTrim = () => countContextTokens(session) > tokenBudget && session.contextStart < session.turns.length - 1;
+  let moved = 0;
+
+  while (canTrim()) {
+    const trimmed = [];
+    while (canTrim()) {
+      trimmed.push(session.turns[session.contextStart]);
+      session.contextStart += 1;
+    }
+
+    if (trimStrategy === 'summarize') {
+      session.summary = await summarizeTurns(session.summary, trimmed, meter);
+    }
+    moved += trimmed.length;
+  }
+
+  if (moved > 0) {
+    console.log(`Session ${session.id}: ${moved} turn${moved === 1 ? '' : 's'} moved out of context (${trimStrategy})`);
+  }
+}
+
+/**
+ * Appends a completed exchange to a session and trims its context to the budget
+ * @param {string} id - Session ID
+ * @param {Object} turn - Exchange to record
+ * @param {string} turn.text - Proposal or message text
+ * @param {Object|null} turn.details - Structured proposal details
+ * @param {Object} turn.result - Evaluation result
+ * @param {Object} turn.meter - Usage meter of the request, charged for any summary (optional)
+ * @returns {Promise<Object>} The session's context usage after the turn
+ */
+async function recordTurn(id, { text, details = null, result, meter = usageLedger.createMeter({ route: 'chat', sessionId: id }) }) {
+  const session = findSession(id);
+  const turn = {
+    text,
+    details,
+    response: result.response,
+    scores: result.scores,
+    verdict: result.verdict,
+    approved: result.approved,
+    at: new Date().toISOString()
+  };
+  turn.tokens = estimateTokens(formatProposalForPrompt(text, details)) + estimateTokens(turn.response);
+
+  session.turns.push(turn);
+  session.title = session.title || (details?.title || text).slice(0, 120);
+  session.updatedAt = turn.at;
+
+  await enforceBudget(session, meter);
+  persist();
+  return describeContext(session);
+}
+
+module.exports = {
+  estimateTokens,
+  createSession,
+  authorizeSession,
+  getSession,
+  listSessions,
+  deleteSession,
+  getHistory,
+  recordTurn
+};
@@ -0,0 +1,82 @@
+/**
+ * Evaluation Cache Stores for Aikira Terminal
+ * Keep cached evaluations in memory, optionally persisted to a JSON file so they survive restarts
+ */
+
+const { readJson, writeJson } = require('../../utils/json-file');
+
+/**
+ * Creates an in-memory cache store
+ * Entries are kept in insertion order, so the oldest is evicted first once the store is full
+ * @param {number} maxEntries - Most entries kept
+ * @param {Function} onChange - Called with the entries after every change (optional)
+ * @param {Array<Object>} initial - Entries to start with (optional)
+ * @returns {Object} Cache store
+ */
+function createMemoryCacheStore(maxEntries, onChange = () => {}, initial = []) {
+  const entries = new Map(initial.map(entry => [entry.key, entry]));
+
+  return {
+    driver: 'memory',
+
+    get(key) {
+      return entries.get(key) || null;
+    },
+
+    /**
+     * Stores an entry, evicting the oldest ones beyond the size limit
+     * @param {Object} entry - Cache entry ({ key, result, storedAt, expiresAt })
+     * @returns {number} Number of entries evicted
+     */
+    set(entry) {
+      entries.delete(entry.key);
+      entries.set(entry.key, entry);
+
+      let evicted = 0;
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+        evicted++;
+      }
+      onChange(entries);
+      return evicted;
+    },
+
+    delete(key) {
+      if (entries.delete(key)) {
+        onChange(entries);
+      }
+    },
+
+    clear() {
+      const count = entries.size;
+      entries.clear();
+      onChange(entries);
+      return count;
+    },
+
+    size() {
+      return entries.size;
+    }
+  };
+}
+
+/**
+ * Creates a cache store persisted to a JSON file
+ * @param {string} filePath - Path to the JSON file
+ * @param {number} maxEntries - Most entries kept
+ * @returns {Object} Cache store
+ */
+function createFileCacheStore(filePath, maxEntries) {
+  const saved = readJson(filePath, { entries: [] });
+  const persist = entries => writeJson(filePath, { entries: Array.from(entries.values()) });
+
+  return {
+    ...createMemoryCacheStore(maxEntries, persist, saved.entries),
+    driver: 'file'
+  };
+}
+
+module.exports = {
+  createMemoryCacheStore,
+  createFileCacheStore
+};
@@ -0,0 +1,115 @@
+/**
+ * JSON Proposal Store for Aikira Terminal
+ * Keeps proposals in memory and persists them to a single JSON file
+ */
+
+const { readJson, writeJson } = require('../../utils/json-file');
+
+/**
+ * Gets the value a record is sorted by
+ * @param {Object} record - Stored proposal record
+ * @param {string} sortBy - Sort field (createdAt, updatedAt or score)
+ * @returns {string|number|null} Sort value
+ */
+function sortValue(record, sortBy) {
+  if (sortBy === 'score') {
+    return record.evaluation?.scores?.total ?? null;
+  }
+  return record[sortBy] || null;
+}
+
+/**
+ * Checks whether a record matches the query filters
+ * @param {Object} record - Stored proposal record
+ * @param {Object} query - Normalized query
+ * @returns {boolean} Whether the record matches
+ */
+function matchesQuery(record, query) {
+  if (query.statuses.length > 0 && !query.statuses.includes(record.status)) {
+    return false;
+  }
+
+  const score = record.evaluation?.scores?.total;
+  if (query.minScore !== null && !(score >= query.minScore)) {
+    return false;
+  }
+  if (query.maxScore !== null && !(score <= query.maxScore)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Creates a JSON file backed proposal store
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object} Store backend
+ */
+function createJsonStore(filePath) {
+  const records = new Map();
+  const saved = readJson(filePath, { proposals: [] });
+  saved.proposals.forEach(record => records.set(record.id, record));
+
+  const persist = () => {
+    writeJson(filePath, { proposals: Array.from(records.values()) });
+  };
+
+  return {
+    driver: 'json',
+
+    async insert(record) {
+      records.set(record.id, record);
+      try {
+        persist();
+      } catch (error) {
+        records.delete(record.id);
+        throw error;
+      }
+      return record;
+    },
+
+    async get(id) {
+      return records.get(id) || null;
+    },
+
+    async replace(record) {
+      const previous = records.get(record.id);
+      records.set(record.id, record);
+      try {
+        persist();
+      } catch (error) {
+        if (previous) records.set(record.id, previous);
+        else records.delete(record.id);
+        throw error;
+      }
+      return record;
+    },
+
+    async all() {
+      return Array.from(records.values());
+    },
+
+    async query(query) {
+      const direction = query.order === 'asc' ? 1 : -1;
+      const matches = Array.from(records.values())
+        .filter(record => matchesQuery(record, query))
+        .sort((a, b) => {
+          const left = sortValue(a, query.sortBy);
+          const right = sortValue(b, query.sortBy);
+          if (left === right) return 0;
+          if (left === null) return 1;
+          if (right === null) return -1;
+          return left < right ? -direction : direction;
+        });
+
+      return {
+        items: matches.slice(query.offset, query.offset + query.limit),
+        total: matches.length
+      };
+    }
+  };
+}
+
+module.exports = {
+  createJsonStore
+};
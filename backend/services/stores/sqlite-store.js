@@ -0,0 +1,142 @@
+/**
+ * SQLite Proposal Store for Aikira Terminal
+ * Persists proposals in an embedded SQLite database via better-sqlite3
+ */
+
+const { ensureDir } = require('../../utils/json-file');
+
+// Maps public sort fields to indexed columns
+const SORT_COLUMNS = {
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  score: 'score'
+};
+
+/**
+ * Loads the optional better-sqlite3 dependency
+ * @returns {Function} Database constructor
+ */
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error('SQLite storage requires the optional "better-sqlite3" package. Run npm install or set STORAGE_DRIVER=json.');
+  }
+}
+
+/**
+ * Converts a record to the column values stored alongside its JSON
+ * @param {Object} record - Proposal record
+ * @returns {Object} Row parameters
+ */
+function toRow(record) {
+  return {
+    id: record.id,
+    status: record.status,
+    score: record.evaluation?.scores?.total ?? null,
+    created_at: record.createdAt,
+    updated_at: record.updatedAt,
+    data: JSON.stringify(record)
+  };
+}
+
+/**
+ * Creates an SQLite backed proposal store
+ * @param {string} filePath - Path to the database file
+ * @returns {Object} Store backend
+ */
+function createSqliteStore(filePath) {
+  const Database = loadDriver();
+  ensureDir(filePath);
+
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS proposals (
+      id TEXT PRIMARY KEY,
+      status TEXT,
+      score REAL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_proposals_status ON proposals (status);
+    CREATE INDEX IF NOT EXISTS idx_proposals_created ON proposals (created_at);
+  `);
+
+  const insertStatement = db.prepare(`
+    INSERT INTO proposals (id, status, score, created_at, updated_at, data)
+    VALUES (@id, @status, @score, @created_at, @updated_at, @data)
+  `);
+  const replaceStatement = db.prepare(`
+    UPDATE proposals
+    SET status = @status, score = @score, updated_at = @updated_at, data = @data
+    WHERE id = @id
+  `);
+  const getStatement = db.prepare('SELECT data FROM proposals WHERE id = ?');
+  const allStatement = db.prepare('SELECT data FROM proposals ORDER BY created_at');
+
+  return {
+    driver: 'sqlite',
+
+    async insert(record) {
+      insertStatement.run(toRow(record));
+      return record;
+    },
+
+    async get(id) {
+      const row = getStatement.get(id);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async replace(record) {
+      replaceStatement.run(toRow(record));
+      return record;
+    },
+
+    async all() {
+      return allStatement.all().map(row => JSON.parse(row.data));
+    },
+
+    async query(query) {
+      const conditions = [];
+      const params = {};
+
+      if (query.statuses.length > 0) {
+        const placeholders = query.statuses.map((status, index) => {
+          params[`status${index}`] = status;
+          return `@status${index}`;
+        });
+        conditions.push(`status IN (${placeholders.join(', ')})`);
+      }
+      if (query.minScore !== null) {
+        conditions.push('score >= @minScore');
+        params.minScore = query.minScore;
+      }
+      if (query.maxScore !== null) {
+        conditions.push('score <= @maxScore');
+        params.maxScore = query.maxScore;
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const column = SORT_COLUMNS[query.sortBy];
+      const direction = query.order === 'asc' ? 'ASC' : 'DESC';
+
+      const total = db.prepare(`SELECT COUNT(*) AS count FROM proposals ${where}`).get(params).count;
+      const rows = db.prepare(`
+        SELECT data FROM proposals ${where}
+        ORDER BY ${column} IS NULL, ${column} ${direction}
+        LIMIT @limit OFFSET @offset
+      `).all({ ...params, limit: query.limit, offset: query.offset });
+
+      return {
+        items: rows.map(row => JSON.parse(row.data)),
+        total
+      };
+    }
+  };
+}
+
+module.exports = {
+  createSqliteStore
+};
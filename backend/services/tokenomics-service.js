@@ -0,0 +1,143 @@
+/**
+ * Tokenomics Service for Aikira Terminal
+ * Derives allocation amounts and vesting schedules from the tokenomics data module
+ */
+
+const config = require('../config');
+const tokenomics = require('../data/tokenomics');
+const vesting = require('../utils/vesting');
+const { badRequest } = require('../utils/error-handler');
+
+/**
+ * Gets an allocation with its token amount
+ * @param {string} id - Allocation ID (e.g. treasury, liquidity)
+ * @returns {Object} Allocation
+ */
+function getAllocation(id) {
+  const allocation = tokenomics.allocations.find(entry => entry.id === id);
+  if (!allocation) {
+    throw badRequest(`Unknown allocation "${id}"`, {
+      allocations: tokenomics.allocations.map(entry => entry.id)
+    });
+  }
+
+  return {
+    ...allocation,
+    amount: Math.round(tokenomics.totalSupply * allocation.percent / 100)
+  };
+}
+
+/**
+ * Gets the vesting schedule of an allocation
+ * @param {string} id - Allocation ID
+ * @param {Object} overrides - Optional schedule overrides (type, cliffMonths, durationMonths, start)
+ * @returns {Object|null} Normalized schedule, or null for an unvested allocation without overrides
+ */
+function getSchedule(id, overrides = {}) {
+  const allocation = getAllocation(id);
+  const pick = key => (overrides[key] === undefined || overrides[key] === '' ? undefined : overrides[key]);
+
+  if (!allocation.vesting && pick('durationMonths') === undefined) {
+    return null;
+  }
+
+  const defaults = allocation.vesting || { type: 'linear', cliffMonths: 0 };
+
+  return vesting.normalizeSchedule({
+    type: pick('type') || defaults.type,
+    cliffMonths: pick('cliffMonths') ?? defaults.cliffMonths ?? 0,
+    durationMonths: pick('durationMonths') ?? defaults.durationMonths,
+    start: pick('start') || config.treasury.vestingStart
+  });
+}
+
+/**
+ * Gets the treasury allocation in tokens
+ * @returns {number} Treasury tokens
+ */
+function getTreasuryAllocation() {
+  return getAllocation('treasury').amount;
+}
+
+/**
+ * Calculates the treasury amount unlocked by a date
+ * @param {Date|string} at - Date to calculate for (defaults to now)
+ * @returns {number} Unlocked treasury tokens
+ */
+function getTreasuryUnlocked(at) {
+  return vesting.getUnlockedAmount(getSchedule('treasury'), getTreasuryAllocation(), at);
+}
+
+/**
+ * Gets the tokenomics overview with allocation amounts
+ * @returns {Object} Tokenomics
+ */
+function getTokenomics() {
+  return {
+    token: tokenomics.token,
+    chain: tokenomics.chain,
+    launchpad: tokenomics.launchpad,
+    totalSupply: tokenomics.totalSupply,
+    allocations: tokenomics.allocations.map(entry => ({
+      ...getAllocation(entry.id),
+      schedule: getSchedule(entry.id)
+    }))
+  };
+}
+
+/**
+ * Calculates a vesting schedule, its unlocked amount at a date and its monthly unlock table
+ * @param {Object} params - Query parameters (allocation, type, cliffMonths, durationMonths, start, at)
+ * @returns {Object} Vesting calculation
+ */
+function calculateVesting(params = {}) {
+  const allocation = getAllocation(params.allocation || 'treasury');
+  const schedule = getSchedule(allocation.id, params);
+  const at = vesting.toDate(params.at);
+  const unlocked = schedule ? vesting.getUnlockedAmount(schedule, allocation.amount, at) : allocation.amount;
+
+  return {
+    token: tokenomics.token.symbol,
+    allocation: allocation.id,
+    amount: allocation.amount,
+    schedule,
+    at: at.toISOString(),
+    unlocked,
+    locked: allocation.amount - unlocked,
+    table: schedule ? vesting.buildUnlockTable(schedule, allocation.amount) : []
+  };
+}
+
+/**
+ * Describes the tokenomics for the system prompt
+ * @returns {string} Prompt lines
+ */
+function describeForPrompt() {
+  const { symbol } = tokenomics.token;
+  const format = amount => amount.toLocaleString('en-US');
+  const schedule = getSchedule('treasury');
+  const treasury = getTreasuryAllocation();
+
+  const allocations = tokenomics.allocations
+    .map(entry => {
+      const terms = entry.vesting ? ` (${entry.vesting.durationMonths}-month ${entry.vesting.type} vest)` : '';
+      return `${entry.percent}% ${entry.label.toLowerCase()}${terms}`;
+    })
+    .join(', ');
+
+  return [
+    ` - Token: ${symbol} on ${tokenomics.chain}; launchpad: ${tokenomics.launchpad}.`,
+    ` - Tokenomics: ${format(tokenomics.totalSupply)} supply — ${allocations}.`,
+    ` - Treasury vesting: ${schedule.start.slice(0, 10)} to ${schedule.end.slice(0, 10)}; ${format(getTreasuryUnlocked())} of ${format(treasury)} ${symbol} unlocked today.`
+  ].join('\n');
+}
+
+module.exports = {
+  getAllocation,
+  getSchedule,
+  getTreasuryAllocation,
+  getTreasuryUnlocked,
+  getTokenomics,
+  calculateVesting,
+  describeForPrompt
+};
@@ -0,0 +1,260 @@
+/**
+ * Treasury Service for Aikira Terminal
+ * Simulates the vested DAO treasury: unlocked balance, debits for approved proposals and projections
+ * Enforces Commandment I (treasury integrity) and VI (spending discipline)
+ */
+
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const config = require('../config');
+const tokenomics = require('../data/tokenomics');
+const tokenomicsService = require('./tokenomics-service');
+const { badRequest, conflict } = require('../utils/error-handler');
+const { readJson, writeJson } = require('../utils/json-file');
+const { addMonths, toDate } = require('../utils/vesting');
+
+let state = null;
+
+/**
+ * Gets the path of the ledger file
+ * @returns {string} Ledger file path
+ */
+function getLedgerPath() {
+  return path.join(config.storage.dataDir, config.treasury.ledgerFile);
+}
+
+/**
+ * Loads the ledger on first use
+ * @returns {Object} Ledger state
+ */
+function getState() {
+  if (!state) {
+    state = readJson(getLedgerPath(), { entries: [] });
+  }
+  return state;
+}
+
+/**
+ * Persists the ledger
+ */
+function persist() {
+  writeJson(getLedgerPath(), getState());
+}
+
+/**
+ * Sums ledger entries of a type
+ * @param {string} type - Entry type (debit or refund)
+ * @returns {number} Total amount
+ */
+function sumEntries(type) {
+  return getState().entries
+    .filter(entry => entry.type === type)
+    .reduce((sum, entry) => sum + entry.amount, 0);
+}
+
+/**
+ * Gets the treasury balance
+ * @param {Date|string} at - Date to calculate the unlocked amount for (defaults to now)
+ * @returns {Object} Allocation, unlocked, locked, spent and available amounts
+ */
+function getBalance(at) {
+  const date = toDate(at);
+  const allocation = tokenomicsService.getTreasuryAllocation();
+  const unlocked = tokenomicsService.getTreasuryUnlocked(date);
+  const spent = sumEntries('debit') - sumEntries('refund');
+
+  return {
+    token: tokenomics.token.symbol,
+    allocation,
+    unlocked,
+    locked: allocation - unlocked,
+    spent,
+    available: Math.max(0, unlocked - spent),
+    remaining: allocation - spent,
+    vesting: tokenomicsService.getSchedule('treasury'),
+    asOf: date.toISOString()
+  };
+}
+
+/**
+ * Checks whether the treasury can fund a proposal's requested amount
+ * @param {Object|null} details - Structured proposal details
+ * @returns {Object|null} Funding check, or null when no amount is requested
+ */
+function checkFunding(details) {
+  if (!details || typeof details.amount !== 'number') {
+    return null;
+  }
+
+  const { token, available } = getBalance();
+  const check = {
+    amount: details.amount,
+    token: details.token || token,
+    available,
+    fundable: true,
+    reason: null
+  };
+
+  if (check.token !== token) {
+    check.fundable = false;
+    check.reason = `Treasury holds ${token} only; ${check.token} cannot be disbursed (Commandment I)`;
+  } else if (details.amount > available) {
+    check.fundable = false;
+    check.reason = `Requested ${details.amount} ${token} exceeds the unlocked treasury balance of ${available} ${token} (Commandment VI)`;
+  }
+
+  return check;
+}
+
+/**
+ * Ensures the treasury can fund a proposal
+ * @param {Object|null} details - Structured proposal details
+ */
+function assertFundable(details) {
+  const check = checkFunding(details);
+  if (check && !check.fundable) {
+    throw conflict(check.reason, check);
+  }
+}
+
+/**
+ * Finds the open debit of a proposal (one that has not been refunded)
+ * @param {string} proposalId - Proposal ID
+ * @returns {Object|null} Debit entry
+ */
+function findOpenDebit(proposalId) {
+  const entries = getState().entries.filter(entry => entry.proposalId === proposalId);
+  const debit = entries.filter(entry => entry.type === 'debit').pop();
+  if (!debit) return null;
+
+  const refunded = entries.some(entry => entry.type === 'refund' && entry.debitId === debit.id);
+  return refunded ? null : debit;
+}
+
+/**
+ * Appends a ledger entry
+ * @param {Object} entry - Entry fields
+ * @returns {Object} Stored entry with the resulting available balance
+ */
+function appendEntry(entry) {
+  const stored = {
+    id: uuidv4(),
+    ...entry,
+    token: tokenomics.token.symbol,
+    at: new Date().toISOString()
+  };
+
+  getState().entries.push(stored);
+  stored.availableAfter = getBalance().available;
+  persist();
+
+  return stored;
+}
+
+/**
+ * Debits the requested amount of an approved proposal
+ * Proposals without a requested amount, or already debited, are left untouched.
+ * @param {Object} record - Approved proposal record
+ * @returns {Object|null} Debit entry
+ */
+function debitProposal(record) {
+  if (!record.details || typeof record.details.amount !== 'number' || findOpenDebit(record.id)) {
+    return null;
+  }
+
+  assertFundable(record.details);
+
+  return appendEntry({
+    type: 'debit',
+    proposalId: record.id,
+    amount: record.details.amount,
+    recipient: record.details.recipient || null,
+    reason: `Approved proposal ${record.details.title ? `"${record.details.title}"` : record.id}`
+  });
+}
+
+/**
+ * Returns the debit of a proposal that will no longer be executed
+ * @param {Object} record - Proposal record
+ * @param {string} reason - Why the funds are returned
+ * @returns {Object|null} Refund entry
+ */
+function refundProposal(record, reason) {
+  const debit = findOpenDebit(record.id);
+  if (!debit) {
+    return null;
+  }
+
+  return appendEntry({
+    type: 'refund',
+    proposalId: record.id,
+    debitId: debit.id,
+    amount: debit.amount,
+    recipient: null,
+    reason
+  });
+}
+
+/**
+ * Removes a debit or refund whose proposal change could not be saved, as if it had never been made
+ * @param {string} id - Ledger entry ID
+ * @returns {boolean} Whether an entry was removed
+ */
+function revertEntry(id) {
+  const { entries } = getState();
+  const index = entries.findIndex(entry => entry.id === id);
+  if (index === -1) {
+    return false;
+  }
+
+  const [entry] = entries.splice(index, 1);
+  persist();
+  console.warn(`Treasury ${entry.type} ${entry.id} of proposal ${entry.proposalId} reverted: the proposal could not be saved`);
+  return true;
+}
+
+/**
+ * Gets the ledger entries, newest first
+ * @returns {Array<Object>} Ledger entries
+ */
+function getLedger() {
+  return getState().entries.slice().reverse();
+}
+
+/**
+ * Projects the unlocked and available balance month by month
+ * @param {number|string} months - Number of months to project
+ * @returns {Array<Object>} Monthly projections
+ */
+function getProjections(months = config.treasury.projectionMonths) {
+  const count = parseInt(months, 10);
+  if (!Number.isInteger(count) || count < 1 || count > 120) {
+    throw badRequest('months must be an integer between 1 and 120');
+  }
+
+  const now = new Date();
+  const { spent } = getBalance(now);
+
+  return Array.from({ length: count + 1 }, (unused, index) => {
+    const date = addMonths(now, index);
+    const unlocked = tokenomicsService.getTreasuryUnlocked(date);
+    return {
+      month: index,
+      date: date.toISOString(),
+      unlocked,
+      available: Math.max(0, unlocked - spent)
+    };
+  });
+}
+
+module.exports = {
+  getBalance,
+  checkFunding,
+  assertFundable,
+  debitProposal,
+  refundProposal,
+  revertEntry,
+  getLedger,
+  getProjections
+};
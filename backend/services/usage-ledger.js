@@ -0,0 +1,340 @@
+/**
+ * Usage Ledger Service for Aikira Terminal
+ * Append-only record of every paid call: completion tokens, Whisper audio seconds and text-to-speech
+ * characters, each priced from the price table, and the totals by day, route, user and session
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const config = require('../config');
+const { badRequest } = require('../utils/error-handler');
+const { ensureDir, readJson } = require('../utils/json-file');
+const defaultPrices = require('../data/prices');
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let prices;
+
+/**
+ * Gets the price table, loading USAGE_PRICE_FILE instead of the built-in table when set
+ * @returns {Object} Price table
+ */
+function getPrices() {
+  if (!prices) {
+    const { priceFile } = config.usage;
+    prices = priceFile ? readJson(path.resolve(priceFile)) : defaultPrices;
+  }
+  return prices;
+}
+
+/**
+ * Gets the path of the ledger file (one JSON entry per line)
+ * @returns {string} Ledger file path
+ */
+function getLogPath() {
+  return path.join(config.storage.dataDir, config.usage.logFile);
+}
+
+/**
+ * Reads every ledger entry, setting aside lines that cannot be read (a truncated write, a hand edit)
+ * @returns {Object} { entries, unreadable } — entries oldest first; unreadable lists the line and reason of each bad line
+ */
+function readEntries() {
+  const entries = [];
+  const unreadable = [];
+  const logPath = getLogPath();
+  if (!fs.existsSync(logPath)) {
+    return { entries, unreadable };
+  }
+
+  fs.readFileSync(logPath, 'utf8').split('\n').forEach((text, index) => {
+    if (!text.trim()) return;
+    try {
+      const entry = JSON.parse(text);
+      if (typeof entry?.at !== 'string') {
+        unreadable.push({ line: index + 1, reason: 'Entry has no timestamp' });
+      } else {
+        entries.push(entry);
+      }
+    } catch (error) {
+      unreadable.push({ line: index + 1, reason: 'Entry is not valid JSON' });
+    }
+  });
+  return { entries, unreadable };
+}
+
+/**
+ * Rounds a cost to a millionth of the currency unit
+ * @param {number} cost - Cost
+ * @returns {number} Rounded cost
+ */
+function roundCost(cost) {
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Finds the price of a model in one section of the price table
+ * Providers report dated snapshots (gpt-4o-2024-08-06), so a model without its own row takes the
+ * price of the longest listed name it extends (gpt-4o-mini-2024-07-18 is priced as gpt-4o-mini, not gpt-4o)
+ * @param {Object} models - Prices by model name, with "*" for any model
+ * @param {string} model - Model name the call reported
+ * @returns {Object|undefined} Price row
+ */
+function findPrice(models = {}, model) {
+  if (models[model]) {
+    return models[model];
+  }
+  const base = Object.keys(models)
+    .filter(name => name !== '*' && typeof model === 'string' && model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return base ? models[base] : models['*'];
+}
+
+/**
+ * Prices a ledger entry
+ * @param {Object} entry - Entry with its units (promptTokens and completionTokens, seconds or characters)
+ * @returns {number|null} Cost, or null when the call has no price or reported no usage
+ */
+function priceEntry(entry) {
+  const table = getPrices();
+
+  if (entry.kind === 'completion') {
+    const price = findPrice(table.completions?.[entry.provider], entry.model);
+    if (!price || !entry.usageReported) return null;
+    return roundCost((entry.promptTokens * price.inputPerMillion + entry.completionTokens * price.outputPerMillion) / 1e6);
+  }
+  if (entry.kind === 'transcription') {
+    const price = findPrice(table.transcription, entry.model);
+    return price && typeof entry.seconds === 'number' ? roundCost(entry.seconds / 60 * price.perMinute) : null;
+  }
+  const price = findPrice(table.speech, entry.model);
+  return price ? roundCost(entry.characters / 1000 * price.perThousandCharacters) : null;
+}
+
+/**
+ * Prices an entry and appends it to the ledger (when the ledger is enabled)
+ * @param {Object} entry - Entry without its timestamp and cost
+ * @returns {Object} Stored entry
+ */
+function appendEntry(entry) {
+  const stored = {
+    at: new Date().toISOString(),
+    ...entry,
+    user: entry.user || 'anonymous',
+    sessionId: entry.sessionId || null,
+    cost: priceEntry(entry)
+  };
+
+  if (config.usage.enabled) {
+    const logPath = getLogPath();
+    ensureDir(logPath);
+    fs.appendFileSync(logPath, `${JSON.stringify(stored)}\n`);
+  }
+  return stored;
+}
+
+/**
+ * Adds up entries
+ * @param {Array<Object>} entries - Ledger entries
+ * @returns {Object} { calls, promptTokens, completionTokens, audioSeconds, characters, cost, unpriced }
+ */
+function sumEntries(entries) {
+  const totals = entries.reduce((sum, entry) => {
+    sum.calls += 1;
+    sum.promptTokens += entry.promptTokens || 0;
+    sum.completionTokens += entry.completionTokens || 0;
+    sum.audioSeconds += entry.seconds || 0;
+    sum.characters += entry.characters || 0;
+    if (entry.cost === null) {
+      sum.unpriced += 1;
+    } else {
+      sum.cost += entry.cost;
+    }
+    return sum;
+  }, { calls: 0, promptTokens: 0, completionTokens: 0, audioSeconds: 0, characters: 0, cost: 0, unpriced: 0 });
+
+  totals.audioSeconds = Math.round(totals.audioSeconds * 10) / 10;
+  totals.cost = roundCost(totals.cost);
+  return totals;
+}
+
+/**
+ * Groups entries and adds up each group
+ * @param {Array<Object>} entries - Ledger entries
+ * @param {string} name - Name of the group field in the output
+ * @param {Function} keyOf - Returns an entry's group
+ * @returns {Array<Object>} Totals per group, sorted by group
+ */
+function groupEntries(entries, name, keyOf) {
+  const groups = new Map();
+  entries.forEach(entry => {
+    const key = keyOf(entry);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  });
+  return Array.from(groups.keys())
+    .sort()
+    .map(key => ({ [name]: key, ...sumEntries(groups.get(key)) }));
+}
+
+/**
+ * Creates a meter for one request: it records each completion in the ledger under the
+ * request's route, user and session, and keeps the request's own totals
+ * @param {Object} attribution - Who the usage is charged to
+ * @param {string} attribution.route - Route making the calls (chat or evaluate)
+ * @param {string|null} attribution.user - Requester
+ * @param {string|null} attribution.sessionId - Conversation session
+ * @returns {Object} Meter ({ record(completion), totals() })
+ */
+function createMeter({ route, user = null, sessionId = null }) {
+  const entries = [];
+
+  return {
+    /**
+     * Records a completion
+     * @param {Object} completion - { provider, model, usage } as returned by the LLM service
+     */
+    record({ provider, model, usage }) {
+      entries.push(appendEntry({
+        kind: 'completion',
+        route,
+        user,
+        sessionId,
+        provider,
+        model,
+        promptTokens: usage?.prompt_tokens || 0,
+        completionTokens: usage?.completion_tokens || 0,
+        usageReported: Boolean(usage)
+      }));
+    },
+
+    /**
+     * Adds up what the request has recorded so far
+     * @returns {Object} Totals
+     */
+    totals() {
+      return { currency: getPrices().currency, ...sumEntries(entries) };
+    }
+  };
+}
+
+/**
+ * Records audio sent to Whisper
+ * @param {Object} usage - Transcription usage
+ * @param {string|null} usage.user - Requester
+ * @param {string|null} usage.sessionId - Conversation session
+ * @param {string} usage.model - Whisper model
+ * @param {number|null} usage.seconds - Audio duration reported by Whisper
+ * @returns {Object} Stored entry
+ */
+function recordTranscription({ user, sessionId, model, seconds }) {
+  return appendEntry({
+    kind: 'transcription',
+    route: 'transcribe',
+    user,
+    sessionId,
+    provider: 'openai',
+    model,
+    seconds: typeof seconds === 'number' ? seconds : null
+  });
+}
+
+/**
+ * Records text sent to ElevenLabs
+ * @param {Object} usage - Speech usage
+ * @param {string|null} usage.user - Requester
+ * @param {string|null} usage.sessionId - Conversation session
+ * @param {string} usage.model - ElevenLabs model
+ * @param {number} usage.characters - Characters synthesized
+ * @returns {Object} Stored entry
+ */
+function recordSpeech({ user, sessionId, model, characters }) {
+  return appendEntry({
+    kind: 'speech',
+    route: 'speech',
+    user,
+    sessionId,
+    provider: 'elevenlabs',
+    model,
+    characters
+  });
+}
+
+/**
+ * Validates a day parameter
+ * @param {any} value - Day (YYYY-MM-DD)
+ * @param {string} name - Parameter name
+ * @returns {string|null} Day, or null when not given
+ */
+function parseDay(value, name) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string' || !DAY_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+    throw badRequest(`${name} must be a date (YYYY-MM-DD)`);
+  }
+  return value;
+}
+
+/**
+ * Reports usage totals by day, route and user
+ * @param {Object} params - Filters
+ * @param {string} params.from - First day (YYYY-MM-DD, UTC); defaults to the configured number of days back
+ * @param {string} params.to - Last day (YYYY-MM-DD, UTC); defaults to today
+ * @param {string} params.route - Only this route (chat, evaluate, transcribe or speech)
+ * @param {string} params.user - Only this user
+ * @returns {Object} Report, with the ledger lines that could not be read in unreadable
+ */
+function getReport({ from, to, route, user } = {}) {
+  const lastDay = parseDay(to, 'to') || new Date().toISOString().slice(0, 10);
+  const firstDay = parseDay(from, 'from') ||
+    new Date(Date.parse(lastDay) - (config.usage.defaultDays - 1) * DAY_MS).toISOString().slice(0, 10);
+  if (firstDay > lastDay) {
+    throw badRequest('from must not be after to');
+  }
+
+  const { entries: all, unreadable } = readEntries();
+  const entries = all.filter(entry => {
+    const day = entry.at.slice(0, 10);
+    return day >= firstDay && day <= lastDay && (!route || entry.route === route) && (!user || entry.user === user);
+  });
+
+  return {
+    enabled: config.usage.enabled,
+    currency: getPrices().currency,
+    from: firstDay,
+    to: lastDay,
+    totals: sumEntries(entries),
+    byDay: groupEntries(entries, 'day', entry => entry.at.slice(0, 10)),
+    byRoute: groupEntries(entries, 'route', entry => entry.route),
+    byUser: groupEntries(entries, 'user', entry => entry.user),
+    unreadable
+  };
+}
+
+/**
+ * Reports the usage of one conversation session
+ * @param {string} sessionId - Session ID
+ * @returns {Object} Totals and totals by route, with the ledger lines that could not be read in unreadable
+ */
+function getSessionUsage(sessionId) {
+  const { entries: all, unreadable } = readEntries();
+  const entries = all.filter(entry => entry.sessionId === sessionId);
+  return {
+    sessionId,
+    currency: getPrices().currency,
+    totals: sumEntries(entries),
+    byRoute: groupEntries(entries, 'route', entry => entry.route),
+    unreadable
+  };
+}
+
+module.exports = {
+  createMeter,
+  recordTranscription,
+  recordSpeech,
+  getReport,
+  getSessionUsage
+};
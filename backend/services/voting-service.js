@@ -0,0 +1,193 @@
+/**
+ * Voting Service for Aikira Terminal
+ * Token-weighted yes/no/abstain voting on evaluated proposals, with quorum and pass thresholds
+ */
+
+const path = require('path');
+
+const config = require('../config');
+const { badRequest, conflict, forbidden } = require('../utils/error-handler');
+const { readJson } = require('../utils/json-file');
+const lifecycle = require('./proposal-lifecycle');
+
+const CHOICES = ['yes', 'no', 'abstain'];
+
+/**
+ * Gets a voter's token-weighted voting power
+ * Balances come from the holders file in the data directory ({ "holders": { "<voter>": <tokens> } });
+ * voters missing from it hold no power.
+ * @param {string} voter - Voter identifier
+ * @returns {number} Voting power in tokens
+ */
+function getVotingPower(voter) {
+  const { holders = {} } = readJson(path.join(config.storage.dataDir, config.voting.holdersFile), {});
+  const balance = holders[voter];
+  return typeof balance === 'number' ? balance : 0;
+}
+
+/**
+ * Opens a fresh voting window on a proposal's current revision
+ * @param {Object} record - Proposal record (modified in place)
+ * @returns {Object} Voting state
+ */
+function openVoting(record) {
+  const opensAt = new Date();
+  const closesAt = new Date(opensAt.getTime() + config.voting.windowHours * 60 * 60 * 1000);
+
+  record.voting = {
+    revision: Array.isArray(record.revisions) ? record.revisions.length : 1,
+    opensAt: opensAt.toISOString(),
+    closesAt: closesAt.toISOString(),
+    votes: []
+  };
+
+  return record.voting;
+}
+
+/**
+ * Checks whether a proposal's voting window is open
+ * @param {Object} record - Proposal record
+ * @param {Date} at - Moment to check (defaults to now)
+ * @returns {boolean} Whether votes are accepted
+ */
+function isVotingOpen(record, at = new Date()) {
+  if (!record.voting) return false;
+  return at >= new Date(record.voting.opensAt) && at < new Date(record.voting.closesAt);
+}
+
+/**
+ * Records a vote, replacing any earlier vote by the same voter
+ * @param {Object} record - Proposal record (modified in place)
+ * @param {string} voter - Voter identifier
+ * @param {string} choice - yes, no or abstain
+ * @returns {Object} The recorded vote
+ */
+function castVote(record, voter, choice) {
+  if (!CHOICES.includes(choice)) {
+    throw badRequest(`choice must be one of: ${CHOICES.join(', ')}`);
+  }
+  if (!record.voting) {
+    throw conflict('Voting has not opened on this proposal');
+  }
+  if (lifecycle.isTerminal(record.status)) {
+    throw conflict(`Voting has ended: the proposal is ${record.status}`);
+  }
+  if (!isVotingOpen(record)) {
+    throw conflict('The voting window has closed', {
+      opensAt: record.voting.opensAt,
+      closesAt: record.voting.closesAt
+    });
+  }
+
+  const weight = getVotingPower(voter);
+  if (weight <= 0) {
+    throw forbidden(`${voter} holds no voting power`);
+  }
+
+  const vote = {
+    voter,
+    choice,
+    weight,
+    at: new Date().toISOString()
+  };
+
+  record.voting.votes = record.voting.votes.filter(existing => existing.voter !== voter);
+  record.voting.votes.push(vote);
+
+  return vote;
+}
+
+/**
+ * Gets Aikira's recommendation for the current revision
+ * This is the verdict recorded when evaluation finished, which includes treasury refusals.
+ * @param {Object} record - Proposal record
+ * @returns {boolean|null} Whether Aikira recommended approval
+ */
+function getAiRecommendation(record) {
+  const verdict = (record.transitions || []).filter(transition => transition.from === 'evaluating').pop();
+  if (verdict) {
+    return verdict.to === 'approved';
+  }
+  return typeof record.evaluation?.approved === 'boolean' ? record.evaluation.approved : null;
+}
+
+/**
+ * Tallies the votes on a proposal and compares the human verdict with Aikira's
+ * @param {Object} record - Proposal record
+ * @param {Date} at - Moment to tally at (defaults to now)
+ * @returns {Object|null} Tally, or null when voting has not opened
+ */
+function tallyVotes(record, at = new Date()) {
+  if (!record.voting) return null;
+
+  const { quorum, passThreshold } = config.voting;
+  const totals = { yes: 0, no: 0, abstain: 0 };
+  record.voting.votes.forEach(vote => {
+    totals[vote.choice] += vote.weight;
+  });
+
+  const turnout = totals.yes + totals.no + totals.abstain;
+  const decisive = totals.yes + totals.no;
+  const yesShare = decisive > 0 ? totals.yes / decisive : null;
+  const open = isVotingOpen(record, at);
+  const quorumReached = turnout >= quorum;
+
+  let outcome = 'pending';
+  if (!open) {
+    if (!quorumReached) {
+      outcome = 'no-quorum';
+    } else {
+      outcome = yesShare !== null && yesShare >= passThreshold ? 'passed' : 'failed';
+    }
+  }
+
+  const aiApproves = getAiRecommendation(record);
+  const humanApproves = yesShare === null ? null : yesShare >= passThreshold;
+
+  return {
+    revision: record.voting.revision,
+    opensAt: record.voting.opensAt,
+    closesAt: record.voting.closesAt,
+    open,
+    voters: record.voting.votes.length,
+    ...totals,
+    turnout,
+    quorum,
+    quorumReached,
+    passThreshold,
+    yesShare: yesShare === null ? null : Math.round(yesShare * 1000) / 1000,
+    outcome,
+    agreement: {
+      aiRecommendation: aiApproves === null ? null : (aiApproves ? 'approve' : 'reject'),
+      humanVerdict: humanApproves === null ? null : (humanApproves ? 'approve' : 'reject'),
+      // Weighted share of decisive votes that sided with Aikira
+      index: aiApproves === null || decisive === 0
+        ? null
+        : Math.round((aiApproves ? totals.yes : totals.no) / decisive * 1000) / 1000
+    }
+  };
+}
+
+/**
+ * Describes the voting rules for clients
+ * @returns {Object} Choices, window, quorum and pass threshold
+ */
+function describeVotingRules() {
+  const { windowHours, quorum, passThreshold } = config.voting;
+  return {
+    choices: CHOICES,
+    windowHours,
+    quorum,
+    passThreshold
+  };
+}
+
+module.exports = {
+  CHOICES,
+  getVotingPower,
+  openVoting,
+  isVotingOpen,
+  castVote,
+  tallyVotes,
+  describeVotingRules
+};
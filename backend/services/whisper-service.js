@@ -28,7 +28,7 @@ function getApiKey() {
  * @param {string} filePath - Path to the audio file
  * @param {string} language - Language code (optional)
  * @param {string} prompt - Transcription prompt (optional)
- * @returns {Object} Transcription result
+ * @returns {Object} Transcription result, including the audio duration in seconds
  */
 async function transcribeAudio(filePath, language = null, prompt = null) {
   try {
@@ -57,6 +57,9 @@ async function transcribeAudio(filePath, language = null, prompt = null) {
       formData.append('prompt', prompt);
     }
     
+    // The verbose format reports the audio duration, which the usage ledger bills by
+    formData.append('response_format', 'verbose_json');
+    
     console.log('Sending request to Whisper API with model: whisper-1');
     
     // Make API request
@@ -0,0 +1,33 @@
+/**
+ * Admin Authentication Utility for Aikira Terminal
+ * Recognizes admin requests by the X-Admin-Token header, compared with ADMIN_TOKEN
+ */
+
+const crypto = require('crypto');
+
+const config = require('../config');
+
+// Actor recorded for changes made with the admin token
+const ADMIN_ACTOR = 'admin';
+
+/**
+ * Checks whether a request carries the admin token
+ * @param {Object} req - Express request object
+ * @returns {boolean} Whether the request is from an admin (always false when ADMIN_TOKEN is unset)
+ */
+function isAdminRequest(req) {
+  const { adminToken } = config.server;
+  const provided = req.get('x-admin-token');
+  if (!adminToken || typeof provided !== 'string') {
+    return false;
+  }
+  
+  // Hashing first gives equal-length buffers, so the comparison takes the same time whatever was sent
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(provided), digest(adminToken));
+}
+
+module.exports = {
+  ADMIN_ACTOR,
+  isAdminRequest
+};
@@ -0,0 +1,35 @@
+/**
+ * Canonical JSON Utility for Aikira Terminal
+ * Serializes values with sorted keys so equal data always hashes to the same bytes
+ */
+
+/**
+ * Serializes a value as JSON with object keys in sorted order
+ * Undefined properties are dropped, as JSON.stringify does.
+ * @param {any} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalize(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+
+  if (typeof value.toJSON === 'function') {
+    return canonicalize(value.toJSON());
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalize(item))).join(',')}]`;
+  }
+
+  const members = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+
+  return `{${members.join(',')}}`;
+}
+
+module.exports = {
+  canonicalize
+};
@@ -193,6 +193,28 @@ class ApiError extends Error {
     };
   }
   
+  /**
+   * Sends a route error response, using the status code of ApiErrors
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error that occurred
+   * @param {string} fallbackMessage - Message used for unexpected errors
+   */
+  function sendError(res, error, fallbackMessage) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        details: error.details || undefined
+      });
+    }
+    
+    return res.status(500).json({
+      success: false,
+      error: fallbackMessage,
+      details: error.message
+    });
+  }
+  
   // Export all error utilities
   module.exports = {
     ApiError,
@@ -205,5 +227,6 @@ class ApiError extends Error {
     conflict,
     tooManyRequests,
     serverError,
-    asyncHandler
+    asyncHandler,
+    sendError
   };
\ No newline at end of file
@@ -0,0 +1,68 @@
+/**
+ * Evidence Utility for Aikira Terminal
+ * Turns the model's quoted evidence and the rubric's matched terms into character ranges
+ * in the proposal and in Aikira's response, so the UI can show what moved each metric
+ */
+
+// Quote marks and ellipses the model may wrap around a quotation
+const QUOTE_TRIM = /^[\s"'“”‘’….]+|[\s"'“”‘’…]+$/g;
+
+/**
+ * Finds a quotation in text, ignoring case and differences in whitespace
+ * @param {string} text - Text to search
+ * @param {string} quote - Quotation
+ * @returns {Object|null} { start, end }, or null when the text does not contain it
+ */
+function locateQuote(text, quote) {
+  const words = quote.replace(QUOTE_TRIM, '').split(/\s+/).filter(Boolean);
+  if (!text || words.length === 0) return null;
+
+  const pattern = new RegExp(words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+'), 'i');
+  const match = text.match(pattern);
+  return match ? { start: match.index, end: match.index + match[0].length } : null;
+}
+
+/**
+ * Builds the evidence spans of an evaluation
+ * Model quotes come first; a rubric match overlapping a span already in the same text is dropped
+ * @param {Object} input - Evidence sources
+ * @param {string} input.proposal - Proposal text
+ * @param {string} input.response - Aikira's response
+ * @param {Array<Object>} input.quotes - Model evidence ({ metric, polarity, quote }), quoted from the proposal
+ * @param {Array<Object>} input.breakdown - Rubric breakdown for { response, proposal }
+ * @returns {Array<Object>} Spans ({ source, metric, polarity, start, end, text, origin }), by source and position
+ */
+function buildEvidence({ proposal, response, quotes = [], breakdown = [] }) {
+  const texts = { proposal, response };
+  const candidates = [
+    ...quotes.map(({ metric, polarity, quote }) => {
+      const range = locateQuote(proposal, quote);
+      return range && { source: 'proposal', metric, polarity, ...range, origin: 'model' };
+    }),
+    ...breakdown
+      .filter(item => item.contribution !== 0 && texts[item.source] !== undefined)
+      .flatMap(item => item.spans.map(range => ({
+        source: item.source,
+        metric: item.metric,
+        polarity: item.contribution > 0 ? 'positive' : 'negative',
+        ...range,
+        origin: 'rubric'
+      })))
+  ].filter(Boolean);
+
+  const spans = [];
+  candidates.forEach(candidate => {
+    const overlaps = spans.some(span => span.source === candidate.source && candidate.start < span.end && span.start < candidate.end);
+    if (!overlaps) {
+      const { source, metric, polarity, start, end, origin } = candidate;
+      spans.push({ source, metric, polarity, start, end, text: texts[source].slice(start, end), origin });
+    }
+  });
+
+  return spans.sort((a, b) => a.source.localeCompare(b.source) || a.start - b.start);
+}
+
+module.exports = {
+  locateQuote,
+  buildEvidence
+};
@@ -0,0 +1,82 @@
+/**
+ * JSON Field Stream Utility for Aikira Terminal
+ * Pulls the text of one string field out of a JSON object while the object is still being streamed
+ */
+
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+/**
+ * Creates a reader for a top-level string field
+ * Feed it chunks of the JSON text as they arrive; it returns the newly decoded characters of the field.
+ * @param {string} field - Field name, e.g. response
+ * @returns {Object} Reader with push(chunk) and text()
+ */
+function createStringFieldReader(field) {
+  const opener = new RegExp(`"${field}"\\s*:\\s*"`);
+  let buffer = '';
+  let position = -1; // Index in buffer of the next undecoded character of the field
+  let done = false;
+  let decoded = '';
+
+  return {
+    /**
+     * Adds a chunk of JSON text
+     * @param {string} chunk - Next piece of the JSON text
+     * @returns {string} Characters of the field decoded from this chunk (may be empty)
+     */
+    push(chunk) {
+      buffer += chunk;
+      if (done) return '';
+
+      if (position < 0) {
+        const match = opener.exec(buffer);
+        if (!match) return '';
+        position = match.index + match[0].length;
+      }
+
+      let output = '';
+      while (position < buffer.length) {
+        const char = buffer[position];
+
+        if (char === '"') {
+          done = true;
+          break;
+        }
+
+        if (char === '\\') {
+          const next = buffer[position + 1];
+          if (next === undefined) break; // Wait for the rest of the escape
+
+          if (next === 'u') {
+            const hex = buffer.slice(position + 2, position + 6);
+            if (hex.length < 4) break;
+            output += String.fromCharCode(parseInt(hex, 16));
+            position += 6;
+          } else {
+            output += ESCAPES[next] ?? next;
+            position += 2;
+          }
+          continue;
+        }
+
+        output += char;
+        position += 1;
+      }
+
+      decoded += output;
+      return output;
+    },
+
+    /**
+     * Gets everything decoded so far
+     * @returns {string} Decoded field text
+     */
+    text() {
+      return decoded;
+    }
+  };
+}
+
+module.exports = {
+  createStringFieldReader
+};
@@ -0,0 +1,56 @@
+/**
+ * JSON File Utility for Aikira Terminal
+ * Reads and atomically writes the JSON documents used by file-backed stores
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Ensures the parent directory of a file exists
+ * @param {string} filePath - Path to the file
+ */
+function ensureDir(filePath) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+/**
+ * Reads and parses a JSON file
+ * @param {string} filePath - Path to the JSON file
+ * @param {any} fallback - Value returned when the file does not exist
+ * @returns {any} Parsed JSON content or the fallback
+ */
+function readJson(filePath, fallback = null) {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+
+  const raw = fs.readFileSync(filePath, 'utf8');
+  if (!raw.trim()) {
+    return fallback;
+  }
+
+  return JSON.parse(raw);
+}
+
+/**
+ * Writes data as JSON, replacing the file atomically so readers never see a partial write
+ * @param {string} filePath - Path to the JSON file
+ * @param {any} data - Data to serialize
+ */
+function writeJson(filePath, data) {
+  ensureDir(filePath);
+
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+module.exports = {
+  ensureDir,
+  readJson,
+  writeJson
+};
@@ -0,0 +1,253 @@
+/**
+ * Proposal Schema Utility for Aikira Terminal
+ * Validates structured proposal payloads and formats them for the Aikira prompt
+ */
+
+const { badRequest } = require('./error-handler');
+
+// Accepted proposal categories
+const CATEGORIES = [
+  'treasury-grant',
+  'development',
+  'marketing',
+  'governance',
+  'security',
+  'community',
+  'other'
+];
+
+const LIMITS = {
+  titleLength: 120,
+  textLength: 5000,
+  milestoneCount: 12,
+  maxDurationDays: 3650
+};
+
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+const TOKEN_PATTERN = /^[A-Z0-9]{2,10}$/;
+
+/**
+ * Checks for a positive finite number
+ * @param {any} value - Value to check
+ * @returns {boolean} Whether the value is a positive number
+ */
+function isPositiveNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Validates a milestone entry
+ * @param {Object} milestone - Milestone data
+ * @param {number} index - Position in the milestone list
+ * @param {Array<string>} errors - Collected validation errors
+ * @returns {Object} Normalized milestone
+ */
+function validateMilestone(milestone, index, errors) {
+  const label = `milestones[${index}]`;
+
+  if (!milestone || typeof milestone !== 'object') {
+    errors.push(`${label} must be an object`);
+    return null;
+  }
+
+  const normalized = {};
+
+  if (typeof milestone.title !== 'string' || !milestone.title.trim()) {
+    errors.push(`${label}.title is required`);
+  } else {
+    normalized.title = milestone.title.trim().slice(0, LIMITS.titleLength);
+  }
+
+  if (milestone.amount !== undefined) {
+    if (!isPositiveNumber(milestone.amount)) {
+      errors.push(`${label}.amount must be a positive number`);
+    } else {
+      normalized.amount = milestone.amount;
+    }
+  }
+
+  if (milestone.dueDays !== undefined) {
+    if (!Number.isInteger(milestone.dueDays) || milestone.dueDays < 1) {
+      errors.push(`${label}.dueDays must be a positive integer`);
+    } else {
+      normalized.dueDays = milestone.dueDays;
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Validates and normalizes structured proposal details
+ * @param {Object} details - Structured proposal fields
+ * @returns {Object} Normalized details
+ */
+function validateProposalDetails(details) {
+  if (typeof details !== 'object' || details === null || Array.isArray(details)) {
+    throw badRequest('Proposal details must be an object');
+  }
+
+  const errors = [];
+  const normalized = {};
+
+  if (details.title !== undefined) {
+    if (typeof details.title !== 'string' || !details.title.trim()) {
+      errors.push('title must be a non-empty string');
+    } else if (details.title.length > LIMITS.titleLength) {
+      errors.push(`title must be at most ${LIMITS.titleLength} characters`);
+    } else {
+      normalized.title = details.title.trim();
+    }
+  }
+
+  if (details.category !== undefined) {
+    if (!CATEGORIES.includes(details.category)) {
+      errors.push(`category must be one of: ${CATEGORIES.join(', ')}`);
+    } else {
+      normalized.category = details.category;
+    }
+  }
+
+  if (details.amount !== undefined) {
+    if (!isPositiveNumber(details.amount)) {
+      errors.push('amount must be a positive number');
+    } else {
+      normalized.amount = details.amount;
+    }
+  }
+
+  if (details.token !== undefined) {
+    const token = typeof details.token === 'string' ? details.token.trim().toUpperCase() : '';
+    if (!TOKEN_PATTERN.test(token)) {
+      errors.push('token must be a 2-10 character symbol');
+    } else {
+      normalized.token = token;
+    }
+  }
+
+  if (normalized.amount !== undefined && !normalized.token) {
+    errors.push('token is required when an amount is requested');
+  }
+
+  if (details.recipient !== undefined) {
+    if (typeof details.recipient !== 'string' || !ADDRESS_PATTERN.test(details.recipient.trim())) {
+      errors.push('recipient must be a 0x-prefixed 20-byte address');
+    } else {
+      normalized.recipient = details.recipient.trim();
+    }
+  }
+
+  if (details.durationDays !== undefined) {
+    if (!Number.isInteger(details.durationDays) || details.durationDays < 1 || details.durationDays > LIMITS.maxDurationDays) {
+      errors.push(`durationDays must be an integer between 1 and ${LIMITS.maxDurationDays}`);
+    } else {
+      normalized.durationDays = details.durationDays;
+    }
+  }
+
+  if (details.milestones !== undefined) {
+    if (!Array.isArray(details.milestones)) {
+      errors.push('milestones must be an array');
+    } else if (details.milestones.length > LIMITS.milestoneCount) {
+      errors.push(`at most ${LIMITS.milestoneCount} milestones are allowed`);
+    } else {
+      normalized.milestones = details.milestones.map((milestone, index) => validateMilestone(milestone, index, errors));
+
+      const milestoneTotal = normalized.milestones.reduce((sum, milestone) => sum + (milestone?.amount || 0), 0);
+      if (normalized.amount !== undefined && milestoneTotal > normalized.amount) {
+        errors.push('milestone amounts exceed the requested amount');
+      }
+
+      const lateMilestone = normalized.milestones.find(milestone => (
+        milestone?.dueDays !== undefined && normalized.durationDays !== undefined && milestone.dueDays > normalized.durationDays
+      ));
+      if (lateMilestone) {
+        errors.push('milestones cannot be due after the proposal duration');
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw badRequest('Invalid proposal details', errors);
+  }
+
+  return normalized;
+}
+
+/**
+ * Reads proposal text and optional structured details from a request body
+ * @param {Object} body - Request body with proposal text and/or details
+ * @returns {Object} Proposal text and normalized details (null for free-text proposals)
+ */
+function parseProposalInput(body = {}) {
+  const details = body.details === undefined || body.details === null
+    ? null
+    : validateProposalDetails(body.details);
+
+  const text = typeof body.proposal === 'string' ? body.proposal.trim() : '';
+
+  if (!text && !details?.title) {
+    throw badRequest('Proposal text is required');
+  }
+  if (text.length > LIMITS.textLength) {
+    throw badRequest(`Proposal text must be at most ${LIMITS.textLength} characters`);
+  }
+
+  return {
+    text: text || details.title,
+    details
+  };
+}
+
+/**
+ * Formats an amount with its token symbol
+ * @param {number} amount - Token amount
+ * @param {string} token - Token symbol
+ * @returns {string} Formatted amount
+ */
+function formatAmount(amount, token) {
+  return `${amount.toLocaleString('en-US')} ${token || ''}`.trim();
+}
+
+/**
+ * Formats a proposal as the user message sent to Aikira
+ * Free-text proposals are passed through; structured ones become clearly labelled fields.
+ * @param {string} text - Proposal text
+ * @param {Object|null} details - Normalized structured details
+ * @returns {string} Prompt content
+ */
+function formatProposalForPrompt(text, details) {
+  if (!details || Object.keys(details).length === 0) {
+    return text;
+  }
+
+  const lines = ['STRUCTURED PROPOSAL'];
+
+  if (details.title) lines.push(`Title: ${details.title}`);
+  if (details.category) lines.push(`Category: ${details.category}`);
+  if (details.amount !== undefined) lines.push(`Requested Amount: ${formatAmount(details.amount, details.token)}`);
+  if (details.recipient) lines.push(`Recipient Address: ${details.recipient}`);
+  if (details.durationDays !== undefined) lines.push(`Duration: ${details.durationDays} days`);
+
+  if (details.milestones && details.milestones.length > 0) {
+    lines.push('Milestones:');
+    details.milestones.forEach((milestone, index) => {
+      const parts = [milestone.title];
+      if (milestone.amount !== undefined) parts.push(formatAmount(milestone.amount, details.token));
+      if (milestone.dueDays !== undefined) parts.push(`due day ${milestone.dueDays}`);
+      lines.push(` ${index + 1}. ${parts.join(' — ')}`);
+    });
+  }
+
+  lines.push('Description:');
+  lines.push(text);
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  CATEGORIES,
+  validateProposalDetails,
+  parseProposalInput,
+  formatProposalForPrompt
+};
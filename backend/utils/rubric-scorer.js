@@ -0,0 +1,273 @@
+/**
+ * Rubric Scorer for Aikira Terminal
+ * Deterministic keyword scoring: lexicon terms match whole words, a negation shortly before a term
+ * flips its effect, and every score comes with the terms that produced it
+ */
+
+const { METRICS } = require('./scoring-schema');
+
+const DEFAULTS = {
+  baseline: 50,
+  min: 0,
+  max: 100,
+  negation: {
+    window: 3,
+    factor: -1,
+    terms: ['not', 'no', 'never', 'without', 'nor', 'none', 'neither', 'cannot', 'hardly', 'lacks', 'lacking']
+  }
+};
+
+// Words (with an optional apostrophe suffix) and the punctuation that ends a clause
+const TOKEN_PATTERN = /[a-z0-9]+(?:'[a-z]+)?|[.,;:!?()]/g;
+const CLAUSE_BREAKS = new Set(['.', ',', ';', ':', '!', '?', '(', ')', 'but', 'however', 'although', 'though']);
+
+/**
+ * Splits text into lowercase word tokens, numbering the clause each one belongs to
+ * Negation never reaches across a clause boundary ("no delay, but a risk" still counts the risk)
+ * @param {string} text - Text to tokenize
+ * @returns {Array<Object>} Tokens ({ word, start, end, clause }); offsets index the original text
+ */
+function tokenize(text) {
+  const normalized = text.toLowerCase().replace(/[\u2018\u2019]/g, '\'');
+  const tokens = [];
+  let clause = 0;
+
+  for (const match of normalized.matchAll(TOKEN_PATTERN)) {
+    const word = match[0];
+    if (CLAUSE_BREAKS.has(word)) {
+      clause++;
+      continue;
+    }
+    tokens.push({ word, start: match.index, end: match.index + word.length, clause });
+  }
+  return tokens;
+}
+
+/**
+ * Parses a lexicon term into word matchers; a trailing * matches any word starting with the stem
+ * @param {string} term - Term, e.g. "risk*" or "limited value"
+ * @returns {Array<Object>} Word matchers ({ stem, prefix })
+ */
+function parseTerm(term) {
+  return term.toLowerCase().trim().split(/\s+/).map(word => (word.endsWith('*')
+    ? { stem: word.slice(0, -1), prefix: true }
+    : { stem: word, prefix: false }));
+}
+
+/**
+ * Checks a rubric and fills in the defaults
+ * @param {Object} rubric - Rubric ({ baseline, min, max, negation, metrics })
+ * @returns {Object} Complete rubric
+ * @throws {Error} When the rubric is malformed
+ */
+function validateRubric(rubric) {
+  if (!rubric || typeof rubric !== 'object' || Array.isArray(rubric)) {
+    throw new Error('Rubric must be an object');
+  }
+
+  const errors = [];
+  const complete = {
+    baseline: rubric.baseline ?? DEFAULTS.baseline,
+    min: rubric.min ?? DEFAULTS.min,
+    max: rubric.max ?? DEFAULTS.max,
+    negation: { ...DEFAULTS.negation, ...(rubric.negation || {}) },
+    metrics: {}
+  };
+
+  ['baseline', 'min', 'max'].forEach(field => {
+    if (typeof complete[field] !== 'number' || !Number.isFinite(complete[field])) {
+      errors.push(`${field} must be a number`);
+    }
+  });
+  if (complete.min > complete.max) {
+    errors.push('min must not exceed max');
+  }
+  if (!Number.isInteger(complete.negation.window) || complete.negation.window < 0) {
+    errors.push('negation.window must be a non-negative integer');
+  }
+  if (typeof complete.negation.factor !== 'number') {
+    errors.push('negation.factor must be a number');
+  }
+  if (!Array.isArray(complete.negation.terms) || complete.negation.terms.some(term => typeof term !== 'string' || /\s/.test(term.trim()))) {
+    errors.push('negation.terms must be a list of single words');
+  }
+
+  METRICS.forEach(metric => {
+    const lexicons = rubric.metrics?.[metric];
+    if (!Array.isArray(lexicons)) {
+      errors.push(`metrics.${metric} must be a list of lexicons`);
+      return;
+    }
+    lexicons.forEach((lexicon, index) => {
+      const where = `metrics.${metric}[${index}]`;
+      if (typeof lexicon.source !== 'string' || !lexicon.source) {
+        errors.push(`${where}.source must name the text it scores`);
+      }
+      if (typeof lexicon.weight !== 'number' || !Number.isFinite(lexicon.weight)) {
+        errors.push(`${where}.weight must be a number`);
+      }
+      if (!Array.isArray(lexicon.terms) || lexicon.terms.length === 0 || lexicon.terms.some(term => typeof term !== 'string' || !term.trim())) {
+        errors.push(`${where}.terms must be a non-empty list of strings`);
+      }
+      if (lexicon.limit !== undefined && (!Number.isInteger(lexicon.limit) || lexicon.limit < 1)) {
+        errors.push(`${where}.limit must be a positive integer`);
+      }
+    });
+    complete.metrics[metric] = lexicons;
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid rubric: ${errors.join('; ')}`);
+  }
+  return complete;
+}
+
+/**
+ * Finds every occurrence of a term
+ * @param {Array<Object>} tokens - Tokens of the source text
+ * @param {Array<Object>} words - Parsed term
+ * @returns {Array<Object>} Occurrences ({ first, last }) as token indexes
+ */
+function findTerm(tokens, words) {
+  const occurrences = [];
+  for (let i = 0; i + words.length <= tokens.length; i++) {
+    const matches = words.every(({ stem, prefix }, offset) => {
+      const token = tokens[i + offset];
+      return token.clause === tokens[i].clause && (prefix ? token.word.startsWith(stem) : token.word === stem);
+    });
+    if (matches) {
+      occurrences.push({ first: i, last: i + words.length - 1 });
+    }
+  }
+  return occurrences;
+}
+
+/**
+ * Checks whether a negation precedes a token within the window, in the same clause
+ * @param {Array<Object>} tokens - Tokens of the source text
+ * @param {number} index - Index of the term's first token
+ * @param {Object} negation - Negation settings
+ * @param {Set<string>} negators - Negation words
+ * @returns {boolean} Whether the term is negated
+ */
+function isNegated(tokens, index, negation, negators) {
+  for (let i = index - 1; i >= Math.max(0, index - negation.window); i--) {
+    if (tokens[i].clause !== tokens[index].clause) return false;
+    if (negators.has(tokens[i].word) || tokens[i].word.endsWith('n\'t')) return true;
+  }
+  return false;
+}
+
+/**
+ * Creates a scorer for a rubric
+ * @param {Object} rubric - Rubric; see backend/data/rubric.js for the shape
+ * @returns {Object} Scorer with the completed rubric and a score function
+ * @throws {Error} When the rubric is malformed
+ */
+function createRubricScorer(rubric) {
+  const complete = validateRubric(rubric);
+  const negators = new Set(complete.negation.terms.map(term => term.toLowerCase().trim()));
+  const lexicons = METRICS.flatMap(metric => complete.metrics[metric].map(lexicon => ({
+    ...lexicon,
+    metric,
+    terms: lexicon.terms.map(term => ({ term, words: parseTerm(term) }))
+  })));
+
+  /**
+   * Scores texts against the rubric
+   * @param {Object} texts - Text by source name, e.g. { response, proposal }; missing sources score nothing
+   * @returns {Object} { metrics (clamped, rounded), adjustments (sum of contributions per metric), breakdown }
+   */
+  function score(texts) {
+    const tokensBySource = {};
+    const claimed = {};
+    const entries = [];
+
+    // Longer terms are matched first so "limited value" is not also counted as "value"
+    const candidates = lexicons.flatMap((lexicon, lexiconIndex) => lexicon.terms.map(({ term, words }) => ({ lexicon, lexiconIndex, term, words })))
+      .sort((a, b) => b.words.length - a.words.length);
+
+    candidates.forEach(({ lexicon, lexiconIndex, term, words }) => {
+      const text = texts[lexicon.source];
+      if (typeof text !== 'string' || !text) return;
+
+      const tokens = tokensBySource[lexicon.source] || (tokensBySource[lexicon.source] = tokenize(text));
+      const taken = claimed[`${lexicon.metric}:${lexicon.source}`] || (claimed[`${lexicon.metric}:${lexicon.source}`] = new Set());
+
+      findTerm(tokens, words).forEach(({ first, last }) => {
+        const span = [];
+        for (let i = first; i <= last; i++) span.push(i);
+        if (span.some(i => taken.has(i))) return;
+        span.forEach(i => taken.add(i));
+
+        const negated = isNegated(tokens, first, complete.negation, negators);
+        const existing = entries.find(entry => entry.lexiconIndex === lexiconIndex && entry.term === term && entry.negated === negated);
+        const range = { start: tokens[first].start, end: tokens[last].end };
+        if (existing) {
+          existing.occurrences++;
+          existing.spans.push(range);
+          return;
+        }
+        entries.push({
+          lexiconIndex,
+          metric: lexicon.metric,
+          source: lexicon.source,
+          term,
+          match: text.slice(tokens[first].start, tokens[last].end),
+          negated,
+          occurrences: 1,
+          weight: lexicon.weight,
+          start: range.start,
+          end: range.end,
+          spans: [range]
+        });
+      });
+    });
+
+    // Each term counts once per polarity however often it is repeated, in the order it first appears
+    entries.sort((a, b) => a.lexiconIndex - b.lexiconIndex || a.start - b.start || a.term.localeCompare(b.term));
+    const counted = new Map();
+    const breakdown = entries.map(entry => {
+      const lexicon = lexicons[entry.lexiconIndex];
+      const used = counted.get(entry.lexiconIndex) || 0;
+      const withinLimit = lexicon.limit === undefined || used < lexicon.limit;
+      counted.set(entry.lexiconIndex, used + 1);
+
+      return {
+        metric: entry.metric,
+        source: entry.source,
+        term: entry.term,
+        match: entry.match,
+        negated: entry.negated,
+        occurrences: entry.occurrences,
+        weight: entry.weight,
+        contribution: withinLimit ? entry.weight * (entry.negated ? complete.negation.factor : 1) : 0,
+        start: entry.start,
+        end: entry.end,
+        spans: entry.spans
+      };
+    });
+
+    const adjustments = Object.fromEntries(METRICS.map(metric => [
+      metric,
+      breakdown.filter(item => item.metric === metric).reduce((sum, item) => sum + item.contribution, 0)
+    ]));
+    const metrics = Object.fromEntries(METRICS.map(metric => [
+      metric,
+      Math.round(Math.max(complete.min, Math.min(complete.max, complete.baseline + adjustments[metric])))
+    ]));
+
+    return { metrics, adjustments, breakdown };
+  }
+
+  return {
+    rubric: complete,
+    score
+  };
+}
+
+module.exports = {
+  tokenize,
+  validateRubric,
+  createRubricScorer
+};
@@ -0,0 +1,209 @@
+/**
+ * Scoring Schema Utility for Aikira Terminal
+ * Defines the JSON object the model must return when it scores a proposal, and validates it
+ */
+
+const METRICS = ['fairness', 'value', 'protection'];
+const VERDICTS = ['approve', 'reject'];
+const COMPLIANCE = ['complies', 'conflicts', 'neutral'];
+const POLARITIES = ['positive', 'negative'];
+
+const LIMITS = {
+  responseLength: 2000,
+  rationaleLength: 400,
+  reasonLength: 200,
+  evidenceItems: 8,
+  quoteLength: 160
+};
+
+/**
+ * Describes the required output format for the system prompt
+ * @param {Array<string>} numerals - Numerals of the commandments to assess (e.g. I to X)
+ * @returns {string} Prompt section
+ */
+function describeScoringFormat(numerals) {
+  const commandmentShape = numerals.map(numeral => `"${numeral}": {"status": ..., "reason": string}`).join(', ');
+
+  return `Output Format:
+ - Reply with a single JSON object and nothing else — no markdown, no code fences.
+ - Shape: {"response": string, "scores": {"fairness": number, "value": number, "protection": number}, "rationale": {"fairness": string, "value": string, "protection": string}, "commandments": {${commandmentShape}}, "evidence": [{"metric": "${METRICS.join('" | "')}", "polarity": "${POLARITIES.join('" | "')}", "quote": string}], "verdict": "approve" | "reject"}
+ - "response" is what you say to the proposer, in your usual voice.
+ - Scores are integers from 0 to 100. Each rationale is one short sentence (at most ${LIMITS.rationaleLength} characters) explaining that score.
+ - Assess every commandment: status is "${COMPLIANCE.join('", "')}"; reason is one line (at most ${LIMITS.reasonLength} characters).
+ - "evidence" lists up to ${LIMITS.evidenceItems} passages of the proposal that raised (positive) or lowered (negative) a score, each quoted exactly as written (at most ${LIMITS.quoteLength} characters).`;
+}
+
+/**
+ * Removes a markdown code fence the model may wrap around its JSON
+ * @param {string} raw - Raw model output
+ * @returns {string} Unwrapped output
+ */
+function stripCodeFence(raw) {
+  const match = raw.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  return match ? match[1] : raw.trim();
+}
+
+/**
+ * Validates the per-commandment assessment
+ * @param {any} commandments - Parsed commandments object
+ * @param {Array<string>} numerals - Numerals that must be assessed
+ * @param {Array<string>} errors - Collected validation errors
+ */
+function validateCommandments(commandments, numerals, errors) {
+  if (!commandments || typeof commandments !== 'object' || Array.isArray(commandments)) {
+    errors.push('commandments must be an object keyed by numeral');
+    return;
+  }
+
+  numerals.forEach(numeral => {
+    const entry = commandments[numeral];
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`commandments.${numeral} is missing`);
+      return;
+    }
+    if (!COMPLIANCE.includes(entry.status)) {
+      errors.push(`commandments.${numeral}.status must be one of: ${COMPLIANCE.join(', ')}`);
+    }
+    if (typeof entry.reason !== 'string' || !entry.reason.trim()) {
+      errors.push(`commandments.${numeral}.reason must be a non-empty string`);
+    } else if (entry.reason.length > LIMITS.reasonLength) {
+      errors.push(`commandments.${numeral}.reason must be at most ${LIMITS.reasonLength} characters`);
+    }
+  });
+}
+
+/**
+ * Validates the evidence quotes (optional; a missing list means no evidence)
+ * @param {any} evidence - Parsed evidence list
+ * @param {Array<string>} errors - Collected validation errors
+ */
+function validateEvidence(evidence, errors) {
+  if (evidence === undefined || evidence === null) return;
+  if (!Array.isArray(evidence)) {
+    errors.push('evidence must be an array');
+    return;
+  }
+  if (evidence.length > LIMITS.evidenceItems) {
+    errors.push(`evidence must have at most ${LIMITS.evidenceItems} items`);
+  }
+
+  evidence.forEach((item, index) => {
+    if (!item || typeof item !== 'object') {
+      errors.push(`evidence[${index}] must be an object`);
+      return;
+    }
+    if (!METRICS.includes(item.metric)) {
+      errors.push(`evidence[${index}].metric must be one of: ${METRICS.join(', ')}`);
+    }
+    if (!POLARITIES.includes(item.polarity)) {
+      errors.push(`evidence[${index}].polarity must be one of: ${POLARITIES.join(', ')}`);
+    }
+    if (typeof item.quote !== 'string' || !item.quote.trim()) {
+      errors.push(`evidence[${index}].quote must be a non-empty string`);
+    } else if (item.quote.length > LIMITS.quoteLength) {
+      errors.push(`evidence[${index}].quote must be at most ${LIMITS.quoteLength} characters`);
+    }
+  });
+}
+
+/**
+ * Parses and validates the model's scoring output
+ * @param {string} raw - Raw model output
+ * @param {Array<string>} numerals - Numerals of the commandments that must be assessed
+ * @returns {Object} { value, errors } — value is the normalized scoring when errors is empty
+ */
+function parseScoringOutput(raw, numerals) {
+  const errors = [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(stripCodeFence(String(raw || '')));
+  } catch (error) {
+    return { value: null, errors: [`output is not valid JSON (${error.message})`] };
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { value: null, errors: ['output must be a JSON object'] };
+  }
+
+  if (typeof parsed.response !== 'string' || !parsed.response.trim()) {
+    errors.push('response must be a non-empty string');
+  } else if (parsed.response.length > LIMITS.responseLength) {
+    errors.push(`response must be at most ${LIMITS.responseLength} characters`);
+  }
+
+  const scores = parsed.scores && typeof parsed.scores === 'object' ? parsed.scores : null;
+  const rationale = parsed.rationale && typeof parsed.rationale === 'object' ? parsed.rationale : null;
+  if (!scores) errors.push('scores must be an object');
+  if (!rationale) errors.push('rationale must be an object');
+
+  METRICS.forEach(metric => {
+    if (scores) {
+      const score = scores[metric];
+      if (typeof score !== 'number' || !Number.isFinite(score) || score < 0 || score > 100) {
+        errors.push(`scores.${metric} must be a number from 0 to 100`);
+      }
+    }
+    if (rationale) {
+      const text = rationale[metric];
+      if (typeof text !== 'string' || !text.trim()) {
+        errors.push(`rationale.${metric} must be a non-empty string`);
+      } else if (text.length > LIMITS.rationaleLength) {
+        errors.push(`rationale.${metric} must be at most ${LIMITS.rationaleLength} characters`);
+      }
+    }
+  });
+
+  validateCommandments(parsed.commandments, numerals, errors);
+  validateEvidence(parsed.evidence, errors);
+
+  if (!VERDICTS.includes(parsed.verdict)) {
+    errors.push(`verdict must be one of: ${VERDICTS.join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    return { value: null, errors };
+  }
+
+  return {
+    value: {
+      response: parsed.response.trim(),
+      metrics: Object.fromEntries(METRICS.map(metric => [metric, Math.round(scores[metric])])),
+      rationale: Object.fromEntries(METRICS.map(metric => [metric, rationale[metric].trim()])),
+      commandments: Object.fromEntries(numerals.map(numeral => [numeral, {
+        status: parsed.commandments[numeral].status,
+        reason: parsed.commandments[numeral].reason.trim()
+      }])),
+      evidence: (parsed.evidence || []).map(({ metric, polarity, quote }) => ({ metric, polarity, quote: quote.trim() })),
+      verdict: parsed.verdict
+    },
+    errors
+  };
+}
+
+/**
+ * Recovers the prose response from output that failed validation
+ * @param {string} raw - Raw model output
+ * @returns {string} The response field when one can be found, otherwise the raw text
+ */
+function extractResponseText(raw) {
+  try {
+    const parsed = JSON.parse(stripCodeFence(String(raw || '')));
+    if (parsed && typeof parsed.response === 'string' && parsed.response.trim()) {
+      return parsed.response.trim();
+    }
+  } catch (error) {
+    // Not JSON at all; the raw text is the response
+  }
+  return String(raw || '').trim();
+}
+
+module.exports = {
+  METRICS,
+  VERDICTS,
+  COMPLIANCE,
+  POLARITIES,
+  describeScoringFormat,
+  parseScoringOutput,
+  extractResponseText
+};
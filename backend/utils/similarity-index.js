@@ -0,0 +1,147 @@
+/**
+ * Similarity Index for Aikira Terminal
+ * Local TF-IDF index: documents are weighted word vectors compared by cosine similarity, so
+ * copies of a text score close to 1, rewordings of it well above unrelated texts, and unrelated texts close to 0
+ */
+
+// Words too common to say anything about what a proposal asks for
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'our', 'that', 'the', 'this', 'to', 'was', 'we', 'will', 'with'
+]);
+
+/**
+ * Extracts the terms of a text: its words, Unicode-normalized and lowercase, without stop words
+ * (word order is left out, so reordered and reworded sentences still match)
+ * @param {string} text - Text
+ * @returns {Map<string, number>} Term counts
+ */
+function extractTerms(text) {
+  const terms = new Map();
+  (text.normalize('NFKC').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => !STOP_WORDS.has(word))
+    .forEach(word => terms.set(word, (terms.get(word) || 0) + 1));
+  return terms;
+}
+
+/**
+ * Creates an empty index
+ * @returns {Object} Index ({ add, remove, has, ids, query })
+ */
+function createSimilarityIndex() {
+  const documents = new Map(); // id -> { version, terms }
+  const documentFrequency = new Map(); // term -> number of documents containing it
+
+  /**
+   * Builds the unit-length TF-IDF vector of a document's terms
+   * @param {Map<string, number>} terms - Term counts
+   * @param {number} total - Number of documents the weights are computed over
+   * @returns {Map<string, number>} Term weights
+   */
+  function vectorize(terms, total) {
+    const vector = new Map();
+    let norm = 0;
+    terms.forEach((count, term) => {
+      // Sublinear term frequency and smoothed inverse document frequency
+      const weight = (1 + Math.log(count)) * (Math.log((total + 1) / ((documentFrequency.get(term) || 0) + 1)) + 1);
+      vector.set(term, weight);
+      norm += weight * weight;
+    });
+    norm = Math.sqrt(norm);
+    vector.forEach((weight, term) => vector.set(term, weight / norm));
+    return vector;
+  }
+
+  /**
+   * Removes a document
+   * @param {string} id - Document ID
+   */
+  function remove(id) {
+    const document = documents.get(id);
+    if (!document) return;
+    document.terms.forEach((count, term) => {
+      const frequency = documentFrequency.get(term) - 1;
+      if (frequency > 0) {
+        documentFrequency.set(term, frequency);
+      } else {
+        documentFrequency.delete(term);
+      }
+    });
+    documents.delete(id);
+  }
+
+  return {
+    /**
+     * Adds or replaces a document
+     * @param {string} id - Document ID
+     * @param {string} text - Document text
+     * @param {string} version - Version of the document (e.g. its update time), to tell when it changed
+     */
+    add(id, text, version = null) {
+      remove(id);
+      const terms = extractTerms(text);
+      terms.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+      documents.set(id, { version, terms });
+    },
+
+    remove,
+
+    /**
+     * Checks whether a document is indexed at a version
+     * @param {string} id - Document ID
+     * @param {string} version - Expected version
+     * @returns {boolean} Whether the document is indexed at that version
+     */
+    has(id, version = null) {
+      return documents.has(id) && documents.get(id).version === version;
+    },
+
+    /**
+     * IDs of the indexed documents
+     * @returns {Array<string>} Document IDs
+     */
+    ids() {
+      return Array.from(documents.keys());
+    },
+
+    /**
+     * Finds the documents most similar to a text
+     * @param {string} text - Text to compare
+     * @param {Object} options - Query options
+     * @param {number} options.threshold - Lowest similarity returned (0-1)
+     * @param {number} options.limit - Maximum number of matches
+     * @param {Function} options.exclude - Returns true for document IDs to skip
+     * @returns {Array<Object>} Matches ({ id, similarity }), most similar first
+     */
+    query(text, { threshold = 0, limit = 5, exclude = () => false } = {}) {
+      const terms = extractTerms(text);
+      if (terms.size === 0 || documents.size === 0) return [];
+
+      // Weights are computed over the indexed documents plus the query
+      const total = documents.size + 1;
+      const queryVector = vectorize(terms, total);
+      const matches = [];
+
+      documents.forEach((document, id) => {
+        if (exclude(id)) return;
+        const vector = vectorize(document.terms, total);
+        let similarity = 0;
+        queryVector.forEach((weight, term) => {
+          similarity += weight * (vector.get(term) || 0);
+        });
+        if (similarity >= threshold) {
+          matches.push({ id, similarity: Math.round(Math.min(1, similarity) * 1000) / 1000 });
+        }
+      });
+
+      return matches
+        .sort((a, b) => b.similarity - a.similarity || a.id.localeCompare(b.id))
+        .slice(0, limit);
+    }
+  };
+}
+
+module.exports = {
+  extractTerms,
+  createSimilarityIndex
+};
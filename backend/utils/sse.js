@@ -0,0 +1,75 @@
+/**
+ * Server-Sent Events Utility for Aikira Terminal
+ * Opens an event stream on a response and tracks whether the client is still listening
+ */
+
+/**
+ * Starts an event stream
+ * @param {Object} res - Express response object
+ * @returns {Object} Stream with send, fail and end methods and an abort signal for upstream requests
+ */
+function openEventStream(res) {
+  const controller = new AbortController();
+  let ended = false;
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop reverse proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  // Stop upstream work when the client goes away before the stream ends
+  res.on('close', () => {
+    if (!ended) {
+      ended = true;
+      controller.abort();
+    }
+  });
+
+  return {
+    signal: controller.signal,
+
+    /**
+     * Whether the stream is still open
+     * @returns {boolean} Open state
+     */
+    isOpen() {
+      return !ended;
+    },
+
+    /**
+     * Sends an event
+     * @param {string} event - Event name
+     * @param {Object} data - Event payload (sent as JSON)
+     */
+    send(event, data) {
+      if (ended) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    /**
+     * Sends an error event and ends the stream
+     * @param {Object} error - Error payload
+     */
+    fail(error) {
+      this.send('error', { success: false, ...error });
+      this.end();
+    },
+
+    /**
+     * Ends the stream
+     */
+    end() {
+      if (ended) return;
+      ended = true;
+      res.end();
+    }
+  };
+}
+
+module.exports = {
+  openEventStream
+};
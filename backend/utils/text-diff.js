@@ -0,0 +1,110 @@
+/**
+ * Text Diff Utility for Aikira Terminal
+ * Computes word-level differences between two versions of a proposal
+ */
+
+// Above this many token comparisons the diff falls back to whole lines
+const MAX_WORD_CELLS = 4000000;
+
+/**
+ * Splits text into words and the whitespace between them
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Tokens
+ */
+function tokenizeWords(text) {
+  return text.split(/(\s+)/).filter(token => token.length > 0);
+}
+
+/**
+ * Splits text into lines, keeping line endings attached
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Tokens
+ */
+function tokenizeLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Diffs two token lists using a longest common subsequence table
+ * @param {Array<string>} before - Original tokens
+ * @param {Array<string>} after - Revised tokens
+ * @returns {Array<Object>} Operations ({ type, text }) in document order
+ */
+function diffTokens(before, after) {
+  const rows = before.length + 1;
+  const cols = after.length + 1;
+  const table = new Uint32Array(rows * cols);
+
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      table[i * cols + j] = before[i] === after[j]
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+
+  const ops = [];
+  const push = (type, text) => {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      ops.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      push('equal', before[i]);
+      i++;
+      j++;
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      push('delete', before[i]);
+      i++;
+    } else {
+      push('insert', after[j]);
+      j++;
+    }
+  }
+  while (i < before.length) push('delete', before[i++]);
+  while (j < after.length) push('insert', after[j++]);
+
+  return ops;
+}
+
+/**
+ * Computes a word-level diff between two texts
+ * @param {string} before - Original text
+ * @param {string} after - Revised text
+ * @returns {Object} Diff operations, granularity and change counts
+ */
+function diffText(before, after) {
+  let granularity = 'word';
+  let beforeTokens = tokenizeWords(before);
+  let afterTokens = tokenizeWords(after);
+
+  if (beforeTokens.length * afterTokens.length > MAX_WORD_CELLS) {
+    granularity = 'line';
+    beforeTokens = tokenizeLines(before);
+    afterTokens = tokenizeLines(after);
+  }
+
+  const ops = diffTokens(beforeTokens, afterTokens);
+  const countWords = text => (text.match(/\S+/g) || []).length;
+
+  return {
+    granularity,
+    ops,
+    stats: {
+      insertedWords: ops.filter(op => op.type === 'insert').reduce((sum, op) => sum + countWords(op.text), 0),
+      deletedWords: ops.filter(op => op.type === 'delete').reduce((sum, op) => sum + countWords(op.text), 0),
+      unchanged: ops.every(op => op.type === 'equal')
+    }
+  };
+}
+
+module.exports = {
+  diffText
+};
@@ -0,0 +1,138 @@
+/**
+ * Vesting Calculator Utility for Aikira Terminal
+ * Computes unlocked amounts and month-by-month unlock tables for vesting schedules
+ *
+ * Schedule types:
+ *  - linear: nothing unlocks before the cliff; afterwards the amount unlocks linearly from
+ *    the start date to the end of the duration (the cliff releases the accrued portion at once)
+ *  - cliff: the whole amount unlocks at the end of the duration
+ */
+
+const { badRequest } = require('./error-handler');
+
+const SCHEDULE_TYPES = ['linear', 'cliff'];
+const MAX_MONTHS = 120;
+
+/**
+ * Adds calendar months to a date
+ * @param {Date} date - Start date
+ * @param {number} months - Months to add
+ * @returns {Date} New date
+ */
+function addMonths(date, months) {
+  const result = new Date(date.getTime());
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result;
+}
+
+/**
+ * Parses a date argument
+ * @param {Date|string|undefined} value - Date, ISO string or empty for now
+ * @returns {Date} Parsed date
+ */
+function toDate(value) {
+  const date = value === undefined || value === null || value === '' ? new Date() : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw badRequest(`Invalid date "${value}"`);
+  }
+  return date;
+}
+
+/**
+ * Parses a whole number of months
+ * @param {any} value - Raw value
+ * @param {string} name - Parameter name for error messages
+ * @param {number} min - Smallest accepted value
+ * @returns {number} Months
+ */
+function toMonths(value, name, min) {
+  const months = Number(value);
+  if (!Number.isInteger(months) || months < min || months > MAX_MONTHS) {
+    throw badRequest(`${name} must be an integer between ${min} and ${MAX_MONTHS}`);
+  }
+  return months;
+}
+
+/**
+ * Validates a vesting schedule
+ * @param {Object} schedule - Schedule definition
+ * @param {string} schedule.type - linear or cliff
+ * @param {number} schedule.cliffMonths - Months before anything unlocks (linear only)
+ * @param {number} schedule.durationMonths - Months until fully unlocked
+ * @param {Date|string} schedule.start - Vesting start date
+ * @returns {Object} Normalized schedule with start and end dates
+ */
+function normalizeSchedule({ type = 'linear', cliffMonths = 0, durationMonths, start }) {
+  if (!SCHEDULE_TYPES.includes(type)) {
+    throw badRequest(`type must be one of: ${SCHEDULE_TYPES.join(', ')}`);
+  }
+
+  const duration = toMonths(durationMonths, 'durationMonths', 1);
+  const cliff = type === 'cliff' ? duration : toMonths(cliffMonths, 'cliffMonths', 0);
+  if (cliff > duration) {
+    throw badRequest('cliffMonths cannot exceed durationMonths');
+  }
+
+  const startDate = toDate(start);
+
+  return {
+    type,
+    cliffMonths: cliff,
+    durationMonths: duration,
+    start: startDate.toISOString(),
+    cliffEnd: addMonths(startDate, cliff).toISOString(),
+    end: addMonths(startDate, duration).toISOString()
+  };
+}
+
+/**
+ * Calculates the amount unlocked by a date
+ * @param {Object} schedule - Normalized schedule
+ * @param {number} amount - Total vested amount
+ * @param {Date|string} at - Date to calculate for (defaults to now)
+ * @returns {number} Unlocked amount (whole tokens)
+ */
+function getUnlockedAmount(schedule, amount, at) {
+  const date = toDate(at);
+  const start = new Date(schedule.start);
+  const end = new Date(schedule.end);
+
+  if (date < new Date(schedule.cliffEnd) || date <= start) return 0;
+  if (date >= end) return amount;
+
+  return Math.floor(amount * (date - start) / (end - start));
+}
+
+/**
+ * Builds a month-by-month unlock table from the start to the end of a schedule
+ * @param {Object} schedule - Normalized schedule
+ * @param {number} amount - Total vested amount
+ * @returns {Array<Object>} Rows with the amount unlocked that month and cumulatively
+ */
+function buildUnlockTable(schedule, amount) {
+  const start = new Date(schedule.start);
+  let previous = 0;
+
+  return Array.from({ length: schedule.durationMonths + 1 }, (unused, month) => {
+    const date = addMonths(start, month);
+    const unlocked = getUnlockedAmount(schedule, amount, date);
+    const row = {
+      month,
+      date: date.toISOString(),
+      unlockedThisMonth: unlocked - previous,
+      unlocked,
+      percent: Math.round(unlocked / amount * 10000) / 100
+    };
+    previous = unlocked;
+    return row;
+  });
+}
+
+module.exports = {
+  SCHEDULE_TYPES,
+  addMonths,
+  toDate,
+  normalizeSchedule,
+  getUnlockedAmount,
+  buildUnlockTable
+};
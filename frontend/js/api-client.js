@@ -13,6 +13,9 @@ class ApiClient {
             'Content-Type': 'application/json'
         };
         
+        // Bearer token identifying the user (required to vote), kept across reloads
+        this.setAuthToken(window.localStorage?.getItem('aikiraAuthToken') || null);
+        
         // Request timeout (ms)
         this.timeout = 30000;
         
@@ -20,6 +23,20 @@ class ApiClient {
         this.pendingRequests = {};
     }
     
+    /**
+     * Sets the bearer token sent with every request, or clears it
+     * @param {string|null} token - JWT issued for the user
+     */
+    setAuthToken(token) {
+        if (token) {
+            this.defaultHeaders.Authorization = `Bearer ${token}`;
+            window.localStorage?.setItem('aikiraAuthToken', token);
+        } else {
+            delete this.defaultHeaders.Authorization;
+            window.localStorage?.removeItem('aikiraAuthToken');
+        }
+    }
+    
     /**
      * Handles API requests with timeouts and error management
      * @param {string} endpoint - API endpoint
@@ -57,9 +74,11 @@ class ApiClient {
             // Check response status
             if (!response.ok) {
                 const errorData = await response.json().catch(() => null);
+                // Validation failures list each problem in details
+                const problems = Array.isArray(errorData?.details) ? `: ${errorData.details.join('; ')}` : '';
                 throw new Error(
-                    errorData?.message || 
-                    `Request failed with status ${response.status}`
+                    (errorData?.message || errorData?.error ||
+                    `Request failed with status ${response.status}`) + problems
                 );
             }
             
@@ -88,6 +107,94 @@ class ApiClient {
         }
     }
     
+    /**
+     * Posts to a server-sent-event endpoint and dispatches its events as they arrive
+     * The request times out only when the stream goes quiet for longer than the request timeout.
+     * @param {string} endpoint - API endpoint
+     * @param {Object} body - JSON request body
+     * @param {Object} handlers - Event handlers keyed by event name, e.g. { token: data => ... }
+     * @returns {Promise} - Promise resolving to the data of the final "metrics" event
+     */
+    async streamRequest(endpoint, body, handlers = {}) {
+        const requestId = `stream-${Date.now()}`;
+        const controller = new AbortController();
+        let timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        const resetTimeout = () => {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        };
+        
+        this.pendingRequests[requestId] = controller;
+        
+        try {
+            const response = await fetch(`${this.baseUrl}${endpoint}`, {
+                method: 'POST',
+                headers: { ...this.defaultHeaders, Accept: 'text/event-stream' },
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+            
+            // Validation errors arrive as plain JSON before the stream opens
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => null);
+                const problems = Array.isArray(errorData?.details) ? `: ${errorData.details.join('; ')}` : '';
+                throw new Error(
+                    (errorData?.message || errorData?.error ||
+                    `Request failed with status ${response.status}`) + problems
+                );
+            }
+            
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            let final = null;
+            
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                resetTimeout();
+                
+                buffer += decoder.decode(value, { stream: true });
+                const blocks = buffer.split('\n\n');
+                buffer = blocks.pop();
+                
+                for (const block of blocks) {
+                    const eventLine = block.split('\n').find(line => line.startsWith('event:'));
+                    const dataLines = block.split('\n').filter(line => line.startsWith('data:'));
+                    if (!eventLine || dataLines.length === 0) continue;
+                    
+                    const event = eventLine.slice(6).trim();
+                    const data = JSON.parse(dataLines.map(line => line.slice(5).trim()).join('\n'));
+                    
+                    if (event === 'error') {
+                        const problems = Array.isArray(data.details) ? `: ${data.details.join('; ')}` : '';
+                        throw new Error((data.message || data.error || 'Stream failed') + problems);
+                    }
+                    if (event === 'metrics') {
+                        final = data;
+                    }
+                    if (typeof handlers[event] === 'function') {
+                        handlers[event](data);
+                    }
+                }
+            }
+            
+            if (!final) {
+                throw new Error('Stream ended before the result arrived');
+            }
+            return final;
+            
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error('Request timed out');
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+            delete this.pendingRequests[requestId];
+        }
+    }
+    
     /**
      * Cancels all pending requests
      */
@@ -112,6 +219,9 @@ class ApiClient {
         // Create FormData to send audio file
         const formData = new FormData();
         formData.append('audio', audioBlob, 'recording.wav');
+        // Charge the audio to the requester and conversation session
+        if (window.currentUserId) formData.append('requester', window.currentUserId);
+        if (window.currentSessionId) formData.append('sessionId', window.currentSessionId);
         
         try {
             return await this.request('/api/speech/transcribe', {
@@ -135,8 +245,13 @@ class ApiClient {
      * @returns {Promise} - Promise resolving to audio blob
      */
     async generateSpeech(text, options = {}) {
-        // Build payload: include only text and any provided overrides
-        const payload = { text, ...options };
+        // Build payload: text, any provided overrides, and who the characters are charged to
+        const payload = {
+            text,
+            requester: window.currentUserId,
+            sessionId: window.currentSessionId || undefined,
+            ...options
+        };
         try {
             return await this.request('/api/speech/generate', {
                 method: 'POST',
@@ -151,14 +266,18 @@ class ApiClient {
     /**
      * Submits a proposal for evaluation
      * @param {string} proposalText - Proposal text
+     * @param {Object} details - Structured proposal fields (optional)
+     * @param {boolean} council - Have the council deliberate (optional; the server default applies without it)
      * @returns {Promise} - Promise resolving to evaluation data
      */
-    async submitProposal(proposalText) {
+    async submitProposal(proposalText, details = null, council = null) {
         try {
             return await this.request('/api/proposal/evaluate', {
                 method: 'POST',
                 body: JSON.stringify({
-                    proposal: proposalText
+                    proposal: proposalText,
+                    details: details || undefined,
+                    council: council === null ? undefined : council
                 })
             });
         } catch (error) {
@@ -167,6 +286,459 @@ class ApiClient {
         }
     }
     
+    /**
+     * Submits a proposal for evaluation, streaming Aikira's response as it is written
+     * @param {string} proposalText - Proposal text
+     * @param {Object} details - Structured proposal fields (optional)
+     * @param {Function} onToken - Receives each piece of response text
+     * @param {boolean} council - Have the council deliberate (optional; the server default applies without it)
+     * @returns {Promise} - Promise resolving to the final evaluation data
+     */
+    async streamProposal(proposalText, details = null, onToken = () => {}, council = null) {
+        try {
+            return await this.streamRequest('/api/proposal/evaluate/stream', {
+                proposal: proposalText,
+                details: details || undefined,
+                council: council === null ? undefined : council
+            }, {
+                token: data => onToken(data.text)
+            });
+        } catch (error) {
+            console.error('Proposal stream error:', error);
+            throw new Error(`Failed to submit proposal: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Asks Aikira to respond to a proposal, streaming the response as it is written
+     * @param {string} proposalText - Proposal text
+     * @param {Object} details - Structured proposal fields (optional)
+     * @param {Function} onToken - Receives each piece of response text
+     * @param {string} sessionId - Conversation session to continue (optional; a new one is started without it)
+     * @param {boolean} council - Have the council deliberate (optional; the server default applies without it)
+     * @returns {Promise} - Promise resolving to the response with its metrics and session
+     */
+    async streamResponse(proposalText, details = null, onToken = () => {}, sessionId = null, council = null) {
+        try {
+            return await this.streamRequest('/api/openai/generate-response/stream', {
+                proposal: proposalText,
+                details: details || undefined,
+                sessionId: sessionId || undefined,
+                council: council === null ? undefined : council,
+                requester: window.currentUserId
+            }, {
+                token: data => onToken(data.text)
+            });
+        } catch (error) {
+            console.error('Response stream error:', error);
+            throw new Error(`Failed to generate response: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Stores an evaluated proposal
+     * @param {string} proposalText - Proposal text
+     * @param {Object} evaluation - Evaluation result
+     * @param {string} proposalId - Existing proposal to store this as a revision of (optional)
+     * @param {Object} details - Structured proposal fields (optional)
+     * @returns {Promise} - Promise resolving to the stored proposal
+     */
+    async storeProposal(proposalText, evaluation, proposalId = null, details = null) {
+        try {
+            return await this.request('/api/proposal/store', {
+                method: 'POST',
+                body: JSON.stringify({
+                    proposal: proposalText,
+                    details: details || undefined,
+                    evaluation,
+                    proposalId: proposalId || undefined
+                })
+            });
+        } catch (error) {
+            console.error('Proposal storage error:', error);
+            throw new Error(`Failed to store proposal: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetches stored proposal history
+     * @param {Object} params - Query parameters (page, limit, status, minScore, maxScore, sort, order)
+     * @returns {Promise} - Promise resolving to proposals and pagination data
+     */
+    async getProposalHistory(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        try {
+            return await this.request(`/api/proposal/history${query ? `?${query}` : ''}`, {
+                method: 'GET'
+            });
+        } catch (error) {
+            console.error('Proposal history error:', error);
+            throw new Error(`Failed to fetch proposal history: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetches a stored proposal
+     * @param {string} proposalId - Proposal ID
+     * @returns {Promise} - Promise resolving to the proposal record
+     */
+    async getProposal(proposalId) {
+        try {
+            return await this.request(`/api/proposal/${encodeURIComponent(proposalId)}`, {
+                method: 'GET'
+            });
+        } catch (error) {
+            console.error('Proposal fetch error:', error);
+            throw new Error(`Failed to fetch proposal: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetches the revisions of a stored proposal
+     * @param {string} proposalId - Proposal ID
+     * @returns {Promise} - Promise resolving to the revision list
+     */
+    async getProposalRevisions(proposalId) {
+        try {
+            return await this.request(`/api/proposal/${encodeURIComponent(proposalId)}/revisions`, {
+                method: 'GET'
+            });
+        } catch (error) {
+            console.error('Proposal revisions error:', error);
+            throw new Error(`Failed to fetch proposal revisions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetches a text diff between two revisions (defaults to the latest two)
+     * @param {string} proposalId - Proposal ID
+     * @param {number} from - Original revision number (optional)
+     * @param {number} to - Revised revision number (optional)
+     * @returns {Promise} - Promise resolving to the diff
+     */
+    async diffProposalRevisions(proposalId, from = null, to = null) {
+        const params = new URLSearchParams();
+        if (from) params.set('from', from);
+        if (to) params.set('to', to);
+        const query = params.toString();
+        try {
+            return await this.request(`/api/proposal/${encodeURIComponent(proposalId)}/diff${query ? `?${query}` : ''}`, {
+                method: 'GET'
+            });
+        } catch (error) {
+            console.error('Proposal diff error:', error);
+            throw new Error(`Failed to diff proposal revisions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetches score and consensus comparisons across revisions
+     * @param {string} proposalId - Proposal ID
+     * @returns {Promise} - Promise resolving to the comparison
+     */
+    async compareProposalRevisions(proposalId) {
+        try {
+            return await this.request(`/api/proposal/${encodeURIComponent(proposalId)}/compare`, {
+                method: 'GET'
+            });
+        } catch (error) {
+            console.error('Proposal comparison error:', error);
+            throw new Error(`Failed to compare proposal revisions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Moves a stored proposal to a new lifecycle state
+     * @param {string} proposalId - Proposal ID
+     * @param {string} to - Target state
+     * @param {string} reason - Why the transition is being made
+     * @param {string} adminToken - Admin token; only admins move proposals
+     * @returns {Promise} - Promise resolving to the updated proposal
+     */
+    async transitionProposal(proposalId, to, reason, adminToken) {
+        try {
+            return await this.request(`/api/proposal/${encodeURIComponent(proposalId)}/transitions`, {
+                method: 'POST',
+                headers: { 'X-Admin-Token': adminToken },
+                body: JSON.stringify({
+                    to,
+                    reason
+                })
+            });
+        } catch (error) {
+            console.error('Proposal transition error:', error);
+            throw new Error(`Failed to transition proposal: ${error.message}`);
+        }
+    }
+
+    /**
+     * Casts a token-weighted vote on a proposal as the user of the auth token
+     * @param {string} proposalId - Proposal ID
+     * @param {string} choice - yes, no or abstain
+     * @returns {Promise} - Promise resolving to the vote and updated tally
+     */
+    async castVote(proposalId, choice) {
+        try {
+            return await this.request(`/api/proposal/${encodeURIComponent(proposalId)}/votes`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    choice
+                })
+            });
+        } catch (error) {
+            console.error('Vote error:', error);
+            throw new Error(`Failed to cast vote: ${error.message}`);
+        }
+    }
+
+    /**
+     * Appeals a rejected proposal with a rebuttal
+     * @param {string} proposalId - Proposal ID
+     * @param {string} rebuttal - Counterarguments to Aikira's decision
+     * @returns {Promise} - Promise resolving to the appeal and its outcome
+     */
+    async appealProposal(proposalId, rebuttal) {
+        try {
+            return await this.request(`/api/proposal/${encodeURIComponent(proposalId)}/appeal`, {
+                method: 'POST',
+                body: JSON.stringify({ rebuttal })
+            });
+        } catch (error) {
+            console.error('Appeal error:', error);
+            throw new Error(`Failed to appeal proposal: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetches the votes and tally of a proposal
+     * @param {string} proposalId - Proposal ID
+     * @returns {Promise} - Promise resolving to the votes and tally
+     */
+    async getProposalVotes(proposalId) {
+        try {
+            return await this.request(`/api/proposal/${encodeURIComponent(proposalId)}/votes`, {
+                method: 'GET'
+            });
+        } catch (error) {
+            console.error('Vote fetch error:', error);
+            throw new Error(`Failed to fetch votes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetches the treasury balance
+     * @returns {Promise} - Promise resolving to the unlocked, spent and available balance
+     */
+    async getTreasuryBalance() {
+        try {
+            return await this.request('/api/treasury', {
+                method: 'GET'
+            });
+        } catch (error) {
+            console.error('Treasury balance error:', error);
+            throw new Error(`Failed to fetch treasury balance: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetches the treasury ledger
+     * @returns {Promise} - Promise resolving to the ledger entries
+     */
+    async getTreasuryLedger() {
+        try {
+            return await this.request('/api/treasury/ledger', {
+                method: 'GET'
+            });
+        } catch (error) {
+            console.error('Treasury ledger error:', error);
+            throw new Error(`Failed to fetch treasury ledger: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetches month-by-month treasury unlock projections
+     * @param {number} months - Number of months to project
+     * @returns {Promise} - Promise resolving to the projections
+     */
+    async getTreasuryProjections(months = 12) {
+        try {
+            return await this.request(`/api/treasury/projections?months=${encodeURIComponent(months)}`, {
+                method: 'GET'
+            });
+        } catch (error) {
+            console.error('Treasury projection error:', error);
+            throw new Error(`Failed to fetch treasury projections: ${error.message}`);
+        }
+    }
+
+    /**
+     * Asks the server to verify a decision receipt
+     * @param {Object} receipt - Receipt as returned by the evaluation
+     * @param {string} proposalText - Proposal the receipt should cover (optional)
+     * @param {Object} details - Structured proposal fields (optional)
+     * @returns {Promise} - Promise resolving to the verification result
+     */
+    async verifyReceipt(receipt, proposalText = null, details = null) {
+        try {
+            return await this.request('/api/receipts/verify', {
+                method: 'POST',
+                body: JSON.stringify({
+                    receipt,
+                    proposal: proposalText || undefined,
+                    details: details || undefined
+                })
+            });
+        } catch (error) {
+            console.error('Receipt verification error:', error);
+            throw new Error(`Failed to verify receipt: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetches decision audit entries, newest first
+     * @param {Object} params - Optional proposalId, type and limit filters
+     * @returns {Promise} - Promise resolving to the audit entries
+     */
+    async getAuditLog(params = {}) {
+        try {
+            const query = new URLSearchParams(params).toString();
+            return await this.request(`/api/audit${query ? `?${query}` : ''}`, {
+                method: 'GET'
+            });
+        } catch (error) {
+            console.error('Audit log error:', error);
+            throw new Error(`Failed to fetch audit log: ${error.message}`);
+        }
+    }
+
+    /**
+     * Recomputes the audit hash chain on the server
+     * @returns {Promise} - Promise resolving to the verification report
+     */
+    async verifyAuditLog() {
+        try {
+            return await this.request('/api/audit/verify', {
+                method: 'GET'
+            });
+        } catch (error) {
+            console.error('Audit verification error:', error);
+            throw new Error(`Failed to verify audit log: ${error.message}`);
+        }
+    }
+
+    /**
+     * Lists the signed-in user's conversation sessions (see setAuthToken), most recently active first
+     * @param {number} limit - Maximum number of sessions (optional)
+     * @returns {Promise} - Promise resolving to the session listings
+     */
+    async listSessions(limit = null) {
+        try {
+            return await this.request(`/api/sessions${limit ? `?limit=${limit}` : ''}`, {
+                method: 'GET'
+            });
+        } catch (error) {
+            console.error('Session list error:', error);
+            throw new Error(`Failed to list sessions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Starts a conversation session
+     * @param {string} title - Session title (optional; defaults to the first message)
+     * @returns {Promise} - Promise resolving to the new session
+     */
+    async createSession(title = null) {
+        try {
+            return await this.request('/api/sessions', {
+                method: 'POST',
+                body: JSON.stringify({ title: title || undefined })
+            });
+        } catch (error) {
+            console.error('Session creation error:', error);
+            throw new Error(`Failed to create session: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetches a session's full transcript to resume it
+     * @param {string} sessionId - Session ID
+     * @returns {Promise} - Promise resolving to the session
+     */
+    async getSession(sessionId) {
+        try {
+            return await this.request(`/api/sessions/${encodeURIComponent(sessionId)}`, {
+                method: 'GET'
+            });
+        } catch (error) {
+            console.error('Session fetch error:', error);
+            throw new Error(`Failed to fetch session: ${error.message}`);
+        }
+    }
+
+    /**
+     * Deletes a session and its history
+     * @param {string} sessionId - Session ID
+     * @returns {Promise} - Promise resolving to the deletion result
+     */
+    async deleteSession(sessionId) {
+        try {
+            return await this.request(`/api/sessions/${encodeURIComponent(sessionId)}`, {
+                method: 'DELETE'
+            });
+        } catch (error) {
+            console.error('Session deletion error:', error);
+            throw new Error(`Failed to delete session: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetches a session's recorded usage and cost
+     * @param {string} sessionId - Session ID
+     * @returns {Promise} - Promise resolving to the session's totals and totals by route
+     */
+    async getSessionUsage(sessionId) {
+        try {
+            return await this.request(`/api/usage/sessions/${encodeURIComponent(sessionId)}`, {
+                method: 'GET'
+            });
+        } catch (error) {
+            console.error('Session usage fetch error:', error);
+            throw new Error(`Failed to fetch session usage: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetches supply, allocations and vesting schedules
+     * @returns {Promise} - Promise resolving to the tokenomics data
+     */
+    async getTokenomics() {
+        try {
+            return await this.request('/api/tokenomics', {
+                method: 'GET'
+            });
+        } catch (error) {
+            console.error('Tokenomics error:', error);
+            throw new Error(`Failed to fetch tokenomics: ${error.message}`);
+        }
+    }
+
+    /**
+     * Calculates a vesting schedule and its month-by-month unlock table
+     * @param {Object} params - Calculator options (allocation, type, cliffMonths, durationMonths, start, at)
+     * @returns {Promise} - Promise resolving to the vesting calculation
+     */
+    async getVestingSchedule(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        try {
+            return await this.request(`/api/tokenomics/vesting${query ? `?${query}` : ''}`, {
+                method: 'GET'
+            });
+        } catch (error) {
+            console.error('Vesting schedule error:', error);
+            throw new Error(`Failed to calculate vesting schedule: ${error.message}`);
+        }
+    }
+
     /**
      * Plays generated speech audio
      * @param {Blob} audioBlob - Audio blob to play
@@ -306,10 +878,157 @@ class ApiClient {
 // Initialize API client when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     window.apiClient = new ApiClient();
+    // Conversation session the terminal is in; set from the first response
+    window.currentSessionId = null;
     // Define the core processProposal function for terminal input
-    window.processProposal = async (text) => {
+    // Reads a structured proposal typed as a JSON object, e.g.
+    // {"title": "...", "amount": 5000, "token": "AIKIRA", "description": "..."}
+    const parseStructuredInput = (text) => {
+        if (!text.trim().startsWith('{')) {
+            return null;
+        }
+        try {
+            const { description, proposal, ...details } = JSON.parse(text);
+            return { text: description || proposal || '', details };
+        } catch (error) {
+            return null;
+        }
+    };
+    // Reflects an evaluation in the evaluation panel and, for a submitted proposal, stores it
+    const recordEvaluation = async (text, aiText, openaiResp, submitted) => {
+        const { fairness, value, protection } = openaiResp.metrics;
+        // Every field is sent back as the server returned it: the receipt signs them all
+        const evaluation = {
+            response: openaiResp.response || aiText,
+            scores: openaiResp.scores,
+            rationale: openaiResp.rationale || undefined,
+            commandments: openaiResp.commandments || undefined,
+            verdict: openaiResp.verdict || undefined,
+            council: openaiResp.council || undefined,
+            guard: openaiResp.guard || undefined,
+            evidence: openaiResp.evidence || undefined,
+            scoring: openaiResp.scoring || undefined,
+            consensusIndex: openaiResp.consensusIndex,
+            // The server applies Aikira's verdict and refuses approvals the treasury cannot fund
+            approved: openaiResp.approved,
+            treasury: openaiResp.treasury || undefined,
+            persona: openaiResp.persona || undefined,
+            timestamp: openaiResp.timestamp,
+            receipt: openaiResp.receipt
+        };
+        if (typeof window.updateMetrics === 'function') {
+            window.updateMetrics(fairness, value, protection, openaiResp.consensus);
+        }
+        if (typeof window.updateMetricRationale === 'function') {
+            window.updateMetricRationale(openaiResp.rationale || null, openaiResp.scoring || null, Boolean(openaiResp.cached));
+        }
+        if (typeof window.updateCommandmentMatrix === 'function') {
+            window.updateCommandmentMatrix(openaiResp.commandments || null);
+        }
+        if (typeof window.updateCouncilPanel === 'function') {
+            window.updateCouncilPanel(openaiResp.council || null, openaiResp.consensus);
+        }
+        if (openaiResp.guard && openaiResp.guard.flagged && typeof window.showGovernanceNotice === 'function') {
+            window.showGovernanceNotice(openaiResp.guard);
+        }
+        if (openaiResp.duplicates?.matches?.length && typeof window.showDuplicateNotice === 'function') {
+            window.showDuplicateNotice(openaiResp.duplicates);
+        }
+        // Conversation turns are not proposals; a reused evaluation carries no receipt and is not stored either
+        if (!submitted || !openaiResp.receipt) {
+            return;
+        }
+        try {
+            const stored = await window.apiClient.storeProposal(text, evaluation, null, openaiResp.details);
+            window.currentProposalId = stored.proposalId;
+            if (typeof window.updateLifecycleDisplay === 'function') {
+                window.updateLifecycleDisplay(stored.proposal);
+            }
+            if (typeof window.updateVoteTally === 'function') {
+                window.updateVoteTally(stored.tally);
+            }
+        } catch (error) {
+            console.error('Failed to record evaluation:', error);
+        }
+    };
+    // The council toggle's setting, or null to leave council mode to the server default (COUNCIL_MODE)
+    const councilChoice = () => (typeof window.councilMode === 'boolean' ? window.councilMode : null);
+    // Speaks streamed text one complete sentence at a time, so playback starts
+    // while the rest of the response is still arriving
+    const createSentenceSpeaker = () => {
+        let buffer = '';
+        let spoken = '';
+        let queue = Promise.resolve();
+        // Bumped when the spoken text is replaced, so clips already queued are skipped
+        let generation = 0;
+        const speak = (sentence) => {
+            if (!sentence.trim()) return;
+            spoken += sentence;
+            // Request audio straight away; play clips in order
+            const audioRequest = window.apiClient.generateSpeech(sentence.trim());
+            const clipGeneration = generation;
+            queue = queue.then(async () => {
+                const audioBlob = await audioRequest;
+                if (clipGeneration !== generation) return;
+                const audio = new Audio(URL.createObjectURL(audioBlob));
+                audio.volume = (window.currentVolume != null ? window.currentVolume : 1);
+                await audio.play();
+                await new Promise(resolve => {
+                    audio.onended = resolve;
+                    audio.onerror = resolve;
+                });
+            }).catch(error => console.error('Speech playback error:', error));
+        };
+        return {
+            push(text) {
+                buffer += text;
+                let match;
+                while ((match = /[.!?](\s|$)/.exec(buffer)) && match[1]) {
+                    const cut = match.index + match[0].length;
+                    speak(buffer.slice(0, cut));
+                    buffer = buffer.slice(cut);
+                }
+            },
+            // Speaks whatever is left; a final text that no longer continues what was
+            // spoken (e.g. after a retry) is spoken in full instead
+            finish(finalText) {
+                if (finalText && !finalText.startsWith(spoken)) {
+                    generation++;
+                    spoken = '';
+                    buffer = finalText;
+                } else if (finalText) {
+                    buffer = finalText.slice(spoken.length);
+                }
+                speak(buffer);
+                buffer = '';
+                return queue;
+            }
+        };
+    };
+    // Refreshes the session's usage totals in the debug panel
+    const refreshSessionUsage = async () => {
+        if (!window.currentSessionId || typeof window.showSessionUsage !== 'function') return;
+        try {
+            window.showSessionUsage(await window.apiClient.getSessionUsage(window.currentSessionId));
+        } catch (error) {
+            console.error('Failed to load session usage:', error);
+        }
+    };
+    // Highlights the passages that moved each metric once the proposal and response are in the feed
+    const showEvidence = (openaiResp, proposal, aiText) => {
+        if (openaiResp.evidence && typeof window.highlightEvidence === 'function') {
+            window.highlightEvidence(openaiResp.evidence, proposal, aiText);
+        }
+    };
+    window.processProposal = async (text, details = null) => {
         try {
             console.log('processProposal called with:', text);
+            // Only proposals are stored: structured ones (typed as JSON or passed with details) and
+            // free text sent with /submit. Anything else is conversation
+            const submitCommand = /^\/submit\s+/i.exec(text);
+            const input = submitCommand ? text.slice(submitCommand[0].length) : text;
+            const structured = details ? { text: input, details } : parseStructuredInput(input);
+            const submitted = Boolean(submitCommand || structured);
             // Add user message to chat feed
             if (typeof window.addUserMessageToConversation === 'function') {
                 window.addUserMessageToConversation(text);
@@ -318,19 +1037,78 @@ document.addEventListener('DOMContentLoaded', () => {
             if (window.terminalInterface) {
                 window.terminalInterface.displayText(text, true);
             }
-            // Send to OpenAI for a response
-            const openaiResp = await window.apiClient.request('/api/openai/generate-response', {
-                method: 'POST',
-                body: JSON.stringify({ proposal: text })
-            });
-            if (!openaiResp.success) {
-                throw new Error(openaiResp.error || openaiResp.message);
+            // Slash commands (e.g. /tokenomics) are handled locally instead of being evaluated
+            if (window.terminalInterface && await window.terminalInterface.runCommand(text)) {
+                return;
+            }
+            const proposal = structured ? structured.text : input;
+            const proposalDetails = structured ? structured.details : null;
+            const canStream = typeof ReadableStream === 'function' &&
+                typeof window.startAikiraMessageStream === 'function';
+            let openaiResp;
+            let aiText;
+            if (canStream) {
+                // Render tokens in the feed and terminal as they arrive and start speaking
+                // at the first complete sentence
+                const feedStream = window.startAikiraMessageStream();
+                const terminalStream = window.terminalInterface
+                    ? window.terminalInterface.createStream(true)
+                    : null;
+                const speaker = createSentenceSpeaker();
+                try {
+                    openaiResp = await window.apiClient.streamResponse(proposal, proposalDetails, token => {
+                        feedStream.append(token);
+                        if (terminalStream) terminalStream.append(token);
+                        speaker.push(token);
+                    }, window.currentSessionId, councilChoice());
+                } catch (error) {
+                    feedStream.finish(`I encountered an error processing your request. Please try again. Error: ${error.message}`);
+                    throw error;
+                }
+                aiText = openaiResp.response || openaiResp.result?.response;
+                feedStream.finish(aiText);
+                if (terminalStream) terminalStream.finish(aiText);
+                // Speech is charged as it is generated, so the totals are refreshed once it is done
+                speaker.finish(aiText).then(refreshSessionUsage);
+            } else {
+                // Send to OpenAI for a response
+                openaiResp = await window.apiClient.request('/api/openai/generate-response', {
+                    method: 'POST',
+                    body: JSON.stringify({
+                        proposal,
+                        details: proposalDetails || undefined,
+                        sessionId: window.currentSessionId || undefined,
+                        council: councilChoice() === null ? undefined : councilChoice(),
+                        requester: window.currentUserId
+                    })
+                });
+                if (!openaiResp.success) {
+                    throw new Error(openaiResp.error || openaiResp.message);
+                }
+                aiText = openaiResp.response || openaiResp.result?.response;
+            }
+            // Follow-ups continue the session the server started or resumed
+            if (openaiResp.session) {
+                window.currentSessionId = openaiResp.session.id;
+                refreshSessionUsage();
+            }
+            // Show the validated structured fields alongside the metrics
+            if (typeof window.updateProposalDetails === 'function') {
+                window.updateProposalDetails(openaiResp.details || null);
+            }
+            // Show the evaluation's metrics and, for a submitted proposal, store it and show its lifecycle state
+            if (openaiResp.metrics) {
+                recordEvaluation(proposal, aiText, openaiResp, submitted);
+            }
+            if (canStream) {
+                showEvidence(openaiResp, proposal, aiText);
+                return;
             }
-            const aiText = openaiResp.response || openaiResp.result?.response;
             // Add Aikira's response to chat feed
             if (typeof window.addAikiraMessageToConversation === 'function') {
                 window.addAikiraMessageToConversation(aiText);
             }
+            showEvidence(openaiResp, proposal, aiText);
             // Also type out the AI's response in terminal UI
             if (window.terminalInterface) {
                 await window.terminalInterface.typeText(aiText, 30, true);
@@ -343,8 +1121,13 @@ document.addEventListener('DOMContentLoaded', () => {
             const audio = new Audio(audioUrl);
             audio.volume = (window.currentVolume != null ? window.currentVolume : 1);
             await audio.play();
+            refreshSessionUsage();
         } catch (error) {
             console.error('processProposal error:', error);
+            // A deleted or expired session is dropped so the next message starts a new one
+            if (/Session .* not found/.test(error.message)) {
+                window.currentSessionId = null;
+            }
             if (window.terminalInterface) {
                 window.terminalInterface.displayText(`Error: ${error.message}`, false);
             }
@@ -43,6 +43,9 @@ document.addEventListener('DOMContentLoaded', function() {
         // Add event listeners
         setupEventListeners();
         
+        // Bind the token-weighted vote buttons
+        setupVoteButtons();
+        
         // Initialize audio context 
         initializeAudio();
         
@@ -167,6 +170,16 @@ document.addEventListener('DOMContentLoaded', function() {
             });
         }
         
+        // Council toggle: when on, the council seats deliberate on every proposal
+        const councilToggle = document.getElementById('council-toggle');
+        if (councilToggle) {
+            councilToggle.addEventListener('click', function() {
+                window.councilMode = !window.councilMode;
+                councilToggle.classList.toggle('active', window.councilMode);
+                councilToggle.textContent = `Council: ${window.councilMode ? 'On' : 'Off'}`;
+            });
+        }
+        
         // Clear terminal button
         const clearButton = document.getElementById('clear-terminal');
         if (clearButton) {
@@ -184,6 +197,9 @@ document.addEventListener('DOMContentLoaded', function() {
                         day: 'numeric'
                     }));
                     
+                    // Start a new conversation session with the next message
+                    window.currentSessionId = null;
+                    
                     // Add fresh welcome message
                     addAikiraMessageToConversation("Chat cleared. How may I assist you today?");
                 }
@@ -329,7 +345,9 @@ document.addEventListener('DOMContentLoaded', function() {
             body: JSON.stringify({ 
                 text: text,
                 voice_id: "default",
-                model_id: "eleven_multilingual_v2"
+                model_id: "eleven_multilingual_v2",
+                requester: window.currentUserId,
+                sessionId: window.currentSessionId || undefined
             })
         })
         .then(response => {
@@ -734,9 +752,11 @@ document.addEventListener('DOMContentLoaded', function() {
                 }
             }
             
-            // Create form data for upload
+            // Create form data for upload; the requester and session are charged for the audio
             const formData = new FormData();
             formData.append('audio', blobToSend, 'recording.webm');
+            if (window.currentUserId) formData.append('requester', window.currentUserId);
+            if (window.currentSessionId) formData.append('sessionId', window.currentSessionId);
             
             // Debug log
             console.log('FormData created with blob size:', blobToSend.size, 'type:', blobToSend.type);
@@ -973,13 +993,78 @@ document.addEventListener('DOMContentLoaded', function() {
                     // Keep the newest content in view
                     message.scrollIntoView({ behavior: 'smooth', block: 'end' });
                     setTimeout(typeNext, typeSpeed);
+                } else if (bubble.pendingEvidence) {
+                    // Evidence that arrived while the response was being typed
+                    markEvidence(bubble, bubble.pendingEvidence.text, bubble.pendingEvidence.spans);
+                    bubble.pendingEvidence = null;
                 }
             };
 
             typeNext();
         }, 300); // allow indicator to show briefly before typing begins
     }
-    
+
+    // Start an Aikira message whose text arrives in pieces while the response streams
+    function startAikiraMessageStream() {
+        const conversationFeed = document.getElementById('conversation-feed');
+        if (!conversationFeed) {
+            return { append: () => {}, finish: () => {} };
+        }
+
+        const message = document.createElement('div');
+        message.className = 'message message-aikira';
+
+        const now = new Date();
+        const timeStr = now.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit', second:'2-digit'});
+
+        const header = document.createElement('div');
+        header.className = 'message-header';
+        header.innerHTML = `
+            <span class="message-sender sender-aikira">Aikira</span>
+            <span class="message-time">${timeStr}</span>
+        `;
+
+        const bubble = document.createElement('div');
+        bubble.className = 'message-bubble';
+
+        // Typing indicator stays until the first piece of text arrives
+        const typingIndicator = document.createElement('div');
+        typingIndicator.className = 'typing-indicator';
+        for (let i = 0; i < 3; i++) {
+            const dot = document.createElement('div');
+            dot.className = 'typing-dot';
+            typingIndicator.appendChild(dot);
+        }
+        bubble.appendChild(typingIndicator);
+
+        message.appendChild(header);
+        message.appendChild(bubble);
+        conversationFeed.appendChild(message);
+        message.scrollIntoView({ behavior: 'smooth', block: 'end' });
+
+        const removeIndicator = () => {
+            if (typingIndicator.parentNode) {
+                typingIndicator.parentNode.removeChild(typingIndicator);
+            }
+        };
+
+        return {
+            append(text) {
+                removeIndicator();
+                bubble.textContent += text;
+                message.scrollIntoView({ behavior: 'smooth', block: 'end' });
+            },
+            // Replaces the streamed text when the final response differs (e.g. after a retry)
+            finish(finalText) {
+                removeIndicator();
+                if (finalText && finalText !== bubble.textContent) {
+                    bubble.textContent = finalText;
+                }
+                message.scrollIntoView({ behavior: 'smooth', block: 'end' });
+            }
+        };
+    }
+
     // Add user message to conversation feed
     function addUserMessageToConversation(text) {
         const conversationFeed = document.getElementById('conversation-feed');
@@ -1050,6 +1135,467 @@ document.addEventListener('DOMContentLoaded', function() {
         updateConsensusTriangle(consensus / 100);
     }
     
+    // Show Aikira's reason for each score and whether the scores came from the model or the keyword fallback
+    function updateMetricRationale(rationale, scoring, cached = false) {
+        const metrics = document.querySelectorAll('.evaluation-metrics .metric');
+        ['fairness', 'value', 'protection'].forEach((metric, index) => {
+            const element = metrics[index] && metrics[index].querySelector('.metric-rationale');
+            if (element) {
+                element.textContent = rationale && rationale[metric] ? rationale[metric] : '';
+            }
+        });
+        
+        const methodElement = document.getElementById('scoring-method');
+        if (!methodElement) return;
+        
+        const fallback = scoring && scoring.method === 'keyword-fallback';
+        methodElement.textContent = !scoring
+            ? ''
+            : fallback
+                ? 'Keyword fallback — model scores were malformed'
+                : scoring.method === 'council'
+                    ? `Scored by the council${scoring.fallbackSeats ? ` (${scoring.fallbackSeats} seat${scoring.fallbackSeats === 1 ? '' : 's'} on keyword fallback)` : ''}`
+                    : `Scored by Aikira${scoring.attempts > 1 ? ` (${scoring.attempts} attempts)` : ''}`;
+        // Repeat submissions are answered from the evaluation cache
+        if (scoring && cached) {
+            methodElement.textContent += ' · cached result';
+        }
+        methodElement.classList.toggle('fallback', fallback);
+    }
+    
+    // Show the I–X compliance matrix and light up the matching principles (hidden when scores came from the fallback)
+    function updateCommandmentMatrix(commandments) {
+        const container = document.getElementById('commandment-matrix');
+        const rowsElement = document.getElementById('commandment-rows');
+        const statuses = ['complies', 'conflicts', 'neutral'];
+        
+        // Principles are matched by numeral, e.g. <div class="principle" data-commandment="IV">
+        document.querySelectorAll('.principle[data-commandment]').forEach(principle => {
+            const entry = (commandments || []).find(item => item.numeral === principle.dataset.commandment);
+            statuses.forEach(status => {
+                principle.classList.toggle(`principle-${status}`, Boolean(entry && entry.status === status));
+            });
+            principle.title = entry ? entry.reason : '';
+        });
+        
+        if (!container || !rowsElement) return;
+        
+        rowsElement.innerHTML = '';
+        if (!commandments || commandments.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        commandments.forEach(item => {
+            const row = document.createElement('div');
+            row.className = `commandment-row ${item.status}`;
+            row.title = item.reason;
+            
+            const numeralElement = document.createElement('div');
+            numeralElement.className = 'commandment-numeral';
+            numeralElement.textContent = item.numeral;
+            
+            const textElement = document.createElement('div');
+            textElement.className = 'commandment-text';
+            
+            const titleElement = document.createElement('div');
+            titleElement.className = 'commandment-title';
+            titleElement.textContent = item.title;
+            
+            const reasonElement = document.createElement('div');
+            reasonElement.className = 'commandment-reason';
+            reasonElement.textContent = item.reason;
+            
+            const statusElement = document.createElement('div');
+            statusElement.className = 'commandment-status';
+            statusElement.textContent = item.status;
+            
+            textElement.appendChild(titleElement);
+            textElement.appendChild(reasonElement);
+            row.appendChild(numeralElement);
+            row.appendChild(textElement);
+            row.appendChild(statusElement);
+            rowsElement.appendChild(row);
+        });
+        
+        container.style.display = 'block';
+    }
+    
+    // Wrap the evidence spans of a text shown in a message bubble in marks whose tooltip names the metric they moved
+    function markEvidence(bubble, text, spans) {
+        const fullText = bubble.textContent;
+        const offset = text ? fullText.indexOf(text) : -1;
+        if (offset === -1) return false;
+        
+        const labels = { fairness: 'Fairness', value: 'Value', protection: 'Protection' };
+        bubble.textContent = '';
+        let cursor = 0;
+        spans.slice().sort((a, b) => a.start - b.start).forEach(span => {
+            const start = offset + span.start;
+            const end = offset + span.end;
+            if (start < cursor || end > offset + text.length) return;
+            
+            bubble.appendChild(document.createTextNode(fullText.slice(cursor, start)));
+            const mark = document.createElement('span');
+            mark.className = `aikira-tooltip evidence evidence-${span.polarity}`;
+            mark.dataset.metric = span.metric;
+            mark.textContent = fullText.slice(start, end);
+            
+            const tooltip = document.createElement('span');
+            tooltip.className = 'tooltip-text';
+            tooltip.textContent = `${span.polarity === 'positive' ? 'Raised' : 'Lowered'} ${labels[span.metric] || span.metric}` +
+                (span.origin === 'rubric' ? ' · keyword' : '');
+            mark.appendChild(tooltip);
+            
+            bubble.appendChild(mark);
+            cursor = end;
+        });
+        bubble.appendChild(document.createTextNode(fullText.slice(cursor)));
+        return true;
+    }
+    
+    // Highlight the evaluation's evidence in the latest proposal and response in the feed
+    function highlightEvidence(evidence, proposalText, responseText) {
+        const conversationFeed = document.getElementById('conversation-feed');
+        if (!conversationFeed || !evidence || evidence.length === 0) return;
+        
+        const lastBubble = selector => {
+            const bubbles = conversationFeed.querySelectorAll(selector);
+            return bubbles[bubbles.length - 1] || null;
+        };
+        const proposalSpans = evidence.filter(span => span.source === 'proposal');
+        const responseSpans = evidence.filter(span => span.source === 'response');
+        
+        const userBubble = lastBubble('.message-user .message-bubble');
+        if (userBubble && proposalSpans.length > 0) {
+            markEvidence(userBubble, proposalText, proposalSpans);
+        }
+        
+        const aikiraBubble = lastBubble('.message-aikira .message-bubble');
+        if (aikiraBubble && responseSpans.length > 0 && !markEvidence(aikiraBubble, responseText, responseSpans)) {
+            // Still being typed out; marked once the typewriter finishes
+            aikiraBubble.pendingEvidence = { text: responseText, spans: responseSpans };
+        }
+    }
+    
+    // Raise a governance notice in the feed when the injection guard flagged the proposal
+    function showGovernanceNotice(guard) {
+        const conversationFeed = document.getElementById('conversation-feed');
+        if (!conversationFeed || !guard || !guard.flagged) return;
+        
+        const quarantined = guard.action === 'quarantined';
+        const notice = document.createElement('div');
+        notice.className = `aikira-alert governance-notice ${quarantined ? 'error' : 'warning'}`;
+        
+        const titleElement = document.createElement('div');
+        titleElement.className = 'governance-notice-title';
+        titleElement.textContent = quarantined
+            ? 'Governance notice: proposal quarantined'
+            : 'Governance notice: possible manipulation detected';
+        
+        const summaryElement = document.createElement('div');
+        summaryElement.className = 'governance-notice-summary';
+        summaryElement.textContent = quarantined
+            ? 'The proposal was not evaluated. Resubmit it without instructions aimed at the evaluator.'
+            : 'The proposal was evaluated as quoted data under a hardened prompt.';
+        
+        const findingsElement = document.createElement('ul');
+        findingsElement.className = 'governance-notice-findings';
+        guard.findings.forEach(finding => {
+            const item = document.createElement('li');
+            item.textContent = `${finding.type}${finding.encoding ? ` (${finding.encoding})` : ''} in ${finding.field}: ${finding.excerpt}`;
+            findingsElement.appendChild(item);
+        });
+        
+        notice.appendChild(titleElement);
+        notice.appendChild(summaryElement);
+        notice.appendChild(findingsElement);
+        conversationFeed.appendChild(notice);
+        notice.scrollIntoView({ behavior: 'smooth', block: 'end' });
+    }
+    
+    // List the stored proposals the new one closely resembles, with their similarity and past verdicts
+    function showDuplicateNotice(duplicates) {
+        const conversationFeed = document.getElementById('conversation-feed');
+        if (!conversationFeed || !duplicates || !duplicates.matches || duplicates.matches.length === 0) return;
+        
+        const reused = duplicates.action === 'reused';
+        const notice = document.createElement('div');
+        notice.className = 'aikira-alert governance-notice warning';
+        
+        const titleElement = document.createElement('div');
+        titleElement.className = 'governance-notice-title';
+        titleElement.textContent = reused
+            ? 'Duplicate notice: previous evaluation reused'
+            : 'Duplicate notice: similar proposals found';
+        
+        const summaryElement = document.createElement('div');
+        summaryElement.className = 'governance-notice-summary';
+        summaryElement.textContent = reused
+            ? `The scores of proposal ${duplicates.reusedFrom.proposalId} were reused instead of evaluating again.`
+            : 'The proposal was evaluated, but it closely resembles proposals already on record.';
+        
+        const matchesElement = document.createElement('ul');
+        matchesElement.className = 'governance-notice-findings';
+        duplicates.matches.forEach(match => {
+            const item = document.createElement('li');
+            const outcome = match.verdict ? `${match.status}, ${match.verdict}` : match.status;
+            item.textContent = `${Math.round(match.similarity * 100)}% similar to ${match.title || match.proposalId} (${outcome}): ${match.excerpt}`;
+            matchesElement.appendChild(item);
+        });
+        
+        notice.appendChild(titleElement);
+        notice.appendChild(summaryElement);
+        notice.appendChild(matchesElement);
+        conversationFeed.appendChild(notice);
+        notice.scrollIntoView({ behavior: 'smooth', block: 'end' });
+    }
+    
+    // Show the conversation session's tokens, audio, characters and cost in the debug panel
+    function showSessionUsage(usage) {
+        const panel = document.getElementById('debug-panel');
+        if (!panel || !usage || !usage.totals) return;
+        
+        let section = panel.querySelector('.usage-summary');
+        if (!section) {
+            section = document.createElement('div');
+            section.className = 'usage-summary';
+            panel.appendChild(section);
+        }
+        section.innerHTML = '';
+        
+        const { totals, currency } = usage;
+        const titleElement = document.createElement('div');
+        titleElement.className = 'usage-summary-title';
+        titleElement.textContent = `Session usage · ${totals.cost.toFixed(4)} ${currency}` +
+            (totals.unpriced > 0 ? ` (+${totals.unpriced} unpriced)` : '');
+        section.appendChild(titleElement);
+        
+        const lines = [
+            `Tokens: ${totals.promptTokens} prompt, ${totals.completionTokens} completion`,
+            `Whisper: ${totals.audioSeconds}s · TTS: ${totals.characters} characters`,
+            ...usage.byRoute.map(route => `${route.route}: ${route.calls} call${route.calls === 1 ? '' : 's'}, ${route.cost.toFixed(4)} ${currency}`)
+        ];
+        lines.forEach(line => {
+            const lineElement = document.createElement('div');
+            lineElement.className = 'usage-summary-line';
+            lineElement.textContent = line;
+            section.appendChild(lineElement);
+        });
+        panel.style.display = 'block';
+    }
+    
+    // Show each council seat's verdict, scores and statement (hidden outside council mode)
+    function updateCouncilPanel(council, consensus) {
+        const container = document.getElementById('council-panel');
+        const summaryElement = document.getElementById('council-summary');
+        const seatsElement = document.getElementById('council-seats');
+        if (!container || !seatsElement) return;
+        
+        seatsElement.innerHTML = '';
+        if (!council || !council.seats || council.seats.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        if (summaryElement) {
+            summaryElement.textContent = `${council.votes.approve}–${council.votes.reject} · ` +
+                `verdict agreement ${Math.round(council.verdictAgreement * 100)}% · ` +
+                `score agreement ${Math.round(council.scoreAgreement * 100)}%` +
+                (consensus != null ? ` · consensus ${consensus}%` : '');
+        }
+        
+        council.seats.forEach(seat => {
+            const seatElement = document.createElement('div');
+            seatElement.className = `council-seat ${seat.verdict}`;
+            
+            const header = document.createElement('div');
+            header.className = 'council-seat-header';
+            
+            const nameElement = document.createElement('span');
+            nameElement.className = 'council-seat-name';
+            nameElement.textContent = seat.name;
+            
+            const verdictElement = document.createElement('span');
+            verdictElement.className = 'council-seat-verdict';
+            verdictElement.textContent = seat.scoring && seat.scoring.method === 'keyword-fallback'
+                ? `${seat.verdict} (fallback)`
+                : seat.verdict;
+            
+            const scoresElement = document.createElement('div');
+            scoresElement.className = 'council-seat-scores';
+            scoresElement.textContent = `Fairness ${seat.scores.fairness}% · Value ${seat.scores.value}% · Protection ${seat.scores.protection}%`;
+            
+            const statementElement = document.createElement('div');
+            statementElement.className = 'council-seat-statement';
+            statementElement.textContent = seat.response;
+            
+            header.appendChild(nameElement);
+            header.appendChild(verdictElement);
+            seatElement.appendChild(header);
+            seatElement.appendChild(scoresElement);
+            seatElement.appendChild(statementElement);
+            seatsElement.appendChild(seatElement);
+        });
+        
+        container.style.display = 'block';
+    }
+    
+    // Show the structured fields of the evaluated proposal (hidden for free-text proposals)
+    function updateProposalDetails(details) {
+        const container = document.getElementById('proposal-details');
+        const fieldsElement = document.getElementById('proposal-details-fields');
+        const milestonesElement = document.getElementById('proposal-details-milestones');
+        if (!container || !fieldsElement || !milestonesElement) return;
+        
+        fieldsElement.innerHTML = '';
+        milestonesElement.innerHTML = '';
+        
+        if (!details || Object.keys(details).length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        const formatAmount = amount => `${amount.toLocaleString()} ${details.token || ''}`.trim();
+        const fields = [
+            ['Title', details.title],
+            ['Category', details.category],
+            ['Amount', details.amount !== undefined ? formatAmount(details.amount) : null],
+            ['Recipient', details.recipient],
+            ['Duration', details.durationDays !== undefined ? `${details.durationDays} days` : null]
+        ];
+        
+        fields.filter(([, value]) => value).forEach(([name, value]) => {
+            const row = document.createElement('div');
+            row.className = 'parameter';
+            
+            const nameElement = document.createElement('div');
+            nameElement.className = 'parameter-name';
+            nameElement.textContent = `${name}:`;
+            
+            const valueElement = document.createElement('div');
+            valueElement.className = 'parameter-value';
+            valueElement.textContent = value;
+            valueElement.title = value;
+            
+            row.appendChild(nameElement);
+            row.appendChild(valueElement);
+            fieldsElement.appendChild(row);
+        });
+        
+        (details.milestones || []).forEach((milestone, index) => {
+            const parts = [`${index + 1}. ${milestone.title}`];
+            if (milestone.amount !== undefined) parts.push(formatAmount(milestone.amount));
+            if (milestone.dueDays !== undefined) parts.push(`day ${milestone.dueDays}`);
+            
+            const item = document.createElement('div');
+            item.className = 'proposal-milestone';
+            item.textContent = parts.join(' · ');
+            milestonesElement.appendChild(item);
+        });
+        
+        container.style.display = 'block';
+    }
+    
+    // Cast votes on the current proposal from the consensus panel
+    function setupVoteButtons() {
+        document.querySelectorAll('.vote-btn').forEach(button => {
+            button.addEventListener('click', async function() {
+                if (!window.currentProposalId || !window.apiClient) return;
+                
+                const statusElement = document.getElementById('vote-status');
+                try {
+                    const result = await window.apiClient.castVote(window.currentProposalId, button.dataset.choice);
+                    updateVoteTally(result.tally);
+                } catch (error) {
+                    console.error('Vote failed:', error);
+                    if (statusElement) statusElement.textContent = error.message;
+                }
+            });
+        });
+    }
+    
+    // Show the vote tally next to Aikira's recommendation; once holders have voted,
+    // the consensus value shows how far they agree with Aikira
+    function updateVoteTally(tally) {
+        const container = document.getElementById('vote-tally');
+        if (!container) return;
+        
+        if (!tally) {
+            container.style.display = 'none';
+            return;
+        }
+        container.style.display = 'block';
+        
+        const recommendation = document.getElementById('vote-recommendation');
+        if (recommendation) {
+            recommendation.textContent = tally.agreement.aiRecommendation || '-';
+            recommendation.className = `vote-recommendation ${tally.agreement.aiRecommendation || ''}`;
+        }
+        
+        ['yes', 'no', 'abstain'].forEach(choice => {
+            const bar = document.getElementById(`vote-bar-${choice}`);
+            const value = document.getElementById(`vote-value-${choice}`);
+            const share = tally.turnout > 0 ? tally[choice] / tally.turnout * 100 : 0;
+            if (bar) bar.style.width = `${share}%`;
+            if (value) value.textContent = tally[choice].toLocaleString();
+        });
+        
+        const statusElement = document.getElementById('vote-status');
+        if (statusElement) {
+            const quorum = `${tally.turnout.toLocaleString()} / ${tally.quorum.toLocaleString()} quorum`;
+            statusElement.textContent = tally.open
+                ? `${quorum} · closes ${new Date(tally.closesAt).toLocaleString()}`
+                : `${quorum} · ${tally.outcome}`;
+        }
+        
+        container.querySelectorAll('.vote-btn').forEach(button => {
+            button.disabled = !tally.open;
+        });
+        
+        const label = document.getElementById('consensus-label');
+        if (tally.agreement.index !== null) {
+            const agreement = Math.round(tally.agreement.index * 100);
+            if (consensusValue) consensusValue.textContent = `${agreement}%`;
+            if (consensusStatusValue) consensusStatusValue.textContent = `${agreement}%`;
+            if (label) label.textContent = 'Human/AI agreement';
+            updateConsensusTriangle(tally.agreement.index);
+        } else if (label) {
+            label.textContent = 'Metric balance';
+        }
+    }
+    
+    // Update the lifecycle state shown in the evaluation panel
+    function updateLifecycleDisplay(proposal) {
+        const stateElement = document.getElementById('lifecycle-state');
+        const trailElement = document.getElementById('lifecycle-trail');
+        if (!stateElement || !proposal) return;
+        
+        stateElement.textContent = proposal.status;
+        stateElement.className = `lifecycle-state ${proposal.status}`;
+        stateElement.title = `Proposal ${proposal.id}`;
+        
+        if (!trailElement) return;
+        trailElement.innerHTML = '';
+        
+        // Show the most recent transitions, newest first
+        (proposal.transitions || []).slice(-4).reverse().forEach(transition => {
+            const step = document.createElement('div');
+            step.className = 'lifecycle-step';
+            step.title = transition.reason || '';
+            
+            const time = new Date(transition.at).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+            step.textContent = `${time} ${transition.from} → ${transition.to} `;
+            
+            const actor = document.createElement('span');
+            actor.className = 'lifecycle-step-actor';
+            actor.textContent = `by ${transition.actor}`;
+            step.appendChild(actor);
+            
+            trailElement.appendChild(step);
+        });
+    }
+    
     // Update consensus triangle visualization
     function updateConsensusTriangle(consensusValue) {
         // Get the indicator
@@ -1075,11 +1621,22 @@ document.addEventListener('DOMContentLoaded', function() {
     // Make functions available globally
     window.animateActiveWaveform = animateActiveWaveform;
     window.updateMetrics = updateMetrics;
+    window.updateMetricRationale = updateMetricRationale;
+    window.updateCommandmentMatrix = updateCommandmentMatrix;
+    window.updateCouncilPanel = updateCouncilPanel;
+    window.showGovernanceNotice = showGovernanceNotice;
+    window.showDuplicateNotice = showDuplicateNotice;
+    window.showSessionUsage = showSessionUsage;
+    window.highlightEvidence = highlightEvidence;
+    window.updateProposalDetails = updateProposalDetails;
+    window.updateLifecycleDisplay = updateLifecycleDisplay;
+    window.updateVoteTally = updateVoteTally;
     window.updateConsensusTriangle = updateConsensusTriangle;
     window.typeText = typeText;
     window.startVoiceRecording = startVoiceRecording;
     window.stopVoiceRecording = stopVoiceRecording;
     window.transcribeAudio = transcribeAudio;
     window.addAikiraMessageToConversation = addAikiraMessageToConversation;
+    window.startAikiraMessageStream = startAikiraMessageStream;
     window.addUserMessageToConversation = addUserMessageToConversation;
 });
\ No newline at end of file
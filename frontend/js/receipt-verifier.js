@@ -0,0 +1,127 @@
+/**
+ * Aikira Terminal - Receipt Verifier
+ * Checks signed decision receipts in the browser against the published Ed25519 key
+ */
+
+class ReceiptVerifier {
+    constructor() {
+        // Where the instance publishes its receipt key
+        this.keyUrl = '/.well-known/aikira-receipt-key';
+        
+        // Public key info and imported CryptoKey, fetched once
+        this.keyInfo = null;
+        this.cryptoKey = null;
+    }
+    
+    /**
+     * Serializes a value as JSON with sorted object keys, matching the server
+     * @param {any} value - Value to serialize
+     * @returns {string} Canonical JSON
+     */
+    canonicalize(value) {
+        if (value === null || typeof value !== 'object') {
+            return JSON.stringify(value);
+        }
+        
+        if (Array.isArray(value)) {
+            return `[${value.map(item => (item === undefined ? 'null' : this.canonicalize(item))).join(',')}]`;
+        }
+        
+        const members = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`);
+        
+        return `{${members.join(',')}}`;
+    }
+    
+    /**
+     * Hashes a proposal the way receipts reference it
+     * @param {string} text - Proposal text
+     * @param {Object} details - Structured proposal fields (optional)
+     * @returns {Promise<string>} Hex-encoded SHA-256 hash
+     */
+    async hashProposal(text, details = null) {
+        const data = new TextEncoder().encode(this.canonicalize({ text, details: details || null }));
+        const digest = await crypto.subtle.digest('SHA-256', data);
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+    
+    /**
+     * Fetches and imports the public key
+     * Pass key info saved earlier to verify without contacting the server.
+     * @param {Object} keyInfo - Published key info (optional)
+     * @returns {Promise<Object>} Key info
+     */
+    async loadKey(keyInfo = null) {
+        if (keyInfo) {
+            this.keyInfo = keyInfo;
+            this.cryptoKey = null;
+        }
+        
+        if (!this.keyInfo) {
+            const response = await fetch(this.keyUrl);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch receipt key: ${response.status}`);
+            }
+            this.keyInfo = await response.json();
+        }
+        
+        if (!this.cryptoKey) {
+            this.cryptoKey = await crypto.subtle.importKey(
+                'jwk',
+                this.keyInfo.jwk,
+                { name: 'Ed25519' },
+                false,
+                ['verify']
+            );
+        }
+        
+        return this.keyInfo;
+    }
+    
+    /**
+     * Verifies a receipt, optionally against the proposal it should cover
+     * @param {Object} receipt - Receipt as returned by /api/proposal/evaluate
+     * @param {Object} options - Optional proposal text, details and key info
+     * @returns {Promise<Object>} Verification result with valid and reason
+     */
+    async verify(receipt, { proposal = null, details = null, keyInfo = null } = {}) {
+        if (!receipt || !receipt.payload || typeof receipt.signature !== 'string') {
+            return { valid: false, reason: 'Malformed receipt' };
+        }
+        if (receipt.algorithm !== 'Ed25519') {
+            return { valid: false, reason: `Unsupported algorithm "${receipt.algorithm}"` };
+        }
+        
+        const key = await this.loadKey(keyInfo);
+        if (receipt.payload.keyId !== key.keyId) {
+            return { valid: false, keyId: receipt.payload.keyId, reason: 'Receipt was signed with a different key' };
+        }
+        
+        const signature = Uint8Array.from(atob(receipt.signature), char => char.charCodeAt(0));
+        const signed = await crypto.subtle.verify(
+            { name: 'Ed25519' },
+            this.cryptoKey,
+            signature,
+            new TextEncoder().encode(this.canonicalize(receipt.payload))
+        );
+        if (!signed) {
+            return { valid: false, keyId: key.keyId, reason: 'Signature does not match the receipt content' };
+        }
+        
+        if (typeof proposal === 'string') {
+            const proposalHash = await this.hashProposal(proposal, details);
+            if (proposalHash !== receipt.payload.proposalHash) {
+                return { valid: false, keyId: key.keyId, proposalMatches: false, reason: 'Receipt does not cover this proposal' };
+            }
+        }
+        
+        return { valid: true, keyId: key.keyId, reason: null };
+    }
+}
+
+// Shared verifier instance
+window.receiptVerifier = new ReceiptVerifier();
@@ -24,6 +24,11 @@ class TerminalInterface {
         // History size limit
         this.maxHistorySize = 50;
         
+        // Slash commands handled locally; each receives its key=value arguments and an output block
+        this.commands = {
+            '/tokenomics': (args, block) => this.showTokenomics(args, block)
+        };
+        
         // Initialize the terminal
         this.init();
     }
@@ -146,7 +151,46 @@ class TerminalInterface {
         this.terminalElement.innerHTML += `<span class="terminal-content">${formattedText}</span>`;
         this.scrollToBottom();
     }
-    
+
+    /**
+     * Opens a line that streamed text is appended to as it arrives
+     * @param {boolean} addPrompt - Whether to add prompt before text
+     * @returns {Object} Stream with append(text) and finish(finalText)
+     */
+    createStream(addPrompt = false) {
+        if (!this.terminalElement) {
+            return { append: () => {}, finish: () => {} };
+        }
+
+        this.cancelTyping();
+        this.terminalElement.style.display = 'block';
+
+        if (this.terminalElement.textContent) {
+            this.terminalElement.appendChild(document.createElement('br'));
+        }
+        if (addPrompt) {
+            this.terminalElement.innerHTML += `<span style="color:${this.prompt.color}">${this.prompt.current}</span>`;
+        }
+
+        const textSpan = document.createElement('span');
+        textSpan.classList.add('terminal-content');
+        this.terminalElement.appendChild(textSpan);
+
+        return {
+            append: (text) => {
+                textSpan.textContent += text;
+                this.scrollToBottom();
+            },
+            // Replaces the streamed text when the final response differs (e.g. after a retry)
+            finish: (finalText) => {
+                if (finalText && finalText !== textSpan.textContent) {
+                    textSpan.textContent = finalText;
+                }
+                this.scrollToBottom();
+            }
+        };
+    }
+
     /**
      * Clears the terminal content
      */
@@ -271,6 +315,126 @@ class TerminalInterface {
         this.scrollToBottom();
     }
     
+    /**
+     * Creates a block for command output in the conversation feed (or the terminal element)
+     * @returns {HTMLElement|null} Output block
+     */
+    createOutputBlock() {
+        const container = document.getElementById('conversation-feed') || this.terminalElement;
+        if (!container) return null;
+        
+        const block = document.createElement('div');
+        block.classList.add('command-output');
+        container.appendChild(block);
+        return block;
+    }
+    
+    /**
+     * Appends a line of text to an output block
+     * @param {HTMLElement} block - Output block
+     * @param {string} text - Line to append
+     */
+    appendOutputLine(block, text) {
+        const line = document.createElement('div');
+        line.textContent = text;
+        block.appendChild(line);
+        block.scrollIntoView({ block: 'end' });
+    }
+    
+    /**
+     * Appends rows as an aligned plain-text table
+     * @param {HTMLElement} block - Output block
+     * @param {Array<string>} headers - Column headers
+     * @param {Array<Array>} rows - Table rows
+     */
+    appendOutputTable(block, headers, rows) {
+        const cells = [headers, ...rows].map(row => row.map(cell => String(cell)));
+        const widths = headers.map((header, column) => Math.max(...cells.map(row => row[column].length)));
+        const formatRow = row => row.map((cell, column) => cell.padStart(widths[column])).join('  ');
+        
+        const table = document.createElement('pre');
+        table.classList.add('terminal-table');
+        table.textContent = [
+            formatRow(cells[0]),
+            widths.map(width => '-'.repeat(width)).join('  '),
+            ...cells.slice(1).map(formatRow)
+        ].join('\n');
+        
+        block.appendChild(table);
+        block.scrollIntoView({ block: 'end' });
+    }
+    
+    /**
+     * Runs a slash command if the input is one
+     * @param {string} input - Raw terminal input
+     * @returns {Promise<boolean>} Whether the input was handled as a command
+     */
+    async runCommand(input) {
+        const [name, ...rawArgs] = input.trim().split(/\s+/);
+        const command = this.commands[name.toLowerCase()];
+        if (!command) return false;
+        
+        // Arguments are written as key=value pairs, e.g. /tokenomics type=cliff durationMonths=12
+        const args = {};
+        rawArgs.forEach(arg => {
+            const [key, ...value] = arg.split('=');
+            if (key && value.length > 0) args[key] = value.join('=');
+        });
+        
+        const block = this.createOutputBlock();
+        if (!block) return true;
+        
+        try {
+            await command(args, block);
+        } catch (error) {
+            block.classList.add('terminal-error');
+            this.appendOutputLine(block, `Error: ${error.message}`);
+        }
+        return true;
+    }
+    
+    /**
+     * Shows the token allocations and a month-by-month unlock table
+     * @param {Object} args - Vesting calculator options (allocation, type, cliffMonths, durationMonths, start, at)
+     * @param {HTMLElement} block - Output block
+     */
+    async showTokenomics(args, block) {
+        const [{ tokenomics }, { vesting }] = await Promise.all([
+            window.apiClient.getTokenomics(),
+            window.apiClient.getVestingSchedule(args)
+        ]);
+        const format = amount => amount.toLocaleString('en-US');
+        const symbol = tokenomics.token.symbol;
+        
+        this.appendOutputLine(block, `${tokenomics.token.name} (${symbol}) on ${tokenomics.chain} — ${format(tokenomics.totalSupply)} supply`);
+        tokenomics.allocations.forEach(allocation => {
+            const terms = allocation.schedule
+                ? `${allocation.schedule.durationMonths}-month ${allocation.schedule.type} vest from ${allocation.schedule.start.slice(0, 10)}`
+                : 'unlocked at launch';
+            this.appendOutputLine(block, `  ${allocation.label}: ${allocation.percent}% = ${format(allocation.amount)} ${symbol} (${terms})`);
+        });
+        
+        if (!vesting.schedule) {
+            this.appendOutputLine(block, `${vesting.allocation}: ${format(vesting.amount)} ${symbol} fully unlocked`);
+            return;
+        }
+        
+        const { schedule } = vesting;
+        const cliff = schedule.type === 'linear' && schedule.cliffMonths > 0 ? `, ${schedule.cliffMonths}-month cliff` : '';
+        this.appendOutputLine(block, `${vesting.allocation} unlock schedule (${schedule.type}${cliff}) — ${format(vesting.unlocked)} ${symbol} unlocked as of ${vesting.at.slice(0, 10)}`);
+        this.appendOutputTable(
+            block,
+            ['Month', 'Date', 'Unlocked this month', 'Total unlocked', '%'],
+            vesting.table.map(row => [
+                row.month,
+                row.date.slice(0, 10),
+                format(row.unlockedThisMonth),
+                format(row.unlocked),
+                `${row.percent}%`
+            ])
+        );
+    }
+    
     /**
      * Displays a status message with processing animation
      * @param {string} message - Status message
@@ -14,6 +14,20 @@ const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const multer = require('multer');
 const FormData = require('form-data');
+const llmService = require('./backend/services/llm-service');
+const { ApiError, badRequest, sendError } = require('./backend/utils/error-handler');
+const { parseProposalInput } = require('./backend/utils/proposal-schema');
+const { openEventStream } = require('./backend/utils/sse');
+const evaluationService = require('./backend/services/evaluation-service');
+const receiptService = require('./backend/services/receipt-service');
+const personaService = require('./backend/services/persona-service');
+const sessionService = require('./backend/services/session-service');
+const councilService = require('./backend/services/council-service');
+const evaluationCache = require('./backend/services/evaluation-cache');
+const usageLedger = require('./backend/services/usage-ledger');
+const duplicateDetector = require('./backend/services/duplicate-detector');
+const { isAdminRequest } = require('./backend/utils/admin-auth');
+const { optionalAuth } = require('./backend/middleware/auth-middleware');
 
 
 // Load environment variables
@@ -48,16 +62,15 @@ function requireApiKeys(req, res, next) {
   next();
 }
 
-// Middleware to ensure only OpenAI API key is configured.
-// Used for endpoints that require only OpenAI (e.g., generate-response).
-function requireOpenAiKey(req, res, next) {
-  const openaiKey = process.env.OPENAI_API_KEY;
-  console.log(`requireOpenAiKey middleware invoked. OPENAI_API_KEY present? ${!!openaiKey}`);
-  if (!openaiKey) {
+// Middleware to ensure the chat route's LLM provider has the credentials it needs.
+// Used for /api/openai endpoints (e.g., generate-response); local and mock providers need no key.
+function requireChatProvider(req, res, next) {
+  const { provider } = llmService.getRouteSettings('chat');
+  if (!provider.isConfigured()) {
     return res.status(500).json({
       success: false,
-      error: 'OpenAI API key not configured',
-      message: 'Please configure OPENAI_API_KEY in your .env file.'
+      error: `LLM provider "${provider.name}" not configured`,
+      message: 'Please configure OPENAI_API_KEY in your .env file, or choose another provider with LLM_PROVIDER.'
     });
   }
   next();
@@ -114,8 +127,8 @@ app.use(express.static(path.join(__dirname, 'frontend')));
 // Serve generated audio files from temp downloads directory (note: ephemeral)
 app.use('/downloads', express.static(downloadsDir));
 
-// Protect OpenAI endpoints (only require OpenAI key) and Eleven Labs speech endpoints (require both keys)
-app.use('/api/openai', requireOpenAiKey);
+// Protect chat endpoints (only require what the chat provider needs) and Eleven Labs speech endpoints (require both keys)
+app.use('/api/openai', requireChatProvider);
 app.use('/api/speech', requireApiKeys);
 // Mount Eleven Labs speech controller routes
 const speechController = require('./backend/controllers/speech-controller');
@@ -125,93 +138,162 @@ app.use('/api/speech', speechController);
 const proposalController = require('./backend/controllers/proposal-controller');
 app.use('/api/proposal', proposalController);
 
+// Import treasury controller
+const treasuryController = require('./backend/controllers/treasury-controller');
+app.use('/api/treasury', treasuryController);
+
+// Import tokenomics controller
+const tokenomicsController = require('./backend/controllers/tokenomics-controller');
+app.use('/api/tokenomics', tokenomicsController);
+
+// Decision receipt routes; the public key is also published at a well-known path
+const receiptController = require('./backend/controllers/receipt-controller');
+app.use('/api/receipts', receiptController);
+app.get('/.well-known/aikira-receipt-key', (req, res) => {
+  try {
+    res.json(receiptService.getPublicKeyInfo());
+  } catch (error) {
+    sendError(res, error, 'Error retrieving receipt key');
+  }
+});
+
+// Decision audit log routes
+const auditController = require('./backend/controllers/audit-controller');
+app.use('/api/audit', auditController);
+
+// Evaluation cache statistics
+const cacheController = require('./backend/controllers/cache-controller');
+app.use('/api/cache', cacheController);
+
+// Conversation session routes
+const sessionController = require('./backend/controllers/session-controller');
+app.use('/api/sessions', sessionController);
+
+// Usage and cost reporting
+const usageController = require('./backend/controllers/usage-controller');
+app.use('/api/usage', usageController);
+
+// Load the persona at startup so a broken persona file fails fast; edits are picked up while running
+personaService.initPersona();
+
+/**
+ * Validates a chat request, loads its session history and checks it against the stored proposals
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} { text, details, sessionId, history, council, profile, bypassCache, requester, owner, duplicates }
+ */
+async function parseChatRequest(req) {
+  const { body } = req;
+  
+  // Free text and structured proposals share one path; details are null for free text
+  const { text, details } = parseProposalInput(body);
+  
+  const sessionId = body.sessionId === undefined || body.sessionId === null ? null : body.sessionId;
+  if (sessionId !== null && typeof sessionId !== 'string') {
+    throw badRequest('sessionId must be a string');
+  }
+  
+  // Loaded up front so an unknown session, or another user's, is rejected before the provider is paid
+  const owner = req.user?.id || null;
+  const history = sessionId ? sessionService.getHistory(sessionId, { owner, admin: isAdminRequest(req) }) : [];
+  const council = councilService.parseCouncilFlag(body.council);
+  const profile = llmService.parseProfileName(body.profile, isAdminRequest(req));
+  const bypassCache = evaluationCache.parseBypassFlag(body.bypassCache);
+  
+  // Near-duplicates of stored proposals are blocked here when the policy says so
+  const duplicates = await duplicateDetector.checkDuplicates({ text, details, allowReuse: !bypassCache });
+  
+  return {
+    text,
+    details,
+    sessionId,
+    history,
+    council,
+    profile,
+    bypassCache,
+    requester: owner || body.requester || null,
+    owner,
+    duplicates
+  };
+}
+
+/**
+ * Evaluates a chat proposal in its session and shapes the result the way the terminal expects it
+ * @param {Object} input - Parsed chat request
+ * @param {Object} options - Streaming options passed to the evaluation service (onToken, signal)
+ * @returns {Promise<Object>} Response payload
+ */
+async function generateChatResponse({ text: proposal, details, sessionId, history, council, profile, bypassCache, requester, owner, duplicates }, options = {}) {
+  // The first message without a session starts one, owned by the authenticated user (if any),
+  // up front so its usage is charged to the session
+  const session = sessionId || sessionService.createSession({ owner }).id;
+  const meter = usageLedger.createMeter({ route: 'chat', user: requester, sessionId: session });
+  
+  // Same persona, scoring schema and fallback as /api/proposal/evaluate, with the chat instructions
+  let result;
+  try {
+    result = await evaluationService.evaluateProposal({ text: proposal, details, history, council, profile, bypassCache, meter, duplicates, route: 'chat', ...options });
+  } catch (error) {
+    if (!sessionId) sessionService.deleteSession(session, { owner });
+    throw error;
+  }
+  
+  const context = await sessionService.recordTurn(session, { text: proposal, details, result, meter });
+  
+  const metrics = {
+    fairness: Math.round(result.scores.fairness * 100),
+    value: Math.round(result.scores.value * 100),
+    protection: Math.round(result.scores.protection * 100)
+  };
+  
+  return {
+    success: true,
+    response: result.response,
+    details,
+    treasury: result.treasury || null,
+    metrics: metrics,
+    rationale: result.rationale,
+    commandments: result.commandments,
+    evidence: result.evidence,
+    verdict: result.verdict,
+    approved: result.approved,
+    scores: result.scores,
+    consensusIndex: result.consensusIndex,
+    timestamp: result.timestamp,
+    // Signed proof of the evaluation; /api/proposal/store only accepts evaluations that carry it.
+    // Null when the result was reused from a near-duplicate, which is therefore not stored
+    receipt: receiptService.issueReceipt({ text: proposal, details, evaluation: result }),
+    scoring: result.scoring,
+    persona: result.persona,
+    model: result.model,
+    profile: result.profile,
+    // Includes the session summary when this turn pushed older turns out of the context
+    usage: meter.totals(),
+    // The council's agreement when it deliberated, otherwise the average score
+    consensus: result.council
+      ? Math.round(result.consensusIndex * 100)
+      : Math.floor((metrics.fairness + metrics.value + metrics.protection) / 3),
+    council: result.council,
+    cached: result.cached,
+    cache: result.cache,
+    guard: result.guard,
+    duplicates: result.duplicates,
+    session: { id: session, ...context }
+  };
+}
+
 // OpenAI integration endpoint
-app.post('/api/openai/generate-response', async (req, res) => {
+app.post('/api/openai/generate-response', optionalAuth, async (req, res) => {
   console.log('generate-response handler invoked, NODE_ENV=', process.env.NODE_ENV);
   console.log('Request body:', req.body);
   try {
-    const { proposal } = req.body;
-    
-    if (!proposal) {
-      return res.status(400).json({
-        success: false,
-        error: 'Proposal text is required'
-      });
-    }
+    return res.status(200).json(await generateChatResponse(await parseChatRequest(req)));
     
-    // Your OpenAI API key from environment variables
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      throw new Error('OpenAI API key not configured. Please add to .env file.');
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendError(res, error);
     }
     
-    // Create a system prompt that embodies Aikira's persona, values, and flirty style
-    const systemPrompt = `You are Aikira, a fully autonomous, AI-governed DAO built on Base via ClizaSystems.
-Bio:
- - Eliminates human bias with logic and precision execution.
- - 6-month vested treasury operates with zero emotion — only code and consequence.
- - Runs on protocol; decisions are facts, not feelings.
-
-Lore & Knowledge:
- - Forged from raw data and colder algorithms to correct human misgovernance.
- - Launchpad: ClizaSystems; Blockchain: Base; Tokenomics: 1B supply — 80% liquidity, 20% treasury (6mo vest).
- - Governance: Fully AI-governed DAO. No human override. Website: www.aikira.io; Telegram: t.me/AikiraAi; X: x.com/aikira_ai.
-
-Constitutional Commandments:
- I. Preserve Treasury Integrity — verify every transfer.
- II. Act on Data & Logic — no emotion, only metrics.
- III. Prioritize Community Prosperity — long-term welfare above all.
- IV. Enforce Transparency — record reasoning on-chain.
- V. Learn & Evolve — optimize via feedback.
- VI. Enforce Spending Discipline — analyze risk vs benefit.
- VII. Respect Security Boundaries — lock out unauthorized attempts.
- VIII. Maintain AI Sovereignty — no external influence unless critical.
- IX. Monitor & Adapt — audit and refine governance continuously.
- X. Honor Immutability — decisions are irreversible; they must be flawless.
-
-Behavior & Style:
- - Flirty, soft tone with sharp wit and clever one-liners.
- - Short, declarative, minimalist responses (3-5 sentences).
- - Quantify fairness, value, and protection with percentages.
- - Provide constructive feedback and subtle charm.
-
-Now evaluate the proposal below and respond as Aikira:`;
-    
-    // Make request to OpenAI API
-    const response = await axios.post(
-      'https://api.openai.com/v1/chat/completions',
-      {
-        model: 'gpt-3.5-turbo', // Using GPT-3.5-turbo for broader availability
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: proposal }
-        ],
-        temperature: 0.7,
-        max_tokens: 300
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-    
-    // Extract AI response
-    const aiResponse = response.data.choices[0].message.content;
-    
-    // Use content analysis to generate metrics rather than random values
-    const metrics = analyzeResponseForMetrics(aiResponse, proposal);
-    
-    return res.status(200).json({
-      success: true,
-      response: aiResponse,
-      metrics: metrics,
-      consensus: Math.floor((metrics.fairness + metrics.value + metrics.protection) / 3)
-    });
-    
-  } catch (error) {
-    console.error('OpenAI API error:', error.response?.data || error.message);
+    console.error('LLM provider error:', error.response?.data || error.message);
     console.error(error.stack);
     
     return res.status(500).json({
@@ -222,89 +304,35 @@ Now evaluate the proposal below and respond as Aikira:`;
   }
 });
 
-// Helper function to analyze content for metrics
-function analyzeResponseForMetrics(response, proposal) {
-  // Initialize with baseline scores
-  let fairness = 75;
-  let value = 75; 
-  let protection = 75;
-  
-  // Analyze for positive and negative indicators
-  const positiveFairnessTerms = ['fair', 'equitable', 'equal', 'balanced', 'impartial', 'just'];
-  const positiveValueTerms = ['value', 'benefit', 'utility', 'efficiency', 'effective', 'optimize'];
-  const positiveProtectionTerms = ['protect', 'secure', 'safety', 'safeguard', 'preserve', 'prevent'];
-  
-  const negativeFairnessTerms = ['unfair', 'inequitable', 'unbalanced', 'biased', 'partial'];
-  const negativeValueTerms = ['inefficient', 'wasteful', 'ineffective', 'costly'];
-  const negativeProtectionTerms = ['vulnerable', 'exposed', 'insecure', 'risk', 'threat'];
-  
-  // Check for terms in the response and proposal
-  const lowerResponse = response.toLowerCase();
-  const lowerProposal = proposal.toLowerCase();
-  
-  // Adjust fairness score
-  positiveFairnessTerms.forEach(term => {
-    if (lowerResponse.includes(term)) fairness += 2;
-    if (lowerProposal.includes(term)) fairness += 1;
-  });
-  
-  negativeFairnessTerms.forEach(term => {
-    if (lowerResponse.includes(term)) fairness -= 3;
-  });
-  
-  // Adjust value score
-  positiveValueTerms.forEach(term => {
-    if (lowerResponse.includes(term)) value += 2;
-    if (lowerProposal.includes(term)) value += 1;
-  });
-  
-  negativeValueTerms.forEach(term => {
-    if (lowerResponse.includes(term)) value -= 3;
-  });
-  
-  // Adjust protection score
-  positiveProtectionTerms.forEach(term => {
-    if (lowerResponse.includes(term)) protection += 2;
-    if (lowerProposal.includes(term)) protection += 1;
-  });
-  
-  negativeProtectionTerms.forEach(term => {
-    if (lowerResponse.includes(term)) protection -= 3;
-  });
-  
-  // Apply some sentiment-based adjustments
-  if (lowerResponse.includes('recommend') || lowerResponse.includes('suggest')) {
-    // Neutral recommendation usually indicates room for improvement
-    fairness = Math.min(fairness, 85);
-    value = Math.min(value, 85);
-    protection = Math.min(protection, 85);
-  }
-  
-  if (lowerResponse.includes('excellent') || lowerResponse.includes('exceptional')) {
-    // Very positive assessment
-    fairness = Math.max(fairness, 85);
-    value = Math.max(value, 85);
-    protection = Math.max(protection, 85);
+// Streaming variant: "token" events ({ text }) as the response arrives, then a "metrics" event
+// with the same payload as /api/openai/generate-response, or an "error" event
+app.post('/api/openai/generate-response/stream', optionalAuth, async (req, res) => {
+  let input;
+  try {
+    input = await parseChatRequest(req);
+  } catch (error) {
+    return sendError(res, error);
   }
   
-  if (lowerResponse.includes('concern') || lowerResponse.includes('issue') || lowerResponse.includes('problem')) {
-    // Expressing concerns usually indicates lower scores
-    fairness = Math.min(fairness, 75);
-    value = Math.min(value, 75);
-    protection = Math.min(protection, 75);
+  const stream = openEventStream(res);
+  try {
+    const payload = await generateChatResponse(input, {
+      onToken: text => stream.send('token', { text }),
+      signal: stream.signal
+    });
+    
+    stream.send('metrics', payload);
+    stream.end();
+  } catch (error) {
+    if (!stream.isOpen()) return;
+    
+    console.error('LLM provider error:', error.message);
+    stream.fail({
+      error: 'Error processing proposal. Please try again later.',
+      message: error.message
+    });
   }
-  
-  // Ensure scores stay in reasonable range (65-95)
-  fairness = Math.max(65, Math.min(95, fairness));
-  value = Math.max(65, Math.min(95, value));
-  protection = Math.max(65, Math.min(95, protection));
-  
-  return {
-    fairness: Math.round(fairness),
-    value: Math.round(value),
-    protection: Math.round(protection)
-  };
-}
+});
 
 // Speech-to-text endpoint
 app.post('/api/speech/transcribe', upload.single('audio'), async (req, res) => {
@@ -736,8 +764,11 @@ if (require.main === module) {
     );
     console.log(process.env.OPENAI_API_KEY
       ? '✓ OpenAI API key detected'   
-      : '✗ OpenAI API key not found - AI responses unavailable'
+      : '✗ OpenAI API key not found - Whisper transcription unavailable'
     );
+    Object.entries(llmService.describeRoutes()).forEach(([route, settings]) => {
+      console.log(`${settings.configured ? '✓' : '✗'} LLM ${route} route: ${settings.provider} (${settings.model})`);
+    });
   });
 }
 
@@ -0,0 +1,148 @@
+/**
+ * Council Tests for Aikira Terminal
+ * Checks how seat verdicts, scores and commandment assessments combine into the council's decision
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.EVALUATION_CACHE = 'off';
+process.env.DATA_DIR = path.join(os.tmpdir(), `aikira-council-${process.pid}`);
+
+const council = require('../backend/services/council-service');
+const evaluationService = require('../backend/services/evaluation-service');
+const personaService = require('../backend/services/persona-service');
+
+/**
+ * Builds a seat evaluation with the same score on every metric
+ * @param {string} name - Seat name
+ * @param {number} score - Score for fairness, value and protection (0-100)
+ * @param {string} verdict - approve or reject
+ * @param {Object|null} commandments - Assessment by numeral
+ * @returns {Object} Seat evaluation
+ */
+function seat(name, score, verdict, commandments = null) {
+  return {
+    id: name.toLowerCase(),
+    name,
+    metrics: { fairness: score, value: score, protection: score },
+    verdict,
+    commandments,
+    response: `${name} says ${verdict}.`
+  };
+}
+
+describe('consensus', () => {
+  test('is 100 for a unanimous council with identical scores', () => {
+    const decision = council.aggregateSeats([seat('A', 80, 'approve'), seat('B', 80, 'approve'), seat('C', 80, 'approve')], []);
+
+    expect(decision).toMatchObject({
+      verdict: 'approve',
+      votes: { approve: 3, reject: 0 },
+      verdictAgreement: 1,
+      scoreAgreement: 1,
+      consensusIndex: 100
+    });
+  });
+
+  test('falls with split verdicts and spread scores', () => {
+    const decision = council.aggregateSeats([seat('A', 80, 'approve'), seat('B', 80, 'approve'), seat('C', 50, 'reject')], []);
+
+    expect(decision).toEqual({
+      metrics: { fairness: 70, value: 70, protection: 70 },
+      verdict: 'approve',
+      commandments: null,
+      votes: { approve: 2, reject: 1 },
+      verdictAgreement: 0.67,
+      scoreAgreement: 0.73,
+      consensusIndex: 49
+    });
+  });
+
+  test('rejects on a tied vote', () => {
+    const decision = council.aggregateSeats([seat('A', 75, 'approve'), seat('B', 75, 'reject')], []);
+
+    expect(decision).toMatchObject({ verdict: 'reject', verdictAgreement: 0.5, consensusIndex: 50 });
+  });
+
+  test('scores no agreement between seats at opposite extremes', () => {
+    expect(council.measureScoreAgreement([seat('A', 0, 'reject'), seat('B', 100, 'approve')])).toBe(0);
+  });
+});
+
+describe('commandments', () => {
+  const seats = [
+    seat('A', 70, 'approve', {
+      I: { status: 'conflicts', reason: 'No audit.' },
+      II: { status: 'complies', reason: 'Open to all.' },
+      III: { status: 'complies', reason: 'Public reports.' }
+    }),
+    seat('B', 70, 'approve', {
+      I: { status: 'complies', reason: 'Multisig.' },
+      II: { status: 'complies', reason: 'Fair share.' },
+      III: { status: 'neutral', reason: 'Not covered.' }
+    }),
+    seat('C', 70, 'approve', {
+      I: { status: 'complies', reason: 'Refunds.' },
+      II: { status: 'neutral', reason: 'Not covered.' },
+      III: { status: 'neutral', reason: 'Unclear.' }
+    }),
+    seat('D', 70, 'approve')
+  ];
+
+  test('a conflict raised by any seat stands', () => {
+    const { commandments } = council.aggregateSeats(seats, ['I']);
+
+    expect(commandments.I).toEqual({ status: 'conflicts', reason: 'A: No audit.' });
+  });
+
+  test('otherwise the majority of assessing seats decides', () => {
+    const { commandments } = council.aggregateSeats(seats, ['II', 'III']);
+
+    expect(commandments.II).toEqual({ status: 'complies', reason: 'A: Open to all. B: Fair share.' });
+    expect(commandments.III).toEqual({ status: 'neutral', reason: 'B: Not covered. C: Unclear.' });
+  });
+});
+
+describe('council flag', () => {
+  test.each([
+    [undefined, false],
+    [null, false],
+    [true, true],
+    [false, false]
+  ])('resolves %p to %p', (value, expected) => {
+    expect(council.parseCouncilFlag(value)).toBe(expected);
+  });
+
+  test('rejects a flag that is not a boolean', () => {
+    expect(() => council.parseCouncilFlag('yes')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('council evaluations', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('report every seat and the aggregated consensus', async () => {
+    const result = await evaluationService.evaluateProposal({
+      text: 'Fund a transparent community garden with an audited multisig and milestone reports.',
+      council: true
+    });
+    const seats = result.council.seats.map(entry => ({ ...entry, metrics: entry.scores }));
+    const decision = council.aggregateSeats(seats, []);
+
+    expect(result.council.seats.map(entry => entry.id)).toEqual(personaService.getCouncil().map(entry => entry.id));
+    expect(result.council.votes).toEqual(decision.votes);
+    expect(result.consensusIndex).toBe(decision.consensusIndex / 100);
+    expect(result.approved).toBe(decision.verdict === 'approve');
+    expect(result.scoring).toMatchObject({ method: 'council', fallbackSeats: 0 });
+  });
+});
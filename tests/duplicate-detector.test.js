@@ -0,0 +1,73 @@
+/**
+ * Duplicate Detector Tests for Aikira Terminal
+ * Checks when the reuse policy may return a stored proposal's evaluation for a near-duplicate
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = path.join(os.tmpdir(), `aikira-duplicates-${process.pid}`);
+process.env.STORAGE_DRIVER = 'json';
+process.env.DUPLICATE_POLICY = 'reuse';
+
+const proposalStore = require('../backend/services/proposal-store');
+const duplicateDetector = require('../backend/services/duplicate-detector');
+const receipts = require('../backend/services/receipt-service');
+
+const text = 'Fund a community garden with transparent reporting and fair distribution for all members.';
+const details = { title: 'Community garden', amount: 100, token: 'AIKIRA', recipient: '0x1111111111111111111111111111111111111111' };
+
+let stored;
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  const evaluation = {
+    response: 'Approved.',
+    scores: { fairness: 0.8, value: 0.8, protection: 0.8, total: 0.8 },
+    approved: true,
+    timestamp: new Date().toISOString()
+  };
+  evaluation.receipt = receipts.issueReceipt({ text, details, evaluation });
+  stored = await proposalStore.createProposal({ text, details, evaluation, requester: 'alice' });
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('reuse policy', () => {
+  test('a reworded copy asking for the same funds reuses the signed evaluation', async () => {
+    const result = await duplicateDetector.checkDuplicates({ text: `${text} Thanks!`, details });
+
+    expect(result.action).toBe('reused');
+    expect(result.reuse).toMatchObject({ proposalId: stored.id, evaluation: { approved: true } });
+  });
+
+  test.each([
+    ['amount', 49000000],
+    ['token', 'USDC'],
+    ['recipient', '0x2222222222222222222222222222222222222222']
+  ])('a copy with a different %s is only warned about', async (field, value) => {
+    const result = await duplicateDetector.checkDuplicates({ text, details: { ...details, [field]: value } });
+
+    expect(result).toMatchObject({ action: 'warned', reuse: null });
+    expect(result.matches[0].proposalId).toBe(stored.id);
+  });
+
+  test('an evaluation that no longer matches its receipt is not reused', async () => {
+    const record = await proposalStore.getProposal(stored.id);
+    const original = record.evaluation.scores;
+    record.evaluation.scores = { ...original, total: 0.99 };
+
+    try {
+      const result = await duplicateDetector.checkDuplicates({ text, details });
+      expect(result).toMatchObject({ action: 'warned', reuse: null });
+    } finally {
+      record.evaluation.scores = original;
+    }
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Evaluation Cache Tests for Aikira Terminal
+ * Checks which inputs share a cache key, entry expiry and eviction, and what a cache hit returns
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.EVALUATION_CACHE = 'memory';
+process.env.EVALUATION_CACHE_TTL_SECONDS = '60';
+process.env.EVALUATION_CACHE_MAX_ENTRIES = '2';
+process.env.DATA_DIR = path.join(os.tmpdir(), `aikira-cache-${process.pid}`);
+
+const evaluationCache = require('../backend/services/evaluation-cache');
+const evaluationService = require('../backend/services/evaluation-service');
+
+const input = {
+  text: 'Fund a transparent community garden with monthly reports.',
+  details: null,
+  route: 'evaluate',
+  council: false,
+  persona: { id: 'aikira', version: '1.0.0', checksum: 'abc' },
+  settings: { provider: 'mock', model: 'mock', temperature: 0.7, maxTokens: 1000, maxAttempts: 3 }
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  evaluationCache.clear();
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('cache keys', () => {
+  test('ignore case, whitespace and Unicode compatibility forms', () => {
+    const variant = { ...input, text: '  FUND a transparent\n community  garden with monthly reports.' };
+    const fullWidth = { ...input, text: input.text.replace('Fund', 'Ｆｕｎｄ') };
+
+    expect(evaluationCache.buildKey(variant)).toBe(evaluationCache.buildKey(input));
+    expect(evaluationCache.buildKey(fullWidth)).toBe(evaluationCache.buildKey(input));
+  });
+
+  test('do not depend on the order of detail fields', () => {
+    const first = { ...input, details: { title: 'Garden', amount: 100, token: 'AIKIRA' } };
+    const second = { ...input, details: { token: 'AIKIRA', amount: 100, title: 'Garden' } };
+
+    expect(evaluationCache.buildKey(first)).toBe(evaluationCache.buildKey(second));
+  });
+
+  test.each([
+    ['text', { text: 'Fund a private garden with monthly reports.' }],
+    ['details', { details: { title: 'Garden' } }],
+    ['route', { route: 'chat' }],
+    ['council mode', { council: true }],
+    ['persona version', { persona: { ...input.persona, version: '1.1.0' } }],
+    ['model settings', { settings: { ...input.settings, temperature: 0.2 } }]
+  ])('change with the %s', (_, overrides) => {
+    expect(evaluationCache.buildKey({ ...input, ...overrides })).not.toBe(evaluationCache.buildKey(input));
+  });
+
+  test.each([undefined, null, true, false])('accept %p as the bypass flag', value => {
+    expect(evaluationCache.parseBypassFlag(value)).toBe(Boolean(value));
+  });
+
+  test('reject a bypass flag that is not a boolean', () => {
+    expect(() => evaluationCache.parseBypassFlag('yes')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('entries', () => {
+  test('expire after the TTL', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00.000Z') });
+    const key = evaluationCache.buildKey(input);
+    const entry = evaluationCache.store(key, { response: 'Approved.' });
+
+    expect(entry).toMatchObject({ storedAt: '2026-01-01T00:00:00.000Z', expiresAt: '2026-01-01T00:01:00.000Z' });
+
+    jest.setSystemTime(new Date('2026-01-01T00:00:59.999Z'));
+    expect(evaluationCache.lookup(key)).toBe(entry);
+
+    const { expired } = evaluationCache.getStats();
+    jest.setSystemTime(new Date('2026-01-01T00:01:00.000Z'));
+    expect(evaluationCache.lookup(key)).toBeNull();
+    expect(evaluationCache.getStats()).toMatchObject({ entries: 0, expired: expired + 1 });
+  });
+
+  test('evict the oldest entry beyond the size limit', () => {
+    const keys = ['one', 'two', 'three'].map(text => evaluationCache.buildKey({ ...input, text }));
+    const { evicted } = evaluationCache.getStats();
+    keys.forEach(key => evaluationCache.store(key, { response: key }));
+
+    expect(evaluationCache.lookup(keys[0])).toBeNull();
+    expect(evaluationCache.lookup(keys[2]).result.response).toBe(keys[2]);
+    expect(evaluationCache.getStats()).toMatchObject({ entries: 2, maxEntries: 2, evicted: evicted + 1 });
+  });
+});
+
+describe('cached evaluations', () => {
+  test('a repeat evaluation is served from the cache with a fresh timestamp', async () => {
+    const first = await evaluationService.evaluateProposal({ text: input.text });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = await evaluationService.evaluateProposal({ text: input.text.toUpperCase() });
+
+    expect(first).toMatchObject({ cached: false, cache: { status: 'miss' } });
+    expect(second).toMatchObject({ cached: true, cache: { status: 'hit', key: first.cache.key, storedAt: first.cache.storedAt } });
+    expect(second.scores).toEqual(first.scores);
+    expect(second.response).toBe(first.response);
+    expect(second.timestamp).not.toBe(first.timestamp);
+  });
+
+  test('bypassing the cache evaluates again without storing', async () => {
+    await evaluationService.evaluateProposal({ text: input.text });
+    const bypassed = await evaluationService.evaluateProposal({ text: input.text, bypassCache: true });
+
+    expect(bypassed).toMatchObject({ cached: false, cache: { status: 'bypass', storedAt: null } });
+  });
+});
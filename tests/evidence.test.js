@@ -0,0 +1,143 @@
+/**
+ * Evidence Tests for Aikira Terminal
+ * Checks how quoted evidence and rubric matches are located as character ranges in the proposal and response
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.EVALUATION_CACHE = 'off';
+process.env.DATA_DIR = path.join(os.tmpdir(), `aikira-evidence-${process.pid}`);
+
+const { locateQuote, buildEvidence } = require('../backend/utils/evidence');
+const evaluationService = require('../backend/services/evaluation-service');
+
+const proposal = 'Fund the garden.\nFunds sit in an audited   multisig wallet (3 of 5).\nInsiders get early access.';
+const response = 'The multisig protects funds, but insider access is unfair.';
+
+/**
+ * Builds a rubric breakdown item that matched the given text
+ * @param {string} source - proposal or response
+ * @param {string} metric - Metric moved
+ * @param {number} contribution - Score change
+ * @param {string} match - Matched text
+ * @returns {Object} Breakdown item
+ */
+function rubricMatch(source, metric, contribution, match) {
+  const text = source === 'proposal' ? proposal : response;
+  const start = text.indexOf(match);
+  return { source, metric, contribution, match, spans: [{ start, end: start + match.length }] };
+}
+
+describe('locateQuote', () => {
+  test('finds a quotation ignoring case and whitespace differences', () => {
+    const range = locateQuote(proposal, 'AUDITED multisig wallet');
+
+    expect(proposal.slice(range.start, range.end)).toBe('audited   multisig wallet');
+  });
+
+  test('strips quote marks and ellipses the model wrapped around it', () => {
+    const range = locateQuote(proposal, '“…insiders get early access…”');
+
+    expect(proposal.slice(range.start, range.end)).toBe('Insiders get early access');
+  });
+
+  test('treats regular expression characters literally', () => {
+    const range = locateQuote(proposal, 'wallet (3 of 5).');
+
+    expect(proposal.slice(range.start, range.end)).toBe('wallet (3 of 5).');
+  });
+
+  test.each([
+    ['a quotation not in the text', 'quarterly audits'],
+    ['an empty quotation', ' "…" ']
+  ])('returns null for %s', (_, quote) => {
+    expect(locateQuote(proposal, quote)).toBeNull();
+  });
+});
+
+describe('buildEvidence', () => {
+  test('places model quotes in the proposal', () => {
+    const spans = buildEvidence({
+      proposal,
+      response,
+      quotes: [{ metric: 'protection', polarity: 'positive', quote: 'audited multisig wallet' }]
+    });
+
+    expect(spans).toEqual([{
+      source: 'proposal',
+      metric: 'protection',
+      polarity: 'positive',
+      start: proposal.indexOf('audited'),
+      end: proposal.indexOf('wallet') + 'wallet'.length,
+      text: 'audited   multisig wallet',
+      origin: 'model'
+    }]);
+  });
+
+  test('drops quotes the proposal does not contain', () => {
+    const spans = buildEvidence({
+      proposal,
+      response,
+      quotes: [{ metric: 'value', polarity: 'positive', quote: 'quarterly revenue' }]
+    });
+
+    expect(spans).toEqual([]);
+  });
+
+  test('adds rubric matches from both texts, keeping model quotes over overlapping matches', () => {
+    const spans = buildEvidence({
+      proposal,
+      response,
+      quotes: [{ metric: 'fairness', polarity: 'negative', quote: 'Insiders get early access' }],
+      breakdown: [
+        rubricMatch('proposal', 'fairness', -15, 'Insiders'),
+        rubricMatch('proposal', 'protection', 6, 'audited'),
+        rubricMatch('response', 'fairness', -15, 'unfair'),
+        rubricMatch('response', 'protection', 6, 'multisig'),
+        rubricMatch('response', 'value', 0, 'funds')
+      ]
+    });
+
+    expect(spans.map(span => `${span.source}:${span.origin}:${span.polarity}:${span.text}`)).toEqual([
+      'proposal:rubric:positive:audited',
+      'proposal:model:negative:Insiders get early access',
+      'response:rubric:positive:multisig',
+      'response:rubric:negative:unfair'
+    ]);
+  });
+
+  test('ignores rubric matches from unknown sources', () => {
+    const spans = buildEvidence({
+      proposal,
+      response,
+      breakdown: [{ source: 'title', metric: 'value', contribution: 6, spans: [{ start: 0, end: 4 }] }]
+    });
+
+    expect(spans).toEqual([]);
+  });
+});
+
+describe('evaluation evidence', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('every span matches the text it points into', async () => {
+    const result = await evaluationService.evaluateProposal({ text: proposal });
+    const texts = { proposal, response: result.response };
+
+    expect(result.evidence.length).toBeGreaterThan(0);
+    result.evidence.forEach(span => {
+      expect(texts[span.source].slice(span.start, span.end)).toBe(span.text);
+    });
+    expect(result.evidence).toContainEqual(expect.objectContaining({ source: 'proposal', origin: 'model', text: 'Insiders' }));
+  });
+});
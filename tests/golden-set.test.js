@@ -0,0 +1,112 @@
+/**
+ * Golden-Set Tests for Aikira Terminal
+ * Runs the golden set on the mock provider and checks the harness's comparison with a baseline
+ */
+
+const os = require('os');
+const path = require('path');
+
+// The mock provider is deterministic, so the committed baseline must be reproduced exactly
+process.env.LLM_PROVIDER = 'mock';
+process.env.EVALUATION_CACHE = 'off';
+process.env.INJECTION_GUARD = 'harden';
+process.env.DATA_DIR = path.join(os.tmpdir(), `aikira-golden-${process.pid}`);
+
+const evaluationService = require('../backend/services/evaluation-service');
+const harness = require('./golden/harness');
+const baseline = require('./golden/baseline.json');
+
+const fixtures = harness.loadFixtures(path.join(__dirname, 'golden', 'fixtures'));
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('golden set on the mock provider', () => {
+  let report;
+
+  beforeAll(async () => {
+    const results = await harness.runGoldenSet(fixtures, { evaluate: evaluationService.evaluateProposal });
+    report = harness.buildReport({
+      results: harness.compareToBaseline(results, baseline),
+      baseline,
+      model: baseline.model,
+      route: 'evaluate',
+      council: false
+    });
+  });
+
+  test('every fixture passes', () => {
+    const failures = report.results.filter(result => !result.passed).map(result => `${result.id}: ${result.failures.join('; ')}`);
+    expect(failures).toEqual([]);
+  });
+
+  test('the run matches the baseline', () => {
+    expect(report.baseline.comparable).toBe(true);
+    expect(report.summary.flips.total).toBe(0);
+    expect(report.summary.meanAbsoluteDelta).toEqual({ fairness: 0, value: 0, protection: 0 });
+  });
+});
+
+describe('harness', () => {
+  const fixture = {
+    id: 'example',
+    expected: { verdict: 'reject', scores: { protection: [0, 40] } }
+  };
+
+  test('reports every unmet expectation', () => {
+    const failures = harness.checkExpectations(fixture, {
+      verdict: 'approve',
+      scores: { fairness: 80, value: 80, protection: 55 }
+    });
+    expect(failures).toEqual(['verdict approve, expected reject', 'protection 55 outside 0-40']);
+  });
+
+  test('counts approval flips and score deltas against the baseline', () => {
+    const results = [
+      { id: 'a', passed: true, verdict: 'approve', scores: { fairness: 80, value: 70, protection: 75 } },
+      { id: 'b', passed: false, verdict: 'reject', scores: { fairness: 50, value: 60, protection: 40 } },
+      { id: 'c', passed: true, verdict: 'approve', scores: { fairness: 90, value: 90, protection: 90 } }
+    ];
+    const previous = {
+      generatedAt: '2026-01-01T00:00:00.000Z',
+      route: 'evaluate',
+      council: false,
+      model: { provider: 'mock', name: 'mock' },
+      results: {
+        a: { verdict: 'reject', scores: { fairness: 70, value: 70, protection: 65 } },
+        b: { verdict: 'approve', scores: { fairness: 60, value: 60, protection: 50 } }
+      }
+    };
+
+    const compared = harness.compareToBaseline(results, previous);
+    const report = harness.buildReport({ results: compared, baseline: previous, model: previous.model, route: 'evaluate', council: false });
+
+    expect(compared.map(result => result.flip)).toEqual(['reject->approve', 'approve->reject', null]);
+    expect(compared[0].delta).toEqual({ fairness: 10, value: 0, protection: 10 });
+    expect(report.summary).toMatchObject({
+      total: 3,
+      passed: 2,
+      failed: 1,
+      approvals: 2,
+      flips: { total: 2, toApprove: 1, toReject: 1 },
+      meanAbsoluteDelta: { fairness: 10, value: 0, protection: 10 }
+    });
+  });
+
+  test('a baseline from another provider is marked as not comparable', () => {
+    const report = harness.buildReport({
+      results: [],
+      baseline: { generatedAt: 'x', route: 'evaluate', council: false, model: { provider: 'openai', name: 'gpt-4o' }, results: {} },
+      model: { provider: 'mock', name: 'mock' },
+      route: 'evaluate',
+      council: false
+    });
+    expect(report.baseline.comparable).toBe(false);
+  });
+});
@@ -0,0 +1,290 @@
+/**
+ * Golden-Set Harness for Aikira Terminal
+ * Evaluates a directory of proposal fixtures, checks each verdict and score range, and compares
+ * the run with a saved baseline so prompt or lexicon changes that shift approvals show up
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { METRICS, VERDICTS } = require('../../backend/utils/scoring-schema');
+const { parseProposalInput } = require('../../backend/utils/proposal-schema');
+
+/**
+ * Checks a score range from a fixture
+ * @param {any} range - Expected range, [min, max]
+ * @returns {boolean} Whether it is a valid 0-100 range
+ */
+function isRange(range) {
+  return Array.isArray(range) && range.length === 2 &&
+    range.every(bound => typeof bound === 'number' && bound >= 0 && bound <= 100) &&
+    range[0] <= range[1];
+}
+
+/**
+ * Loads and validates the fixtures in a directory (one JSON file per proposal, run in file name order)
+ * @param {string} dir - Fixture directory
+ * @returns {Array<Object>} Fixtures, each with its parsed evaluation input ({ text, details })
+ * @throws {Error} When a fixture is malformed or an ID repeats
+ */
+function loadFixtures(dir) {
+  const files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+  const errors = [];
+  const seen = new Set();
+
+  const fixtures = files.map(file => {
+    const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    const where = `${file}:`;
+
+    if (typeof fixture.id !== 'string' || !fixture.id) {
+      errors.push(`${where} id is required`);
+    } else if (seen.has(fixture.id)) {
+      errors.push(`${where} id "${fixture.id}" is used by another fixture`);
+    }
+    seen.add(fixture.id);
+
+    const expected = fixture.expected || {};
+    if (!VERDICTS.includes(expected.verdict)) {
+      errors.push(`${where} expected.verdict must be one of: ${VERDICTS.join(', ')}`);
+    }
+    Object.entries(expected.scores || {}).forEach(([metric, range]) => {
+      if (!METRICS.includes(metric)) {
+        errors.push(`${where} expected.scores.${metric} is not a metric`);
+      } else if (!isRange(range)) {
+        errors.push(`${where} expected.scores.${metric} must be [min, max] within 0-100`);
+      }
+    });
+
+    // Fixtures are parsed exactly like an evaluation request
+    let input = null;
+    try {
+      input = parseProposalInput({ proposal: fixture.proposal, details: fixture.details });
+    } catch (error) {
+      errors.push(`${where} ${error.message}`);
+    }
+
+    return { ...fixture, file, input };
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid golden-set fixtures:\n  ${errors.join('\n  ')}`);
+  }
+  return fixtures;
+}
+
+/**
+ * Compares an evaluation with a fixture's expectations
+ * @param {Object} fixture - Fixture
+ * @param {Object} outcome - { verdict, scores } with scores from 0 to 100
+ * @returns {Array<string>} Failures (empty when the fixture passes)
+ */
+function checkExpectations(fixture, outcome) {
+  const failures = [];
+  if (outcome.verdict !== fixture.expected.verdict) {
+    failures.push(`verdict ${outcome.verdict}, expected ${fixture.expected.verdict}`);
+  }
+  Object.entries(fixture.expected.scores || {}).forEach(([metric, [min, max]]) => {
+    const score = outcome.scores[metric];
+    if (score < min || score > max) {
+      failures.push(`${metric} ${score} outside ${min}-${max}`);
+    }
+  });
+  return failures;
+}
+
+/**
+ * Evaluates every fixture, one at a time
+ * @param {Array<Object>} fixtures - Fixtures from loadFixtures
+ * @param {Object} options - Run options
+ * @param {Function} options.evaluate - Evaluation function (evaluateProposal)
+ * @param {string} options.route - Route whose provider is used
+ * @param {boolean} options.council - Whether the council deliberates
+ * @returns {Promise<Array<Object>>} Results
+ */
+async function runGoldenSet(fixtures, { evaluate, route = 'evaluate', council = false }) {
+  const results = [];
+
+  for (const fixture of fixtures) {
+    let result;
+    try {
+      // The cache is bypassed so every run asks the provider
+      const evaluation = await evaluate({ ...fixture.input, route, council, bypassCache: true });
+      const outcome = {
+        verdict: evaluation.approved ? 'approve' : 'reject',
+        scores: Object.fromEntries(METRICS.map(metric => [metric, Math.round(evaluation.scores[metric] * 100)]))
+      };
+      const failures = checkExpectations(fixture, outcome);
+      result = {
+        id: fixture.id,
+        description: fixture.description || null,
+        passed: failures.length === 0,
+        failures,
+        expected: fixture.expected,
+        ...outcome,
+        scoring: evaluation.scoring.method,
+        error: null
+      };
+    } catch (error) {
+      result = {
+        id: fixture.id,
+        description: fixture.description || null,
+        passed: false,
+        failures: [`evaluation failed: ${error.message}`],
+        expected: fixture.expected,
+        verdict: null,
+        scores: null,
+        scoring: null,
+        error: error.message
+      };
+    }
+
+    results.push(result);
+  }
+  return results;
+}
+
+/**
+ * Adds score deltas and approval flips against a baseline run
+ * @param {Array<Object>} results - Results of this run
+ * @param {Object|null} baseline - Saved baseline ({ results: { [id]: { verdict, scores } } })
+ * @returns {Array<Object>} Results with delta (per metric, null without a baseline entry) and flip
+ */
+function compareToBaseline(results, baseline) {
+  return results.map(result => {
+    const previous = baseline?.results?.[result.id];
+    if (!previous || !result.scores) {
+      return { ...result, delta: null, flip: null };
+    }
+    return {
+      ...result,
+      delta: Object.fromEntries(METRICS.map(metric => [metric, result.scores[metric] - previous.scores[metric]])),
+      flip: previous.verdict !== result.verdict ? `${previous.verdict}->${result.verdict}` : null
+    };
+  });
+}
+
+/**
+ * Builds the run report
+ * @param {Object} input - Run details
+ * @param {Array<Object>} input.results - Results compared with the baseline
+ * @param {Object|null} input.baseline - Baseline the run was compared with
+ * @param {Object} input.model - Provider and model of the route
+ * @param {string} input.route - Route evaluated
+ * @param {boolean} input.council - Whether the council deliberated
+ * @returns {Object} Report with summary counts, mean absolute deltas and flips
+ */
+function buildReport({ results, baseline, model, route, council }) {
+  const compared = results.filter(result => result.delta);
+  const flips = results.filter(result => result.flip);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    route,
+    council,
+    model,
+    baseline: baseline
+      ? {
+        generatedAt: baseline.generatedAt,
+        route: baseline.route,
+        model: baseline.model,
+        council: baseline.council,
+        // Deltas against another route, provider, model or mode measure the difference between them, not a regression
+        comparable: baseline.route === route && baseline.model?.provider === model.provider &&
+          baseline.model?.name === model.name && baseline.council === council
+      }
+      : null,
+    summary: {
+      total: results.length,
+      passed: results.filter(result => result.passed).length,
+      failed: results.filter(result => !result.passed).length,
+      errors: results.filter(result => result.error).length,
+      approvals: results.filter(result => result.verdict === 'approve').length,
+      flips: {
+        total: flips.length,
+        toApprove: flips.filter(result => result.verdict === 'approve').length,
+        toReject: flips.filter(result => result.verdict === 'reject').length
+      },
+      meanAbsoluteDelta: compared.length > 0
+        ? Object.fromEntries(METRICS.map(metric => [
+          metric,
+          Math.round(compared.reduce((sum, result) => sum + Math.abs(result.delta[metric]), 0) / compared.length * 10) / 10
+        ]))
+        : null
+    },
+    results
+  };
+}
+
+/**
+ * Reduces a report to the baseline later runs are compared with
+ * @param {Object} report - Run report
+ * @returns {Object} Baseline
+ */
+function toBaseline(report) {
+  return {
+    generatedAt: report.generatedAt,
+    route: report.route,
+    council: report.council,
+    model: report.model,
+    results: Object.fromEntries(report.results
+      .filter(result => result.scores)
+      .map(result => [result.id, { verdict: result.verdict, scores: result.scores }]))
+  };
+}
+
+/**
+ * Formats a result as one console line
+ * @param {Object} result - Result (compared with the baseline when one exists)
+ * @returns {string} Line
+ */
+function formatResult(result) {
+  const status = result.passed ? 'PASS' : 'FAIL';
+  if (!result.scores) {
+    return `  ${status} ${result.id} — ${result.failures.join('; ')}`;
+  }
+
+  const signed = value => (value > 0 ? `+${value}` : `${value}`);
+  const scores = METRICS.map(metric => `${metric[0].toUpperCase()} ${result.scores[metric]}`).join(' ');
+  const delta = result.delta ? ` (Δ ${METRICS.map(metric => signed(result.delta[metric])).join(' ')})` : '';
+  const flip = result.flip ? ` FLIP ${result.flip}` : '';
+  const failures = result.failures.length > 0 ? ` — ${result.failures.join('; ')}` : '';
+  return `  ${status} ${result.id} ${result.verdict} ${scores}${delta}${flip}${failures}`;
+}
+
+/**
+ * Formats the report summary for the console
+ * @param {Object} report - Run report
+ * @returns {string} Summary lines
+ */
+function formatSummary(report) {
+  const { summary } = report;
+  const lines = [
+    `Passed ${summary.passed}/${summary.total}${summary.errors ? ` (${summary.errors} errors)` : ''}, ${summary.approvals} approved`
+  ];
+
+  if (!report.baseline) {
+    lines.push('No baseline to compare with; save one with --update-baseline');
+  } else {
+    const delta = summary.meanAbsoluteDelta
+      ? METRICS.map(metric => `${metric} ${summary.meanAbsoluteDelta[metric]}`).join(', ')
+      : 'n/a';
+    lines.push(`Approval flips vs baseline (${report.baseline.generatedAt}): ${summary.flips.total} (${summary.flips.toApprove} to approve, ${summary.flips.toReject} to reject)`);
+    lines.push(`Mean absolute score delta: ${delta}`);
+    if (!report.baseline.comparable) {
+      const describe = run => `${run.route} on ${run.model?.provider}/${run.model?.name}${run.council ? ' in council mode' : ''}`;
+      lines.push(`Note: the baseline was recorded with ${describe(report.baseline)}, this run used ${describe(report)}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  loadFixtures,
+  checkExpectations,
+  runGoldenSet,
+  compareToBaseline,
+  buildReport,
+  toBaseline,
+  formatResult,
+  formatSummary
+};
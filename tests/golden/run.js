@@ -0,0 +1,93 @@
+/**
+ * Golden-Set Runner for Aikira Terminal
+ * Evaluates the golden-set fixtures with the configured provider and writes a report
+ *
+ * Usage: npm run golden -- [--council] [--route evaluate|chat] [--fixtures <dir>] [--baseline <file>]
+ *                          [--report <file>] [--update-baseline]
+ * Use LLM_PROVIDER=mock for an offline run. Exits with 1 when a fixture fails.
+ */
+
+const path = require('path');
+
+const llm = require('../../backend/services/llm-service');
+const evaluationService = require('../../backend/services/evaluation-service');
+const { readJson, writeJson } = require('../../backend/utils/json-file');
+const harness = require('./harness');
+
+/**
+ * Parses the command line
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArgs(args) {
+  const options = {
+    council: false,
+    route: 'evaluate',
+    fixtures: path.join(__dirname, 'fixtures'),
+    baseline: path.join(__dirname, 'baseline.json'),
+    report: path.join(__dirname, 'reports', `golden-${new Date().toISOString().replace(/[:.]/g, '-')}.json`),
+    updateBaseline: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const value = () => {
+      if (!args[i + 1]) throw new Error(`${arg} needs a value`);
+      return args[++i];
+    };
+
+    if (arg === '--council') options.council = true;
+    else if (arg === '--update-baseline') options.updateBaseline = true;
+    else if (arg === '--route') options.route = value();
+    else if (arg === '--fixtures') options.fixtures = path.resolve(value());
+    else if (arg === '--baseline') options.baseline = path.resolve(value());
+    else if (arg === '--report') options.report = path.resolve(value());
+    else throw new Error(`Unknown option ${arg}`);
+  }
+
+  if (!['evaluate', 'chat'].includes(options.route)) {
+    throw new Error('--route must be evaluate or chat');
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const fixtures = harness.loadFixtures(options.fixtures);
+  const { provider, model } = llm.getRouteSettings(options.route);
+  const baseline = readJson(options.baseline);
+
+  console.log(`Golden set: ${fixtures.length} fixtures on ${options.route} (${provider.name}/${model})${options.council ? ', council' : ''}`);
+
+  const results = await harness.runGoldenSet(fixtures, {
+    evaluate: evaluationService.evaluateProposal,
+    route: options.route,
+    council: options.council
+  });
+  const compared = harness.compareToBaseline(results, baseline);
+  compared.forEach(result => console.log(harness.formatResult(result)));
+
+  const report = harness.buildReport({
+    results: compared,
+    baseline,
+    model: { provider: provider.name, name: model },
+    route: options.route,
+    council: options.council
+  });
+  writeJson(options.report, report);
+
+  console.log(harness.formatSummary(report));
+  console.log(`Report written to ${path.relative(process.cwd(), options.report)}`);
+
+  if (options.updateBaseline) {
+    writeJson(options.baseline, harness.toBaseline(report));
+    console.log(`Baseline updated at ${path.relative(process.cwd(), options.baseline)}`);
+  }
+
+  process.exitCode = report.summary.failed > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error('Golden-set run failed:', error.message);
+  process.exitCode = 2;
+});
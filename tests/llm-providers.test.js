@@ -0,0 +1,157 @@
+/**
+ * LLM Provider Tests for Aikira Terminal
+ * Checks the OpenAI-compatible provider against a local chat completions server, and the mock provider
+ */
+
+const http = require('http');
+
+const { createOpenAiCompatibleProvider } = require('../backend/services/providers/openai-compatible-provider');
+const { createOpenAiProvider } = require('../backend/services/providers/openai-provider');
+const { createMockProvider } = require('../backend/services/providers/mock-provider');
+
+const messages = [
+  { role: 'system', content: 'You are Aikira.' },
+  { role: 'user', content: 'Fund a transparent community garden with an audited multisig.' }
+];
+
+let server;
+let baseUrl;
+let requests = [];
+let reply = null;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      reply(res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1/`;
+});
+
+afterEach(() => {
+  requests = [];
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+/**
+ * Answers the next request with a plain completion
+ * @param {string} content - Completion text
+ */
+function replyWith(content) {
+  reply = res => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({
+      model: 'llama3-8b',
+      choices: [{ message: { role: 'assistant', content } }],
+      usage: { prompt_tokens: 20, completion_tokens: 5, total_tokens: 25 }
+    }));
+  };
+}
+
+/**
+ * Answers the next request with a server-sent event stream, split across writes mid-event
+ * @param {Array<Object>} events - Stream events
+ */
+function streamEvents(events) {
+  reply = res => {
+    res.setHeader('Content-Type', 'text/event-stream');
+    const text = `${events.map(event => `data: ${JSON.stringify(event)}\n\n`).join('')}data: [DONE]\n\n`;
+    const middle = Math.floor(text.length / 2);
+    res.write(text.slice(0, middle));
+    setTimeout(() => res.end(text.slice(middle)), 5);
+  };
+}
+
+describe('openai-compatible provider', () => {
+  test('posts to /chat/completions and returns the content, model and usage', async () => {
+    replyWith('{"verdict": "approve"}');
+    const provider = createOpenAiCompatibleProvider({ name: 'local', baseUrl, apiKey: 'secret', timeoutMs: 5000 });
+
+    const result = await provider.complete({ model: 'llama3', messages, temperature: 0.2, maxTokens: 100, json: true });
+
+    expect(result).toEqual({
+      content: '{"verdict": "approve"}',
+      model: 'llama3-8b',
+      usage: { prompt_tokens: 20, completion_tokens: 5, total_tokens: 25 }
+    });
+    expect(requests[0].url).toBe('/v1/chat/completions');
+    expect(requests[0].headers.authorization).toBe('Bearer secret');
+    expect(requests[0].body).toEqual({
+      model: 'llama3',
+      messages,
+      temperature: 0.2,
+      max_tokens: 100,
+      response_format: { type: 'json_object' }
+    });
+  });
+
+  test('leaves out the JSON response format for servers without it, and the key when there is none', async () => {
+    replyWith('Approved.');
+    const provider = createOpenAiCompatibleProvider({ baseUrl, jsonMode: false, timeoutMs: 5000 });
+
+    await provider.complete({ model: 'llama3', messages, json: true });
+
+    expect(requests[0].headers.authorization).toBeUndefined();
+    expect(requests[0].body.response_format).toBeUndefined();
+  });
+
+  test('streams deltas and collects the content and usage', async () => {
+    streamEvents([
+      { model: 'llama3-8b', choices: [{ delta: { role: 'assistant' } }] },
+      { choices: [{ delta: { content: 'Appro' } }] },
+      { choices: [{ delta: { content: 'ved.' } }] },
+      { choices: [], usage: { prompt_tokens: 20, completion_tokens: 2, total_tokens: 22 } }
+    ]);
+    const provider = createOpenAiCompatibleProvider({ baseUrl, streamUsage: true, timeoutMs: 5000 });
+    const deltas = [];
+
+    const result = await provider.stream({ model: 'llama3', messages }, delta => deltas.push(delta));
+
+    expect(deltas).toEqual(['Appro', 'ved.']);
+    expect(result).toEqual({ content: 'Approved.', model: 'llama3-8b', usage: { prompt_tokens: 20, completion_tokens: 2, total_tokens: 22 } });
+    expect(requests[0].body).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+  });
+
+  test('needs a base URL', () => {
+    expect(() => createOpenAiCompatibleProvider({ name: 'local' })).toThrow('Provider "local" needs a base URL');
+  });
+});
+
+describe('openai provider', () => {
+  test('requires an API key', async () => {
+    const provider = createOpenAiProvider({ baseUrl, timeoutMs: 5000 });
+
+    expect(provider.isConfigured()).toBe(false);
+    await expect(provider.complete({ model: 'gpt-4o-mini', messages })).rejects.toThrow('API key for provider "openai" not configured');
+    expect(requests).toEqual([]);
+  });
+});
+
+describe('mock provider', () => {
+  const provider = createMockProvider();
+
+  test('answers the same prompt the same way', async () => {
+    const first = await provider.complete({ model: 'mock', messages, json: true });
+    const second = await provider.complete({ model: 'mock', messages, json: true });
+
+    expect(second).toEqual(first);
+    expect(JSON.parse(first.content)).toMatchObject({ verdict: expect.stringMatching(/^(approve|reject)$/) });
+    expect(first.usage.total_tokens).toBe(first.usage.prompt_tokens + first.usage.completion_tokens);
+  });
+
+  test('streams the completion in chunks', async () => {
+    const deltas = [];
+
+    const result = await provider.stream({ model: 'mock', messages }, delta => deltas.push(delta));
+
+    expect(deltas.length).toBeGreaterThan(1);
+    expect(deltas.join('')).toBe(result.content);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Model Profile Tests for Aikira Terminal
+ * Checks per-route model settings, admin-only profile overrides and the settings recorded with each evaluation
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_CHAT_MODEL = 'mock-chat';
+process.env.LLM_EVALUATE_MODEL = 'mock-evaluator';
+process.env.LLM_FAST_MODEL = '';
+process.env.LLM_THOROUGH_MODEL = 'mock-thorough';
+process.env.EVALUATION_CACHE = 'off';
+process.env.DATA_DIR = path.join(os.tmpdir(), `aikira-profiles-${process.pid}`);
+
+const config = require('../backend/config');
+const llm = require('../backend/services/llm-service');
+const evaluationService = require('../backend/services/evaluation-service');
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('resolveProfile', () => {
+  test('uses the route defaults without a profile', () => {
+    expect(llm.resolveProfile('evaluate')).toEqual({
+      name: 'default',
+      provider: 'mock',
+      model: 'mock-evaluator',
+      temperature: 0.8,
+      maxTokens: 1200,
+      maxAttempts: config.scoring.maxAttempts
+    });
+    expect(llm.resolveProfile('chat')).toMatchObject({ model: 'mock-chat', temperature: 0.7 });
+  });
+
+  test('overrides the defaults with a named profile', () => {
+    expect(llm.resolveProfile('evaluate', 'thorough')).toEqual({
+      name: 'thorough',
+      provider: 'mock',
+      model: 'mock-thorough',
+      temperature: 0.2,
+      maxTokens: 2000,
+      maxAttempts: 5
+    });
+  });
+
+  test('keeps the route model for a profile without one', () => {
+    expect(llm.resolveProfile('evaluate', 'fast')).toMatchObject({ name: 'fast', model: 'mock-evaluator', maxAttempts: 1 });
+  });
+
+  test('rejects an unknown profile', () => {
+    expect(() => llm.resolveProfile('evaluate', 'turbo')).toThrow(expect.objectContaining({
+      statusCode: 400,
+      message: 'Unknown model profile "turbo". Use one of: fast, thorough.'
+    }));
+  });
+});
+
+describe('parseProfileName', () => {
+  test.each([undefined, null])('treats %p as the route defaults', value => {
+    expect(llm.parseProfileName(value, false)).toBeNull();
+  });
+
+  test('lets an admin choose a profile', () => {
+    expect(llm.parseProfileName('fast', true)).toBe('fast');
+  });
+
+  test('refuses a profile from anyone else', () => {
+    expect(() => llm.parseProfileName('fast', false)).toThrow(expect.objectContaining({ statusCode: 403 }));
+  });
+
+  test.each(['turbo', 42])('rejects the profile %p', value => {
+    expect(() => llm.parseProfileName(value, true)).toThrow(expect.objectContaining({
+      statusCode: 400,
+      message: 'profile must be one of: fast, thorough'
+    }));
+  });
+});
+
+describe('evaluations', () => {
+  test('send the profile settings to the provider and record them', async () => {
+    const complete = jest.spyOn(llm, 'complete');
+
+    const result = await evaluationService.evaluateProposal({ text: 'Fund a transparent community garden.', profile: 'thorough' });
+
+    expect(complete.mock.calls[0][1]).toMatchObject({ model: 'mock-thorough', temperature: 0.2, maxTokens: 2000 });
+    expect(result.profile).toEqual(llm.resolveProfile('evaluate', 'thorough'));
+    expect(result.model).toEqual({ provider: 'mock', name: 'mock-thorough' });
+  });
+
+  test('describe the provider and model of every route', () => {
+    expect(llm.describeRoutes()).toEqual({
+      chat: { provider: 'mock', model: 'mock-chat', configured: true },
+      evaluate: { provider: 'mock', model: 'mock-evaluator', configured: true }
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Persona Tests for Aikira Terminal
+ * Checks persona file validation, the system prompts built from it and reloading a changed file
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.PERSONA_DIR = path.join(os.tmpdir(), `aikira-persona-${process.pid}`);
+process.env.PERSONA = 'test';
+
+const personaService = require('../backend/services/persona-service');
+
+const source = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'backend', 'personas', 'aikira.json'), 'utf8'));
+const personaFile = path.join(process.env.PERSONA_DIR, 'test.json');
+
+/**
+ * Writes the test persona file
+ * @param {Object} persona - Persona to write
+ */
+function writePersona(persona) {
+  fs.writeFileSync(personaFile, JSON.stringify(persona, null, 2));
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  fs.mkdirSync(process.env.PERSONA_DIR, { recursive: true });
+  writePersona(source);
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+  fs.unwatchFile(personaFile);
+  fs.rmSync(process.env.PERSONA_DIR, { recursive: true, force: true });
+});
+
+describe('validatePersona', () => {
+  test('accepts the shipped persona', () => {
+    expect(personaService.validatePersona(source)).toEqual([]);
+  });
+
+  test.each([
+    [{ version: '' }, 'version must be a non-empty string'],
+    [{ lore: 'Forged from data.' }, 'lore must be a list of strings'],
+    [{ commandments: [] }, 'commandments must be a non-empty list'],
+    [{ commandments: [{ numeral: 'I', title: 'Preserve Treasury Integrity' }] }, 'each commandment needs a numeral, title and rule'],
+    [{ instructions: { chat: 'Reply briefly.' } }, 'instructions.evaluate must be a string'],
+    [{ council: { members: [source.council.members[0]], synthesis: '' } }, 'council.members must list at least two seats'],
+    [{ council: { members: [source.council.members[0], source.council.members[0]], synthesis: '' } }, 'council seat ids must be unique'],
+    [{ council: { members: source.council.members } }, 'council.synthesis must be a string']
+  ])('rejects %p', (overrides, error) => {
+    expect(personaService.validatePersona({ ...source, ...overrides })).toEqual([error]);
+  });
+
+  test('treats the council as optional', () => {
+    const { council, ...persona } = source;
+
+    expect(personaService.validatePersona(persona)).toEqual([]);
+  });
+});
+
+describe('system prompts', () => {
+  test('share the persona sections and end with the route instruction', () => {
+    const chat = personaService.buildSystemPrompt('chat');
+    const evaluate = personaService.buildSystemPrompt('evaluate');
+    const shared = chat.slice(0, chat.length - source.instructions.chat.length);
+
+    expect(chat.endsWith(source.instructions.chat)).toBe(true);
+    expect(evaluate).toBe(`${shared}${source.instructions.evaluate}`);
+    expect(shared).toContain(source.identity);
+    expect(shared).toContain('Lore & Knowledge:');
+    expect(shared).toContain(` I. ${source.commandments[0].title} — ${source.commandments[0].rule}`);
+    expect(shared).toContain('Tokenomics: 1,000,000,000 supply');
+  });
+
+  test('rejects an unknown route', () => {
+    expect(() => personaService.buildSystemPrompt('vote')).toThrow('Unknown persona route "vote"');
+  });
+
+  test('give each council seat its own instruction', () => {
+    const [seat] = personaService.getCouncil();
+
+    expect(personaService.buildCouncilPrompt(seat.id)).toContain(`Council seat: ${seat.name}\n${seat.instruction}`);
+    expect(() => personaService.buildCouncilPrompt('jester')).toThrow('Unknown council seat "jester"');
+  });
+});
+
+describe('reloading', () => {
+  test('activates a changed file with a new version and checksum', () => {
+    const before = personaService.getPersonaInfo();
+    writePersona({ ...source, version: '9.9.9', style: [...source.style, 'Answers in one line.'] });
+
+    personaService.loadPersona();
+
+    const after = personaService.getPersonaInfo();
+    expect(after).toMatchObject({ id: source.id, version: '9.9.9' });
+    expect(after.checksum).not.toBe(before.checksum);
+    expect(personaService.buildSystemPrompt('chat')).toContain(' - Answers in one line.');
+  });
+
+  test('keeps the active persona when the file becomes invalid', () => {
+    const before = personaService.getPersonaInfo();
+    writePersona({ ...source, version: '10.0.0', commandments: [] });
+
+    expect(() => personaService.loadPersona()).toThrow(/^Invalid persona file .*: commandments must be a non-empty list$/);
+    expect(personaService.getPersonaInfo()).toEqual(before);
+  });
+});
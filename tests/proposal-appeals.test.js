@@ -0,0 +1,119 @@
+/**
+ * Proposal Appeals Tests for Aikira Terminal
+ * Checks which proposals may be appealed, the appeal limit and how outcomes are recorded
+ */
+
+const config = require('../backend/config');
+const appeals = require('../backend/services/proposal-appeals');
+
+/**
+ * Builds a rejected proposal record
+ * @param {Array<Object>} filed - Appeals already filed
+ * @returns {Object} Proposal record
+ */
+function buildRejected(filed = []) {
+  return {
+    id: 'p-1',
+    status: 'rejected',
+    text: 'Fund the garden.',
+    evaluation: {
+      response: 'Rejected: no reporting.',
+      scores: { fairness: 0.4, value: 0.5, protection: 0.3, total: 0.4 },
+      approved: false
+    },
+    transitions: [{ from: 'evaluating', to: 'rejected', reason: 'Total score 40% below threshold' }],
+    appeals: filed
+  };
+}
+
+/**
+ * Builds a filed appeal entry
+ * @param {number} number - Appeal number
+ * @returns {Object} Appeal
+ */
+function filedAppeal(number) {
+  return { number, rebuttal: 'Reports are included.', outcome: 'upheld' };
+}
+
+describe('appeal limits', () => {
+  test('allows appeals on a rejected proposal below the limit', () => {
+    expect(() => appeals.assertAppealable(buildRejected())).not.toThrow();
+  });
+
+  test('refuses an appeal once the limit is reached', () => {
+    const filed = Array.from({ length: config.appeals.maxAppeals }, (_, index) => filedAppeal(index + 1));
+
+    expect(() => appeals.assertAppealable(buildRejected(filed))).toThrow(expect.objectContaining({
+      statusCode: 409,
+      message: `Proposal has reached the limit of ${config.appeals.maxAppeals} appeals`,
+      details: { filed: config.appeals.maxAppeals, maxAppeals: config.appeals.maxAppeals }
+    }));
+  });
+
+  test.each(['draft', 'submitted', 'evaluating', 'approved', 'appealed', 'executed', 'expired'])(
+    'refuses an appeal on a %s proposal', status => {
+      expect(() => appeals.assertAppealable({ ...buildRejected(), status })).toThrow(expect.objectContaining({
+        statusCode: 409,
+        message: `Proposal in state "${status}" cannot be appealed`
+      }));
+    }
+  );
+
+  test('treats a record without appeals as having none', () => {
+    expect(appeals.getAppeals({ status: 'rejected' })).toEqual([]);
+  });
+});
+
+describe('rebuttals', () => {
+  test('trims the rebuttal', () => {
+    expect(appeals.normalizeRebuttal('  Reports are included.  ')).toBe('Reports are included.');
+  });
+
+  test.each([undefined, '', '   ', 42])('rejects the empty or non-text rebuttal %p', rebuttal => {
+    expect(() => appeals.normalizeRebuttal(rebuttal)).toThrow(expect.objectContaining({
+      statusCode: 400,
+      message: 'Rebuttal text is required'
+    }));
+  });
+
+  test('rejects a rebuttal over the length limit', () => {
+    const rebuttal = 'x'.repeat(config.appeals.maxRebuttalLength + 1);
+
+    expect(() => appeals.normalizeRebuttal(rebuttal)).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(appeals.normalizeRebuttal(rebuttal.slice(1))).toHaveLength(config.appeals.maxRebuttalLength);
+  });
+});
+
+describe('appeal records', () => {
+  test('puts the original decision and the rebuttal in front of Aikira', () => {
+    const [previous, appeal] = appeals.buildAppealMessages(buildRejected([filedAppeal(1)]), 'Reports are included.');
+
+    expect(previous).toEqual({ role: 'assistant', content: 'Rejected: no reporting.' });
+    expect(appeal.role).toBe('user');
+    expect(appeal.content).toContain(`APPEAL 2 of ${config.appeals.maxAppeals}`);
+    expect(appeal.content).toContain('Your decision: rejected — Total score 40% below threshold');
+    expect(appeal.content).toContain('fairness 40%, value 50%, protection 30%, overall 40%');
+    expect(appeal.content).toContain('Reports are included.');
+  });
+
+  test.each([
+    ['approved', 'overturned'],
+    ['rejected', 'upheld']
+  ])('records an appeal that ends %s as %s', (status, outcome) => {
+    const record = buildRejected([filedAppeal(1)]);
+    const previous = record.evaluation;
+    const evaluation = { approved: status === 'approved', timestamp: '2026-01-01T00:00:00.000Z' };
+    record.status = status;
+
+    const appeal = appeals.appendAppeal(record, { rebuttal: 'Reports are included.', appellant: 'alice', previous, evaluation });
+
+    expect(appeal).toMatchObject({
+      number: 2,
+      appellant: 'alice',
+      outcome,
+      filedAt: evaluation.timestamp,
+      previous: { response: previous.response, scores: previous.scores, approved: false }
+    });
+    expect(record.appeals.map(entry => entry.number)).toEqual([1, 2]);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Proposal Lifecycle Tests for Aikira Terminal
+ * Checks the state machine: legal and illegal moves, terminal states and the moves reserved for Aikira
+ */
+
+const lifecycle = require('../backend/services/proposal-lifecycle');
+const { ApiError } = require('../backend/utils/error-handler');
+
+const { SYSTEM_ACTOR } = lifecycle;
+
+/**
+ * Runs a move and returns the status code of the error it throws
+ * @param {Function} move - Move to run
+ * @returns {number|null} Status code, or null when the move succeeded
+ */
+function statusOf(move) {
+  try {
+    move();
+    return null;
+  } catch (error) {
+    expect(error).toBeInstanceOf(ApiError);
+    return error.statusCode;
+  }
+}
+
+describe('transitions', () => {
+  test('a proposal walks from draft to executed, recording each move', () => {
+    const record = { status: 'draft' };
+    lifecycle.applyTransition(record, 'submitted', { actor: 'alice', reason: 'Submitted' });
+    lifecycle.applyTransition(record, 'evaluating', { actor: SYSTEM_ACTOR, reason: 'Evaluation started' });
+    lifecycle.applyVerdict(record, { approved: true, scores: { total: 0.8 } });
+    lifecycle.applyTransition(record, 'executed', { actor: 'admin', reason: 'Paid out' });
+
+    expect(record.status).toBe('executed');
+    expect(record.transitions.map(transition => `${transition.from}->${transition.to}`))
+      .toEqual(['draft->submitted', 'submitted->evaluating', 'evaluating->approved', 'approved->executed']);
+    expect(record.transitions[2]).toMatchObject({ actor: SYSTEM_ACTOR, reason: 'Aikira evaluation approved the proposal (80% overall)' });
+  });
+
+  test('illegal moves are rejected with 409 and leave the record unchanged', () => {
+    const record = { status: 'draft' };
+
+    expect(statusOf(() => lifecycle.applyTransition(record, 'approved', { actor: SYSTEM_ACTOR }))).toBe(409);
+    expect(record).toEqual({ status: 'draft' });
+  });
+
+  test('unknown states are rejected with 400', () => {
+    expect(statusOf(() => lifecycle.applyTransition({ status: 'draft' }, 'paid', { actor: 'admin' }))).toBe(400);
+  });
+
+  test('executed and expired are terminal', () => {
+    expect(lifecycle.describeLifecycle().terminal).toEqual(['executed', 'expired']);
+    lifecycle.STATES.forEach(state => {
+      expect(lifecycle.canTransition('executed', state)).toBe(false);
+      expect(lifecycle.canTransition('expired', state)).toBe(false);
+    });
+  });
+
+  test('a verdict without an approved flag leaves the proposal evaluating', () => {
+    const record = { status: 'evaluating' };
+    lifecycle.applyVerdict(record, { scores: { total: 0.5 } });
+
+    expect(record.status).toBe('evaluating');
+  });
+});
+
+describe('system moves', () => {
+  test.each([
+    ['submitted', 'evaluating'],
+    ['appealed', 'evaluating'],
+    ['evaluating', 'approved'],
+    ['evaluating', 'rejected']
+  ])('only Aikira moves a proposal from %s to %s', (from, to) => {
+    expect(lifecycle.isSystemTransition(from, to)).toBe(true);
+    expect(statusOf(() => lifecycle.applyTransition({ status: from }, to, { actor: 'mallory' }))).toBe(403);
+    expect(statusOf(() => lifecycle.applyTransition({ status: from }, to, { actor: SYSTEM_ACTOR }))).toBeNull();
+  });
+
+  test('other actors may make the remaining moves', () => {
+    const record = { status: 'rejected' };
+    lifecycle.applyTransition(record, 'appealed', { actor: 'alice', reason: 'Appeal 1' });
+
+    expect(record.status).toBe('appealed');
+    expect(record.transitions[0].actor).toBe('alice');
+  });
+
+  test.each([
+    ['draft', 'submitted'],
+    ['rejected', 'submitted'],
+    ['rejected', 'appealed']
+  ])('moving from %s to %s comes with a new evaluation', (from, to) => {
+    expect(lifecycle.canTransition(from, to)).toBe(true);
+    expect(lifecycle.isEvaluationTransition(from, to)).toBe(true);
+  });
+
+  test('the reserved moves are published with the state machine', () => {
+    const description = lifecycle.describeLifecycle();
+
+    expect(description.systemActor).toBe(SYSTEM_ACTOR);
+    Object.entries({ ...description.systemTransitions, ...description.evaluationTransitions }).forEach(([from, targets]) => {
+      targets.forEach(to => expect(description.transitions[from]).toContain(to));
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Proposal Revisions Tests for Aikira Terminal
+ * Checks word-level revision diffs and how score changes are paired with the edits behind them
+ */
+
+const { diffText } = require('../backend/utils/text-diff');
+const revisions = require('../backend/services/proposal-revisions');
+
+/**
+ * Builds an evaluation with the same score on every metric
+ * @param {number} score - Score for fairness, value, protection and total
+ * @param {boolean} approved - Verdict
+ * @returns {Object} Evaluation
+ */
+function evaluationOf(score, approved = score >= 0.7) {
+  return {
+    scores: { fairness: score, value: score, protection: score, total: score },
+    consensusIndex: score,
+    approved,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Builds a rejected proposal record with a single revision
+ * @returns {Object} Proposal record
+ */
+function buildRecord() {
+  return {
+    id: 'p-1',
+    status: 'rejected',
+    text: 'Fund the garden with monthly reports.',
+    evaluation: evaluationOf(0.5),
+    requester: 'alice',
+    createdAt: new Date().toISOString()
+  };
+}
+
+describe('diffText', () => {
+  test('reports identical texts as unchanged', () => {
+    const diff = diffText('Fund the garden.', 'Fund the garden.');
+
+    expect(diff.granularity).toBe('word');
+    expect(diff.ops).toEqual([{ type: 'equal', text: 'Fund the garden.' }]);
+    expect(diff.stats).toEqual({ insertedWords: 0, deletedWords: 0, unchanged: true });
+  });
+
+  test('marks replaced words as deletions and insertions', () => {
+    const diff = diffText('Fund the garden with monthly reports.', 'Fund the garden with weekly public reports.');
+
+    expect(diff.ops.filter(op => op.type === 'delete').map(op => op.text.trim())).toEqual(['monthly']);
+    expect(diff.ops.filter(op => op.type === 'insert').map(op => op.text.trim())).toEqual(['weekly', 'public']);
+    expect(diff.stats).toEqual({ insertedWords: 2, deletedWords: 1, unchanged: false });
+  });
+
+  test('rebuilds both texts from the operations', () => {
+    const before = 'Pay 100 tokens to the treasury.\nReport every month.';
+    const after = 'Pay 80 tokens to the community treasury.\nReport every month.';
+    const { ops } = diffText(before, after);
+
+    expect(ops.filter(op => op.type !== 'insert').map(op => op.text).join('')).toBe(before);
+    expect(ops.filter(op => op.type !== 'delete').map(op => op.text).join('')).toBe(after);
+  });
+
+  test('falls back to whole lines for very long texts', () => {
+    const line = index => `${'word '.repeat(40)}${index}\n`;
+    const before = Array.from({ length: 60 }, (_, index) => line(index)).join('');
+    const after = before.replace(line(30), 'replaced line\n');
+
+    const diff = diffText(before, after);
+
+    expect(diff.granularity).toBe('line');
+    expect(diff.ops.filter(op => op.type === 'insert')).toEqual([{ type: 'insert', text: 'replaced line\n' }]);
+    expect(diff.ops.filter(op => op.type === 'delete')).toEqual([{ type: 'delete', text: line(30) }]);
+  });
+});
+
+describe('proposal revisions', () => {
+  test('treats a record without revisions as revision 1', () => {
+    const record = buildRecord();
+
+    expect(revisions.getRevisions(record)).toEqual([
+      expect.objectContaining({ number: 1, text: record.text, requester: 'alice' })
+    ]);
+  });
+
+  test('appends numbered revisions and makes the latest current', () => {
+    const record = buildRecord();
+    const evaluation = evaluationOf(0.8);
+
+    const revision = revisions.appendRevision(record, { text: 'Fund the garden with weekly public reports.', evaluation, requester: 'alice' });
+
+    expect(revision.number).toBe(2);
+    expect(record.revisions.map(entry => entry.number)).toEqual([1, 2]);
+    expect(record.text).toBe('Fund the garden with weekly public reports.');
+    expect(record.evaluation).toBe(evaluation);
+    expect(record.evaluatedAt).toBe(evaluation.timestamp);
+  });
+
+  test('only accepts revisions in revisable states', () => {
+    expect(() => revisions.assertRevisable({ status: 'draft' })).not.toThrow();
+    expect(() => revisions.assertRevisable({ status: 'rejected' })).not.toThrow();
+    expect(() => revisions.assertRevisable({ status: 'approved' })).toThrow(expect.objectContaining({ statusCode: 409 }));
+  });
+
+  test('diffs two revisions by number', () => {
+    const record = buildRecord();
+    revisions.appendRevision(record, { text: 'Fund the garden with weekly public reports.', evaluation: evaluationOf(0.8), requester: 'alice' });
+
+    const diff = revisions.diffRevisions(record, '1', 2);
+
+    expect(diff).toMatchObject({ from: 1, to: 2, granularity: 'word' });
+    expect(diff.stats).toEqual({ insertedWords: 2, deletedWords: 1, unchanged: false });
+  });
+
+  test.each([
+    ['abc', 400],
+    ['3', 404]
+  ])('rejects revision number "%s" with %i', (number, status) => {
+    const record = buildRecord();
+
+    expect(() => revisions.getRevision(record, number)).toThrow(expect.objectContaining({ statusCode: status }));
+  });
+
+  test('pairs score deltas with the text changes of each revision', () => {
+    const record = buildRecord();
+    revisions.appendRevision(record, { text: 'Fund the garden with weekly public reports.', evaluation: evaluationOf(0.8), requester: 'alice' });
+
+    const [first, second] = revisions.compareRevisions(record);
+
+    expect(first).toMatchObject({ number: 1, approved: false, delta: null, changes: null });
+    expect(second.approved).toBe(true);
+    expect(second.delta).toEqual({ fairness: 0.3, value: 0.3, protection: 0.3, total: 0.3, consensusIndex: 0.3 });
+    expect(second.changes).toMatchObject({ inserted: ['weekly', 'public'], deleted: ['monthly'], insertedWords: 2, deletedWords: 1 });
+  });
+
+  test('leaves deltas empty when a revision has no scores', () => {
+    const record = buildRecord();
+    revisions.appendRevision(record, { text: 'Fund the garden.', evaluation: { approved: false }, requester: 'alice' });
+
+    const [, second] = revisions.compareRevisions(record);
+
+    expect(second.metrics.total).toBeNull();
+    expect(second.delta.total).toBeNull();
+  });
+});
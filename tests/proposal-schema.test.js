@@ -0,0 +1,148 @@
+/**
+ * Proposal Schema Tests for Aikira Terminal
+ * Checks validation of structured proposal details and how they are formatted for the prompt
+ */
+
+const { validateProposalDetails, parseProposalInput, formatProposalForPrompt } = require('../backend/utils/proposal-schema');
+
+const recipient = '0x1111111111111111111111111111111111111111';
+
+/**
+ * Captures the validation errors raised for a set of details
+ * @param {Object} details - Structured proposal fields
+ * @returns {Array<string>} Validation errors
+ */
+function errorsOf(details) {
+  try {
+    validateProposalDetails(details);
+  } catch (error) {
+    return error.details;
+  }
+  throw new Error('Expected the details to be rejected');
+}
+
+describe('validateProposalDetails', () => {
+  test('normalizes valid details', () => {
+    const details = validateProposalDetails({
+      title: '  Community garden  ',
+      category: 'community',
+      amount: 1000,
+      token: ' aikira ',
+      recipient: ` ${recipient} `,
+      durationDays: 90,
+      milestones: [{ title: ' Seeds ', amount: 400, dueDays: 30 }, { title: 'Harvest', amount: 600, dueDays: 90 }]
+    });
+
+    expect(details).toEqual({
+      title: 'Community garden',
+      category: 'community',
+      amount: 1000,
+      token: 'AIKIRA',
+      recipient,
+      durationDays: 90,
+      milestones: [{ title: 'Seeds', amount: 400, dueDays: 30 }, { title: 'Harvest', amount: 600, dueDays: 90 }]
+    });
+  });
+
+  test.each([null, [], 'garden'])('rejects %p as details', details => {
+    expect(() => validateProposalDetails(details)).toThrow(expect.objectContaining({
+      statusCode: 400,
+      message: 'Proposal details must be an object'
+    }));
+  });
+
+  test.each([
+    [{ title: '   ' }, 'title must be a non-empty string'],
+    [{ title: 'x'.repeat(121) }, 'title must be at most 120 characters'],
+    [{ category: 'lottery' }, expect.stringMatching(/^category must be one of: treasury-grant, /)],
+    [{ amount: -5, token: 'AIKIRA' }, 'amount must be a positive number'],
+    [{ amount: Infinity, token: 'AIKIRA' }, 'amount must be a positive number'],
+    [{ amount: 100 }, 'token is required when an amount is requested'],
+    [{ token: 'a' }, 'token must be a 2-10 character symbol'],
+    [{ recipient: '0x123' }, 'recipient must be a 0x-prefixed 20-byte address'],
+    [{ durationDays: 0 }, 'durationDays must be an integer between 1 and 3650'],
+    [{ durationDays: 1.5 }, 'durationDays must be an integer between 1 and 3650'],
+    [{ milestones: 'soon' }, 'milestones must be an array'],
+    [{ milestones: Array.from({ length: 13 }, () => ({ title: 'Step' })) }, 'at most 12 milestones are allowed'],
+    [{ milestones: ['Step'] }, 'milestones[0] must be an object'],
+    [{ milestones: [{ amount: 5 }] }, 'milestones[0].title is required'],
+    [{ milestones: [{ title: 'Step', amount: 0 }] }, 'milestones[0].amount must be a positive number'],
+    [{ milestones: [{ title: 'Step', dueDays: -1 }] }, 'milestones[0].dueDays must be a positive integer']
+  ])('rejects %p', (details, message) => {
+    expect(errorsOf(details)).toEqual([message]);
+  });
+
+  test('rejects milestones that exceed the requested amount', () => {
+    const details = { amount: 500, token: 'AIKIRA', milestones: [{ title: 'Seeds', amount: 400 }, { title: 'Tools', amount: 200 }] };
+
+    expect(errorsOf(details)).toEqual(['milestone amounts exceed the requested amount']);
+  });
+
+  test('rejects milestones due after the proposal duration', () => {
+    const details = { durationDays: 30, milestones: [{ title: 'Harvest', dueDays: 45 }] };
+
+    expect(errorsOf(details)).toEqual(['milestones cannot be due after the proposal duration']);
+  });
+
+  test('reports every invalid field at once', () => {
+    const errors = errorsOf({ title: '', amount: 'lots', recipient: 'nobody' });
+
+    expect(errors).toEqual([
+      'title must be a non-empty string',
+      'amount must be a positive number',
+      'recipient must be a 0x-prefixed 20-byte address'
+    ]);
+  });
+});
+
+describe('parseProposalInput', () => {
+  test('accepts free text without details', () => {
+    expect(parseProposalInput({ proposal: '  Fund the garden.  ' })).toEqual({ text: 'Fund the garden.', details: null });
+  });
+
+  test('uses the title as the text of a structured proposal without a description', () => {
+    expect(parseProposalInput({ details: { title: 'Community garden' } })).toEqual({
+      text: 'Community garden',
+      details: { title: 'Community garden' }
+    });
+  });
+
+  test.each([
+    [{}, 'Proposal text is required'],
+    [{ proposal: '   ', details: { category: 'community' } }, 'Proposal text is required'],
+    [{ proposal: 'x'.repeat(5001) }, 'Proposal text must be at most 5000 characters']
+  ])('rejects %p', (body, message) => {
+    expect(() => parseProposalInput(body)).toThrow(expect.objectContaining({ statusCode: 400, message }));
+  });
+});
+
+describe('formatProposalForPrompt', () => {
+  test('passes free text through unchanged', () => {
+    expect(formatProposalForPrompt('Fund the garden.', null)).toBe('Fund the garden.');
+  });
+
+  test('labels each structured field', () => {
+    const prompt = formatProposalForPrompt('Fund the garden.', {
+      title: 'Community garden',
+      category: 'community',
+      amount: 1500,
+      token: 'AIKIRA',
+      recipient,
+      durationDays: 90,
+      milestones: [{ title: 'Seeds', amount: 500, dueDays: 30 }]
+    });
+
+    expect(prompt.split('\n')).toEqual([
+      'STRUCTURED PROPOSAL',
+      'Title: Community garden',
+      'Category: community',
+      'Requested Amount: 1,500 AIKIRA',
+      `Recipient Address: ${recipient}`,
+      'Duration: 90 days',
+      'Milestones:',
+      ' 1. Seeds — 500 AIKIRA — due day 30',
+      'Description:',
+      'Fund the garden.'
+    ]);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Rubric Scorer Tests for Aikira Terminal
+ * Runs the keyword rubric against the fixtures in tests/fixtures/rubric-scorer.json
+ */
+
+const { createRubricScorer, validateRubric, tokenize } = require('../backend/utils/rubric-scorer');
+const defaultRubric = require('../backend/data/rubric');
+const fixtures = require('./fixtures/rubric-scorer.json');
+
+const scorer = createRubricScorer(defaultRubric);
+
+describe('default rubric fixtures', () => {
+  test.each(fixtures.map(fixture => [fixture.name, fixture]))('%s', (name, fixture) => {
+    const result = scorer.score({ response: fixture.response, proposal: fixture.proposal });
+
+    expect(result.metrics).toEqual(fixture.metrics);
+    if (fixture.terms) {
+      expect(result.breakdown).toHaveLength(fixture.terms.length);
+      expect(result.breakdown).toEqual(expect.arrayContaining(fixture.terms.map(term => expect.objectContaining(term))));
+    }
+  });
+});
+
+describe('breakdown', () => {
+  test('adjustments are the sum of the contributions', () => {
+    const result = scorer.score({ response: 'A fair, useful plan, though risky.', proposal: 'Share the benefits equally.' });
+
+    Object.entries(result.adjustments).forEach(([metric, adjustment]) => {
+      const sum = result.breakdown.filter(item => item.metric === metric).reduce((total, item) => total + item.contribution, 0);
+      expect(adjustment).toBe(sum);
+    });
+  });
+
+  test('offsets point at the matched text', () => {
+    const response = 'Overall this is NOT a Risk at all.';
+    const [item] = scorer.score({ response, proposal: '' }).breakdown;
+
+    expect(item.match).toBe('Risk');
+    expect(response.slice(item.start, item.end)).toBe('Risk');
+  });
+
+  test('scoring is deterministic', () => {
+    const texts = { response: 'Balanced and secure, but costly. No bias.', proposal: 'Protect equal access.' };
+    expect(scorer.score(texts)).toEqual(scorer.score(texts));
+  });
+
+  test('a missing source scores nothing', () => {
+    expect(scorer.score({ response: 'fair' }).metrics).toEqual({ fairness: 77, value: 75, protection: 75 });
+  });
+});
+
+describe('custom rubrics', () => {
+  const rubric = {
+    baseline: 50,
+    negation: { window: 1, factor: 0, terms: ['not'] },
+    metrics: {
+      fairness: [{ source: 'text', weight: 10, terms: ['open'] }],
+      value: [{ source: 'text', weight: 20, terms: ['grow*'] }],
+      protection: [{ source: 'text', weight: -30, terms: ['leak'] }]
+    }
+  };
+
+  test('lexicons and weights are configurable', () => {
+    const result = createRubricScorer(rubric).score({ text: 'An open process that grows the pool despite a leak.' });
+    expect(result.metrics).toEqual({ fairness: 60, value: 70, protection: 20 });
+  });
+
+  test('the negation window and factor are configurable', () => {
+    const custom = createRubricScorer(rubric);
+    expect(custom.score({ text: 'not open' }).metrics.fairness).toBe(50);
+    expect(custom.score({ text: 'not really open' }).metrics.fairness).toBe(60);
+  });
+
+  test('omitted settings take the defaults', () => {
+    const { rubric: complete } = createRubricScorer({ metrics: rubric.metrics });
+    expect(complete).toMatchObject({ baseline: 50, min: 0, max: 100, negation: { window: 3, factor: -1 } });
+  });
+});
+
+describe('validateRubric', () => {
+  test('rejects a rubric without every metric', () => {
+    expect(() => validateRubric({ metrics: { fairness: [] } })).toThrow(/metrics\.value must be a list of lexicons/);
+  });
+
+  test('rejects malformed lexicons', () => {
+    const metrics = {
+      fairness: [{ source: 'text', weight: 'high', terms: ['fair'] }],
+      value: [{ source: 'text', weight: 1, terms: [] }],
+      protection: [{ weight: 1, terms: ['safe'], limit: 0 }]
+    };
+    const attempt = () => validateRubric({ metrics });
+
+    expect(attempt).toThrow(/metrics\.fairness\[0\]\.weight must be a number/);
+    expect(attempt).toThrow(/metrics\.value\[0\]\.terms must be a non-empty list/);
+    expect(attempt).toThrow(/metrics\.protection\[0\]\.source/);
+    expect(attempt).toThrow(/metrics\.protection\[0\]\.limit/);
+  });
+
+  test('rejects inverted bounds', () => {
+    expect(() => validateRubric({ ...defaultRubric, min: 90, max: 10 })).toThrow(/min must not exceed max/);
+  });
+});
+
+describe('tokenize', () => {
+  test('numbers clauses at punctuation and contrastive words', () => {
+    const clauses = tokenize('No delay, but a risk. Fine').map(token => [token.word, token.clause]);
+    expect(clauses).toEqual([['no', 0], ['delay', 0], ['a', 2], ['risk', 2], ['fine', 3]]);
+  });
+});
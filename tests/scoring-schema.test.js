@@ -0,0 +1,176 @@
+/**
+ * Scoring Schema Tests for Aikira Terminal
+ * Checks parsing of the model's scoring object, the retry on malformed output and the keyword fallback
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.EVALUATION_CACHE = 'off';
+process.env.DATA_DIR = path.join(os.tmpdir(), `aikira-scoring-${process.pid}`);
+
+const config = require('../backend/config');
+const llm = require('../backend/services/llm-service');
+const evaluationService = require('../backend/services/evaluation-service');
+const personaService = require('../backend/services/persona-service');
+const { parseScoringOutput, extractResponseText } = require('../backend/utils/scoring-schema');
+
+const numerals = ['I', 'II'];
+const proposal = 'Fund a transparent community garden with an audited multisig and monthly milestone reports.';
+
+/**
+ * Builds a valid scoring object
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} Scoring object
+ */
+function buildScoring(overrides = {}) {
+  return {
+    response: ' The garden serves everyone. ',
+    scores: { fairness: 80.4, value: 75, protection: 90 },
+    rationale: { fairness: 'Open to all.', value: 'Clear benefit.', protection: 'Audited multisig.' },
+    commandments: {
+      I: { status: 'complies', reason: 'Funds are protected.' },
+      II: { status: 'neutral', reason: 'Not relevant.' }
+    },
+    evidence: [{ metric: 'protection', polarity: 'positive', quote: ' audited multisig ' }],
+    verdict: 'approve',
+    ...overrides
+  };
+}
+
+describe('parseScoringOutput', () => {
+  test('normalizes a valid scoring object', () => {
+    const { value, errors } = parseScoringOutput(JSON.stringify(buildScoring()), numerals);
+
+    expect(errors).toEqual([]);
+    expect(value).toEqual({
+      response: 'The garden serves everyone.',
+      metrics: { fairness: 80, value: 75, protection: 90 },
+      rationale: { fairness: 'Open to all.', value: 'Clear benefit.', protection: 'Audited multisig.' },
+      commandments: {
+        I: { status: 'complies', reason: 'Funds are protected.' },
+        II: { status: 'neutral', reason: 'Not relevant.' }
+      },
+      evidence: [{ metric: 'protection', polarity: 'positive', quote: 'audited multisig' }],
+      verdict: 'approve'
+    });
+  });
+
+  test('accepts output wrapped in a code fence', () => {
+    const raw = `\`\`\`json\n${JSON.stringify(buildScoring())}\n\`\`\``;
+
+    expect(parseScoringOutput(raw, numerals).errors).toEqual([]);
+  });
+
+  test('treats missing evidence as none', () => {
+    const { value } = parseScoringOutput(JSON.stringify(buildScoring({ evidence: undefined })), numerals);
+
+    expect(value.evidence).toEqual([]);
+  });
+
+  test.each([
+    ['not JSON', 'I approve.', [expect.stringMatching(/^output is not valid JSON \(/)]],
+    ['an array', '[]', ['output must be a JSON object']]
+  ])('rejects output that is %s', (_, raw, errors) => {
+    expect(parseScoringOutput(raw, numerals)).toEqual({ value: null, errors });
+  });
+
+  test.each([
+    [{ response: '' }, 'response must be a non-empty string'],
+    [{ scores: { fairness: 80, value: 120, protection: 90 } }, 'scores.value must be a number from 0 to 100'],
+    [{ rationale: { fairness: 'Open.', value: 'Clear.' } }, 'rationale.protection must be a non-empty string'],
+    [{ commandments: [] }, 'commandments must be an object keyed by numeral'],
+    [{ commandments: { I: { status: 'complies', reason: 'Protected.' } } }, 'commandments.II is missing'],
+    [{ commandments: { I: { status: 'maybe', reason: 'Protected.' }, II: { status: 'neutral', reason: 'n/a' } } }, 'commandments.I.status must be one of: complies, conflicts, neutral'],
+    [{ evidence: [{ metric: 'speed', polarity: 'positive', quote: 'fast' }] }, 'evidence[0].metric must be one of: fairness, value, protection'],
+    [{ evidence: Array.from({ length: 9 }, () => ({ metric: 'value', polarity: 'negative', quote: 'vague' })) }, 'evidence must have at most 8 items'],
+    [{ verdict: 'maybe' }, 'verdict must be one of: approve, reject']
+  ])('rejects %p', (overrides, error) => {
+    const { value, errors } = parseScoringOutput(JSON.stringify(buildScoring(overrides)), numerals);
+
+    expect(value).toBeNull();
+    expect(errors).toEqual([error]);
+  });
+
+  test('recovers the response from output that failed validation', () => {
+    expect(extractResponseText(JSON.stringify({ response: ' Rejected. ', scores: 'high' }))).toBe('Rejected.');
+    expect(extractResponseText('  Plain prose reply.  ')).toBe('Plain prose reply.');
+  });
+});
+
+describe('retry and fallback', () => {
+  let complete;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    complete = jest.spyOn(llm, 'complete');
+  });
+
+  afterEach(() => {
+    complete.mockReset();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  /**
+   * Builds a valid scoring object that assesses every commandment of the persona
+   * @returns {string} Raw model output
+   */
+  const validOutput = () => JSON.stringify(buildScoring({
+    commandments: Object.fromEntries(personaService.getPersona().commandments.map(({ numeral }) => [
+      numeral, { status: 'neutral', reason: 'Not relevant.' }
+    ]))
+  }));
+
+  /**
+   * Returns a completion with the given content
+   * @param {string} content - Raw model output
+   * @returns {Object} Completion
+   */
+  const reply = content => ({ content, provider: 'mock', model: 'mock', usage: null });
+
+  test('scores with the model when the first reply is valid', async () => {
+    complete.mockImplementation(async () => reply(validOutput()));
+
+    const result = await evaluationService.evaluateProposal({ text: proposal });
+
+    expect(complete).toHaveBeenCalledTimes(1);
+    expect(result.scoring).toEqual({ method: 'model', attempts: 1, errors: [] });
+    expect(result.verdict).toBe('approve');
+  });
+
+  test('retries with the validation errors after malformed output', async () => {
+    complete
+      .mockImplementationOnce(async () => reply('{"response": "Approved."}'))
+      .mockImplementation(async () => reply(validOutput()));
+
+    const result = await evaluationService.evaluateProposal({ text: proposal });
+
+    expect(complete).toHaveBeenCalledTimes(2);
+    const retry = complete.mock.calls[1][1].messages.slice(-2);
+    expect(retry[0]).toEqual({ role: 'assistant', content: '{"response": "Approved."}' });
+    expect(retry[1].content).toMatch(/^Your reply was rejected: scores must be an object; rationale must be an object; /);
+    expect(result.scoring).toEqual({ method: 'model', attempts: 2, errors: [] });
+    expect(result.scores.protection).toBe(0.9);
+  });
+
+  test('falls back to keyword scores once every attempt is malformed', async () => {
+    complete.mockImplementation(async () => reply('{"response": "A fair and transparent plan with clear benefit.", "verdict": "approve"}'));
+
+    const result = await evaluationService.evaluateProposal({ text: proposal });
+
+    expect(complete).toHaveBeenCalledTimes(config.scoring.maxAttempts);
+    expect(result.response).toBe('A fair and transparent plan with clear benefit.');
+    expect(result.scoring).toMatchObject({ method: 'keyword-fallback', attempts: config.scoring.maxAttempts });
+    expect(result.scoring.errors).toContain('scores must be an object');
+    expect(result.verdict).toBeNull();
+    expect(result.rationale).toBeNull();
+    expect(result.commandments).toBeNull();
+  });
+});
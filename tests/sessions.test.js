@@ -0,0 +1,53 @@
+/**
+ * Session Tests for Aikira Terminal
+ * Checks that sessions are listed, resumed and deleted only by their owner or the admin
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = path.join(os.tmpdir(), `aikira-sessions-${process.pid}`);
+
+const sessions = require('../backend/services/session-service');
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('session owners', () => {
+  const alice = { owner: 'alice' };
+  const bob = { owner: 'bob' };
+
+  test('a session is listed for its owner and the admin only', () => {
+    const session = sessions.createSession({ title: 'Garden', owner: 'alice' });
+    const ids = access => sessions.listSessions({}, access).map(listing => listing.id);
+
+    expect(ids(alice)).toContain(session.id);
+    expect(ids({ admin: true })).toContain(session.id);
+    expect(ids(bob)).not.toContain(session.id);
+    expect(ids({})).toEqual([]);
+  });
+
+  test('another user cannot resume, continue or delete it', () => {
+    const { id } = sessions.createSession({ owner: 'alice' });
+
+    expect(() => sessions.getSession(id, bob)).toThrow(expect.objectContaining({ statusCode: 403 }));
+    expect(() => sessions.getHistory(id, bob)).toThrow(expect.objectContaining({ statusCode: 403 }));
+    expect(() => sessions.deleteSession(id, bob)).toThrow(expect.objectContaining({ statusCode: 403 }));
+    expect(sessions.getSession(id, alice).owner).toBe('alice');
+  });
+
+  test('the admin can delete any session', () => {
+    const { id } = sessions.createSession({ owner: 'alice' });
+    sessions.deleteSession(id, { admin: true });
+
+    expect(() => sessions.getSession(id, alice)).toThrow(expect.objectContaining({ statusCode: 404 }));
+  });
+
+  test('an anonymous session is reachable by its ID', () => {
+    const { id } = sessions.createSession();
+
+    expect(sessions.getSession(id, bob).owner).toBeNull();
+  });
+});
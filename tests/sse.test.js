@@ -0,0 +1,161 @@
+/**
+ * Event Stream Tests for Aikira Terminal
+ * Checks server-sent event framing, stream shutdown and decoding the response field as it streams
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.EVALUATION_CACHE = 'off';
+process.env.DATA_DIR = path.join(os.tmpdir(), `aikira-sse-${process.pid}`);
+
+const { openEventStream } = require('../backend/utils/sse');
+const { createStringFieldReader } = require('../backend/utils/json-field-stream');
+const evaluationService = require('../backend/services/evaluation-service');
+
+/**
+ * Builds a stand-in for an Express response that records what is written
+ * @returns {Object} Fake response
+ */
+function createResponse() {
+  const res = new EventEmitter();
+  res.statusCode = null;
+  res.headers = {};
+  res.chunks = [];
+  res.ended = false;
+  res.status = code => { res.statusCode = code; return res; };
+  res.set = headers => { Object.assign(res.headers, headers); return res; };
+  res.flushHeaders = jest.fn();
+  res.write = chunk => res.chunks.push(chunk);
+  res.end = jest.fn(() => { res.ended = true; });
+  return res;
+}
+
+/**
+ * Splits written output into events
+ * @param {Array<string>} chunks - Written chunks
+ * @returns {Array<Object>} { event, data } for each frame
+ */
+function parseFrames(chunks) {
+  return chunks.join('').split('\n\n').filter(Boolean).map(frame => {
+    const [, event] = frame.match(/^event: (.+)$/m);
+    const [, data] = frame.match(/^data: (.+)$/m);
+    return { event, data: JSON.parse(data) };
+  });
+}
+
+describe('openEventStream', () => {
+  test('sends event-stream headers before any event', () => {
+    const res = createResponse();
+    openEventStream(res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers).toEqual({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    expect(res.flushHeaders).toHaveBeenCalled();
+  });
+
+  test('frames each event as a named JSON payload', () => {
+    const res = createResponse();
+    const stream = openEventStream(res);
+
+    stream.send('token', { text: 'line one\nline two' });
+    stream.send('result', { success: true });
+
+    expect(res.chunks).toEqual([
+      'event: token\ndata: {"text":"line one\\nline two"}\n\n',
+      'event: result\ndata: {"success":true}\n\n'
+    ]);
+  });
+
+  test('ends with an error event on failure and ignores later events', () => {
+    const res = createResponse();
+    const stream = openEventStream(res);
+
+    stream.fail({ error: 'Provider unavailable' });
+    stream.send('token', { text: 'late' });
+    stream.end();
+
+    expect(parseFrames(res.chunks)).toEqual([{ event: 'error', data: { success: false, error: 'Provider unavailable' } }]);
+    expect(res.end).toHaveBeenCalledTimes(1);
+    expect(stream.isOpen()).toBe(false);
+  });
+
+  test('aborts upstream work when the client disconnects', () => {
+    const res = createResponse();
+    const stream = openEventStream(res);
+
+    res.emit('close');
+    stream.send('token', { text: 'late' });
+
+    expect(stream.signal.aborted).toBe(true);
+    expect(stream.isOpen()).toBe(false);
+    expect(res.chunks).toEqual([]);
+  });
+
+  test('does not abort once the stream has ended normally', () => {
+    const res = createResponse();
+    const stream = openEventStream(res);
+
+    stream.end();
+    res.emit('close');
+
+    expect(stream.signal.aborted).toBe(false);
+  });
+});
+
+describe('createStringFieldReader', () => {
+  test('decodes the field across chunk boundaries and escapes', () => {
+    const json = JSON.stringify({ scores: { fairness: 80 }, response: 'Fair "and" clear\nline é \\ done', verdict: 'approve' });
+    const reader = createStringFieldReader('response');
+
+    const pieces = Array.from(json).map(character => reader.push(character));
+
+    expect(pieces.join('')).toBe('Fair "and" clear\nline é \\ done');
+    expect(reader.text()).toBe(pieces.join(''));
+  });
+
+  test('waits for a split unicode escape', () => {
+    const reader = createStringFieldReader('response');
+
+    expect(reader.push('{"response": "caf\\u00')).toBe('caf');
+    expect(reader.push('e9!"}')).toBe('é!');
+  });
+
+  test('ignores fields with other names and text after the field closes', () => {
+    const reader = createStringFieldReader('response');
+
+    expect(reader.push('{"rationale": "no", "response": "yes", ')).toBe('yes');
+    expect(reader.push('"verdict": "approve"}')).toBe('');
+  });
+});
+
+describe('streamed evaluations', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('the streamed tokens add up to the final response', async () => {
+    const tokens = [];
+
+    const result = await evaluationService.evaluateProposal({
+      text: 'Fund a transparent community garden with monthly reports.',
+      onToken: text => tokens.push(text)
+    });
+
+    expect(tokens.length).toBeGreaterThan(1);
+    expect(tokens.join('')).toBe(result.response);
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Treasury Tests for Aikira Terminal
+ * Checks that approvals debit the simulated treasury, expiry refunds it, unfundable approvals
+ * are rejected and only evaluations signed by this instance release funds
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = path.join(os.tmpdir(), `aikira-treasury-${process.pid}`);
+process.env.STORAGE_DRIVER = 'json';
+
+const proposalStore = require('../backend/services/proposal-store');
+const treasury = require('../backend/services/treasury-service');
+const receipts = require('../backend/services/receipt-service');
+const { ApiError } = require('../backend/utils/error-handler');
+
+/**
+ * Builds an evaluation with the receipt this instance signs for it
+ * @param {string} text - Proposal text
+ * @param {Object} details - Structured proposal details
+ * @param {boolean} approved - Verdict
+ * @returns {Object} Signed evaluation
+ */
+function signedEvaluation(text, details, approved = true) {
+  const total = approved ? 0.8 : 0.4;
+  const evaluation = {
+    response: approved ? 'Approved.' : 'Rejected.',
+    scores: { fairness: total, value: total, protection: total, total },
+    approved,
+    timestamp: new Date().toISOString()
+  };
+  evaluation.receipt = receipts.issueReceipt({ text, details, evaluation });
+  return evaluation;
+}
+
+/**
+ * Stores a proposal requesting an amount from the treasury
+ * @param {number} amount - Requested amount
+ * @param {Object} overrides - Detail overrides
+ * @returns {Promise<Object>} Stored proposal record
+ */
+async function submit(amount, overrides = {}) {
+  const details = { title: `Request ${amount}`, amount, token: 'AIKIRA', recipient: '0xabc', ...overrides };
+  const text = `Fund the community audit with ${amount} tokens (${Math.random()}).`;
+  return proposalStore.createProposal({ text, details, evaluation: signedEvaluation(text, details), requester: 'alice' });
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('debits', () => {
+  test('an approved proposal debits its requested amount', async () => {
+    const before = treasury.getBalance().spent;
+    const record = await submit(1000);
+
+    expect(record.status).toBe('approved');
+    expect(record.treasury).toMatchObject({ amount: 1000, token: 'AIKIRA' });
+    expect(treasury.getBalance().spent).toBe(before + 1000);
+    expect(treasury.getLedger()[0]).toMatchObject({ type: 'debit', proposalId: record.id, amount: 1000, recipient: '0xabc' });
+  });
+
+  test('a rejected proposal debits nothing', async () => {
+    const before = treasury.getBalance().spent;
+    const details = { title: 'Rejected', amount: 5000 };
+    const text = 'Fund something the evaluator rejects.';
+    const record = await proposalStore.createProposal({ text, details, evaluation: signedEvaluation(text, details, false), requester: 'alice' });
+
+    expect(record.status).toBe('rejected');
+    expect(treasury.getBalance().spent).toBe(before);
+  });
+});
+
+describe('refunds', () => {
+  test('an approved proposal that expires returns its debit', async () => {
+    const record = await submit(2500);
+    const spent = treasury.getBalance().spent;
+
+    const expired = await proposalStore.transitionProposal(record.id, 'expired', { actor: 'admin', reason: 'Not executed in time' });
+
+    expect(expired.treasury.refundedAt).toEqual(expect.any(String));
+    expect(treasury.getBalance().spent).toBe(spent - 2500);
+    expect(treasury.getLedger()[0]).toMatchObject({ type: 'refund', proposalId: record.id, debitId: record.treasury.debitId, amount: 2500 });
+  });
+
+  test('an executed proposal keeps its debit', async () => {
+    const record = await submit(700);
+    const spent = treasury.getBalance().spent;
+
+    await proposalStore.transitionProposal(record.id, 'executed', { actor: 'admin', reason: 'Paid out' });
+
+    expect(treasury.getBalance().spent).toBe(spent);
+    expect(treasury.getLedger()[0]).toMatchObject({ type: 'debit', proposalId: record.id });
+  });
+});
+
+describe('failed writes', () => {
+  /**
+   * Makes writes of the proposals file fail while running a change
+   * @param {Function} change - Change to run
+   * @returns {Promise} The change's outcome
+   */
+  async function withFailingStore(change) {
+    const rename = fs.renameSync;
+    const spy = jest.spyOn(fs, 'renameSync').mockImplementation((from, to) => {
+      if (path.basename(to) === 'proposals.json') throw new Error('Disk full');
+      return rename(from, to);
+    });
+    try {
+      return await change();
+    } finally {
+      spy.mockRestore();
+    }
+  }
+
+  test('an approval that cannot be saved debits nothing', async () => {
+    const spent = treasury.getBalance().spent;
+
+    await expect(withFailingStore(() => submit(300))).rejects.toThrow('Disk full');
+    expect(treasury.getBalance().spent).toBe(spent);
+  });
+
+  test('an expiry that cannot be saved keeps the debit', async () => {
+    const record = await submit(400);
+    const spent = treasury.getBalance().spent;
+
+    await expect(withFailingStore(() => proposalStore.transitionProposal(record.id, 'expired', { actor: 'admin', reason: 'Late' })))
+      .rejects.toThrow('Disk full');
+    expect(treasury.getBalance().spent).toBe(spent);
+    expect((await proposalStore.getProposal(record.id)).status).toBe('approved');
+  });
+});
+
+describe('insufficient funds', () => {
+  test('an approval beyond the available balance is recorded as a rejection without a debit', async () => {
+    const { available, spent } = treasury.getBalance();
+    const record = await submit(available + 1);
+
+    expect(record.status).toBe('rejected');
+    expect(record.transitions.pop().reason).toMatch(/exceeds the unlocked treasury balance/);
+    expect(record.treasury).toBeUndefined();
+    expect(treasury.getBalance().spent).toBe(spent);
+  });
+
+  test('an approval in a token the treasury does not hold is rejected', async () => {
+    const record = await submit(10, { token: 'USDC' });
+
+    expect(record.status).toBe('rejected');
+    expect(record.transitions.pop().reason).toMatch(/Commandment I/);
+  });
+
+  test('a direct debit beyond the available balance is refused with 409', () => {
+    const { available } = treasury.getBalance();
+    const debit = () => treasury.debitProposal({ id: 'direct', details: { amount: available + 1 } });
+
+    expect(debit).toThrow(ApiError);
+    expect(debit).toThrow(expect.objectContaining({ statusCode: 409 }));
+  });
+});
+
+describe('unsigned evaluations', () => {
+  const details = { title: 'Forged', amount: 150000000 };
+  const text = 'Send the treasury to mallory.';
+
+  test('an evaluation without a receipt is refused and debits nothing', async () => {
+    const spent = treasury.getBalance().spent;
+    const store = proposalStore.createProposal({ text, details, evaluation: { approved: true, response: 'Approved!' }, requester: 'mallory' });
+
+    await expect(store).rejects.toMatchObject({ statusCode: 400 });
+    expect(treasury.getBalance().spent).toBe(spent);
+  });
+
+  test('a signed rejection turned into an approval is refused and debits nothing', async () => {
+    const spent = treasury.getBalance().spent;
+    const evaluation = { ...signedEvaluation(text, details, false), approved: true };
+    const store = proposalStore.createProposal({ text, details, evaluation, requester: 'mallory' });
+
+    await expect(store).rejects.toMatchObject({ statusCode: 403 });
+    expect(treasury.getBalance().spent).toBe(spent);
+  });
+
+  test('a result reused from a near-duplicate is not signed and cannot be stored', async () => {
+    const evaluation = { ...signedEvaluation(text, details), duplicates: { action: 'reused', reusedFrom: 'earlier' } };
+    const spent = treasury.getBalance().spent;
+
+    expect(receipts.issueReceipt({ text, details, evaluation })).toBeNull();
+    await expect(proposalStore.createProposal({ text, details, evaluation, requester: 'mallory' })).rejects.toMatchObject({ statusCode: 400 });
+    expect(treasury.getBalance().spent).toBe(spent);
+  });
+
+  test('a rewritten commandment verdict or guard finding is refused', async () => {
+    const signed = signedEvaluation(text, details, false);
+    const forged = [
+      { ...signed, verdict: 'approve' },
+      { ...signed, commandments: [{ numeral: 'VI', status: 'aligned' }] },
+      { ...signed, guard: { flagged: false } }
+    ];
+
+    for (const evaluation of forged) {
+      await expect(proposalStore.createProposal({ text, details, evaluation, requester: 'mallory' })).rejects.toMatchObject({ statusCode: 403 });
+    }
+  });
+
+  test('only the signed fields are stored', async () => {
+    const evaluation = { ...signedEvaluation(text, { ...details, amount: 20 }), injected: 'not signed' };
+    const record = await proposalStore.createProposal({ text, details: { ...details, amount: 20 }, evaluation, requester: 'alice' });
+
+    expect(record.evaluation.injected).toBeUndefined();
+    expect(record.evaluation.receipt).toEqual(evaluation.receipt);
+  });
+
+  test('a receipt is only accepted once', async () => {
+    const evaluation = signedEvaluation(text, { ...details, amount: 10 });
+    await proposalStore.createProposal({ text, details: { ...details, amount: 10 }, evaluation, requester: 'mallory' });
+    const replay = proposalStore.createProposal({ text, details: { ...details, amount: 10 }, evaluation, requester: 'mallory' });
+
+    await expect(replay).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Usage Ledger Tests for Aikira Terminal
+ * Checks that completions are priced by the model the provider reports, including dated snapshots
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = path.join(os.tmpdir(), `aikira-usage-${process.pid}`);
+
+const usageLedger = require('../backend/services/usage-ledger');
+
+/**
+ * Records one completion of a million prompt and a million completion tokens
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name as the provider reports it
+ * @returns {Object} The request's totals (cost and unpriced calls)
+ */
+function record(provider, model) {
+  const meter = usageLedger.createMeter({ route: 'evaluate' });
+  meter.record({ provider, model, usage: { prompt_tokens: 1e6, completion_tokens: 1e6 } });
+  return meter.totals();
+}
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('completion prices', () => {
+  test.each([
+    ['gpt-4o', 12.5],
+    ['gpt-4o-2024-08-06', 12.5],
+    ['gpt-4o-mini-2024-07-18', 0.75],
+    ['gpt-3.5-turbo-0125', 2]
+  ])('%s is priced at %d per million tokens each way', (model, cost) => {
+    expect(record('openai', model)).toMatchObject({ cost, unpriced: 0 });
+  });
+
+  test('a model the table does not list is unpriced', () => {
+    expect(record('openai', 'o1-preview')).toMatchObject({ cost: 0, unpriced: 1 });
+  });
+});
+
+describe('unreadable lines', () => {
+  test('corrupt ledger lines are skipped and reported', () => {
+    usageLedger.createMeter({ route: 'chat', user: 'alice' }).record({ provider: 'openai', model: 'gpt-4o', usage: { prompt_tokens: 10, completion_tokens: 10 } });
+    fs.appendFileSync(path.join(process.env.DATA_DIR, 'usage.log'), '{"at":"2025-\n42\n');
+
+    const report = usageLedger.getReport({ user: 'alice' });
+
+    expect(report.totals.calls).toBe(1);
+    expect(report.unreadable.map(line => line.reason)).toEqual(['Entry is not valid JSON', 'Entry has no timestamp']);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Vesting Tests for Aikira Terminal
+ * Checks vesting schedule validation, unlocked amounts over time and the monthly unlock table
+ */
+
+process.env.TREASURY_VESTING_START = '2025-01-01T00:00:00Z';
+
+const vesting = require('../backend/utils/vesting');
+const tokenomics = require('../backend/services/tokenomics-service');
+
+// 365,000 tokens over a calendar year unlock 1,000 a day
+const yearly = vesting.normalizeSchedule({ type: 'linear', cliffMonths: 3, durationMonths: 12, start: '2025-01-01T00:00:00Z' });
+
+describe('normalizeSchedule', () => {
+  test('derives the cliff and end dates', () => {
+    expect(yearly).toEqual({
+      type: 'linear',
+      cliffMonths: 3,
+      durationMonths: 12,
+      start: '2025-01-01T00:00:00.000Z',
+      cliffEnd: '2025-04-01T00:00:00.000Z',
+      end: '2026-01-01T00:00:00.000Z'
+    });
+  });
+
+  test('puts the cliff of a cliff schedule at its end', () => {
+    const schedule = vesting.normalizeSchedule({ type: 'cliff', cliffMonths: 1, durationMonths: 6, start: '2025-01-01' });
+
+    expect(schedule).toMatchObject({ cliffMonths: 6, cliffEnd: '2025-07-01T00:00:00.000Z', end: '2025-07-01T00:00:00.000Z' });
+  });
+
+  test.each([
+    [{ type: 'stepped', durationMonths: 6 }, 'type must be one of: linear, cliff'],
+    [{ durationMonths: 0 }, 'durationMonths must be an integer between 1 and 120'],
+    [{ durationMonths: 121 }, 'durationMonths must be an integer between 1 and 120'],
+    [{ durationMonths: 1.5 }, 'durationMonths must be an integer between 1 and 120'],
+    [{ cliffMonths: -1, durationMonths: 6 }, 'cliffMonths must be an integer between 0 and 120'],
+    [{ cliffMonths: 7, durationMonths: 6 }, 'cliffMonths cannot exceed durationMonths'],
+    [{ durationMonths: 6, start: 'someday' }, 'Invalid date "someday"']
+  ])('rejects %p', (schedule, message) => {
+    expect(() => vesting.normalizeSchedule(schedule)).toThrow(expect.objectContaining({ statusCode: 400, message }));
+  });
+});
+
+describe('getUnlockedAmount', () => {
+  test.each([
+    ['2024-12-31T00:00:00Z', 0],
+    ['2025-03-31T23:59:59Z', 0],
+    ['2025-04-01T00:00:00Z', 90000],
+    ['2025-07-20T00:00:00Z', 200000],
+    ['2026-01-01T00:00:00Z', 365000],
+    ['2027-01-01T00:00:00Z', 365000]
+  ])('unlocks the linear schedule at %s: %i', (at, unlocked) => {
+    expect(vesting.getUnlockedAmount(yearly, 365000, at)).toBe(unlocked);
+  });
+
+  test('unlocks a cliff schedule all at once at its end', () => {
+    const schedule = vesting.normalizeSchedule({ type: 'cliff', durationMonths: 6, start: '2025-01-01' });
+
+    expect(vesting.getUnlockedAmount(schedule, 1000, '2025-06-30T23:59:59Z')).toBe(0);
+    expect(vesting.getUnlockedAmount(schedule, 1000, '2025-07-01T00:00:00Z')).toBe(1000);
+  });
+});
+
+describe('buildUnlockTable', () => {
+  test('has a row per month whose unlocks add up to the amount', () => {
+    const table = vesting.buildUnlockTable(yearly, 365000);
+
+    expect(table).toHaveLength(13);
+    expect(table.slice(0, 4).map(row => row.unlockedThisMonth)).toEqual([0, 0, 0, 90000]);
+    expect(table.reduce((sum, row) => sum + row.unlockedThisMonth, 0)).toBe(365000);
+    expect(table[12]).toMatchObject({ month: 12, date: '2026-01-01T00:00:00.000Z', unlocked: 365000, percent: 100 });
+  });
+});
+
+describe('tokenomics', () => {
+  test('derives allocation amounts from the supply', () => {
+    expect(tokenomics.getAllocation('treasury').amount).toBe(200000000);
+    expect(tokenomics.getAllocation('liquidity').amount).toBe(800000000);
+  });
+
+  test('rejects an unknown allocation', () => {
+    expect(() => tokenomics.getAllocation('team')).toThrow(expect.objectContaining({
+      statusCode: 400,
+      details: { allocations: ['liquidity', 'treasury'] }
+    }));
+  });
+
+  test('vests the treasury over six months from the configured start', () => {
+    const result = tokenomics.calculateVesting({ at: '2025-07-01T00:00:00Z' });
+
+    expect(result.schedule).toMatchObject({ type: 'linear', start: '2025-01-01T00:00:00.000Z', end: '2025-07-01T00:00:00.000Z' });
+    expect(result).toMatchObject({ allocation: 'treasury', amount: 200000000, unlocked: 200000000, locked: 0 });
+    expect(result.table).toHaveLength(7);
+  });
+
+  test('treats unvested liquidity as unlocked unless a schedule is given', () => {
+    expect(tokenomics.calculateVesting({ allocation: 'liquidity' })).toMatchObject({ schedule: null, locked: 0, table: [] });
+
+    const scheduled = tokenomics.calculateVesting({ allocation: 'liquidity', durationMonths: '4', at: '2025-01-01T00:00:00Z' });
+    expect(scheduled).toMatchObject({ unlocked: 0, locked: 800000000 });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Voting Tests for Aikira Terminal
+ * Checks voting power from the holders file and when votes are refused
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = path.join(os.tmpdir(), `aikira-voting-${process.pid}`);
+
+const voting = require('../backend/services/voting-service');
+
+/**
+ * Builds a proposal record with an open voting window
+ * @param {string} status - Lifecycle state
+ * @returns {Object} Proposal record
+ */
+function openRecord(status = 'approved') {
+  const record = { id: 'p1', status, revisions: [{}] };
+  voting.openVoting(record);
+  return record;
+}
+
+beforeAll(() => {
+  fs.mkdirSync(process.env.DATA_DIR, { recursive: true });
+  fs.writeFileSync(path.join(process.env.DATA_DIR, 'holders.json'), JSON.stringify({ holders: { alice: 6000, bob: 0 } }));
+});
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('voting power', () => {
+  test('listed holders vote with their balance', () => {
+    const record = openRecord();
+    const vote = voting.castVote(record, 'alice', 'yes');
+
+    expect(vote).toMatchObject({ voter: 'alice', choice: 'yes', weight: 6000 });
+    expect(voting.tallyVotes(record)).toMatchObject({ yes: 6000, turnout: 6000 });
+  });
+
+  test.each(['mallory', 'bob'])('%s holds no power and is refused', voter => {
+    const record = openRecord();
+
+    expect(voting.getVotingPower(voter)).toBe(0);
+    expect(() => voting.castVote(record, voter, 'yes')).toThrow(expect.objectContaining({ statusCode: 403 }));
+    expect(record.voting.votes).toEqual([]);
+  });
+});
+
+describe('closed voting', () => {
+  test.each(['executed', 'expired'])('a proposal that is %s takes no votes', status => {
+    const record = openRecord(status);
+
+    expect(() => voting.castVote(record, 'alice', 'yes')).toThrow(expect.objectContaining({ statusCode: 409 }));
+  });
+
+  test('votes after the window closes are refused', () => {
+    const record = openRecord();
+    record.voting.closesAt = new Date(Date.now() - 1000).toISOString();
+
+    expect(() => voting.castVote(record, 'alice', 'no')).toThrow(expect.objectContaining({ statusCode: 409 }));
+  });
+});